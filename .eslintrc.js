@@ -38,7 +38,7 @@ export default {
         'node/no-missing-import': 'off', // We're using ES modules
         'node/no-unsupported-features/es-syntax': ['error', {
             version: '>=18.0.0',
-            ignores: ['modules']
+            ignores: ['modules', 'dynamicImport']
         }],
 
         // Style consistency
@@ -79,7 +79,9 @@ export default {
                 jest: true
             },
             rules: {
-                'require-jsdoc': 'off'
+                'require-jsdoc': 'off',
+                // Tests may import devDependencies such as supertest
+                'node/no-unpublished-import': 'off'
             }
         }
     ],
@@ -16,12 +16,18 @@ get_operation_data() {
 }
 
 # Function to update operation status
+# Skipped when the API job runner runs the handler (OPERATION_STATUS_MANAGED=1):
+# the runner records the status itself and may still retry a failed attempt
 update_operation_status() {
     local operation_id=$1
     local status=$2
     local error_message=${3:-""}
     local timestamp=$(date '+%Y-%m-%d %H:%M:%S')
     
+    if [[ "$OPERATION_STATUS_MANAGED" == "1" ]]; then
+        return 0
+    fi
+    
     local sql=""
     if [[ "$status" == "processing" ]]; then
         sql="UPDATE operations 
@@ -44,6 +50,39 @@ update_operation_status() {
     sqlite3 "$DB_PATH" "$sql"
 }
 
+# Function to atomically claim a pending operation
+# Succeeds only if no other worker (including the API job runner) got it first
+claim_operation() {
+    local operation_id=$1
+    
+    local claimed=$(sqlite3 "$DB_PATH" "
+        UPDATE operations 
+        SET status = 'processing', 
+            claimed_by = 'queue_worker', 
+            started_at = datetime('now') 
+        WHERE id = $operation_id AND status = 'pending';
+        SELECT changes();
+    ")
+    
+    [[ "$claimed" -eq 1 ]]
+}
+
+# Function to report operation progress (percentage)
+# The value is stored for pollers and printed as a PROGRESS line, which the
+# API job runner turns into a live progress event
+update_operation_progress() {
+    local operation_id=$1
+    local percent=$2
+    local message=${3:-""}
+    
+    sqlite3 "$DB_PATH" "
+        UPDATE operations 
+        SET progress = $percent 
+        WHERE id = $operation_id
+    "
+    echo "PROGRESS $percent $message"
+}
+
 # Function to store operation result
 store_operation_result() {
     local operation_id=$1
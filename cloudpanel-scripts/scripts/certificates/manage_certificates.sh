@@ -18,6 +18,15 @@ OPERATION_ID=""
 # Configure error handling to catch and process all failures
 set -e
 trap 'handle_error $? "$BASH_COMMAND"' ERR
+trap 'handle_cancel' TERM
+
+# Cancellation handler: the API job runner sends SIGTERM when an operation is
+# cancelled. Partial work is cleaned up; the runner records the cancelled status.
+handle_cancel() {
+    log_error "Certificate operation cancelled"
+    cleanup_on_failure
+    exit 143
+}
 
 # Error handler function that processes all script failures
 # It logs the error, updates the operation status, and performs necessary cleanup
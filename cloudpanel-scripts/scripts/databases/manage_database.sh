@@ -16,6 +16,15 @@ OPERATION_ID=""
 # Configure error handling to catch all failures
 set -e
 trap 'handle_error $? "$BASH_COMMAND"' ERR
+trap 'handle_cancel' TERM
+
+# Cancellation handler: the API job runner sends SIGTERM when an operation is
+# cancelled. Partial work is cleaned up; the runner records the cancelled status.
+handle_cancel() {
+    log_error "Database operation cancelled"
+    cleanup_on_failure
+    exit 143
+}
 
 # Handles any errors that occur during script execution
 handle_error() {
@@ -176,6 +185,7 @@ main() {
 
     # Update operation status to processing
     update_operation_status $OPERATION_ID "processing"
+    update_operation_progress $OPERATION_ID 10 "Starting database $operation"
 
     # Execute the requested operation
     case "$operation" in
@@ -201,6 +211,7 @@ main() {
     esac
 
     # Update operation status to completed
+    update_operation_progress $OPERATION_ID 100 "Database $operation finished"
     update_operation_status $OPERATION_ID "completed"
 }
 
@@ -7,14 +7,24 @@ source /home/clp/scripts/core/logging.sh
 
 # Configure logging
 MAIN_LOG="/home/clp/logs/orchestrator/queue.log"
-OPERATION_TYPES_FILE="/home/clp/scripts/orchestrator/operation_types.conf"
+OPERATION_TYPES_FILE="/home/clp/config/operation_types.conf"
 
 # Load operation type mappings
 declare -A OPERATION_HANDLERS
-while IFS='=' read -r operation_type handler_script; do
+while IFS='=' read -r operation_type handler_script || [[ -n "$operation_type" ]]; do
+    # Skip comments and blank lines
+    [[ -z "$operation_type" || "$operation_type" == \#* ]] && continue
     OPERATION_HANDLERS["$operation_type"]="$handler_script"
 done < "$OPERATION_TYPES_FILE"
 
+# Only operations of the configured types are claimed; types that only have
+# a JavaScript handler (site.php_settings, site.backup, ...) are left to the
+# API job runner
+HANDLED_TYPES=""
+for operation_type in "${!OPERATION_HANDLERS[@]}"; do
+    HANDLED_TYPES+="${HANDLED_TYPES:+, }'${operation_type}'"
+done
+
 log_message() {
     local message="$1"
     echo "[$(date '+%Y-%m-%d %H:%M:%S')] $message" >> "$MAIN_LOG"
@@ -65,11 +75,14 @@ monitor_operations() {
             SELECT id, type 
             FROM operations 
             WHERE status = 'pending' 
+            AND type IN ($HANDLED_TYPES)
             ORDER BY created_at ASC
         ")
         
         if [[ -n "$pending_ops" ]]; then
             while IFS='|' read -r op_id op_type; do
+                # Skip operations already claimed by the API job runner
+                claim_operation "$op_id" || continue
                 process_operation "$op_id" "$op_type"
             done <<< "$pending_ops"
         fi
@@ -33,10 +33,12 @@ check_stuck_operations() {
     log_monitor "Checking for stuck operations"
     
     # Find operations stuck in "processing" state
+    # The API job runner requeues its own operations once their heartbeats stop
     local stuck_ops=$(sqlite3 /home/clp/htdocs/app/data/db.sq3 "
         SELECT id, type, started_at 
         FROM operations 
         WHERE status = 'processing' 
+        AND (claimed_by IS NULL OR claimed_by NOT LIKE 'api:%')
         AND datetime('now', '-30 minutes') > started_at
     ")
     
@@ -70,14 +72,16 @@ handle_stuck_operation() {
         "
         log_monitor "Reset stuck operation $op_id for retry (attempt $((retries + 1)))"
     else
-        # Mark as failed after max retries
+        # Dead-letter after max retries so it can be inspected and requeued
         sqlite3 /home/clp/htdocs/app/data/db.sq3 "
             UPDATE operations 
-            SET status = 'failed',
-                error = 'Operation failed after $MAX_RETRIES retries'
+            SET status = 'dead_letter',
+                error = 'Operation failed after $MAX_RETRIES retries',
+                completed_at = datetime('now'),
+                dead_lettered_at = datetime('now')
             WHERE id = $op_id
         "
-        log_monitor "Operation $op_id failed after maximum retries"
+        log_monitor "Operation $op_id moved to dead letter after maximum retries"
     fi
 }
 
@@ -89,6 +93,7 @@ check_timed_out_operations() {
         SELECT id, type
         FROM operations 
         WHERE status = 'processing'
+        AND (claimed_by IS NULL OR claimed_by NOT LIKE 'api:%')
         AND datetime('now', '-1 hour') > started_at
     ")
     
@@ -121,33 +126,19 @@ handle_timeout() {
         "
         log_monitor "Reset timed out operation $op_id for retry (attempt $((retries + 1)))"
     else
-        # Mark as failed after max retries
+        # Dead-letter after max retries so it can be inspected and requeued
         sqlite3 /home/clp/htdocs/app/data/db.sq3 "
             UPDATE operations 
-            SET status = 'failed',
-                error = 'Operation timed out after $MAX_RETRIES retries'
+            SET status = 'dead_letter',
+                error = 'Operation timed out after $MAX_RETRIES retries',
+                completed_at = datetime('now'),
+                dead_lettered_at = datetime('now')
             WHERE id = $op_id
         "
-        log_monitor "Operation $op_id failed after timeout and maximum retries"
+        log_monitor "Operation $op_id moved to dead letter after timeout and maximum retries"
     fi
 }
 
-cleanup_old_operations() {
-    log_monitor "Cleaning up old operations"
-    
-    # Archive completed operations older than 30 days
-    sqlite3 /home/clp/htdocs/app/data/db.sq3 "
-        INSERT INTO operations_archive 
-        SELECT * FROM operations 
-        WHERE status IN ('completed', 'failed')
-        AND datetime('now', '-30 days') > completed_at;
-        
-        DELETE FROM operations 
-        WHERE status IN ('completed', 'failed')
-        AND datetime('now', '-30 days') > completed_at;
-    "
-}
-
 generate_status_report() {
     log_monitor "Generating status report"
     
@@ -178,10 +169,11 @@ monitor_status() {
         check_stuck_operations
         check_timed_out_operations
         
-        # Generate report and cleanup once per day at midnight
+        # Generate report once per day at midnight
         if [[ $(date +%H:%M) == "00:00" ]]; then
             generate_status_report
-            cleanup_old_operations
+            # Old operations are archived by the API's retention job
+            # (config.orchestrator.retention)
         fi
         
         sleep $CHECK_INTERVAL
@@ -13,6 +13,15 @@ OPERATION_ID=""
 # Set up error handling to catch and process all errors
 set -e
 trap 'handle_error $? "$BASH_COMMAND"' ERR
+trap 'handle_cancel' TERM
+
+# Cancellation handler: the API job runner sends SIGTERM when an operation is
+# cancelled. Partial work is cleaned up; the runner records the cancelled status.
+handle_cancel() {
+    log_error "Site operation cancelled"
+    cleanup_on_failure
+    exit 143
+}
 
 handle_error() {
     local exit_code=$1
@@ -61,6 +70,8 @@ create_php_site() {
         --siteUser="$site_user" \
         --siteUserPassword="$site_password"
 
+    update_operation_progress $OPERATION_ID 70 "Site created"
+
     # Configure additional PHP settings if specified
     if [[ $(echo "$site_data" | jq 'has("php_settings")') == "true" ]]; then
         local memory_limit=$(echo "$site_data" | jq -r '.php_settings.memory_limit // "256M"')
@@ -214,6 +225,7 @@ main() {
 
     # Update operation status to processing
     update_operation_status $OPERATION_ID "processing"
+    update_operation_progress $OPERATION_ID 10 "Site data validated"
 
     case "$operation" in
         "create")
@@ -249,6 +261,7 @@ main() {
     esac
 
     # Update operation status to completed
+    update_operation_progress $OPERATION_ID 100 "Site $operation finished"
     update_operation_status $OPERATION_ID "completed"
 }
 
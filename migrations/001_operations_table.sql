@@ -0,0 +1,21 @@
+-- Operations queue shared by the API and the cloudpanel-scripts workers.
+-- Matches the layout the shell workers already expect so existing
+-- installations keep their table untouched.
+CREATE TABLE IF NOT EXISTS operations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type VARCHAR(64) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    source VARCHAR(10) DEFAULT 'ui',
+    data TEXT,
+    result TEXT,
+    error TEXT,
+    retry_count INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME NOT NULL DEFAULT (datetime('now')),
+    started_at DATETIME,
+    completed_at DATETIME
+);
+
+CREATE TABLE IF NOT EXISTS operations_archive AS SELECT * FROM operations WHERE 0;
+
+CREATE INDEX IF NOT EXISTS idx_operations_status_created
+    ON operations (status, created_at);
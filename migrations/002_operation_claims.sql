@@ -0,0 +1,4 @@
+-- Records which worker claimed an operation so the in-process job runner
+-- and queue_worker.sh never pick up the same row.
+ALTER TABLE operations ADD COLUMN claimed_by VARCHAR(128);
+ALTER TABLE operations_archive ADD COLUMN claimed_by VARCHAR(128);
@@ -0,0 +1,16 @@
+-- Dead-letter bookkeeping and per-attempt history for retried operations
+ALTER TABLE operations ADD COLUMN dead_lettered_at DATETIME;
+ALTER TABLE operations_archive ADD COLUMN dead_lettered_at DATETIME;
+
+CREATE TABLE IF NOT EXISTS operation_attempts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    operation_id INTEGER NOT NULL,
+    attempt INTEGER NOT NULL,
+    error_code VARCHAR(64),
+    error TEXT,
+    started_at DATETIME NOT NULL,
+    finished_at DATETIME NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_operation_attempts_operation
+    ON operation_attempts (operation_id);
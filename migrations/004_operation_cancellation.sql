@@ -0,0 +1,7 @@
+-- Cancellation bookkeeping: who asked, when it was asked and when it took effect
+ALTER TABLE operations ADD COLUMN cancel_requested_at DATETIME;
+ALTER TABLE operations ADD COLUMN cancelled_at DATETIME;
+ALTER TABLE operations ADD COLUMN cancelled_by VARCHAR(128);
+ALTER TABLE operations_archive ADD COLUMN cancel_requested_at DATETIME;
+ALTER TABLE operations_archive ADD COLUMN cancelled_at DATETIME;
+ALTER TABLE operations_archive ADD COLUMN cancelled_by VARCHAR(128);
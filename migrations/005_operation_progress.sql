@@ -0,0 +1,3 @@
+-- Percentage progress reported by operation handlers
+ALTER TABLE operations ADD COLUMN progress INTEGER;
+ALTER TABLE operations_archive ADD COLUMN progress INTEGER;
@@ -0,0 +1,30 @@
+-- Multi-step workflows: operations linked by depends_on edges
+CREATE TABLE IF NOT EXISTS workflows (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name VARCHAR(100),
+    status VARCHAR(20) NOT NULL DEFAULT 'running',
+    error TEXT,
+    created_by VARCHAR(128),
+    created_at DATETIME NOT NULL DEFAULT (datetime('now')),
+    completed_at DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflows_status
+    ON workflows (status, created_at);
+
+CREATE TABLE IF NOT EXISTS workflow_steps (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    workflow_id INTEGER NOT NULL REFERENCES workflows (id),
+    step_key VARCHAR(64) NOT NULL,
+    position INTEGER NOT NULL,
+    type VARCHAR(64) NOT NULL,
+    data TEXT,
+    depends_on TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'waiting',
+    operation_id INTEGER,
+    error TEXT,
+    UNIQUE (workflow_id, step_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflow_steps_operation
+    ON workflow_steps (operation_id);
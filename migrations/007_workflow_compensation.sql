@@ -0,0 +1,7 @@
+-- Compensating operations that undo completed steps of failed workflows
+ALTER TABLE workflows ADD COLUMN compensate INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE workflow_steps ADD COLUMN compensation_operation_id INTEGER;
+ALTER TABLE workflow_steps ADD COLUMN compensation_status VARCHAR(20);
+
+CREATE INDEX IF NOT EXISTS idx_workflow_steps_compensation
+    ON workflow_steps (compensation_operation_id);
@@ -0,0 +1,20 @@
+-- Stored responses for requests sent with an Idempotency-Key header
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    idempotency_key VARCHAR(255) NOT NULL,
+    principal CHAR(64) NOT NULL,
+    method VARCHAR(10) NOT NULL,
+    path VARCHAR(255) NOT NULL,
+    fingerprint CHAR(64) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'processing',
+    response_status INTEGER,
+    response_body TEXT,
+    operation_id INTEGER,
+    created_at DATETIME NOT NULL DEFAULT (datetime('now')),
+    completed_at DATETIME,
+    expires_at DATETIME NOT NULL,
+    UNIQUE (principal, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires
+    ON idempotency_keys (expires_at);
@@ -0,0 +1,32 @@
+-- Operations queued on a cron expression or at a fixed time
+CREATE TABLE IF NOT EXISTS schedules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name VARCHAR(100),
+    operation_type VARCHAR(64) NOT NULL,
+    data TEXT,
+    cron_expression VARCHAR(100),
+    run_at DATETIME,
+    catch_up VARCHAR(10) NOT NULL DEFAULT 'once',
+    enabled INTEGER NOT NULL DEFAULT 1,
+    next_run_at DATETIME,
+    last_run_at DATETIME,
+    last_operation_id INTEGER,
+    created_by VARCHAR(128),
+    created_at DATETIME NOT NULL DEFAULT (datetime('now')),
+    updated_at DATETIME NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedules_next_run
+    ON schedules (enabled, next_run_at);
+
+CREATE TABLE IF NOT EXISTS schedule_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    schedule_id INTEGER NOT NULL REFERENCES schedules (id) ON DELETE CASCADE,
+    operation_id INTEGER,
+    scheduled_for DATETIME NOT NULL,
+    missed INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedule_runs_schedule
+    ON schedule_runs (schedule_id, scheduled_for);
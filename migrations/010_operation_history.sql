@@ -0,0 +1,14 @@
+-- Who queued an operation, in the same form as workflows.created_by
+ALTER TABLE operations ADD COLUMN created_by VARCHAR(128);
+ALTER TABLE operations_archive ADD COLUMN created_by VARCHAR(128);
+
+-- History search filters by type and requester, newest first
+CREATE INDEX IF NOT EXISTS idx_operations_type_created
+    ON operations (type, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_operations_created_by
+    ON operations (created_by, created_at);
+
+-- Retention archives finished operations by completion time
+CREATE INDEX IF NOT EXISTS idx_operations_completed
+    ON operations (completed_at);
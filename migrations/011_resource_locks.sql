@@ -0,0 +1,13 @@
+-- Resources (site:<id>, database:<id>, system) held by running operations
+-- or API requests. The primary key makes acquiring a lock atomic.
+CREATE TABLE IF NOT EXISTS resource_locks (
+    resource VARCHAR(255) PRIMARY KEY,
+    holder VARCHAR(128) NOT NULL,
+    operation_id INTEGER,
+    description VARCHAR(255),
+    acquired_at DATETIME NOT NULL DEFAULT (datetime('now')),
+    expires_at DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_resource_locks_holder
+    ON resource_locks (holder);
@@ -0,0 +1,34 @@
+-- Bulk jobs: one action fanned out to many sites as child operations
+CREATE TABLE IF NOT EXISTS bulk_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    action VARCHAR(32) NOT NULL,
+    operation_type VARCHAR(64) NOT NULL,
+    selector TEXT NOT NULL,
+    params TEXT,
+    concurrency INTEGER NOT NULL,
+    status VARCHAR(30) NOT NULL DEFAULT 'running',
+    created_by VARCHAR(128),
+    created_at DATETIME NOT NULL DEFAULT (datetime('now')),
+    completed_at DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_bulk_jobs_status
+    ON bulk_jobs (status, created_at);
+
+CREATE TABLE IF NOT EXISTS bulk_job_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    bulk_job_id INTEGER NOT NULL REFERENCES bulk_jobs (id),
+    site_id INTEGER NOT NULL,
+    domain_name VARCHAR(255),
+    data TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'waiting',
+    operation_id INTEGER,
+    error TEXT,
+    UNIQUE (bulk_job_id, site_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bulk_job_items_job
+    ON bulk_job_items (bulk_job_id, status);
+
+CREATE INDEX IF NOT EXISTS idx_bulk_job_items_operation
+    ON bulk_job_items (operation_id);
@@ -0,0 +1,47 @@
+-- Outbound webhook subscriptions
+CREATE TABLE IF NOT EXISTS webhooks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    url TEXT NOT NULL,
+    description VARCHAR(255),
+    -- JSON array of event names
+    events TEXT NOT NULL,
+    secret VARCHAR(128) NOT NULL,
+    is_active INTEGER NOT NULL DEFAULT 1,
+    created_by VARCHAR(128),
+    created_at DATETIME NOT NULL DEFAULT (datetime('now')),
+    updated_at DATETIME NOT NULL DEFAULT (datetime('now'))
+);
+
+-- One row per event sent to a webhook, kept as the delivery log
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    webhook_id INTEGER NOT NULL REFERENCES webhooks (id) ON DELETE CASCADE,
+    event VARCHAR(64) NOT NULL,
+    event_id VARCHAR(36) NOT NULL,
+    payload TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at DATETIME,
+    response_status INTEGER,
+    response_body TEXT,
+    error TEXT,
+    duration_ms INTEGER,
+    created_at DATETIME NOT NULL DEFAULT (datetime('now')),
+    delivered_at DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due
+    ON webhook_deliveries (status, next_attempt_at);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook
+    ON webhook_deliveries (webhook_id, created_at);
+
+-- Certificates already announced as expiring, so each expiry date is
+-- announced once per warning threshold
+CREATE TABLE IF NOT EXISTS certificate_expiry_notices (
+    certificate_id INTEGER NOT NULL,
+    expires_at DATETIME NOT NULL,
+    days INTEGER NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT (datetime('now')),
+    PRIMARY KEY (certificate_id, expires_at, days)
+);
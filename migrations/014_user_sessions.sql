@@ -0,0 +1,23 @@
+-- Login sessions used as bearer tokens. Only a SHA-256 hash of each token
+-- is stored; expires_at moves forward as the session is used, up to the
+-- maximum session lifetime. CloudPanel already has the table, so it is only
+-- created here for installs without it.
+CREATE TABLE IF NOT EXISTS user_session (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    token VARCHAR(64) NOT NULL UNIQUE,
+    created_at DATETIME NOT NULL DEFAULT (datetime('now')),
+    expires_at DATETIME NOT NULL
+);
+
+ALTER TABLE user_session ADD COLUMN last_seen_at DATETIME;
+
+-- Existing sessions hold their token in plain text and cannot be looked up
+-- by hash; their users sign in again.
+DELETE FROM user_session;
+
+CREATE INDEX IF NOT EXISTS idx_user_session_user
+    ON user_session (user_id);
+
+CREATE INDEX IF NOT EXISTS idx_user_session_expires
+    ON user_session (expires_at);
@@ -0,0 +1,13 @@
+-- Where each session was last used from
+ALTER TABLE user_session ADD COLUMN ip_address VARCHAR(45);
+ALTER TABLE user_session ADD COLUMN user_agent TEXT;
+
+-- Concurrent session limit set through the API; overrides the defaults in
+-- config.security.sessions. There is at most one row.
+CREATE TABLE IF NOT EXISTS session_policy (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    max_concurrent_sessions INTEGER,
+    on_limit VARCHAR(20) NOT NULL DEFAULT 'revoke_oldest',
+    updated_by VARCHAR(128),
+    updated_at DATETIME NOT NULL DEFAULT (datetime('now'))
+);
@@ -0,0 +1,9 @@
+-- API key expiry, rotation and usage tracking. A rotated key points at its
+-- replacement and keeps working until the end of the grace period.
+ALTER TABLE api_token ADD COLUMN expires_at DATETIME;
+ALTER TABLE api_token ADD COLUMN last_used_at DATETIME;
+ALTER TABLE api_token ADD COLUMN last_used_ip VARCHAR(45);
+ALTER TABLE api_token ADD COLUMN replaced_by INTEGER REFERENCES api_token(id);
+ALTER TABLE api_token ADD COLUMN expiry_notified_at DATETIME;
+
+CREATE INDEX IF NOT EXISTS idx_api_token_expiry ON api_token(is_active, expires_at);
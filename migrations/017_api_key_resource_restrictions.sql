@@ -0,0 +1,3 @@
+-- Optional restriction of an API key to specific resources, as JSON:
+-- {"sites": [42], "databases": [7]}. NULL means the key is not restricted.
+ALTER TABLE api_token ADD COLUMN resource_ids TEXT;
@@ -0,0 +1,3 @@
+-- Addresses and CIDR ranges an API key may be used from, as a JSON array:
+-- ["10.0.0.0/8", "2001:db8::1"]. NULL means any address.
+ALTER TABLE api_token ADD COLUMN allowed_ips TEXT;
@@ -0,0 +1,16 @@
+-- Request counters for the rate limiter, one row per bucket and fixed
+-- window. The limiter weighs the previous window into the current one to
+-- approximate a sliding window. Rows are pruned once `expires_at` (ms since
+-- the epoch) has passed.
+CREATE TABLE IF NOT EXISTS rate_limit_counters (
+    bucket VARCHAR(255) NOT NULL,
+    window_start INTEGER NOT NULL,
+    count INTEGER NOT NULL DEFAULT 0,
+    expires_at INTEGER NOT NULL,
+    PRIMARY KEY (bucket, window_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_counters_expires ON rate_limit_counters(expires_at);
+
+-- Requests per default window for one API key, instead of its role's limit
+ALTER TABLE api_token ADD COLUMN rate_limit INTEGER;
@@ -0,0 +1,13 @@
+-- Single-use codes that stand in for a TOTP code when the authenticator is
+-- lost. Codes are stored as bcrypt hashes, like passwords; used_at is set
+-- when a code is spent.
+CREATE TABLE IF NOT EXISTS user_mfa_recovery_code (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    code_hash VARCHAR(60) NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT (datetime('now')),
+    used_at DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_mfa_recovery_code_user
+    ON user_mfa_recovery_code (user_id);
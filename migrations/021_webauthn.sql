@@ -0,0 +1,26 @@
+-- Security keys registered as a second factor. credential_id and
+-- public_key (SPKI DER) are base64url; sign_count is the authenticator's
+-- signature counter, which must grow with each use.
+CREATE TABLE IF NOT EXISTS user_webauthn_credential (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    credential_id TEXT NOT NULL UNIQUE,
+    public_key TEXT NOT NULL,
+    sign_count INTEGER NOT NULL DEFAULT 0,
+    name VARCHAR(100) NOT NULL,
+    transports TEXT,
+    created_at DATETIME NOT NULL DEFAULT (datetime('now')),
+    last_used_at DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_webauthn_credential_user
+    ON user_webauthn_credential (user_id);
+
+-- Challenges issued for registration and authentication ceremonies; each
+-- is deleted when used or once expired.
+CREATE TABLE IF NOT EXISTS webauthn_challenge (
+    challenge VARCHAR(64) PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    purpose VARCHAR(20) NOT NULL,
+    expires_at DATETIME NOT NULL
+);
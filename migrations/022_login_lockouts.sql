@@ -0,0 +1,15 @@
+-- Failed logins per account (scope 'user', subject is the username tried)
+-- and per client IP (scope 'ip'). failures counts the failures since
+-- window_start; locked_until is set while the account or IP is locked out.
+CREATE TABLE IF NOT EXISTS login_throttle (
+    scope VARCHAR(10) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    failures INTEGER NOT NULL DEFAULT 0,
+    window_start DATETIME NOT NULL,
+    last_failure_at DATETIME NOT NULL,
+    locked_until DATETIME,
+    PRIMARY KEY (scope, subject)
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_throttle_locked
+    ON login_throttle (locked_until);
@@ -0,0 +1,20 @@
+-- Password hashes of each user, newest last, so new passwords can be checked
+-- against recent ones. The newest row is the current password and its
+-- created_at is when the password was last changed.
+CREATE TABLE IF NOT EXISTS password_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    password_hash VARCHAR(60) NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_history_user
+    ON password_history (user_id, created_at);
+
+-- Start the history of existing users with their current password; its
+-- age counts from now.
+INSERT INTO password_history (user_id, password_hash, created_at)
+SELECT id, password, datetime('now')
+FROM user
+WHERE password IS NOT NULL
+    AND id NOT IN (SELECT user_id FROM password_history);
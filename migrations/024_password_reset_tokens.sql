@@ -0,0 +1,15 @@
+-- Password reset tokens sent by email. Only the SHA-256 hash of a token is
+-- stored; a user has at most one token, which is spent (used_at) by the
+-- reset it authorises.
+CREATE TABLE IF NOT EXISTS password_reset_token (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    ip_address VARCHAR(45),
+    created_at DATETIME NOT NULL DEFAULT (datetime('now')),
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_token_user
+    ON password_reset_token (user_id);
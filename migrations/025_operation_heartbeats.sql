@@ -0,0 +1,5 @@
+-- When the API job runner holding an operation last reported that it is
+-- still alive. Operations whose runner stopped reporting go back to the
+-- queue.
+ALTER TABLE operations ADD COLUMN heartbeat_at DATETIME;
+ALTER TABLE operations_archive ADD COLUMN heartbeat_at DATETIME;
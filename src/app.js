@@ -12,6 +12,16 @@ import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
 import databaseManager from './config/database.js';
 import prometheusMetrics from './metrics/prometheus.js';
 import metricCollectors from './metrics/collectors.js';
+import jobRunner from './services/jobRunner.js';
+import handlerRegistry from './services/handlerRegistry.js';
+import workflowService from './services/workflowService.js';
+import bulkService from './services/bulkService.js';
+import schedulerService from './services/schedulerService.js';
+import operationRetentionService from './services/operationRetentionService.js';
+import webhookService from './services/webhookService.js';
+import apiKeyService from './services/apiKeyService.js';
+import rateLimitService from './services/rateLimitService.js';
+import loginProtectionService from './services/loginProtectionService.js';
 
 /**
  * CloudPanel API Application
@@ -38,6 +48,10 @@ class Application {
             await databaseManager.initialize();
             console.log('Database initialized successfully');
 
+            // Bring the schema up to date
+            await databaseManager.runMigrations();
+            console.log('Database migrations applied');
+
             // Initialize metrics collection
             await prometheusMetrics.initialize();
             console.log('Prometheus metrics initialized');
@@ -58,6 +72,56 @@ class Application {
             metricCollectors.startCollectors();
             console.log('Metric collectors started');
 
+            // Load JavaScript operation handlers before anything queues work
+            await handlerRegistry.discover();
+            console.log('Operation handlers loaded');
+
+            // Start processing queued operations
+            if (config.orchestrator.runnerEnabled) {
+                await jobRunner.start();
+                console.log('Job runner started');
+            }
+
+            // Advance multi-step workflows as their operations finish
+            workflowService.start();
+            console.log('Workflow service started');
+
+            // Queue the operations of bulk jobs as earlier ones finish
+            bulkService.start();
+            console.log('Bulk job service started');
+
+            // Queue cron and delayed operations, catching up on missed runs
+            if (config.orchestrator.schedulerEnabled) {
+                await schedulerService.start();
+                console.log('Scheduler started');
+            }
+
+            // Move old finished operations to archive files
+            if (config.orchestrator.retention.enabled) {
+                operationRetentionService.start();
+                console.log('Operation retention started');
+            }
+
+            // Send webhook deliveries and announce expiring certificates
+            if (config.webhooks.enabled) {
+                webhookService.start();
+                console.log('Webhook service started');
+            }
+
+            // Failed login thresholds are shared with the monitoring scripts
+            await loginProtectionService.loadThresholds();
+            console.log('Login thresholds loaded');
+
+            // Drop rate limit counters that no longer apply
+            if (config.security.rateLimits.enabled) {
+                rateLimitService.start();
+                console.log('Rate limit service started');
+            }
+
+            // Record API key usage and retire expired keys
+            apiKeyService.start();
+            console.log('API key service started');
+
             this.initialized = true;
             console.log('Application initialization completed');
         } catch (error) {
@@ -71,6 +135,9 @@ class Application {
      * Sets up security, parsing, and utility middleware
      */
     configureMiddleware() {
+        // Take the client address from X-Forwarded-For only when set by a trusted proxy
+        this.app.set('trust proxy', config.server.trustProxy);
+
         // Security middleware
         this.app.use(helmet());
         this.app.use(cors(config.security.cors));
@@ -185,6 +252,32 @@ class Application {
             metricCollectors.stopCollectors();
             console.log('Metric collectors stopped');
 
+            // Stop claiming new operations
+            jobRunner.stop();
+            console.log('Job runner stopped');
+
+            workflowService.stop();
+            console.log('Workflow service stopped');
+
+            bulkService.stop();
+            console.log('Bulk job service stopped');
+
+            schedulerService.stop();
+            console.log('Scheduler stopped');
+
+            operationRetentionService.stop();
+            console.log('Operation retention stopped');
+
+            webhookService.stop();
+            console.log('Webhook service stopped');
+
+            rateLimitService.stop();
+            console.log('Rate limit service stopped');
+
+            // Write buffered API key usage before the database closes
+            await apiKeyService.stop();
+            console.log('API key service stopped');
+
             // Close database connections
             await databaseManager.close();
             console.log('Database connections closed');
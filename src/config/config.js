@@ -5,6 +5,21 @@ import * as dotenv from 'dotenv';
 // Load environment variables
 dotenv.config();
 
+// TRUST_PROXY is `true`/`false`, a hop count, or a comma-separated list of
+// addresses, subnets and Express presets (loopback, linklocal, uniquelocal)
+function parseTrustProxy(value) {
+    if (value === undefined || value === '') {
+        return 'loopback';
+    }
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+    if (/^\d+$/.test(value)) {
+        return parseInt(value);
+    }
+    return value.split(',').map(entry => entry.trim());
+}
+
 // Base configuration with secure defaults
 const defaultConfig = {
     // Existing server settings
@@ -13,21 +28,131 @@ const defaultConfig = {
         host: 'localhost',
         env: process.env.NODE_ENV || 'development',
         timezone: 'UTC',
+        // Express `trust proxy` setting: which proxies may set
+        // X-Forwarded-For, so req.ip is the client behind nginx
+        trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
     },
 
     // Existing security settings
     security: {
         apiKeyLength: 32,
+        // Requests per sliding window, counted in sqlite so limits hold
+        // across restarts and API processes. Authenticated requests count
+        // against the caller (`max`, or the limit of its role or API key);
+        // route groups have their own, stricter limits on top. Groups keyed
+        // by `ip` apply before a caller is known.
         rateLimits: {
-            windowMs: 15 * 60 * 1000,
-            max: 100,
+            enabled: process.env.RATE_LIMITS !== 'false',
+            windowMs: parseInt(process.env.RATE_LIMIT_WINDOW) || 15 * 60 * 1000,
+            max: parseInt(process.env.RATE_LIMIT_MAX) || 100,
+            roles: {
+                admin: parseInt(process.env.RATE_LIMIT_MAX_ADMIN) || null,
+            },
+            groups: {
+                auth: { windowMs: 60 * 60 * 1000, max: parseInt(process.env.RATE_LIMIT_AUTH_MAX) || 5, key: 'ip' },
+                // Requests rejected with 401 (unknown API key or session token)
+                credentials: { windowMs: 15 * 60 * 1000, max: parseInt(process.env.RATE_LIMIT_CREDENTIALS_MAX) || 20, key: 'ip' },
+                resources: { windowMs: 60 * 60 * 1000, max: 30, key: 'principal' },
+                backups: { windowMs: 60 * 60 * 1000, max: parseInt(process.env.RATE_LIMIT_BACKUPS_MAX) || 20, key: 'principal' },
+                bulk: { windowMs: 60 * 60 * 1000, max: parseInt(process.env.RATE_LIMIT_BULK_MAX) || 10, key: 'principal' },
+            },
+            pruneInterval: 10 * 60 * 1000,
         },
         cors: {
             allowedOrigins: process.env.ALLOWED_ORIGINS 
                 ? process.env.ALLOWED_ORIGINS.split(',') 
                 : ['http://localhost:3000'],
             allowedMethods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-            allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+            allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Idempotency-Key'],
+        },
+        idempotency: {
+            // How long a stored response is replayed for a repeated key
+            ttl: 24 * 60 * 60 * 1000,
+            // A request still marked in progress after this long is assumed
+            // to have died with its process, and the key can be used again
+            lockTimeout: 5 * 60 * 1000,
+        },
+        // Login sessions expire after `idleTimeout` without use and never
+        // live longer than `maxLifetime`. Use is recorded at most once per
+        // `renewInterval` to keep writes off the request path.
+        sessions: {
+            idleTimeout: parseInt(process.env.SESSION_IDLE_TIMEOUT) || 24 * 60 * 60 * 1000,
+            maxLifetime: parseInt(process.env.SESSION_MAX_LIFETIME) || 30 * 24 * 60 * 60 * 1000,
+            renewInterval: 5 * 60 * 1000,
+            // Sessions a user may have at once (empty means no limit) and
+            // what a login beyond it does: `revoke_oldest` ends the least
+            // recently used session, `reject` refuses the login. Admins can
+            // change both through /users/sessions/policy.
+            maxConcurrent: parseInt(process.env.SESSION_MAX_CONCURRENT) || null,
+            onLimit: process.env.SESSION_LIMIT_ACTION || 'revoke_oldest',
+        },
+        // A rotated API key keeps working for `rotationGracePeriod` so clients
+        // can switch over. Key usage is buffered and written every
+        // `usageFlushInterval`; expired keys are deactivated every
+        // `sweepInterval`, and owners are emailed `expiryNotice` beforehand.
+        apiKeys: {
+            rotationGracePeriod: parseInt(process.env.API_KEY_ROTATION_GRACE_PERIOD) || 24 * 60 * 60 * 1000,
+            usageFlushInterval: 60 * 1000,
+            sweepInterval: 60 * 60 * 1000,
+            expiryNotice: parseInt(process.env.API_KEY_EXPIRY_NOTICE) || 7 * 24 * 60 * 60 * 1000,
+        },
+        // Number of recovery codes issued when MFA is enabled or the codes
+        // are regenerated; each replaces one TOTP code once.
+        mfa: {
+            recoveryCodes: parseInt(process.env.MFA_RECOVERY_CODES) || 10,
+            // Security keys are bound to `rpId`, the domain the API is
+            // served from, and only accepted from pages on `origins`.
+            webauthn: {
+                rpId: process.env.WEBAUTHN_RP_ID || 'localhost',
+                rpName: process.env.WEBAUTHN_RP_NAME || 'CloudPanel',
+                origins: process.env.WEBAUTHN_ORIGINS
+                    ? process.env.WEBAUTHN_ORIGINS.split(',')
+                    : ['http://localhost:3000'],
+                userVerification: process.env.WEBAUTHN_USER_VERIFICATION || 'preferred',
+                challengeTimeout: 5 * 60 * 1000,
+            },
+        },
+        // Failed login tracking. The security.* values of thresholds.conf
+        // replace these defaults when the file can be read: an account is
+        // locked for `failedLoginsWindow` after `failedLoginsCritical`
+        // failures within it, and a client IP is blocked for
+        // `bruteForceWindow` after `bruteForceAttempts` failures. Each
+        // failure also delays the next attempt for the account, doubling
+        // from `delay.base` up to `delay.max`.
+        lockout: {
+            thresholdsFile: process.env.THRESHOLDS_FILE || '/home/clp/config/thresholds.conf',
+            failedLoginsWarning: 5,
+            failedLoginsCritical: 10,
+            failedLoginsWindow: 5 * 60 * 1000,
+            bruteForceAttempts: 10,
+            bruteForceWindow: 60 * 60 * 1000,
+            delay: {
+                base: 1000,
+                max: 30 * 1000,
+            },
+        },
+        // Rules for new passwords. A password may not repeat any of the
+        // user's last `historyDepth` passwords, and once it is older than
+        // `maxAge` (0 disables expiry) the user's sessions can only change
+        // it. `breachedHashesDir` holds a breached-password list split by
+        // SHA-1 prefix (`<5 hex chars>.txt` files of `SUFFIX:COUNT` lines,
+        // as published by Have I Been Pwned); the check is off without it.
+        passwords: {
+            minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+            requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+            requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+            requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+            requireSpecial: process.env.PASSWORD_REQUIRE_SPECIAL !== 'false',
+            // 0 turns the history check off
+            historyDepth: Number.isNaN(parseInt(process.env.PASSWORD_HISTORY_DEPTH))
+                ? 5
+                : parseInt(process.env.PASSWORD_HISTORY_DEPTH),
+            maxAge: (parseInt(process.env.PASSWORD_MAX_AGE_DAYS) || 0) * 24 * 60 * 60 * 1000,
+            breachedHashesDir: process.env.PASSWORD_BREACHED_HASHES_DIR || null,
+        },
+        // How long a password reset link stays valid
+        passwordReset: {
+            tokenTtl: parseInt(process.env.PASSWORD_RESET_TOKEN_TTL) || 60 * 60 * 1000,
         },
     },
 
@@ -78,6 +203,137 @@ const defaultConfig = {
         },
     },
 
+    // Outbound webhooks. Deliveries are queued in the database and retried
+    // with exponential backoff until `maxAttempts` is reached.
+    webhooks: {
+        enabled: process.env.WEBHOOKS !== 'false',
+        pollInterval: parseInt(process.env.WEBHOOK_POLL_INTERVAL) || 10000,
+        timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000,
+        retry: {
+            maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+            initialDelay: 30 * 1000,
+            maxDelay: 6 * 60 * 60 * 1000,
+            factor: 2,
+        },
+        // Delivery log entries older than this are deleted
+        deliveryRetentionDays: parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS) || 30,
+        // certificate.expiring is sent once per threshold as a certificate
+        // gets within this many days of its expiry
+        certificateExpiryDays: process.env.WEBHOOK_CERTIFICATE_EXPIRY_DAYS
+            ? process.env.WEBHOOK_CERTIFICATE_EXPIRY_DAYS.split(',').map(days => parseInt(days))
+            : [30, 7, 1],
+        certificateCheckInterval: 60 * 60 * 1000,
+    },
+
+    // Operation queue and in-process job runner
+    orchestrator: {
+        runnerEnabled: process.env.ORCHESTRATOR_RUNNER !== 'false',
+        // Handler map shared with queue_worker.sh
+        operationTypesFile: process.env.OPERATION_TYPES_FILE
+            || '/home/clp/config/operation_types.conf',
+        // JavaScript handler modules, which take precedence over the scripts
+        // in operation_types.conf (defaults to src/handlers)
+        handlersDir: process.env.ORCHESTRATOR_HANDLERS_DIR || null,
+        // Restrict the runner to some operation types while the shell worker
+        // keeps the rest (comma-separated, empty means all configured types)
+        handledTypes: process.env.ORCHESTRATOR_HANDLED_TYPES
+            ? process.env.ORCHESTRATOR_HANDLED_TYPES.split(',').map(type => type.trim())
+            : [],
+        pollInterval: parseInt(process.env.ORCHESTRATOR_POLL_INTERVAL) || 5000,
+        maxConcurrent: parseInt(process.env.ORCHESTRATOR_MAX_CONCURRENT) || 4,
+        // Time a cancelled handler gets to clean up before it is killed
+        cancelGracePeriod: parseInt(process.env.ORCHESTRATOR_CANCEL_GRACE_PERIOD) || 60000,
+        // The runner marks its operations alive every heartbeatInterval;
+        // operations of a runner that missed its heartbeats for leaseTimeout
+        // (e.g. a crashed API process) go back to the queue
+        heartbeatInterval: parseInt(process.env.ORCHESTRATOR_HEARTBEAT_INTERVAL) || 30000,
+        leaseTimeout: parseInt(process.env.ORCHESTRATOR_LEASE_TIMEOUT) || 5 * 60 * 1000,
+        // Cron and delayed operations; schedules are claimed atomically, so
+        // several API processes can run the scheduler
+        schedulerEnabled: process.env.ORCHESTRATOR_SCHEDULER !== 'false',
+        schedulerInterval: parseInt(process.env.ORCHESTRATOR_SCHEDULER_INTERVAL) || 15000,
+        // Finished operations older than `days` are moved out of the operations
+        // table into gzipped JSONL files. Dead letters are kept until requeued.
+        retention: {
+            enabled: process.env.OPERATION_RETENTION !== 'false',
+            days: parseInt(process.env.OPERATION_RETENTION_DAYS) || 30,
+            statuses: ['completed', 'failed', 'cancelled'],
+            archiveDir: process.env.OPERATION_ARCHIVE_DIR
+                || '/home/clp/htdocs/app/data/archive/operations',
+            interval: parseInt(process.env.OPERATION_RETENTION_INTERVAL) || 60 * 60 * 1000,
+            batchSize: 1000,
+        },
+        // Per-type concurrency limits, keyed by exact type or category prefix
+        concurrency: {
+            default: 1,
+            'monitoring': 2,
+            'certificate.renew': 2,
+            'maintenance': 1,
+            // Bulk jobs run these for many sites; each site is locked on its own
+            'site.php_settings': 4,
+            'site.cache_settings': 4,
+            'site.backup': 2,
+        },
+        // Per-type retry policies, keyed like `concurrency`. Operations that
+        // fail with a retryable error on their last attempt are dead-lettered.
+        retryPolicies: {
+            default: {
+                maxAttempts: 3,
+                initialDelay: 30 * 1000,
+                maxDelay: 10 * 60 * 1000,
+                factor: 2,
+                retryableErrors: ['HANDLER_FAILED', 'HANDLER_KILLED'],
+            },
+            // Let's Encrypt challenges often fail transiently (DNS, rate limits)
+            'certificate': {
+                maxAttempts: 5,
+                initialDelay: 60 * 1000,
+                maxDelay: 30 * 60 * 1000,
+                factor: 2,
+                retryableErrors: ['HANDLER_FAILED', 'HANDLER_KILLED'],
+            },
+            // Deleting twice is never useful; surface the failure right away
+            'site.delete': {
+                maxAttempts: 1,
+                retryableErrors: [],
+            },
+        },
+        // Resources each operation type locks while it runs, keyed like
+        // `concurrency`: `site` and `database` lock the site or database in
+        // the operation data, `system` conflicts with every other lock. An
+        // operation whose resources are locked waits for them or fails right
+        // away, depending on `policy`.
+        locks: {
+            default: { resources: [], policy: 'wait' },
+            'site': { resources: ['site'], policy: 'wait' },
+            // A second delete of the same site is never useful
+            'site.delete': { resources: ['site'], policy: 'fail' },
+            'database': { resources: ['site', 'database'], policy: 'wait' },
+            'database.backup': { resources: ['system'], policy: 'wait' },
+            'certificate': { resources: ['site'], policy: 'wait' },
+            'certificate.renew_all': { resources: ['system'], policy: 'wait' },
+            'maintenance': { resources: ['system'], policy: 'wait' },
+        },
+        // How long API requests that lock resources themselves (e.g. a site
+        // restore) wait for them, and how long they may hold them
+        lockWaitTimeout: parseInt(process.env.ORCHESTRATOR_LOCK_WAIT_TIMEOUT) || 30000,
+        lockTtl: 60 * 60 * 1000,
+        // Operation that undoes each operation type. When a workflow fails,
+        // its completed steps are compensated in reverse order.
+        compensations: {
+            'site.create': 'site.delete',
+            'database.create': 'database.delete',
+            'user.create': 'user.delete',
+        },
+        // Bulk jobs queue at most `concurrency` of their operations at a time
+        // unless the request sets its own limit, up to `maxConcurrency`
+        bulk: {
+            concurrency: parseInt(process.env.BULK_CONCURRENCY) || 5,
+            maxConcurrency: 50,
+            maxSites: parseInt(process.env.BULK_MAX_SITES) || 1000,
+        },
+    },
+
     // New database-specific configuration
     database: {
         filename: process.env.DB_FILENAME || 'cloudpanel.db',
@@ -17,6 +17,8 @@ class DatabaseManager {
         this.dbPath = path.join(config.paths.root, 'data', 'cloudpanel.db');
         this.migrationPath = path.join(config.paths.root, 'migrations');
         this.isInitialized = false;
+        // Tail of the transactions waiting for the shared connection
+        this.transactionQueue = Promise.resolve();
     }
 
     /**
@@ -38,6 +40,10 @@ class DatabaseManager {
                 driver: sqlite3.Database,
             });
 
+            // Statements run in the order they are issued, so a transaction
+            // only starts once the statements issued before it are done
+            this.db.getDatabaseInstance().serialize();
+
             // Enable foreign keys and WAL mode
             await this.db.exec('PRAGMA foreign_keys = ON');
             await this.db.exec('PRAGMA journal_mode = WAL');
@@ -105,7 +111,10 @@ class DatabaseManager {
      */
     async runMigrations() {
         try {
-            const migrations = await fs.readdir(this.migrationPath);
+            // Apply migrations in filename order (001_, 002_, ...)
+            const migrations = (await fs.readdir(this.migrationPath))
+                .filter(file => file.endsWith('.sql'))
+                .sort();
             const executedMigrations = await this.getExecutedMigrations();
 
             for (const migration of migrations) {
@@ -171,17 +180,37 @@ class DatabaseManager {
 
     /**
      * Wraps database operations in a transaction
+     * The whole process shares one connection, so transactions run one at a
+     * time and statements from outside wait until the open transaction is
+     * done (see idle()); otherwise they would be committed or rolled back
+     * with it. The callback must only use the connection it is given.
      */
-    async transaction(callback) {
-        try {
+    transaction(callback) {
+        const run = this.transactionQueue.then(async () => {
             await this.db.exec('BEGIN TRANSACTION');
-            const result = await callback(this.db);
-            await this.db.exec('COMMIT');
-            return result;
-        } catch (error) {
-            await this.db.exec('ROLLBACK');
-            throw error;
-        }
+            try {
+                const result = await callback(this.db);
+                await this.db.exec('COMMIT');
+                return result;
+            } catch (error) {
+                await this.db.exec('ROLLBACK');
+                throw error;
+            }
+        });
+
+        this.transactionQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Resolves once no transaction is open or waiting
+     */
+    async idle() {
+        let queue;
+        do {
+            queue = this.transactionQueue;
+            await queue;
+        } while (queue !== this.transactionQueue);
     }
 
     /**
@@ -215,6 +244,7 @@ export const db = {
      */
     async run(sql, params = []) {
         await databaseManager.initialize();
+        await databaseManager.idle();
         return databaseManager.db.run(sql, params);
     },
 
@@ -223,6 +253,7 @@ export const db = {
      */
     async get(sql, params = []) {
         await databaseManager.initialize();
+        await databaseManager.idle();
         return databaseManager.db.get(sql, params);
     },
 
@@ -231,6 +262,7 @@ export const db = {
      */
     async all(sql, params = []) {
         await databaseManager.initialize();
+        await databaseManager.idle();
         return databaseManager.db.all(sql, params);
     },
 
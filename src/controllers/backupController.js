@@ -3,9 +3,23 @@ import { promisify } from 'util';
 import { exec } from 'child_process';
 import path from 'path';
 import fs from 'fs/promises';
+import schedulerService from '../services/schedulerService.js';
+import lockService, { SYSTEM_RESOURCE } from '../services/lockService.js';
+import backupService from '../services/backupService.js';
+import webhookService from '../services/webhookService.js';
+import { logActivity } from '../middleware/logging.js';
+import { APIError } from '../middleware/errorHandler.js';
+import { summarizePlan } from '../utils/plan.js';
 
 const execAsync = promisify(exec);
 
+// Operation queued for each kind of scheduled backup
+const BACKUP_OPERATION_TYPES = {
+    site: 'site.backup',
+    database: 'database.backup',
+    system: 'maintenance.backups'
+};
+
 /**
  * Controller for managing system and site backups in CloudPanel
  * Handles both database and file backups with proper retention policies
@@ -21,103 +35,39 @@ export const backupController = {
     async createSiteBackup(req, res) {
         try {
             const { site_id } = req.params;
-            
-            // Get site details
-            const site = await db.get(`
-                SELECT s.*, d.name as db_name, d.id as db_id
-                FROM site s
-                LEFT JOIN database d ON d.site_id = s.id
-                WHERE s.id = ?
-            `, [site_id]);
 
-            if (!site) {
-                return res.status(404).json({
-                    success: false,
-                    error: 'Site not found'
-                });
-            }
+            const backup = await backupService.createSiteBackup(site_id);
 
-            // Create timestamp for backup
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const backupDir = path.join('/home', site.user, 'backups', timestamp);
+            // Apply retention policy
+            await this.enforceRetentionPolicy(backup.user);
 
-            // Ensure backup directory exists
-            await fs.mkdir(backupDir, { recursive: true });
-
-            try {
-                // Start backup process
-                await db.run('BEGIN TRANSACTION');
-
-                // 1. Backup site files
-                const filesBackupPath = path.join(backupDir, 'files');
-                await execAsync(`tar -czf "${filesBackupPath}.tar.gz" -C /home/${site.user}/htdocs .`);
-
-                // 2. Backup database if exists
-                if (site.db_id) {
-                    const dbBackupPath = path.join(backupDir, `${site.db_name}.sql`);
-                    
-                    // Get database credentials
-                    const dbServer = await db.get(`
-                        SELECT ds.* 
-                        FROM database_server ds
-                        JOIN database d ON d.database_server_id = ds.id
-                        WHERE d.id = ?
-                    `, [site.db_id]);
-
-                    // Create database dump
-                    await execAsync(`mysqldump --host=${dbServer.host} \
-                        --user=${dbServer.user_name} \
-                        --password=${dbServer.password} \
-                        ${site.db_name} > "${dbBackupPath}"`);
-
-                    // Compress database dump
-                    await execAsync(`gzip "${dbBackupPath}"`);
+            await webhookService.publish('backup.completed', {
+                backup: {
+                    type: 'site',
+                    site_id: backup.site_id,
+                    backup_path: backup.backup_path,
+                    timestamp: backup.timestamp,
+                    size: backup.size,
+                    includes_database: backup.includes_database
                 }
+            });
 
-                // 3. Backup site configuration
-                const configBackupPath = path.join(backupDir, 'config');
-                await fs.writeFile(configBackupPath + '.json', JSON.stringify({
-                    site_config: {
-                        domain: site.domain_name,
-                        type: site.type,
-                        php_settings: await this.getPhpSettings(site.php_settings_id),
-                        varnish_cache: site.varnish_cache,
-                        page_speed_enabled: site.page_speed_enabled
-                    },
-                    timestamp: new Date().toISOString(),
-                    version: await this.getCloudPanelVersion()
-                }, null, 2));
-
-                // Record backup in database
-                await db.run(`
-                    INSERT INTO backup_log (
-                        site_id, path, type, created_at, size
-                    ) VALUES (?, ?, ?, datetime('now'), ?)
-                `, [
-                    site_id,
-                    backupDir,
-                    'full',
-                    await this.getDirectorySize(backupDir)
-                ]);
-
-                await db.run('COMMIT');
-
-                // Apply retention policy
-                await this.enforceRetentionPolicy(site.user);
-
-                res.json({
-                    success: true,
-                    data: {
-                        backup_path: backupDir,
-                        timestamp,
-                        includes_database: !!site.db_id
-                    }
+            res.json({
+                success: true,
+                data: {
+                    backup_path: backup.backup_path,
+                    timestamp: backup.timestamp,
+                    includes_database: backup.includes_database
+                }
+            });
+        } catch (error) {
+            if (error instanceof APIError) {
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message
                 });
-            } catch (error) {
-                await db.run('ROLLBACK');
-                throw error;
             }
-        } catch (error) {
+
             req.logger.error('Error creating site backup:', error);
             res.status(500).json({
                 success: false,
@@ -155,6 +105,9 @@ export const backupController = {
                 });
             }
 
+            // Operations on the site must not run while its files are replaced
+            const lockHolder = await lockService.lockForRequest([`site:${site_id}`], 'site backup restore');
+
             try {
                 await db.run('BEGIN TRANSACTION');
 
@@ -234,8 +187,18 @@ export const backupController = {
             } catch (error) {
                 await db.run('ROLLBACK');
                 throw error;
+            } finally {
+                await lockService.release(lockHolder);
             }
         } catch (error) {
+            if (error instanceof APIError) {
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message,
+                    code: error.code
+                });
+            }
+
             req.logger.error('Error restoring site backup:', error);
             res.status(500).json({
                 success: false,
@@ -282,11 +245,198 @@ export const backupController = {
     },
 
     /**
-     * Helper method to get PHP settings
-     * Returns current PHP configuration for a site
+     * Restore components of a system backup
+     * Returns the plan instead with ?dry_run=true
+     */
+    async restoreSystemBackup(req, res) {
+        try {
+            const { backup_file, components } = req.body;
+
+            if (req.query.dry_run === 'true') {
+                const plan = await backupService.planSystemRestore(backup_file, components);
+                return res.json({
+                    success: true,
+                    dry_run: true,
+                    data: { plan, summary: summarizePlan(plan) }
+                });
+            }
+
+            // Nothing else may run while the system is being restored
+            const lockHolder = await lockService.lockForRequest([SYSTEM_RESOURCE], 'system backup restore');
+
+            let plan;
+            try {
+                plan = await backupService.restoreSystemBackup(backup_file, components);
+            } finally {
+                await lockService.release(lockHolder);
+            }
+
+            await logActivity(req, 'SYSTEM_BACKUP_RESTORED', {
+                backup_file: plan.target.backup_file,
+                components
+            });
+
+            return res.json({
+                success: true,
+                message: 'System backup restored successfully',
+                data: { plan, summary: summarizePlan(plan) }
+            });
+        } catch (error) {
+            if (error instanceof APIError) {
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message,
+                    code: error.code
+                });
+            }
+
+            req.logger.error('Error restoring system backup:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to restore system backup'
+            });
+        }
+    },
+
+    /**
+     * Remove backups older than a number of days
+     * Returns the plan instead with ?dry_run=true
+     */
+    async cleanupOldBackups(req, res) {
+        try {
+            const { backup_type } = req.body;
+            const olderThanDays = parseInt(req.body.older_than_days);
+
+            if (req.query.dry_run === 'true') {
+                const plan = await backupService.planCleanup(backup_type, olderThanDays);
+                return res.json({
+                    success: true,
+                    dry_run: true,
+                    data: { plan, summary: summarizePlan(plan) }
+                });
+            }
+
+            const plan = await backupService.cleanupBackups(backup_type, olderThanDays);
+            const summary = summarizePlan(plan);
+
+            await logActivity(req, 'BACKUPS_CLEANED', {
+                backup_type,
+                older_than_days: olderThanDays,
+                files: summary.files
+            });
+
+            return res.json({
+                success: true,
+                message: `Removed ${summary.files} backups`,
+                data: { plan, summary }
+            });
+        } catch (error) {
+            req.logger.error('Error cleaning up backups:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to clean up backups'
+            });
+        }
+    },
+
+    /**
+     * Schedule a recurring backup
+     * Runs through the operation scheduler like any other schedule
+     */
+    async scheduleBackup(req, res) {
+        try {
+            const { type, site_id, schedule, retention_days } = req.body;
+            const data = type === 'site'
+                ? { site_id, retention_period: retention_days }
+                : { retention_period: retention_days };
+
+            const backupSchedule = await schedulerService.createSchedule({
+                name: type === 'site' ? `site ${site_id} backup` : `${type} backup`,
+                operation_type: BACKUP_OPERATION_TYPES[type],
+                data,
+                cron_expression: schedule
+            }, req.principal.actor);
+
+            await logActivity(req, 'BACKUP_SCHEDULED', {
+                schedule_id: backupSchedule.id,
+                type,
+                schedule
+            });
+
+            return res.status(201).json({
+                success: true,
+                schedule: backupSchedule,
+                message: 'Backup scheduled successfully'
+            });
+        } catch (error) {
+            if (error instanceof APIError) {
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            req.logger.error('Error scheduling backup:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to schedule backup'
+            });
+        }
+    },
+
+    /**
+     * List backup schedules
      */
-    async getPhpSettings(settingsId) {
-        return db.get('SELECT * FROM php_settings WHERE id = ?', [settingsId]);
+    async listBackupSchedules(req, res) {
+        try {
+            const schedules = await schedulerService.listSchedules({
+                operationTypes: Object.values(BACKUP_OPERATION_TYPES),
+                limit: 100
+            });
+
+            res.json({
+                success: true,
+                schedules
+            });
+        } catch (error) {
+            req.logger.error('Error listing backup schedules:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to list backup schedules'
+            });
+        }
+    },
+
+    /**
+     * Delete a backup schedule
+     * Other schedules are left to the schedules API
+     */
+    async deleteBackupSchedule(req, res) {
+        try {
+            const { schedule_id } = req.params;
+
+            const schedule = await schedulerService.getSchedule(schedule_id);
+            if (!schedule || !Object.values(BACKUP_OPERATION_TYPES).includes(schedule.operation_type)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Backup schedule not found'
+                });
+            }
+
+            await schedulerService.deleteSchedule(schedule_id);
+            await logActivity(req, 'BACKUP_SCHEDULE_DELETED', { schedule_id });
+
+            return res.json({
+                success: true,
+                message: 'Backup schedule deleted successfully'
+            });
+        } catch (error) {
+            req.logger.error('Error deleting backup schedule:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to delete backup schedule'
+            });
+        }
     },
 
     /**
@@ -314,26 +464,6 @@ export const backupController = {
         ]);
     },
 
-    /**
-     * Helper method to get CloudPanel version
-     * Used for backup metadata
-     */
-    async getCloudPanelVersion() {
-        const result = await db.get(
-            "SELECT value FROM config WHERE key = 'app_version'"
-        );
-        return result ? result.value : 'unknown';
-    },
-
-    /**
-     * Helper method to get directory size
-     * Calculates total size of backup
-     */
-    async getDirectorySize(directory) {
-        const { stdout } = await execAsync(`du -sb "${directory}"`);
-        return parseInt(stdout.split('\t')[0]);
-    },
-
     /**
      * Helper method to enforce backup retention policy
      * Removes old backups based on configured policy
@@ -0,0 +1,119 @@
+// src/controllers/bulkController.js
+import bulkService from '../services/bulkService.js';
+import { logActivity } from '../middleware/logging.js';
+import { APIError } from '../middleware/errorHandler.js';
+
+/**
+ * Controller for bulk jobs that run one action on many sites
+ * Each site gets its own operation; the job reports the outcome per site
+ */
+export const bulkController = {
+    /**
+     * Start a bulk job for the sites matched by a selector
+     * Returns the sites and operation data instead with ?dry_run=true
+     */
+    async createJob(req, res) {
+        try {
+            const { action, selector, params, concurrency } = req.body;
+
+            if (req.query.dry_run === 'true') {
+                const items = await bulkService.prepareJob({ action, selector, params });
+                return res.json({
+                    success: true,
+                    dry_run: true,
+                    data: {
+                        action,
+                        sites: items.map(({ site, data, error }) => ({
+                            site_id: site.id,
+                            domain_name: site.domain_name,
+                            data,
+                            error
+                        }))
+                    }
+                });
+            }
+
+            const jobId = await bulkService.createJob(
+                { action, selector, params, concurrency },
+                req.principal.actor
+            );
+            const job = await bulkService.getJob(jobId);
+
+            await logActivity(req, 'BULK_JOB_CREATED', {
+                bulk_job_id: jobId,
+                action,
+                sites: job.summary.total
+            });
+
+            return res.status(202).json({
+                success: true,
+                job,
+                message: 'Bulk job queued'
+            });
+        } catch (error) {
+            if (error instanceof APIError) {
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            req.logger.error('Error creating bulk job:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to create bulk job'
+            });
+        }
+    },
+
+    /**
+     * Get a bulk job with the status of every site
+     */
+    async getJob(req, res) {
+        try {
+            const job = await bulkService.getJob(req.params.jobId);
+
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Bulk job not found'
+                });
+            }
+
+            return res.json({
+                success: true,
+                job
+            });
+        } catch (error) {
+            req.logger.error('Error fetching bulk job:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to fetch bulk job'
+            });
+        }
+    },
+
+    /**
+     * List bulk jobs with optional status filter
+     */
+    async listJobs(req, res) {
+        try {
+            const { status, limit = 50 } = req.query;
+            const jobs = await bulkService.listJobs({
+                status,
+                limit: parseInt(limit)
+            });
+
+            return res.json({
+                success: true,
+                jobs
+            });
+        } catch (error) {
+            req.logger.error('Error listing bulk jobs:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to list bulk jobs'
+            });
+        }
+    }
+};
@@ -1,6 +1,9 @@
 // src/controllers/databaseController.js
 import { Database } from '../models/Database.js';
 import { Site } from '../models/Site.js';
+import databaseService from '../services/databaseService.js';
+import { logActivity } from '../middleware/logging.js';
+import { summarizePlan } from '../utils/plan.js';
 import crypto from 'crypto';
 
 /**
@@ -265,5 +268,49 @@ export const databaseController = {
                 error: 'Failed to update permissions'
             });
         }
+    },
+
+    /**
+     * Delete a database and its users
+     * Returns the plan instead with ?dry_run=true
+     */
+    async deleteDatabase(req, res) {
+        try {
+            const { id } = req.params;
+
+            const database = await databaseService.findById(id);
+            if (!database) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Database not found'
+                });
+            }
+
+            if (req.query.dry_run === 'true') {
+                const plan = await databaseService.planDeleteDatabase(id);
+                return res.json({
+                    success: true,
+                    dry_run: true,
+                    data: { plan, summary: summarizePlan(plan) }
+                });
+            }
+
+            await databaseService.deleteDatabase(id);
+            await logActivity(req, 'DATABASE_DELETED', {
+                database_id: database.id,
+                name: database.name
+            });
+
+            return res.json({
+                success: true,
+                message: 'Database deleted successfully'
+            });
+        } catch (error) {
+            req.logger.error('Error deleting database:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to delete database'
+            });
+        }
     }
-};
\ No newline at end of file
+};
@@ -0,0 +1,95 @@
+// src/controllers/lockoutController.js
+import userService from '../services/userService.js';
+import loginProtectionService, { LOCKOUT_SCOPES } from '../services/loginProtectionService.js';
+import { logActivity } from '../middleware/logging.js';
+
+/**
+ * Controller for login lockouts
+ * Admins see which accounts and addresses are locked out and lift lockouts early
+ */
+export const lockoutController = {
+    /**
+     * List accounts and IP addresses that are locked out
+     */
+    async listLockouts(req, res) {
+        try {
+            const lockouts = await loginProtectionService.listLockouts();
+
+            return res.json({
+                success: true,
+                lockouts,
+                thresholds: loginProtectionService.thresholds
+            });
+        } catch (error) {
+            req.logger.error('Error listing lockouts:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to list lockouts'
+            });
+        }
+    },
+
+    /**
+     * Unlock a user account locked after failed logins
+     */
+    async unlockUser(req, res) {
+        try {
+            const user = await userService.findById(parseInt(req.params.id));
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'User not found'
+                });
+            }
+
+            if (!await loginProtectionService.unlock(LOCKOUT_SCOPES.USER, user.user_name)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Account is not locked'
+                });
+            }
+
+            await logActivity(req, 'ACCOUNT_UNLOCKED', { user_id: user.id, username: user.user_name });
+
+            return res.json({
+                success: true,
+                message: 'Account unlocked successfully'
+            });
+        } catch (error) {
+            req.logger.error('Error unlocking account:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to unlock account'
+            });
+        }
+    },
+
+    /**
+     * Unblock an IP address blocked after failed logins
+     */
+    async unblockIp(req, res) {
+        try {
+            const { address } = req.params;
+
+            if (!await loginProtectionService.unlock(LOCKOUT_SCOPES.IP, address)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Address is not blocked'
+                });
+            }
+
+            await logActivity(req, 'IP_UNBLOCKED', { ip_address: address });
+
+            return res.json({
+                success: true,
+                message: 'Address unblocked successfully'
+            });
+        } catch (error) {
+            req.logger.error('Error unblocking address:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to unblock address'
+            });
+        }
+    }
+};
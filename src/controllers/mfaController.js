@@ -0,0 +1,408 @@
+// src/controllers/mfaController.js
+import userService from '../services/userService.js';
+import webauthnService from '../services/webauthnService.js';
+import { logActivity } from '../middleware/logging.js';
+import { APIError } from '../middleware/errorHandler.js';
+import { logAuditEvent } from '../utils/logger.js';
+
+/**
+ * Controller for multi-factor authentication
+ * Users set up TOTP and security keys and manage their recovery codes;
+ * admins disable or reset MFA for others
+ */
+export const mfaController = {
+    /**
+     * Start MFA setup by generating a TOTP secret
+     * MFA is not required at login until the setup is verified
+     */
+    async enableMFA(req, res) {
+        try {
+            const setup = await userService.enableMFA(req.principal.userId);
+
+            return res.json({
+                success: true,
+                data: {
+                    secret: setup.secret,
+                    otpauth_url: setup.otpauthUrl,
+                    qr_code: setup.qrCode
+                },
+                message: 'Add the secret to an authenticator app, then confirm a code at /mfa/verify'
+            });
+        } catch (error) {
+            if (error instanceof APIError) {
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            req.logger.error('Error enabling MFA:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to enable MFA'
+            });
+        }
+    },
+
+    /**
+     * Confirm MFA setup with a TOTP code and issue recovery codes
+     * The recovery codes are only returned in this response
+     */
+    async verifyMFA(req, res) {
+        try {
+            const recoveryCodes = await userService.verifyMFA(req.principal.userId, req.body.totp);
+
+            await logActivity(req, 'MFA_ENABLED', { user_id: req.principal.userId, method: 'totp' });
+
+            if (!recoveryCodes) {
+                return res.json({
+                    success: true,
+                    message: 'TOTP added as a second factor'
+                });
+            }
+
+            return res.json({
+                success: true,
+                data: {
+                    recovery_codes: recoveryCodes
+                },
+                message: 'MFA enabled. Store the recovery codes securely as they won\'t be shown again'
+            });
+        } catch (error) {
+            if (error instanceof APIError) {
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            req.logger.error('Error verifying MFA:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to verify MFA'
+            });
+        }
+    },
+
+    /**
+     * Disable MFA for a user with one of their current second factors
+     */
+    async disableMFA(req, res) {
+        try {
+            const userId = parseInt(req.body.user_id);
+            await userService.disableMFA(userId, req.body.webauthn || req.body.totp);
+
+            await logActivity(req, 'MFA_DISABLED', { user_id: userId });
+
+            return res.json({
+                success: true,
+                message: 'MFA disabled successfully'
+            });
+        } catch (error) {
+            if (error instanceof APIError) {
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            req.logger.error('Error disabling MFA:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to disable MFA'
+            });
+        }
+    },
+
+    /**
+     * Get how many recovery codes the requester has left
+     */
+    async getRecoveryCodes(req, res) {
+        try {
+            const status = await userService.getRecoveryCodeStatus(req.principal.userId);
+
+            return res.json({
+                success: true,
+                data: status
+            });
+        } catch (error) {
+            req.logger.error('Error fetching recovery codes:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to fetch recovery codes'
+            });
+        }
+    },
+
+    /**
+     * Replace the requester's recovery codes, confirmed with a second factor
+     * The new codes are only returned in this response
+     */
+    async regenerateRecoveryCodes(req, res) {
+        try {
+            const user = await userService.findById(req.principal.userId);
+            if (!user || user.mfa !== 1) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'MFA is not enabled'
+                });
+            }
+
+            if (!await userService.verifySecondFactor(user, req.body.webauthn || req.body.totp)) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Invalid MFA code'
+                });
+            }
+
+            const recoveryCodes = await userService.generateRecoveryCodes(user.id);
+
+            await logActivity(req, 'MFA_RECOVERY_CODES_REGENERATED', { user_id: user.id });
+
+            return res.json({
+                success: true,
+                data: {
+                    recovery_codes: recoveryCodes
+                },
+                message: 'Recovery codes regenerated. Previous codes no longer work'
+            });
+        } catch (error) {
+            req.logger.error('Error regenerating recovery codes:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to regenerate recovery codes'
+            });
+        }
+    },
+
+    /**
+     * Reset MFA for a user who lost their authenticator and recovery codes
+     * No code is needed, so every reset is recorded in the audit log
+     */
+    async resetMFA(req, res) {
+        try {
+            const userId = parseInt(req.params.id);
+            const user = await userService.findById(userId);
+            const hadMfa = await userService.resetMFA(userId);
+            // Sessions signed in with the old second factor end with it
+            const sessionsEnded = await userService.invalidateAllSessions(userId);
+
+            const details = {
+                user_id: userId,
+                user_name: user.user_name,
+                had_mfa: hadMfa,
+                sessions_ended: sessionsEnded,
+                reason: req.body.reason || null,
+                reset_by: req.principal.actor
+            };
+            logAuditEvent('MFA_RESET', details, {
+                id: req.principal.userId,
+                username: req.principal.name,
+                role: req.principal.role
+            });
+            await logActivity(req, 'MFA_RESET', details);
+
+            return res.json({
+                success: true,
+                message: 'MFA reset successfully. The user can log in with their password and set up MFA again'
+            });
+        } catch (error) {
+            if (error instanceof APIError) {
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            req.logger.error('Error resetting MFA:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to reset MFA'
+            });
+        }
+    },
+
+    /**
+     * Get options for registering a security key with navigator.credentials.create()
+     */
+    async getWebAuthnRegistrationOptions(req, res) {
+        try {
+            const user = await userService.findById(req.principal.userId);
+            const options = await webauthnService.getRegistrationOptions(user);
+
+            return res.json({
+                success: true,
+                data: options
+            });
+        } catch (error) {
+            req.logger.error('Error creating security key registration options:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to create security key registration options'
+            });
+        }
+    },
+
+    /**
+     * Register a security key from the navigator.credentials.create() response
+     * The first second factor of a user switches MFA on and returns recovery codes
+     */
+    async registerWebAuthnCredential(req, res) {
+        try {
+            const user = await userService.findById(req.principal.userId);
+            const credential = await webauthnService.registerCredential(user.id, req.body.credential, req.body.name);
+            const recoveryCodes = user.mfa === 1 ? null : await userService.activateMFA(user.id);
+
+            await logActivity(req, 'WEBAUTHN_CREDENTIAL_REGISTERED', {
+                user_id: user.id,
+                credential_id: credential.id,
+                name: credential.name
+            });
+
+            const data = { credential };
+            if (recoveryCodes) {
+                data.recovery_codes = recoveryCodes;
+            }
+
+            return res.status(201).json({
+                success: true,
+                data,
+                message: recoveryCodes
+                    ? 'Security key registered and MFA enabled. Store the recovery codes securely as they won\'t be shown again'
+                    : 'Security key registered successfully'
+            });
+        } catch (error) {
+            if (error instanceof APIError) {
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            req.logger.error('Error registering security key:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to register security key'
+            });
+        }
+    },
+
+    /**
+     * Get a security key challenge for confirming an action such as regenerating recovery codes
+     * Login challenges come with the MFA required response of /login instead
+     */
+    async getWebAuthnAuthenticationOptions(req, res) {
+        try {
+            const options = await webauthnService.getAuthenticationOptions(req.principal.userId);
+            if (!options) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'No security keys registered'
+                });
+            }
+
+            return res.json({
+                success: true,
+                data: options
+            });
+        } catch (error) {
+            req.logger.error('Error creating security key authentication options:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to create security key authentication options'
+            });
+        }
+    },
+
+    /**
+     * List the requester's security keys
+     */
+    async listWebAuthnCredentials(req, res) {
+        try {
+            const credentials = await webauthnService.listCredentials(req.principal.userId);
+
+            return res.json({
+                success: true,
+                data: credentials
+            });
+        } catch (error) {
+            req.logger.error('Error fetching security keys:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to fetch security keys'
+            });
+        }
+    },
+
+    /**
+     * Rename one of the requester's security keys
+     */
+    async renameWebAuthnCredential(req, res) {
+        try {
+            const userId = req.principal.userId;
+            const credentialId = parseInt(req.params.credentialId);
+
+            if (!await webauthnService.renameCredential(userId, credentialId, req.body.name)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Security key not found'
+                });
+            }
+
+            return res.json({
+                success: true,
+                data: await webauthnService.getCredential(userId, credentialId),
+                message: 'Security key renamed successfully'
+            });
+        } catch (error) {
+            req.logger.error('Error renaming security key:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to rename security key'
+            });
+        }
+    },
+
+    /**
+     * Remove one of the requester's security keys
+     * The only second factor of a user cannot be removed; MFA is disabled instead
+     */
+    async deleteWebAuthnCredential(req, res) {
+        try {
+            const user = await userService.findById(req.principal.userId);
+            const credentialId = parseInt(req.params.credentialId);
+            const credentials = await webauthnService.listCredentials(user.id);
+
+            if (!credentials.some(credential => credential.id === credentialId)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Security key not found'
+                });
+            }
+
+            if (user.mfa === 1 && !user.mfa_secret && credentials.length === 1) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Cannot remove the only second factor; set up TOTP or another key first'
+                });
+            }
+
+            await webauthnService.deleteCredential(user.id, credentialId);
+            await logActivity(req, 'WEBAUTHN_CREDENTIAL_REMOVED', {
+                user_id: user.id,
+                credential_id: credentialId
+            });
+
+            return res.json({
+                success: true,
+                message: 'Security key removed successfully'
+            });
+        } catch (error) {
+            req.logger.error('Error removing security key:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to remove security key'
+            });
+        }
+    }
+};
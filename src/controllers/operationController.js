@@ -0,0 +1,372 @@
+// src/controllers/operationController.js
+import OrchestratorService, {
+    OPERATION_STATUSES,
+    TERMINAL_STATUSES
+} from '../services/OrchestratorService.js';
+import operationRetentionService from '../services/operationRetentionService.js';
+import lockService from '../services/lockService.js';
+import handlerRegistry from '../services/handlerRegistry.js';
+import config from '../config/config.js';
+import { logActivity } from '../middleware/logging.js';
+import { APIError } from '../middleware/errorHandler.js';
+
+/**
+ * Controller for managing queued operations beyond simple status lookups
+ * Covers live progress, cancellation and dead-letter inspection and recovery
+ */
+
+// Comment lines keep idle streams open through proxies and the server timeout
+const HEARTBEAT_INTERVAL = 15000;
+export const operationController = {
+    /**
+     * Stream status transitions, progress and handler output over
+     * Server-Sent Events
+     * The stream starts with the current status and ends once the
+     * operation reaches a terminal status
+     */
+    async streamOperationEvents(req, res) {
+        let operation;
+        try {
+            operation = await OrchestratorService.getOperationStatus(req.params.operationId);
+        } catch (error) {
+            req.logger.error('Error fetching operation:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to fetch operation'
+            });
+        }
+
+        if (!operation) {
+            return res.status(404).json({
+                success: false,
+                error: 'Operation not found'
+            });
+        }
+
+        // no-transform keeps the compression middleware from buffering events
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        let eventId = 0;
+        const send = (event, data) => {
+            eventId++;
+            res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+
+        let stopWatching = () => {};
+        const heartbeat = setInterval(() => res.write(': keepalive\n\n'), HEARTBEAT_INTERVAL);
+        const close = () => {
+            clearInterval(heartbeat);
+            stopWatching();
+            res.end();
+        };
+
+        send('status', {
+            id: operation.id,
+            status: operation.status,
+            progress: operation.progress,
+            error: operation.error
+        });
+
+        if (TERMINAL_STATUSES.includes(operation.status)) {
+            return close();
+        }
+
+        stopWatching = OrchestratorService.watchOperation(operation, (event, data) => {
+            send(event, data);
+            if (event === 'status' && TERMINAL_STATUSES.includes(data.status)) {
+                close();
+            }
+        }, config.orchestrator.pollInterval);
+
+        return req.on('close', close);
+    },
+
+    /**
+     * Cancel a pending or running operation
+     * Running handlers are terminated and clean up asynchronously,
+     * so those requests are answered with 202
+     */
+    async cancelOperation(req, res) {
+        try {
+            const { operationId } = req.params;
+            const operation = await OrchestratorService.cancelOperation(operationId, req.principal.actor);
+
+            if (!operation) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Operation not found'
+                });
+            }
+
+            const cancelled = operation.status === OPERATION_STATUSES.CANCELLED;
+            await logActivity(req, cancelled ? 'OPERATION_CANCELLED' : 'OPERATION_CANCEL_REQUESTED', {
+                operation_id: operation.id,
+                type: operation.type
+            });
+
+            return res.status(cancelled ? 200 : 202).json({
+                success: true,
+                operation: {
+                    id: operation.id,
+                    status: operation.status,
+                    cancelled_by: operation.cancelled_by,
+                    cancel_requested_at: operation.cancel_requested_at,
+                    cancelled_at: operation.cancelled_at
+                },
+                message: cancelled
+                    ? 'Operation cancelled successfully'
+                    : 'Cancellation requested, the handler is cleaning up'
+            });
+        } catch (error) {
+            if (error instanceof APIError) {
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            req.logger.error('Error cancelling operation:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to cancel operation'
+            });
+        }
+    },
+
+    /**
+     * Search the operation history, newest first
+     * Returns a cursor for the next page and duration statistics
+     */
+    async listOperations(req, res) {
+        try {
+            const {
+                type, status, created_by, user_id, from, to,
+                site_id, database_id, q, cursor, limit = 50
+            } = req.query;
+            const list = value => (value ? value.split(',').map(item => item.trim()) : null);
+
+            const history = await OrchestratorService.searchOperations({
+                types: list(type),
+                statuses: list(status),
+                createdBy: created_by,
+                userId: user_id ? parseInt(user_id) : null,
+                from,
+                to,
+                siteId: site_id ? parseInt(site_id) : null,
+                databaseId: database_id ? parseInt(database_id) : null,
+                errorText: q,
+                cursor,
+                limit: parseInt(limit)
+            });
+
+            return res.json({
+                success: true,
+                ...history
+            });
+        } catch (error) {
+            if (error instanceof APIError) {
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            req.logger.error('Error searching operations:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to search operations'
+            });
+        }
+    },
+
+    /**
+     * List operation types and how they are handled
+     * Module handlers include their input schema
+     */
+    async listOperationTypes(req, res) {
+        try {
+            res.json({
+                success: true,
+                types: await handlerRegistry.listOperationTypes()
+            });
+        } catch (error) {
+            req.logger.error('Error listing operation types:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to list operation types'
+            });
+        }
+    },
+
+    /**
+     * List locked resources and their holders
+     */
+    async listLocks(req, res) {
+        try {
+            res.json({
+                success: true,
+                locks: await lockService.listLocks()
+            });
+        } catch (error) {
+            req.logger.error('Error listing resource locks:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to list resource locks'
+            });
+        }
+    },
+
+    /**
+     * Archive finished operations older than the retention period
+     * Runs the retention job immediately instead of waiting for its timer
+     */
+    async archiveOperations(req, res) {
+        try {
+            const { older_than_days } = req.body;
+            const archive = await operationRetentionService.archiveOperations(
+                older_than_days ? { olderThanDays: parseInt(older_than_days) } : {}
+            );
+
+            await logActivity(req, 'OPERATIONS_ARCHIVED', {
+                archived: archive.archived,
+                files: archive.files
+            });
+
+            return res.json({
+                success: true,
+                ...archive
+            });
+        } catch (error) {
+            if (error instanceof APIError) {
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            req.logger.error('Error archiving operations:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to archive operations'
+            });
+        }
+    },
+
+    /**
+     * List operation archive files
+     */
+    async listArchives(req, res) {
+        try {
+            res.json({
+                success: true,
+                archives: await operationRetentionService.listArchives()
+            });
+        } catch (error) {
+            req.logger.error('Error listing operation archives:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to list operation archives'
+            });
+        }
+    },
+
+    /**
+     * List operations that ran out of retry attempts
+     * Supports filtering by operation type
+     */
+    async listDeadLetters(req, res) {
+        try {
+            const { type, limit = 50 } = req.query;
+            const operations = await OrchestratorService.getDeadLetters({
+                type,
+                limit: parseInt(limit)
+            });
+
+            return res.json({
+                success: true,
+                operations
+            });
+        } catch (error) {
+            req.logger.error('Error listing dead-lettered operations:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to list dead-lettered operations'
+            });
+        }
+    },
+
+    /**
+     * Inspect a dead-lettered operation
+     * Includes the error of every failed attempt
+     */
+    async getDeadLetter(req, res) {
+        try {
+            const { operationId } = req.params;
+            const operation = await OrchestratorService.getOperationStatus(operationId);
+
+            if (!operation || operation.status !== OPERATION_STATUSES.DEAD_LETTER) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Dead-lettered operation not found'
+                });
+            }
+
+            const attempts = await OrchestratorService.getOperationAttempts(operationId);
+
+            return res.json({
+                success: true,
+                operation: {
+                    ...operation,
+                    attempts
+                }
+            });
+        } catch (error) {
+            req.logger.error('Error fetching dead-lettered operation:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to fetch dead-lettered operation'
+            });
+        }
+    },
+
+    /**
+     * Requeue a dead-lettered operation
+     * The operation starts over with a fresh attempt budget
+     */
+    async requeueDeadLetter(req, res) {
+        try {
+            const { operationId } = req.params;
+            const requeued = await OrchestratorService.requeueOperation(operationId);
+
+            if (!requeued) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Dead-lettered operation not found'
+                });
+            }
+
+            await logActivity(req, 'OPERATION_REQUEUED', { operation_id: operationId });
+
+            return res.json({
+                success: true,
+                operation: {
+                    id: Number(operationId),
+                    status: OPERATION_STATUSES.PENDING
+                },
+                message: 'Operation requeued successfully'
+            });
+        } catch (error) {
+            req.logger.error('Error requeueing operation:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to requeue operation'
+            });
+        }
+    }
+};
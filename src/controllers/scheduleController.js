@@ -0,0 +1,256 @@
+// src/controllers/scheduleController.js
+import schedulerService from '../services/schedulerService.js';
+import { logActivity } from '../middleware/logging.js';
+import { APIError } from '../middleware/errorHandler.js';
+import { fromSqlDate } from '../utils/helpers.js';
+
+/**
+ * Controller for cron and delayed operations
+ * Each schedule queues one orchestrator operation type
+ */
+export const scheduleController = {
+    /**
+     * Create a cron or one-off schedule
+     */
+    async createSchedule(req, res) {
+        try {
+            const schedule = await schedulerService.createSchedule(req.body, req.principal.actor);
+
+            await logActivity(req, 'SCHEDULE_CREATED', {
+                schedule_id: schedule.id,
+                operation_type: schedule.operation_type
+            });
+
+            return res.status(201).json({
+                success: true,
+                schedule,
+                message: 'Schedule created successfully'
+            });
+        } catch (error) {
+            if (error instanceof APIError) {
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            req.logger.error('Error creating schedule:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to create schedule'
+            });
+        }
+    },
+
+    /**
+     * List schedules with optional filters
+     */
+    async listSchedules(req, res) {
+        try {
+            const { operation_type, enabled, limit = 50 } = req.query;
+            const schedules = await schedulerService.listSchedules({
+                operationTypes: operation_type ? [operation_type] : null,
+                enabled: enabled === undefined ? null : enabled === 'true',
+                limit: parseInt(limit)
+            });
+
+            return res.json({
+                success: true,
+                schedules
+            });
+        } catch (error) {
+            if (error instanceof APIError) {
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            req.logger.error('Error listing schedules:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to list schedules'
+            });
+        }
+    },
+
+    /**
+     * Get a schedule with its recent runs
+     */
+    async getSchedule(req, res) {
+        try {
+            const schedule = await schedulerService.getSchedule(req.params.scheduleId);
+
+            if (!schedule) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Schedule not found'
+                });
+            }
+
+            return res.json({
+                success: true,
+                schedule
+            });
+        } catch (error) {
+            if (error instanceof APIError) {
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            req.logger.error('Error fetching schedule:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to fetch schedule'
+            });
+        }
+    },
+
+    /**
+     * Update a schedule
+     */
+    async updateSchedule(req, res) {
+        try {
+            const schedule = await schedulerService.updateSchedule(req.params.scheduleId, req.body);
+
+            if (!schedule) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Schedule not found'
+                });
+            }
+
+            await logActivity(req, 'SCHEDULE_UPDATED', {
+                schedule_id: schedule.id,
+                changes: Object.keys(req.body)
+            });
+
+            return res.json({
+                success: true,
+                schedule,
+                message: 'Schedule updated successfully'
+            });
+        } catch (error) {
+            if (error instanceof APIError) {
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            req.logger.error('Error updating schedule:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to update schedule'
+            });
+        }
+    },
+
+    /**
+     * Delete a schedule
+     */
+    async deleteSchedule(req, res) {
+        try {
+            const deleted = await schedulerService.deleteSchedule(req.params.scheduleId);
+
+            if (!deleted) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Schedule not found'
+                });
+            }
+
+            await logActivity(req, 'SCHEDULE_DELETED', { schedule_id: req.params.scheduleId });
+
+            return res.json({
+                success: true,
+                message: 'Schedule deleted successfully'
+            });
+        } catch (error) {
+            if (error instanceof APIError) {
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            req.logger.error('Error deleting schedule:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to delete schedule'
+            });
+        }
+    },
+
+    /**
+     * Preview the next fire times of a cron expression
+     */
+    previewCron(req, res) {
+        try {
+            const { cron_expression, count = 10 } = req.query;
+
+            return res.json({
+                success: true,
+                cron_expression,
+                next_runs: schedulerService.previewCron(cron_expression, parseInt(count))
+            });
+        } catch (error) {
+            if (error instanceof APIError) {
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            req.logger.error('Error previewing schedule:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to preview schedule'
+            });
+        }
+    },
+
+    /**
+     * Preview the next fire times of a schedule
+     */
+    async previewSchedule(req, res) {
+        try {
+            const schedule = await schedulerService.getSchedule(req.params.scheduleId);
+
+            if (!schedule) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Schedule not found'
+                });
+            }
+
+            let nextRuns = [];
+            if (schedule.enabled && schedule.cron_expression) {
+                nextRuns = schedulerService.previewCron(schedule.cron_expression, parseInt(req.query.count || 10));
+            } else if (schedule.enabled && schedule.next_run_at) {
+                nextRuns = [fromSqlDate(schedule.next_run_at).toISOString()];
+            }
+
+            return res.json({
+                success: true,
+                schedule_id: schedule.id,
+                next_runs: nextRuns
+            });
+        } catch (error) {
+            if (error instanceof APIError) {
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            req.logger.error('Error previewing schedule:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to preview schedule'
+            });
+        }
+    }
+};
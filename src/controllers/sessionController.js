@@ -0,0 +1,163 @@
+// src/controllers/sessionController.js
+import userService from '../services/userService.js';
+import { logActivity } from '../middleware/logging.js';
+import { APIError } from '../middleware/errorHandler.js';
+
+// Sessions of the user in the path for admin routes, else of the requester
+const targetUserId = (req) => req.params.id ? parseInt(req.params.id) : req.principal.userId;
+
+/**
+ * Controller for login sessions
+ * The same handlers serve /users/sessions and the admin /users/:id/sessions routes
+ */
+export const sessionController = {
+    /**
+     * List active sessions, flagging the one making the request
+     */
+    async listSessions(req, res) {
+        try {
+            const userId = targetUserId(req);
+
+            if (req.params.id && !await userService.findById(userId)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'User not found'
+                });
+            }
+
+            const sessions = await userService.listSessions(userId, req.principal.sessionId);
+
+            return res.json({
+                success: true,
+                sessions
+            });
+        } catch (error) {
+            req.logger.error('Error listing sessions:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to list sessions'
+            });
+        }
+    },
+
+    /**
+     * Revoke a single session
+     */
+    async revokeSession(req, res) {
+        try {
+            const userId = targetUserId(req);
+            const sessionId = parseInt(req.params.sessionId);
+            const revoked = await userService.revokeSession(userId, sessionId);
+
+            if (!revoked) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Session not found'
+                });
+            }
+
+            await logActivity(req, 'SESSION_REVOKED', { user_id: userId, session_id: sessionId });
+
+            return res.json({
+                success: true,
+                message: 'Session revoked successfully'
+            });
+        } catch (error) {
+            req.logger.error('Error revoking session:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to revoke session'
+            });
+        }
+    },
+
+    /**
+     * Revoke every session except the one making the request
+     */
+    async revokeOtherSessions(req, res) {
+        try {
+            const userId = targetUserId(req);
+
+            if (req.params.id && !await userService.findById(userId)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'User not found'
+                });
+            }
+
+            const keepSessionId = userId === req.principal.userId ? req.principal.sessionId : null;
+            const sessions = await userService.revokeOtherSessions(userId, keepSessionId);
+
+            await logActivity(req, 'SESSIONS_REVOKED', { user_id: userId, sessions });
+
+            return res.json({
+                success: true,
+                revoked: sessions,
+                message: `Revoked ${sessions} session(s)`
+            });
+        } catch (error) {
+            req.logger.error('Error revoking sessions:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to revoke sessions'
+            });
+        }
+    },
+
+    /**
+     * Get the concurrent session policy
+     */
+    async getPolicy(req, res) {
+        try {
+            const policy = await userService.getSessionPolicy();
+
+            return res.json({
+                success: true,
+                policy
+            });
+        } catch (error) {
+            req.logger.error('Error fetching session policy:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to fetch session policy'
+            });
+        }
+    },
+
+    /**
+     * Update the concurrent session policy
+     */
+    async updatePolicy(req, res) {
+        try {
+            const changes = {};
+            for (const field of ['max_concurrent_sessions', 'on_limit']) {
+                if (req.body[field] !== undefined) {
+                    changes[field] = req.body[field];
+                }
+            }
+
+            const policy = await userService.updateSessionPolicy(changes, req.principal.actor);
+
+            await logActivity(req, 'SESSION_POLICY_UPDATED', changes);
+
+            return res.json({
+                success: true,
+                policy,
+                message: 'Session policy updated successfully'
+            });
+        } catch (error) {
+            if (error instanceof APIError) {
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            req.logger.error('Error updating session policy:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to update session policy'
+            });
+        }
+    }
+};
@@ -1,5 +1,10 @@
 // src/controllers/siteController.js
+import { db } from '../config/database.js';
 import { Site } from '../models/Site.js';
+import siteService from '../services/siteService.js';
+import webhookService from '../services/webhookService.js';
+import { logActivity } from '../middleware/logging.js';
+import { summarizePlan } from '../utils/plan.js';
 import { validateDomain } from '../utils/validation.js';
 import { createDirectory, setPermissions } from '../utils/filesystem.js';
 import path from 'path';
@@ -140,16 +145,19 @@ export const siteController = {
 
                 await db.run('COMMIT');
 
+                const created = {
+                    id: site.lastID,
+                    domain_name,
+                    type,
+                    root_directory: rootDirectory,
+                    php_version,
+                    application
+                };
+                await webhookService.publish('site.created', { site: created });
+
                 res.status(201).json({
                     success: true,
-                    data: {
-                        id: site.lastID,
-                        domain_name,
-                        type,
-                        root_directory: rootDirectory,
-                        php_version,
-                        application
-                    }
+                    data: created
                 });
             } catch (error) {
                 await db.run('ROLLBACK');
@@ -254,13 +262,13 @@ export const siteController = {
 
     /**
      * Delete a website and its associated configurations
-     * Handles cleanup of all related resources
+     * Handles cleanup of all related resources; ?dry_run=true returns the plan
      */
     async deleteSite(req, res) {
         try {
             const { id } = req.params;
 
-            const site = await Site.findById(id);
+            const site = await siteService.findById(id);
             if (!site) {
                 return res.status(404).json({
                     success: false,
@@ -268,30 +276,28 @@ export const siteController = {
                 });
             }
 
-            await db.run('BEGIN TRANSACTION');
-
-            try {
-                // Delete PHP settings
-                if (site.php_settings_id) {
-                    await db.run(
-                        'DELETE FROM php_settings WHERE id = ?',
-                        [site.php_settings_id]
-                    );
-                }
-
-                // Delete site record
-                await db.run('DELETE FROM site WHERE id = ?', [id]);
-
-                await db.run('COMMIT');
-
-                res.json({
+            if (req.query.dry_run === 'true') {
+                const plan = await siteService.planDeleteSite(id);
+                return res.json({
                     success: true,
-                    message: 'Site deleted successfully'
+                    dry_run: true,
+                    data: { plan, summary: summarizePlan(plan) }
                 });
-            } catch (error) {
-                await db.run('ROLLBACK');
-                throw error;
             }
+
+            await siteService.deleteSite(id);
+            await logActivity(req, 'SITE_DELETED', {
+                site_id: site.id,
+                domain_name: site.domain_name
+            });
+            await webhookService.publish('site.deleted', {
+                site: { id: site.id, domain_name: site.domain_name }
+            });
+
+            res.json({
+                success: true,
+                message: 'Site deleted successfully'
+            });
         } catch (error) {
             req.logger.error('Error deleting site:', error);
             res.status(500).json({
@@ -1,6 +1,12 @@
 // src/controllers/userController.js
 import { User } from '../models/User.js';
-import bcrypt from 'bcrypt';
+import { ApiKey } from '../models/ApiKey.js';
+import config from '../config/config.js';
+import userService from '../services/userService.js';
+import passwordPolicyService from '../services/passwordPolicyService.js';
+import { AUTH_METHODS } from '../middleware/auth.js';
+import { logActivity } from '../middleware/logging.js';
+import { APIError, NotFoundError } from '../middleware/errorHandler.js';
 import { validateEmail } from '../utils/validation.js';
 
 /**
@@ -8,6 +14,111 @@ import { validateEmail } from '../utils/validation.js';
  * Implements CRUD operations with proper validation and error handling
  */
 export const userController = {
+  /**
+   * Log in with username, password and, when MFA is enabled, a TOTP code,
+   * security key response (webauthn) or recovery code given as the TOTP code
+   * Returns a session token for the Authorization: Bearer header; with an
+   * expired password the session can only change the password or log out
+   */
+  async login(req, res) {
+    try {
+      const { username, password, totp, webauthn } = req.body;
+      const result = await userService.authenticateUser(username, password, webauthn || totp, {
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent']
+      });
+
+      if (result.requiresMfa) {
+        return res.status(401).json({
+          success: false,
+          error: 'MFA code required',
+          requires_mfa: true,
+          mfa_methods: result.methods,
+          webauthn: result.webauthn
+        });
+      }
+
+      await logActivity(req, 'USER_LOGIN', {
+        user_id: result.user.id,
+        user_name: result.user.username,
+        mfa_method: result.mfaMethod
+      });
+
+      const data = {
+        user: result.user,
+        token: result.token,
+        expires_at: result.expires_at
+      };
+      if (result.recoveryCodesRemaining !== undefined) {
+        data.recovery_codes_remaining = result.recoveryCodesRemaining;
+      }
+      if (result.passwordExpired) {
+        data.password_expired = true;
+      }
+
+      return res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      if (error instanceof APIError) {
+        const body = {
+          success: false,
+          error: error.message
+        };
+
+        // Locked out or delayed logins say when to try again
+        if (error.retryAfter) {
+          res.setHeader('Retry-After', error.retryAfter);
+          body.retry_after = error.retryAfter;
+        }
+
+        return res.status(error.status).json(body);
+      }
+
+      req.logger.error('Error logging in:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to log in'
+      });
+    }
+  },
+
+  /**
+   * End the current session, or every session of the user with all: true
+   * API keys are not sessions; they can only end all sessions
+   */
+  async logout(req, res) {
+    try {
+      const { userId, sessionId, authMethod } = req.principal;
+      const all = req.body.all === true;
+
+      if (!all && authMethod !== AUTH_METHODS.SESSION) {
+        return res.status(400).json({
+          success: false,
+          error: 'Logout requires a session token; use all: true to end every session'
+        });
+      }
+
+      const sessions = all
+        ? await userService.invalidateAllSessions(userId)
+        : Number(await userService.invalidateSession(sessionId));
+
+      await logActivity(req, 'USER_LOGOUT', { user_id: userId, sessions });
+
+      return res.json({
+        success: true,
+        message: all ? `Ended ${sessions} session(s)` : 'Logged out successfully'
+      });
+    } catch (error) {
+      req.logger.error('Error logging out:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to log out'
+      });
+    }
+  },
+
   /**
    * Retrieve all users with non-sensitive information
    * Filters out sensitive data like passwords and MFA secrets
@@ -104,14 +215,20 @@ export const userController = {
         });
       }
 
-      // Hash password
-      const hashedPassword = await bcrypt.hash(password, 10);
+      const violations = await passwordPolicyService.validate(password, { username: user_name, email });
+      if (violations.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Password does not meet the password policy',
+          violations
+        });
+      }
 
-      // Create user with default values
-      const result = await User.create({
+      // Create user with default values; the model hashes the password
+      const user = await User.create({
         user_name,
         email,
-        password: hashedPassword,
+        password,
         role,
         first_name: first_name || '',
         last_name: last_name || '',
@@ -119,11 +236,12 @@ export const userController = {
         status: 1, // Active by default
         mfa: 0 // MFA disabled by default
       });
+      await passwordPolicyService.recordPassword(user.id);
 
       res.status(201).json({
         success: true,
         data: {
-          id: result.lastID,
+          id: user.id,
           user_name,
           email,
           role
@@ -193,12 +311,12 @@ export const userController = {
   },
 
   /**
-   * Change user password
-   * Requires current password verification
+   * Change the password of the authenticated user
+   * Requires current password verification, enforces the password policy and ends all sessions
    */
   async changePassword(req, res) {
     try {
-      const userId = req.params.id;
+      const { userId } = req.principal;
       const { currentPassword, newPassword } = req.body;
 
       // Validate input
@@ -209,38 +327,331 @@ export const userController = {
         });
       }
 
-      // Get user with password
-      const user = await User.findByIdWithPassword(userId);
-      if (!user) {
-        return res.status(404).json({
+      await userService.changePassword(userId, currentPassword, newPassword);
+      await logActivity(req, 'PASSWORD_CHANGED', { user_id: userId });
+
+      res.json({
+        success: true,
+        message: 'Password updated successfully'
+      });
+    } catch (error) {
+      if (error instanceof APIError) {
+        const body = {
           success: false,
-          error: 'User not found'
-        });
+          error: error.message
+        };
+        if (error.violations) {
+          body.violations = error.violations;
+        }
+
+        return res.status(error.status).json(body);
       }
 
-      // Verify current password
-      const isValid = await bcrypt.compare(currentPassword, user.password);
-      if (!isValid) {
-        return res.status(401).json({
+      req.logger.error('Error changing password:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to change password'
+      });
+    }
+  },
+
+  /**
+   * Request a password reset link by email
+   * Answers the same whether or not the address belongs to a user
+   */
+  async requestPasswordReset(req, res) {
+    try {
+      const userId = await userService.requestPasswordReset(req.body.email, { ipAddress: req.ip });
+      if (userId) {
+        await logActivity(req, 'PASSWORD_RESET_REQUESTED', { user_id: userId });
+      }
+    } catch (error) {
+      // Failures are only logged; the response must not differ
+      req.logger.error('Error requesting password reset:', error);
+    }
+
+    res.json({
+      success: true,
+      message: 'If the address belongs to an account, a password reset link has been sent to it'
+    });
+  },
+
+  /**
+   * Set a new password with a token from a reset email
+   * Ends all sessions of the user and sends a confirmation email
+   */
+  async resetPassword(req, res) {
+    try {
+      const { token, newPassword } = req.body;
+      const userId = await userService.resetPassword(token, newPassword);
+
+      await logActivity(req, 'PASSWORD_RESET', { user_id: userId });
+
+      return res.json({
+        success: true,
+        message: 'Password reset successfully. Log in with the new password'
+      });
+    } catch (error) {
+      if (error instanceof APIError) {
+        const body = {
           success: false,
-          error: 'Current password is incorrect'
-        });
+          error: error.message
+        };
+        if (error.violations) {
+          body.violations = error.violations;
+        }
+
+        return res.status(error.status).json(body);
       }
 
-      // Hash and update new password
-      const hashedPassword = await bcrypt.hash(newPassword, 10);
-      await User.updatePassword(userId, hashedPassword);
+      req.logger.error('Error resetting password:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to reset password'
+      });
+    }
+  },
+
+  /**
+   * Get the active password policy
+   * Lets clients show the rules before a password is chosen
+   */
+  getPasswordPolicy(req, res) {
+    res.json({
+      success: true,
+      data: passwordPolicyService.getPolicy()
+    });
+  },
+
+  /**
+   * List the API keys of the authenticated user
+   * Key values are never returned, only metadata and last use
+   */
+  async getApiKeys(req, res) {
+    try {
+      const keys = await ApiKey.getByUserId(req.principal.userId);
 
       res.json({
         success: true,
-        message: 'Password updated successfully'
+        data: keys.map(({ resource_ids, allowed_ips, ...key }) => ({
+          ...key,
+          scopes: ApiKey.parseScopes(key.scopes),
+          resources: resource_ids ? JSON.parse(resource_ids) : null,
+          allowed_ips: allowed_ips ? JSON.parse(allowed_ips) : null
+        }))
       });
     } catch (error) {
-      req.logger.error('Error changing password:', error);
+      req.logger.error('Error fetching API keys:', error);
       res.status(500).json({
         success: false,
-        error: 'Failed to change password'
+        error: 'Failed to fetch API keys'
+      });
+    }
+  },
+
+  /**
+   * List the scopes API keys can be given
+   * Scopes are resource:action; * may replace either part
+   */
+  getApiKeyScopes(req, res) {
+    res.json({
+      success: true,
+      data: {
+        scopes: ApiKey.SCOPES,
+        implied_actions: ApiKey.IMPLIED_ACTIONS,
+        resource_types: ApiKey.RESOURCE_TYPES
+      }
+    });
+  },
+
+  /**
+   * Create an API key for the authenticated user, optionally expiring or
+   * restricted to resources and addresses; unknown scopes are rejected
+   * The raw key is only returned in this response
+   */
+  async createApiKey(req, res) {
+    try {
+      const { name, scopes, resources, allowed_ips, rate_limit, expires_at } = req.body;
+
+      const invalidScopes = ApiKey.validateScopes(scopes);
+      if (invalidScopes.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown scopes: ${invalidScopes.join(', ')}`
+        });
+      }
+
+      const resourceErrors = resources ? ApiKey.validateResources(resources) : [];
+      if (resourceErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: resourceErrors.join('; ')
+        });
+      }
+
+      if (expires_at && new Date(expires_at) <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          error: 'expires_at must be in the future'
+        });
+      }
+
+      const apiKey = await ApiKey.create({
+        user_id: req.principal.userId,
+        name,
+        scopes,
+        resources,
+        allowed_ips,
+        rate_limit,
+        expires_at
+      });
+
+      await logActivity(req, 'API_KEY_CREATED', {
+        key_id: apiKey.id,
+        name,
+        scopes,
+        resources: apiKey.resources,
+        allowed_ips: apiKey.allowed_ips,
+        rate_limit: apiKey.rate_limit,
+        expires_at: apiKey.expires_at
+      });
+
+      return res.status(201).json({
+        success: true,
+        data: apiKey,
+        message: 'API key created successfully. Store the key securely as it won\'t be shown again'
+      });
+    } catch (error) {
+      req.logger.error('Error creating API key:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to create API key'
+      });
+    }
+  },
+
+  /**
+   * Replace an API key with a new one
+   * The old key keeps working for the grace period so clients can switch over
+   */
+  async rotateApiKey(req, res) {
+    try {
+      const key = await ApiKey.findById(req.params.keyId);
+      if (key.user_id !== req.principal.userId) {
+        throw new NotFoundError('API key');
+      }
+
+      const { grace_period, expires_at } = req.body;
+      if (expires_at && new Date(expires_at) <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          error: 'expires_at must be in the future'
+        });
+      }
+
+      const gracePeriod = grace_period !== undefined
+        ? grace_period * 1000
+        : config.security.apiKeys.rotationGracePeriod;
+      const apiKey = await ApiKey.rotate(key.id, { gracePeriod, expires_at });
+      const previousKey = await ApiKey.findById(key.id);
+
+      await logActivity(req, 'API_KEY_ROTATED', {
+        key_id: key.id,
+        new_key_id: apiKey.id,
+        grace_period_seconds: gracePeriod / 1000
+      });
+
+      return res.status(201).json({
+        success: true,
+        data: apiKey,
+        previous_key: {
+          id: previousKey.id,
+          is_active: previousKey.is_active,
+          expires_at: previousKey.expires_at
+        },
+        message: 'API key rotated successfully. Store the new key securely as it won\'t be shown again'
+      });
+    } catch (error) {
+      if (error instanceof APIError) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      req.logger.error('Error rotating API key:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to rotate API key'
+      });
+    }
+  },
+
+  /**
+   * Replace the addresses an API key may be used from
+   * An empty list or null lets the key be used from anywhere
+   */
+  async updateApiKeyAllowedIps(req, res) {
+    try {
+      const key = await ApiKey.findById(req.params.keyId);
+      if (key.user_id !== req.principal.userId) {
+        throw new NotFoundError('API key');
+      }
+
+      const { allowed_ips } = req.body;
+      await ApiKey.updateAllowedIps(key.id, allowed_ips);
+      await logActivity(req, 'API_KEY_ALLOWED_IPS_UPDATED', { key_id: key.id, allowed_ips });
+
+      return res.json({
+        success: true,
+        message: 'API key allowed IPs updated successfully'
+      });
+    } catch (error) {
+      if (error instanceof APIError) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      req.logger.error('Error updating API key allowed IPs:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to update API key allowed IPs'
+      });
+    }
+  },
+
+  /**
+   * Revoke an API key of the authenticated user
+   */
+  async revokeApiKey(req, res) {
+    try {
+      const key = await ApiKey.findById(req.params.keyId);
+      if (key.user_id !== req.principal.userId) {
+        throw new NotFoundError('API key');
+      }
+
+      await ApiKey.deactivate(key.id);
+      await logActivity(req, 'API_KEY_REVOKED', { key_id: key.id, name: key.name });
+
+      return res.json({
+        success: true,
+        message: 'API key revoked successfully'
+      });
+    } catch (error) {
+      if (error instanceof APIError) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      req.logger.error('Error revoking API key:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to revoke API key'
       });
     }
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,226 @@
+// src/controllers/webhookController.js
+import webhookService from '../services/webhookService.js';
+import { logActivity } from '../middleware/logging.js';
+import { APIError } from '../middleware/errorHandler.js';
+
+/**
+ * Controller for outbound webhook subscriptions
+ * Secrets are only returned when a webhook is created or its secret rotated
+ */
+export const webhookController = {
+    /**
+     * Create a webhook subscription
+     */
+    async createWebhook(req, res) {
+        try {
+            const webhook = await webhookService.createWebhook(req.body, req.principal.actor);
+
+            await logActivity(req, 'WEBHOOK_CREATED', {
+                webhook_id: webhook.id,
+                url: webhook.url,
+                events: webhook.events
+            });
+
+            return res.status(201).json({
+                success: true,
+                webhook,
+                message: 'Webhook created successfully. Store the secret securely as it won\'t be shown again'
+            });
+        } catch (error) {
+            if (error instanceof APIError) {
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            req.logger.error('Error creating webhook:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to create webhook'
+            });
+        }
+    },
+
+    /**
+     * List webhook subscriptions
+     */
+    async listWebhooks(req, res) {
+        try {
+            const webhooks = await webhookService.listWebhooks();
+
+            return res.json({
+                success: true,
+                webhooks
+            });
+        } catch (error) {
+            req.logger.error('Error listing webhooks:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to list webhooks'
+            });
+        }
+    },
+
+    /**
+     * Get a webhook with its delivery counts
+     */
+    async getWebhook(req, res) {
+        try {
+            const webhook = await webhookService.getWebhook(req.params.webhookId);
+
+            if (!webhook) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Webhook not found'
+                });
+            }
+
+            return res.json({
+                success: true,
+                webhook
+            });
+        } catch (error) {
+            req.logger.error('Error fetching webhook:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to fetch webhook'
+            });
+        }
+    },
+
+    /**
+     * Update a webhook or rotate its secret
+     */
+    async updateWebhook(req, res) {
+        try {
+            const webhook = await webhookService.updateWebhook(req.params.webhookId, req.body);
+
+            if (!webhook) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Webhook not found'
+                });
+            }
+
+            await logActivity(req, 'WEBHOOK_UPDATED', {
+                webhook_id: webhook.id,
+                changes: Object.keys(req.body)
+            });
+
+            return res.json({
+                success: true,
+                webhook,
+                message: 'Webhook updated successfully'
+            });
+        } catch (error) {
+            if (error instanceof APIError) {
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            req.logger.error('Error updating webhook:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to update webhook'
+            });
+        }
+    },
+
+    /**
+     * Delete a webhook and its delivery log
+     */
+    async deleteWebhook(req, res) {
+        try {
+            const deleted = await webhookService.deleteWebhook(req.params.webhookId);
+
+            if (!deleted) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Webhook not found'
+                });
+            }
+
+            await logActivity(req, 'WEBHOOK_DELETED', { webhook_id: req.params.webhookId });
+
+            return res.json({
+                success: true,
+                message: 'Webhook deleted successfully'
+            });
+        } catch (error) {
+            req.logger.error('Error deleting webhook:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to delete webhook'
+            });
+        }
+    },
+
+    /**
+     * List the delivery log of a webhook
+     */
+    async listDeliveries(req, res) {
+        try {
+            const webhook = await webhookService.getWebhook(req.params.webhookId);
+
+            if (!webhook) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Webhook not found'
+                });
+            }
+
+            const { status, event, limit = 50 } = req.query;
+            const deliveries = await webhookService.listDeliveries(webhook.id, {
+                status,
+                event,
+                limit: parseInt(limit)
+            });
+
+            return res.json({
+                success: true,
+                deliveries
+            });
+        } catch (error) {
+            req.logger.error('Error listing webhook deliveries:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to list webhook deliveries'
+            });
+        }
+    },
+
+    /**
+     * Send a test event to a webhook and return the delivery
+     */
+    async testWebhook(req, res) {
+        try {
+            const delivery = await webhookService.testWebhook(req.params.webhookId);
+
+            if (!delivery) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Webhook not found'
+                });
+            }
+
+            await logActivity(req, 'WEBHOOK_TESTED', {
+                webhook_id: delivery.webhook_id,
+                delivery_status: delivery.status
+            });
+
+            return res.json({
+                success: true,
+                delivery
+            });
+        } catch (error) {
+            req.logger.error('Error testing webhook:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to test webhook'
+            });
+        }
+    }
+};
@@ -0,0 +1,99 @@
+// src/controllers/workflowController.js
+import workflowService from '../services/workflowService.js';
+import { logActivity } from '../middleware/logging.js';
+import { APIError } from '../middleware/errorHandler.js';
+
+/**
+ * Controller for multi-step workflows
+ * A workflow is created in one call and queried as a single unit
+ */
+export const workflowController = {
+    /**
+     * Create a workflow from steps connected by depends_on edges
+     * Steps without dependencies are queued right away
+     */
+    async createWorkflow(req, res) {
+        try {
+            const { name, steps, compensate } = req.body;
+            const workflowId = await workflowService.createWorkflow(
+                { name, steps, compensate },
+                req.principal.actor
+            );
+
+            await logActivity(req, 'WORKFLOW_CREATED', {
+                workflow_id: workflowId,
+                steps: steps.map(step => step.type)
+            });
+
+            return res.status(202).json({
+                success: true,
+                workflow: await workflowService.getWorkflow(workflowId),
+                message: 'Workflow queued'
+            });
+        } catch (error) {
+            if (error instanceof APIError) {
+                return res.status(error.status).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+
+            req.logger.error('Error creating workflow:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to create workflow'
+            });
+        }
+    },
+
+    /**
+     * Get a workflow with the status, progress and result of every step
+     */
+    async getWorkflow(req, res) {
+        try {
+            const workflow = await workflowService.getWorkflow(req.params.workflowId);
+
+            if (!workflow) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Workflow not found'
+                });
+            }
+
+            return res.json({
+                success: true,
+                workflow
+            });
+        } catch (error) {
+            req.logger.error('Error fetching workflow:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to fetch workflow'
+            });
+        }
+    },
+
+    /**
+     * List workflows with optional status filter
+     */
+    async listWorkflows(req, res) {
+        try {
+            const { status, limit = 50 } = req.query;
+            const workflows = await workflowService.listWorkflows({
+                status,
+                limit: parseInt(limit)
+            });
+
+            return res.json({
+                success: true,
+                workflows
+            });
+        } catch (error) {
+            req.logger.error('Error listing workflows:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to list workflows'
+            });
+        }
+    }
+};
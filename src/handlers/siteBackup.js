@@ -0,0 +1,35 @@
+// src/handlers/siteBackup.js
+import { db } from '../config/database.js';
+import backupService from '../services/backupService.js';
+import webhookService from '../services/webhookService.js';
+
+/**
+ * Operation handler that creates a full backup of a site: its files, its
+ * database and its configuration, like `POST /backup/sites/:site_id`.
+ */
+
+export const type = 'site.backup';
+
+export const description = 'Back up the files, database and configuration of a site';
+
+export const schema = {
+    site_id: { type: 'integer', required: true, min: 1 }
+};
+
+export async function validate(data) {
+    if (!await db.get('SELECT id FROM site WHERE id = ?', [data.site_id])) {
+        throw new Error(`Site ${data.site_id} not found`);
+    }
+}
+
+export async function execute(data, context) {
+    context.reportProgress(10, 'Creating backup');
+    context.signal.throwIfAborted();
+
+    const backup = await backupService.createSiteBackup(data.site_id);
+    context.log(`Backup written to ${backup.backup_path}`);
+
+    await webhookService.publish('backup.completed', { backup: { type: 'site', ...backup } });
+
+    return backup;
+}
@@ -0,0 +1,67 @@
+// src/handlers/siteCacheSettings.js
+import { db } from '../config/database.js';
+
+/**
+ * Operation handler that turns Varnish cache and PageSpeed on or off for a
+ * site. The previous flags are kept so a failed or cancelled run can put
+ * them back.
+ */
+
+export const type = 'site.cache_settings';
+
+export const description = 'Enable or disable Varnish cache and PageSpeed for a site';
+
+const SETTINGS = ['varnish_cache', 'page_speed_enabled'];
+
+export const schema = {
+    site_id: { type: 'integer', required: true, min: 1 },
+    varnish_cache: { type: 'boolean' },
+    page_speed_enabled: { type: 'boolean' }
+};
+
+const pickSettings = data => Object.fromEntries(
+    SETTINGS.filter(key => data[key] !== undefined && data[key] !== null).map(key => [key, Boolean(data[key])])
+);
+
+const getSite = siteId => db.get(
+    `SELECT id, ${SETTINGS.join(', ')} FROM site WHERE id = ?`,
+    [siteId]
+);
+
+const applySettings = (siteId, settings) => db.run(`
+    UPDATE site
+    SET ${Object.keys(settings).map(key => `${key} = ?`).join(', ')}, updated_at = datetime('now')
+    WHERE id = ?
+`, [...Object.values(settings).map(value => (value ? 1 : 0)), siteId]);
+
+export async function validate(data) {
+    if (Object.keys(pickSettings(data)).length === 0) {
+        throw new Error(`At least one of ${SETTINGS.join(', ')} is required`);
+    }
+    if (!await getSite(data.site_id)) {
+        throw new Error(`Site ${data.site_id} not found`);
+    }
+}
+
+export async function execute(data, context) {
+    const site = await getSite(data.site_id);
+    const settings = pickSettings(data);
+
+    context.state.previous = pickSettings(site);
+    context.reportProgress(50, 'Updating cache settings');
+
+    context.signal.throwIfAborted();
+    await applySettings(site.id, settings);
+
+    return {
+        site_id: site.id,
+        settings,
+        previous: context.state.previous
+    };
+}
+
+export async function rollback(data, context) {
+    if (context.state.previous) {
+        await applySettings(data.site_id, context.state.previous);
+    }
+}
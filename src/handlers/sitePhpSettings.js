@@ -0,0 +1,70 @@
+// src/handlers/sitePhpSettings.js
+import { db } from '../config/database.js';
+import siteService from '../services/siteService.js';
+
+/**
+ * Operation handler that changes the PHP settings of a site.
+ * The previous values are kept so a failed or cancelled run, or a
+ * compensation, can put them back.
+ */
+
+export const type = 'site.php_settings';
+
+export const description = 'Update the PHP settings of a site';
+
+const SIZE_PATTERN = '^\\d+[KMG]$';
+
+const SETTINGS = ['memory_limit', 'max_execution_time', 'max_input_vars', 'post_max_size', 'upload_max_file_size'];
+
+export const schema = {
+    site_id: { type: 'integer', required: true, min: 1 },
+    memory_limit: { type: 'string', pattern: SIZE_PATTERN },
+    max_execution_time: { type: 'integer', min: 1, max: 3600 },
+    max_input_vars: { type: 'integer', min: 100, max: 100000 },
+    post_max_size: { type: 'string', pattern: SIZE_PATTERN },
+    upload_max_file_size: { type: 'string', pattern: SIZE_PATTERN }
+};
+
+const pickSettings = data => Object.fromEntries(
+    SETTINGS.filter(key => data[key] !== undefined).map(key => [key, data[key]])
+);
+
+const getSite = siteId => db.get(`
+    SELECT s.id, s.php_settings_id, ${SETTINGS.map(key => `ps.${key}`).join(', ')}
+    FROM site s
+    JOIN php_settings ps ON ps.id = s.php_settings_id
+    WHERE s.id = ?
+`, [siteId]);
+
+export async function validate(data) {
+    if (Object.keys(pickSettings(data)).length === 0) {
+        throw new Error(`At least one of ${SETTINGS.join(', ')} is required`);
+    }
+    if (!await getSite(data.site_id)) {
+        throw new Error(`Site ${data.site_id} not found or has no PHP settings`);
+    }
+}
+
+export async function execute(data, context) {
+    const site = await getSite(data.site_id);
+    const settings = pickSettings(data);
+
+    context.state.previous = pickSettings(site);
+    context.state.settingsId = site.php_settings_id;
+    context.reportProgress(50, 'Updating PHP settings');
+
+    context.signal.throwIfAborted();
+    await siteService.updatePhpSettings(site.php_settings_id, settings);
+
+    return {
+        site_id: site.id,
+        settings,
+        previous: context.state.previous
+    };
+}
+
+export async function rollback(data, context) {
+    if (context.state.previous) {
+        await siteService.updatePhpSettings(context.state.settingsId, context.state.previous);
+    }
+}
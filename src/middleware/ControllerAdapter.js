@@ -15,7 +15,8 @@ export const wrapWithOrchestration = (controllerMethod, operationType) => {
             // Create operation record
             const operationId = await OrchestratorService.triggerOperation(
                 operationType,
-                operationData
+                operationData,
+                { createdBy: req.principal ? req.principal.actor : null }
             );
 
             // Return operation details to client
@@ -62,18 +63,4 @@ export const getOperationStatus = async (req, res, next) => {
     } catch (error) {
         next(error);
     }
-};
-
-export const listOperations = async (req, res, next) => {
-    try {
-        const { status = 'pending', limit = 10 } = req.query;
-        const operations = await OrchestratorService.getOperationsByStatus(status, limit);
-
-        res.json({
-            success: true,
-            operations
-        });
-    } catch (error) {
-        next(error);
-    }
 };
\ No newline at end of file
@@ -1,10 +1,18 @@
 // src/middleware/auth.js
 import { db } from '../config/database.js';
 import crypto from 'crypto';
+import { fromSqlDate } from '../utils/helpers.js';
+import { isIPInRanges } from '../utils/validation.js';
+import { logSecurityEvent } from '../utils/logger.js';
+import { rateLimit, limitFailedAuthentication } from './rateLimit.js';
+import userService from '../services/userService.js';
+import apiKeyService from '../services/apiKeyService.js';
+import passwordPolicyService from '../services/passwordPolicyService.js';
+import { ApiKey } from '../models/ApiKey.js';
 
 /**
  * Authentication middleware for CloudPanel API
- * Handles API key validation and role-based access control
+ * Handles API key and session token validation and role-based access control
  */
 
 // Time-safe string comparison to prevent timing attacks
@@ -26,40 +34,130 @@ export const generateApiKeyHash = (apiKey) => {
         .digest('hex');
 };
 
-// Verify API key exists and is active
-export const authenticateApiKey = async (req, res, next) => {
+// How a request authenticated; recorded on the principal
+export const AUTH_METHODS = Object.freeze({
+    API_KEY: 'api_key',
+    SESSION: 'session'
+});
+
+// Session tokens from POST /users/login are sent as `Authorization: Bearer <token>`
+const getBearerToken = (req) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.header('Authorization') || '');
+    return match ? match[1] : null;
+};
+
+/**
+ * Verify an API key (`X-API-Key`) or session token (`Authorization: Bearer`)
+ * and attach the caller to the request as `req.principal`:
+ * { userId, name, role, scopes, resources, rateLimit, authMethod, apiKeyId, sessionId, actor, passwordExpired }.
+ * `actor` identifies the caller in created_by columns and rate limits;
+ * `rateLimit` is the API key's own request limit, if it has one;
+ * `passwordExpired` is set for sessions of users whose password is past
+ * the policy's maximum age (API keys do not depend on the password). Sessions
+ * act with the full rights of the user's role; scopes and resource
+ * restrictions (`resources`, null when unrestricted) only apply to API keys.
+ */
+export const authenticate = async (req, res, next) => {
     try {
         const apiKey = req.header('X-API-Key');
-        
-        if (!apiKey) {
+        const sessionToken = getBearerToken(req);
+
+        if (!apiKey && !sessionToken) {
             return res.status(401).json({
                 success: false,
-                error: 'API key required'
+                error: 'API key or session token required'
             });
         }
 
-        const keyHash = generateApiKeyHash(apiKey);
-        const apiKeyRecord = await db.get(`
-            SELECT ak.*, u.role as user_role
-            FROM api_token ak
-            JOIN user u ON ak.user_id = u.id
-            WHERE ak.token = ? AND ak.is_active = 1
-        `, [keyHash]);
+        if (apiKey) {
+            const keyHash = generateApiKeyHash(apiKey);
+            const apiKeyRecord = await db.get(`
+                SELECT ak.*, u.role as user_role
+                FROM api_token ak
+                JOIN user u ON ak.user_id = u.id
+                WHERE ak.token = ? AND ak.is_active = 1
+            `, [keyHash]);
 
-        if (!apiKeyRecord) {
-            return res.status(401).json({
-                success: false,
-                error: 'Invalid API key'
+            if (!apiKeyRecord) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Invalid API key'
+                });
+            }
+
+            // The sweeper deactivates expired keys periodically; until then
+            // they are rejected here
+            if (apiKeyRecord.expires_at && fromSqlDate(apiKeyRecord.expires_at) <= new Date()) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'API key has expired'
+                });
+            }
+
+            const allowedIps = apiKeyRecord.allowed_ips ? JSON.parse(apiKeyRecord.allowed_ips) : null;
+            if (allowedIps && !isIPInRanges(req.ip, allowedIps)) {
+                logSecurityEvent('API_KEY_IP_REJECTED', {
+                    apiKeyId: apiKeyRecord.id,
+                    ip: req.ip,
+                    method: req.method,
+                    url: req.originalUrl
+                });
+
+                return res.status(403).json({
+                    success: false,
+                    error: 'API key is not allowed from this IP address'
+                });
+            }
+
+            apiKeyService.recordUsage(apiKeyRecord.id, req.ip);
+
+            // Add API key info to request for use in controllers
+            req.apiKey = {
+                id: apiKeyRecord.id,
+                name: apiKeyRecord.name,
+                role: apiKeyRecord.user_role,
+                created_at: apiKeyRecord.created_at
+            };
+            req.principal = {
+                userId: apiKeyRecord.user_id,
+                name: apiKeyRecord.name,
+                role: apiKeyRecord.user_role,
+                scopes: ApiKey.parseScopes(apiKeyRecord.scopes),
+                resources: apiKeyRecord.resource_ids ? JSON.parse(apiKeyRecord.resource_ids) : null,
+                rateLimit: apiKeyRecord.rate_limit || null,
+                authMethod: AUTH_METHODS.API_KEY,
+                apiKeyId: apiKeyRecord.id,
+                sessionId: null,
+                actor: `api_key:${apiKeyRecord.id}`,
+                passwordExpired: false
+            };
+        } else {
+            const session = await userService.validateSession(sessionToken, {
+                ipAddress: req.ip,
+                userAgent: req.headers['user-agent']
             });
-        }
 
-        // Add API key info to request for use in controllers
-        req.apiKey = {
-            id: apiKeyRecord.id,
-            name: apiKeyRecord.name,
-            role: apiKeyRecord.user_role,
-            created_at: apiKeyRecord.created_at
-        };
+            if (!session) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Invalid or expired session'
+                });
+            }
+
+            req.principal = {
+                userId: session.user_id,
+                name: session.user_name,
+                role: session.role,
+                scopes: ['*'],
+                resources: null,
+                rateLimit: null,
+                authMethod: AUTH_METHODS.SESSION,
+                apiKeyId: null,
+                sessionId: session.id,
+                actor: `user:${session.user_id}`,
+                passwordExpired: passwordPolicyService.isExpired(session.password_changed_at)
+            };
+        }
 
         next();
     } catch (error) {
@@ -67,10 +165,30 @@ export const authenticateApiKey = async (req, res, next) => {
     }
 };
 
+// Sessions of users whose password has expired can only change it or log out
+export const requireCurrentPassword = (req, res, next) => {
+    if (req.principal?.passwordExpired) {
+        return res.status(403).json({
+            success: false,
+            error: 'Password has expired; change it at PUT /api/v1/users/password',
+            password_expired: true
+        });
+    }
+    next();
+};
+
+// Routes were written for API keys only; they now accept session tokens too.
+// Failed authentications count against the client IP's limit, authenticated
+// requests against the caller's general rate limit.
+export const authenticateApiKey = [limitFailedAuthentication, authenticate, rateLimit(), requireCurrentPassword];
+
+// For the routes still open to sessions with an expired password
+export const authenticateWithExpiredPassword = [limitFailedAuthentication, authenticate, rateLimit()];
+
 // Role-based access control middleware
 export const requireRole = (allowedRoles) => {
     return (req, res, next) => {
-        if (!req.apiKey || !req.apiKey.role) {
+        if (!req.principal || !req.principal.role) {
             return res.status(403).json({
                 success: false,
                 error: 'Access denied'
@@ -78,8 +196,8 @@ export const requireRole = (allowedRoles) => {
         }
 
         const hasPermission = Array.isArray(allowedRoles)
-            ? allowedRoles.includes(req.apiKey.role)
-            : allowedRoles === req.apiKey.role;
+            ? allowedRoles.includes(req.principal.role)
+            : allowedRoles === req.principal.role;
 
         if (!hasPermission) {
             return res.status(403).json({
@@ -92,75 +210,99 @@ export const requireRole = (allowedRoles) => {
     };
 };
 
-// Rate limiting by API key
-const rateLimits = new Map();
-export const rateLimiter = (limit = 100, windowMs = 15 * 60 * 1000) => {
-    return (req, res, next) => {
-        if (!req.apiKey) {
-            return next();
-        }
+// Where a route finds the site a request is about, for restricted keys.
+// Databases and certificates are looked up to find their site; operations
+// are about the site or database in their data.
+const resolveTarget = async (req, resourceParams) => {
+    const value = (path) => {
+        const [source, name] = path.split('.');
+        const id = parseInt(req[source]?.[name]);
+        return Number.isNaN(id) ? null : id;
+    };
+
+    if (resourceParams.site) {
+        return { siteId: value(resourceParams.site), databaseId: null };
+    }
+    if (resourceParams.database) {
+        const databaseId = value(resourceParams.database);
+        const database = databaseId && await db.get('SELECT site_id FROM database WHERE id = ?', [databaseId]);
+        return { siteId: database ? database.site_id : null, databaseId };
+    }
+    if (resourceParams.certificate) {
+        const certificateId = value(resourceParams.certificate);
+        const certificate = certificateId && await db.get('SELECT site_id FROM certificate WHERE id = ?', [certificateId]);
+        return { siteId: certificate ? certificate.site_id : null, databaseId: null };
+    }
+    if (resourceParams.operation) {
+        const operationId = value(resourceParams.operation);
+        const operation = operationId && await db.get(`
+            SELECT json_extract(data, '$.site_id') AS site_id,
+                   json_extract(data, '$.database_id') AS database_id
+            FROM operations
+            WHERE id = ?
+        `, [operationId]);
+        const databaseId = parseInt(operation?.database_id) || null;
+        const database = databaseId && await db.get('SELECT site_id FROM database WHERE id = ?', [databaseId]);
+        return {
+            siteId: parseInt(operation?.site_id ?? database?.site_id) || null,
+            databaseId
+        };
+    }
+    return { siteId: null, databaseId: null };
+};
+
+/**
+ * API key scope validation. Granted scopes may use wildcards (`sites:*`,
+ * `*:read`) and `write` implies `read`; see ApiKey.SCOPES.
+ *
+ * Keys restricted to resources ({ sites: [42], databases: [7] }) may only
+ * use site-bound routes on those sites, their databases, or the listed
+ * databases. `resourceParams` tells where the route carries the ID, as
+ * `source.name`, e.g. { site: 'params.id' }, { database: 'body.database_id' },
+ * { certificate: 'params.id' } or { operation: 'params.operationId' }.
+ * Routes without one are closed to restricted keys.
+ * @param {string} requiredScope - Scope the route requires, e.g. `sites:write`
+ * @param {Object} [resourceParams] - Where to find the site, database or certificate ID
+ */
+export const requireScope = (requiredScope, resourceParams = {}) => {
+    const [requiredResource] = requiredScope.split(':');
 
-        const key = req.apiKey.id;
-        const now = Date.now();
-        
-        if (!rateLimits.has(key)) {
-            rateLimits.set(key, {
-                count: 1,
-                resetTime: now + windowMs
+    return async (req, res, next) => {
+        if (!req.principal) {
+            return res.status(403).json({
+                success: false,
+                error: 'Access denied'
             });
-            return next();
         }
 
-        const limitData = rateLimits.get(key);
-
-        if (now > limitData.resetTime) {
-            limitData.count = 1;
-            limitData.resetTime = now + windowMs;
-            return next();
+        const { scopes, resources } = req.principal;
+        if (scopes.length === 0) {
+            return res.status(403).json({
+                success: false,
+                error: 'Invalid API key scope'
+            });
         }
 
-        if (limitData.count >= limit) {
-            return res.status(429).json({
+        if (!scopes.some(scope => ApiKey.scopeGrants(scope, requiredScope))) {
+            return res.status(403).json({
                 success: false,
-                error: 'Rate limit exceeded',
-                resetTime: new Date(limitData.resetTime)
+                error: `Required scope: ${requiredScope}`
             });
         }
 
-        limitData.count++;
-        next();
-    };
-};
+        if (!resources || !ApiKey.SITE_BOUND_RESOURCES.includes(requiredResource)) {
+            return next();
+        }
 
-// API key scope validation
-export const requireScope = (requiredScope) => {
-    return async (req, res, next) => {
         try {
-            if (!req.apiKey) {
-                return res.status(403).json({
-                    success: false,
-                    error: 'Access denied'
-                });
-            }
-
-            const keyScopes = await db.get(`
-                SELECT scopes 
-                FROM api_token 
-                WHERE id = ?
-            `, [req.apiKey.id]);
+            const { siteId, databaseId } = await resolveTarget(req, resourceParams);
+            const allowed = (siteId && (resources.sites || []).includes(siteId))
+                || (databaseId && (resources.databases || []).includes(databaseId));
 
-            if (!keyScopes || !keyScopes.scopes) {
+            if (!allowed) {
                 return res.status(403).json({
                     success: false,
-                    error: 'Invalid API key scope'
-                });
-            }
-
-            const scopes = keyScopes.scopes.split(',');
-            if (!scopes.includes(requiredScope) && !scopes.includes('*')) {
-                return res.status(403).json({
-                    success: false,
-                    error: `Required scope: ${requiredScope}`
+                    error: 'API key is not permitted to access this resource'
                 });
             }
 
@@ -169,4 +311,4 @@ export const requireScope = (requiredScope) => {
             next(error);
         }
     };
-};
\ No newline at end of file
+};
@@ -1,5 +1,4 @@
 // src/middleware/errorHandler.js
-import { ValidationError } from 'express-validator';
 import { logActivity } from './logging.js';
 
 /**
@@ -0,0 +1,170 @@
+// src/middleware/idempotency.js
+import { db } from '../config/database.js';
+import config from '../config/config.js';
+import { generateHash, safeJsonParse } from '../utils/helpers.js';
+
+/**
+ * Idempotency-Key support for mutating requests
+ * The first request with a key is processed normally and its response is
+ * stored; repeats with the same key and body get the stored response back,
+ * repeats with a different body are rejected. Requests whose response
+ * hands out a credential ignore the key, so no credential is stored.
+ */
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Routes, relative to /api/v1, that return session tokens, API keys, MFA
+// secrets, recovery codes or webhook secrets; the optional third entry
+// tells whether a request to the route does
+const CREDENTIAL_ROUTES = [
+    ['POST', /^\/users\/login\/?$/],
+    ['POST', /^\/users\/mfa\/(enable|verify|recovery-codes|webauthn\/register)\/?$/],
+    ['POST', /^\/users\/api-keys\/?$/],
+    ['POST', /^\/users\/api-keys\/[^/]+\/rotate\/?$/],
+    ['POST', /^\/webhooks\/?$/],
+    ['PUT', /^\/webhooks\/[^/]+\/?$/, body => Boolean(body?.rotate_secret)]
+];
+
+const issuesCredential = req => CREDENTIAL_ROUTES.some(([method, pattern, applies]) =>
+    method === req.method && pattern.test(req.path) && (!applies || applies(req.body))
+);
+
+// Responses produced before the request reached its handler, and transient
+// ones such as locked resources, are not stored, so the client can retry
+// with the same key once the problem is fixed or has passed
+const UNSTORED_STATUSES = [401, 403, 423, 429];
+const UNSTORED_CODES = ['RESOURCE_LOCKED'];
+
+// Error code of a response, from handler ({ code }) or error handler ({ error: { code } }) bodies
+const errorCode = body => body?.code ?? body?.error?.code;
+
+// Body fields holding passwords, tokens, TOTP codes or private keys. The
+// stored fingerprint only records that they were sent, so it cannot be
+// used to check guesses of them.
+const SECRET_FIELD = /password|token|secret|totp|private_key|recovery_code/i;
+
+const isSecret = (key, value) => typeof value === 'string' && SECRET_FIELD.test(key);
+
+// JSON with sorted object keys, so equal bodies always hash the same, and
+// with secret values left out
+const canonicalize = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalize).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .map(key => `${JSON.stringify(key)}:${isSecret(key, value[key]) ? '"[secret]"' : canonicalize(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+};
+
+// Operation queued by the request, for responses that report one
+const extractOperationId = (body) => {
+    const operationId = Number(body?.operation_id ?? body?.operation?.id);
+    return Number.isInteger(operationId) ? operationId : null;
+};
+
+// Stores the response of a finished request, or frees the key when the
+// response should not be replayed
+const storeResponse = async (recordId, statusCode, body) => {
+    if (body === undefined || statusCode >= 500 || UNSTORED_STATUSES.includes(statusCode)
+        || UNSTORED_CODES.includes(errorCode(body))) {
+        await db.run('DELETE FROM idempotency_keys WHERE id = ?', [recordId]);
+        return;
+    }
+
+    await db.run(`
+        UPDATE idempotency_keys
+        SET status = 'completed', response_status = ?, response_body = ?,
+            operation_id = ?, completed_at = datetime('now')
+        WHERE id = ?
+    `, [statusCode, JSON.stringify(body), extractOperationId(body), recordId]);
+};
+
+export const idempotency = async (req, res, next) => {
+    const key = req.header('Idempotency-Key');
+    if (!key || !MUTATING_METHODS.includes(req.method) || issuesCredential(req)) {
+        return next();
+    }
+
+    if (key.length > 255 || !/^[\x21-\x7e]+$/.test(key)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Idempotency-Key must be 1-255 printable ASCII characters'
+        });
+    }
+
+    const { ttl, lockTimeout } = config.security.idempotency;
+    // Keys are scoped to the credential that sent them
+    const principal = generateHash(req.header('X-API-Key') || req.header('Authorization') || req.ip);
+    const path = `${req.baseUrl}${req.path}`;
+    // The query belongs to the request: `?dry_run=true` only plans a delete
+    const fingerprint = generateHash(canonicalize({
+        method: req.method,
+        path,
+        query: req.query,
+        body: req.body ?? null
+    }));
+
+    try {
+        await db.run(`
+            DELETE FROM idempotency_keys
+            WHERE expires_at <= datetime('now')
+            OR (status = 'processing' AND created_at <= datetime('now', ?))
+        `, [`-${Math.floor(lockTimeout / 1000)} seconds`]);
+
+        const inserted = await db.run(`
+            INSERT INTO idempotency_keys (
+                idempotency_key, principal, method, path, fingerprint,
+                status, created_at, expires_at
+            ) VALUES (?, ?, ?, ?, ?, 'processing', datetime('now'), datetime('now', ?))
+            ON CONFLICT (principal, idempotency_key) DO NOTHING
+        `, [key, principal, req.method, path, fingerprint, `+${Math.floor(ttl / 1000)} seconds`]);
+
+        if (inserted.changes === 0) {
+            const stored = await db.get(`
+                SELECT * FROM idempotency_keys
+                WHERE principal = ? AND idempotency_key = ?
+            `, [principal, key]);
+
+            if (stored && stored.fingerprint !== fingerprint) {
+                return res.status(422).json({
+                    success: false,
+                    error: 'Idempotency-Key was already used for a different request'
+                });
+            }
+
+            if (!stored || stored.status === 'processing') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'A request with this Idempotency-Key is still being processed'
+                });
+            }
+
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(stored.response_status).json(safeJsonParse(stored.response_body));
+        }
+
+        const recordId = inserted.lastID;
+        let responseBody;
+
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            responseBody = body;
+            return json(body);
+        };
+
+        res.on('close', () => {
+            // An aborted request may not have run to completion
+            const statusCode = res.writableFinished ? res.statusCode : 500;
+            storeResponse(recordId, statusCode, responseBody).catch(error => {
+                req.logger?.error('Failed to store idempotent response:', error);
+            });
+        });
+
+        return next();
+    } catch (error) {
+        return next(error);
+    }
+};
@@ -50,7 +50,7 @@ const logger = winston.createLogger({
 });
 
 // Parse user agent string
-const parseUserAgent = (userAgent) => {
+export const parseUserAgent = (userAgent) => {
     const parser = new UAParser(userAgent);
     const result = parser.getResult();
     return {
@@ -61,7 +61,7 @@ const parseUserAgent = (userAgent) => {
 };
 
 // Log to CloudPanel's event table
-const logToDatabase = async (eventData) => {
+export const logToDatabase = async (eventData) => {
     try {
         await db.run(`
             INSERT INTO event (
@@ -129,8 +129,8 @@ export const requestLogger = (req, res, next) => {
         // Log to CloudPanel's event table for significant events
         if (res.statusCode >= 400 || duration > 1000) {
             logToDatabase({
-                user_name: req.apiKey?.name,
-                user_role: req.apiKey?.role,
+                user_name: req.principal?.name,
+                user_role: req.principal?.role,
                 event_name: `API_${res.statusCode >= 400 ? 'ERROR' : 'SLOW_REQUEST'}`,
                 event_data: responseLogData,
                 source_ip_address: req.ip,
@@ -160,8 +160,9 @@ export const errorLogger = (err, req, res, next) => {
             body: req.body
         },
         user: {
-            api_key_id: req.apiKey?.id,
-            role: req.apiKey?.role
+            api_key_id: req.principal?.apiKeyId,
+            auth_method: req.principal?.authMethod,
+            role: req.principal?.role
         }
     };
 
@@ -170,8 +171,8 @@ export const errorLogger = (err, req, res, next) => {
 
     // Log to CloudPanel's event table
     logToDatabase({
-        user_name: req.apiKey?.name,
-        user_role: req.apiKey?.role,
+        user_name: req.principal?.name,
+        user_role: req.principal?.role,
         event_name: 'API_ERROR',
         event_data: {
             error_message: err.message,
@@ -188,8 +189,8 @@ export const errorLogger = (err, req, res, next) => {
 // Activity logging helper
 export const logActivity = async (req, eventName, eventData) => {
     const activityData = {
-        user_name: req.apiKey?.name,
-        user_role: req.apiKey?.role,
+        user_name: req.principal?.name,
+        user_role: req.principal?.role,
         event_name: eventName,
         event_data: eventData,
         source_ip_address: req.ip,
@@ -0,0 +1,122 @@
+// src/middleware/rateLimit.js
+import config from '../config/config.js';
+import rateLimitService from '../services/rateLimitService.js';
+import { createChildLogger } from '../utils/logger.js';
+
+const logger = createChildLogger({ component: 'rate-limit' });
+
+/**
+ * Rate limiting middleware for CloudPanel API
+ * Limits are set in config.security.rateLimits and counted by the rate
+ * limit service, so they are shared by all API processes
+ */
+
+// General limit of a caller: its API key's own limit, else its role's, else the default
+const callerPolicy = (principal) => {
+    const { windowMs, max, roles } = config.security.rateLimits;
+    return {
+        windowMs,
+        max: principal?.rateLimit || roles[principal?.role] || max,
+        key: 'principal'
+    };
+};
+
+// RateLimit headers (IETF draft) describe the limit closest to running
+// out when several apply to one request
+const setRateLimitHeaders = (res, result, windowMs) => {
+    const remaining = res.getHeader('RateLimit-Remaining');
+    if (remaining !== undefined && Number(remaining) < result.remaining) {
+        return;
+    }
+
+    res.setHeader('RateLimit-Policy', `${result.limit};w=${Math.ceil(windowMs / 1000)}`);
+    res.setHeader('RateLimit-Limit', result.limit);
+    res.setHeader('RateLimit-Remaining', result.remaining);
+    res.setHeader('RateLimit-Reset', result.reset);
+};
+
+/**
+ * Limit requests per caller, or per client IP for groups keyed by `ip` and
+ * for requests without a caller. Without a group this is the caller's
+ * general limit, applied by authenticateApiKey; route groups (auth,
+ * resources, backups, bulk) add their own limit on top.
+ * When the limit cannot be checked the request is let through.
+ * @param {string} [group] - Group from config.security.rateLimits.groups
+ */
+export const rateLimit = (group = null) => {
+    if (group && !config.security.rateLimits.groups[group]) {
+        throw new Error(`Unknown rate limit group: ${group}`);
+    }
+
+    return async (req, res, next) => {
+        const { enabled, groups } = config.security.rateLimits;
+        if (!enabled) {
+            return next();
+        }
+
+        const policy = group ? groups[group] : callerPolicy(req.principal);
+        const identity = policy.key === 'principal' && req.principal
+            ? req.principal.actor
+            : `ip:${req.ip}`;
+
+        try {
+            const result = await rateLimitService.hit(`${group || 'default'}:${identity}`, policy);
+            setRateLimitHeaders(res, result, policy.windowMs);
+
+            if (!result.allowed) {
+                res.setHeader('Retry-After', result.reset);
+                return res.status(429).json({
+                    success: false,
+                    error: 'Too many requests, please try again later.',
+                    retry_after: result.reset
+                });
+            }
+        } catch (error) {
+            logger.error('Rate limit check failed', { error, group });
+        }
+
+        return next();
+    };
+};
+
+/**
+ * Limit failed authentications per client IP (`credentials` group), so
+ * API keys and session tokens cannot be guessed. Only requests answered
+ * with 401 are counted; once the limit is reached every request from the
+ * IP is refused until the window has moved on, valid credentials or not.
+ * Runs before authentication. When the limit cannot be checked the
+ * request is let through.
+ */
+export const limitFailedAuthentication = async (req, res, next) => {
+    const { enabled, groups } = config.security.rateLimits;
+    if (!enabled) {
+        return next();
+    }
+
+    const policy = groups.credentials;
+    const bucket = `credentials:ip:${req.ip}`;
+
+    try {
+        const result = await rateLimitService.check(bucket, policy, 1);
+        if (!result.allowed) {
+            res.setHeader('Retry-After', result.reset);
+            return res.status(429).json({
+                success: false,
+                error: 'Too many failed authentication attempts, please try again later.',
+                retry_after: result.reset
+            });
+        }
+    } catch (error) {
+        logger.error('Rate limit check failed', { error, group: 'credentials' });
+    }
+
+    res.on('finish', () => {
+        if (res.statusCode === 401) {
+            rateLimitService.hit(bucket, policy).catch(error => {
+                logger.error('Failed to count failed authentication', { error });
+            });
+        }
+    });
+
+    return next();
+};
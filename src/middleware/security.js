@@ -1,6 +1,6 @@
 // src/middleware/security.js
+import express from 'express';
 import helmet from 'helmet';
-import rateLimit from 'express-rate-limit';
 import cors from 'cors';
 import { createHash } from 'crypto';
 
@@ -9,21 +9,6 @@ import { createHash } from 'crypto';
  * Implements various security measures and protections
  */
 
-// Basic rate limiting configuration
-const createRateLimiter = (options = {}) => {
-    return rateLimit({
-        windowMs: 15 * 60 * 1000, // 15 minutes
-        max: 100, // Limit each IP to 100 requests per windowMs
-        message: {
-            success: false,
-            error: 'Too many requests, please try again later.'
-        },
-        standardHeaders: true,
-        legacyHeaders: false,
-        ...options
-    });
-};
-
 // CORS configuration
 const corsOptions = {
     origin: (origin, callback) => {
@@ -40,7 +25,7 @@ const corsOptions = {
     },
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
-    exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining'],
+    exposedHeaders: ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'],
     credentials: true,
     maxAge: 86400 // 24 hours
 };
@@ -87,9 +72,6 @@ export const securityMiddleware = [
     // CORS handling
     cors(corsOptions),
 
-    // Rate limiting
-    createRateLimiter(),
-
     // Request size limits
     express.json({ limit: '10mb' }),
     express.urlencoded({ extended: true, limit: '10mb' }),
@@ -138,25 +120,6 @@ export const securityMiddleware = [
     }
 ];
 
-// Additional rate limiters for specific endpoints
-export const authRateLimiter = createRateLimiter({
-    windowMs: 60 * 60 * 1000, // 1 hour
-    max: 5, // 5 attempts per hour
-    message: {
-        success: false,
-        error: 'Too many authentication attempts, please try again later.'
-    }
-});
-
-export const createResourceLimiter = createRateLimiter({
-    windowMs: 60 * 60 * 1000, // 1 hour
-    max: 30, // 30 resource creations per hour
-    message: {
-        success: false,
-        error: 'Resource creation rate limit exceeded.'
-    }
-});
-
 // IP filtering middleware
 export const ipFilter = (req, res, next) => {
     const clientIP = req.ip || req.connection.remoteAddress;
@@ -221,8 +184,6 @@ export const sanitizeRequest = (req, res, next) => {
 // Export composite security middleware
 export default {
     securityMiddleware,
-    authRateLimiter,
-    createResourceLimiter,
     ipFilter,
     sanitizeRequest
 };
\ No newline at end of file
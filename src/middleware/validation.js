@@ -1,5 +1,6 @@
 // src/middleware/validation.js
 import { body, param, query, validationResult } from 'express-validator';
+import { validateCronExpression } from '../utils/validation.js';
 
 /**
  * Common validation middleware for CloudPanel API
@@ -38,6 +39,14 @@ export const validate = (validations) => {
     };
 };
 
+// Lets destructive requests return their plan instead of running
+export const dryRunValidation = [
+    query('dry_run')
+        .optional()
+        .isIn(['true', 'false'])
+        .withMessage('dry_run must be true or false')
+];
+
 // Site validation rules
 export const siteValidation = {
     create: [
@@ -153,11 +162,11 @@ export const userValidation = {
             .isEmail()
             .withMessage('Invalid email format'),
 
+        // The rest of the password policy is applied by the controller
         body('password')
-            .isLength({ min: 8 })
-            .withMessage('Password must be at least 8 characters')
-            .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-            .withMessage('Password must contain uppercase, lowercase, numbers, and special characters'),
+            .isString()
+            .notEmpty()
+            .withMessage('Password is required'),
 
         body('role')
             .isIn(['admin', 'user'])
@@ -261,4 +270,240 @@ export const backupValidation = {
             .matches(/^\d{8}_\d{6}$/)
             .withMessage('Invalid backup timestamp format')
     ]
-};
\ No newline at end of file
+};
+
+// Workflow validation rules
+export const workflowValidation = {
+    create: [
+        body('name')
+            .optional()
+            .isString()
+            .isLength({ max: 100 })
+            .withMessage('Name must be at most 100 characters'),
+
+        body('compensate')
+            .optional()
+            .isBoolean()
+            .withMessage('compensate must be a boolean'),
+
+        body('steps')
+            .isArray({ min: 1, max: 50 })
+            .withMessage('Steps must be an array of 1 to 50 steps'),
+
+        body('steps.*.key')
+            .matches(/^[A-Za-z0-9_-]{1,64}$/)
+            .withMessage('Step keys may only contain letters, numbers, dashes and underscores'),
+
+        body('steps.*.type')
+            .isString()
+            .notEmpty()
+            .withMessage('Step operation type is required'),
+
+        body('steps.*.data')
+            .optional()
+            .isObject()
+            .withMessage('Step data must be an object'),
+
+        body('steps.*.depends_on')
+            .optional()
+            .isArray()
+            .withMessage('depends_on must be an array of step keys')
+    ]
+};
+
+// Bulk job validation rules
+export const bulkValidation = {
+    create: [
+        body('selector')
+            .isObject()
+            .withMessage('Selector must be an object'),
+
+        body('selector.ids')
+            .optional()
+            .isArray({ min: 1 })
+            .withMessage('Selector ids must be a non-empty array'),
+
+        body('selector.ids.*')
+            .isInt({ min: 1 })
+            .withMessage('Invalid site ID'),
+
+        body('selector.type')
+            .optional()
+            .isIn(['php', 'python', 'node', 'static'])
+            .withMessage('Invalid site type'),
+
+        body('selector.php_version')
+            .optional()
+            .matches(/^\d+\.\d+$/)
+            .withMessage('Invalid PHP version'),
+
+        body('selector.domain')
+            .optional()
+            .matches(/^[a-zA-Z0-9.*?-]+$/)
+            .withMessage('Domain glob may only contain letters, numbers, dots, dashes, * and ?'),
+
+        body('params')
+            .optional()
+            .isObject()
+            .withMessage('Params must be an object'),
+
+        body('concurrency')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Concurrency must be a positive integer')
+    ]
+};
+
+// Schedule validation rules
+const scheduleRules = (optional) => {
+    const field = (name) => optional ? body(name).optional() : body(name);
+
+    return [
+        body('name')
+            .optional()
+            .isString()
+            .isLength({ max: 100 })
+            .withMessage('Name must be at most 100 characters'),
+
+        field('operation_type')
+            .isString()
+            .notEmpty()
+            .withMessage('Operation type is required'),
+
+        body('data')
+            .optional()
+            .isObject()
+            .withMessage('Operation data must be an object'),
+
+        body('cron_expression')
+            .optional()
+            .custom(validateCronExpression)
+            .withMessage('Invalid cron expression'),
+
+        body('run_at')
+            .optional()
+            .isISO8601()
+            .withMessage('run_at must be an ISO 8601 date'),
+
+        body('catch_up')
+            .optional()
+            .isIn(['once', 'all', 'none'])
+            .withMessage('catch_up must be once, all or none'),
+
+        body('enabled')
+            .optional()
+            .isBoolean()
+            .withMessage('enabled must be a boolean')
+    ];
+};
+
+export const scheduleValidation = {
+    create: scheduleRules(false),
+    update: [
+        param('scheduleId').isInt().withMessage('Invalid schedule ID'),
+        ...scheduleRules(true)
+    ]
+};
+
+// Webhook validation rules; event names are checked by the webhook service
+const webhookRules = (optional) => {
+    const field = (name) => optional ? body(name).optional() : body(name);
+
+    return [
+        field('url')
+            .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+            .withMessage('url must be an http or https URL'),
+
+        field('events')
+            .isArray({ min: 1 })
+            .withMessage('events must be a non-empty array'),
+
+        body('events.*')
+            .isString()
+            .withMessage('Event names must be strings'),
+
+        body('description')
+            .optional({ values: 'null' })
+            .isString()
+            .isLength({ max: 255 })
+            .withMessage('Description must be at most 255 characters'),
+
+        body('is_active')
+            .optional()
+            .isBoolean()
+            .withMessage('is_active must be a boolean')
+    ];
+};
+
+export const webhookValidation = {
+    create: webhookRules(false),
+    update: [
+        param('webhookId').isInt().withMessage('Invalid webhook ID'),
+        ...webhookRules(true),
+        body('rotate_secret')
+            .optional()
+            .isBoolean()
+            .withMessage('rotate_secret must be a boolean')
+    ]
+};
+
+// Session validation rules
+export const sessionValidation = {
+    revoke: [
+        param('sessionId').isInt().withMessage('Invalid session ID')
+    ],
+
+    updatePolicy: [
+        body('max_concurrent_sessions')
+            .optional({ values: 'null' })
+            .isInt({ min: 1 })
+            .withMessage('max_concurrent_sessions must be a positive integer or null'),
+
+        body('on_limit')
+            .optional()
+            .isIn(['revoke_oldest', 'reject'])
+            .withMessage('on_limit must be revoke_oldest or reject')
+    ]
+};
+
+// Security key names are shown when listing keys
+const credentialName = body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('name must be between 1 and 100 characters');
+
+export const mfaValidation = {
+    // A TOTP or recovery code in `totp`, or a security key response in `webauthn`
+    secondFactor: [
+        body('totp')
+            .if(body('webauthn').not().exists())
+            .isString()
+            .withMessage('TOTP code or security key response required'),
+
+        body('webauthn')
+            .optional()
+            .isObject()
+            .withMessage('Invalid security key response')
+    ],
+
+    registerWebAuthn: [
+        credentialName,
+
+        body('credential')
+            .isObject()
+            .withMessage('credential must be the navigator.credentials.create() response'),
+
+        body('credential.response.clientDataJSON')
+            .isString()
+            .withMessage('credential.response.clientDataJSON required'),
+
+        body('credential.response.attestationObject')
+            .isString()
+            .withMessage('credential.response.attestationObject required')
+    ],
+
+    renameWebAuthn: [
+        param('credentialId').isInt().withMessage('Invalid security key ID'),
+        credentialName
+    ]
+};
@@ -1,20 +1,112 @@
 // src/models/ApiKey.js
 import { db } from '../config/database.js';
-import { DatabaseError, NotFoundError } from '../middleware/errorHandler.js';
+import { APIError, DatabaseError, NotFoundError } from '../middleware/errorHandler.js';
+import { fromSqlDate, toSqlDate } from '../utils/helpers.js';
 import crypto from 'crypto';
 
 export class ApiKey {
-    // Define standard scopes for API access control
-    static SCOPES = {
-        ALL: '*',
-        READ: 'read',
-        WRITE: 'write',
-        SITES: 'sites',
-        DATABASES: 'databases',
-        CERTIFICATES: 'certificates',
-        USERS: 'users',
-        MONITORING: 'monitoring'
-    };
+    /**
+     * Registry of scopes, as resource => actions. A scope is written
+     * `resource:action`; `*` may stand for the resource, the action or both
+     * (`sites:*`, `*:read`, `*`). Keys can only be given scopes that match
+     * this registry, so typos are rejected when a key is created.
+     */
+    static SCOPES = Object.freeze({
+        sites: ['read', 'write'],
+        databases: ['read', 'write'],
+        certificates: ['read', 'write'],
+        backups: ['read', 'write'],
+        operations: ['read', 'write'],
+        webhooks: ['read', 'write'],
+        users: ['read', 'write'],
+        profile: ['read', 'write']
+    });
+
+    // Actions that include others: a key that may write may also read
+    static IMPLIED_ACTIONS = Object.freeze({
+        write: ['read']
+    });
+
+    // Resource types a key can be restricted to, e.g. { sites: [42] }
+    static RESOURCE_TYPES = Object.freeze(['sites', 'databases']);
+
+    // Scopes whose routes belong to a site; restricted keys may only use them
+    // on the sites and databases they are restricted to. Operations count
+    // too, as workflows and schedules can queue them for any site.
+    static SITE_BOUND_RESOURCES = Object.freeze(['sites', 'databases', 'certificates', 'backups', 'operations']);
+
+    /**
+     * Parse the comma-separated scopes column
+     * @param {string} scopes - Stored scopes
+     * @returns {Array<string>} Scopes
+     */
+    static parseScopes(scopes) {
+        return scopes ? scopes.split(',').map(scope => scope.trim()).filter(Boolean) : [];
+    }
+
+    /**
+     * Find the scopes that do not match the registry
+     * @param {Array<string>} scopes - Requested scopes
+     * @returns {Array<string>} Unknown scopes; empty when all are valid
+     */
+    static validateScopes(scopes) {
+        const allActions = new Set(Object.values(this.SCOPES).flat());
+
+        return scopes.filter(scope => {
+            if (scope === '*') {
+                return false;
+            }
+
+            const [resource, action, ...rest] = String(scope).split(':');
+            if (rest.length > 0 || !resource || !action) {
+                return true;
+            }
+            if (resource === '*') {
+                return action !== '*' && !allActions.has(action);
+            }
+            return !this.SCOPES[resource] || (action !== '*' && !this.SCOPES[resource].includes(action));
+        });
+    }
+
+    /**
+     * Check a resource restriction such as { sites: [42], databases: [7] }
+     * @param {Object} resources - Requested restriction
+     * @returns {Array<string>} Problems found; empty when the restriction is valid
+     */
+    static validateResources(resources) {
+        return Object.entries(resources).flatMap(([type, ids]) => {
+            if (!this.RESOURCE_TYPES.includes(type)) {
+                return [`Unknown resource type: ${type}`];
+            }
+            if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => Number.isInteger(id) && id > 0)) {
+                return [`${type} must be a non-empty array of IDs`];
+            }
+            return [];
+        });
+    }
+
+    /**
+     * Check whether a granted scope covers a required one, honouring
+     * wildcards and implied actions
+     * @param {string} granted - Scope of the key, e.g. `sites:*`
+     * @param {string} required - Scope checked by the route, e.g. `sites:read`
+     * @returns {boolean} Whether the required scope is granted
+     */
+    static scopeGrants(granted, required) {
+        if (granted === '*') {
+            return true;
+        }
+
+        const [grantedResource, grantedAction] = granted.split(':');
+        const [requiredResource, requiredAction] = required.split(':');
+
+        if (grantedResource !== '*' && grantedResource !== requiredResource) {
+            return false;
+        }
+        return grantedAction === '*'
+            || grantedAction === requiredAction
+            || (this.IMPLIED_ACTIONS[grantedAction] || []).includes(requiredAction);
+    }
 
     /**
      * Generate a new API key with secure random bytes
@@ -44,6 +136,10 @@ export class ApiKey {
      * Create a new API key for a user
      * Handles both key generation and secure storage
      * @param {Object} keyData - API key creation data
+     * @param {string|Date} [keyData.expires_at] - When the key stops working; never when omitted
+     * @param {Object} [keyData.resources] - Resource IDs the key is restricted to, e.g. { sites: [42] }
+     * @param {Array<string>} [keyData.allowed_ips] - Addresses and CIDR ranges the key works from
+     * @param {number} [keyData.rate_limit] - Requests per rate limit window, instead of the role's limit
      * @returns {Object} Created API key data and the raw key
      */
     static async create(keyData) {
@@ -51,13 +147,20 @@ export class ApiKey {
             // Generate new API key
             const rawKey = this.generateKey();
             const hashedKey = this.hashKey(rawKey);
+            const expiresAt = keyData.expires_at ? toSqlDate(keyData.expires_at) : null;
+            const resources = keyData.resources && Object.keys(keyData.resources).length > 0
+                ? keyData.resources
+                : null;
+            const allowedIps = keyData.allowed_ips && keyData.allowed_ips.length > 0
+                ? keyData.allowed_ips
+                : null;
 
             // Store the hashed key
             const result = await db.run(`
                 INSERT INTO api_token (
                     user_id, name, token, is_active,
-                    scopes, created_at, updated_at
-                ) VALUES (?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+                    scopes, resource_ids, allowed_ips, rate_limit, expires_at, created_at, updated_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
             `, [
                 keyData.user_id,
                 keyData.name,
@@ -65,7 +168,11 @@ export class ApiKey {
                 1, // Active by default
                 Array.isArray(keyData.scopes) 
                     ? keyData.scopes.join(',') 
-                    : keyData.scopes || '*'
+                    : keyData.scopes || '*',
+                resources ? JSON.stringify(resources) : null,
+                allowedIps ? JSON.stringify(allowedIps) : null,
+                keyData.rate_limit || null,
+                expiresAt
             ]);
 
             // Return both the raw key (to be shown once) and the record data
@@ -74,6 +181,10 @@ export class ApiKey {
                 name: keyData.name,
                 rawKey, // This should be shown to the user only once
                 scopes: keyData.scopes,
+                resources,
+                allowed_ips: allowedIps,
+                rate_limit: keyData.rate_limit || null,
+                expires_at: expiresAt,
                 created_at: new Date().toISOString()
             };
         } catch (error) {
@@ -92,7 +203,8 @@ export class ApiKey {
             const apiKey = await db.get(`
                 SELECT 
                     ak.id, ak.user_id, ak.name, ak.is_active,
-                    ak.scopes, ak.created_at, ak.updated_at,
+                    ak.scopes, ak.resource_ids, ak.allowed_ips, ak.rate_limit, ak.expires_at, ak.last_used_at, ak.last_used_ip,
+                    ak.replaced_by, ak.created_at, ak.updated_at,
                     u.role as user_role
                 FROM api_token ak
                 JOIN user u ON ak.user_id = u.id
@@ -112,7 +224,7 @@ export class ApiKey {
 
     /**
      * Verify an API key and return its associated data
-     * Used in the authentication process
+     * Used in the authentication process; expired keys are not accepted
      * @param {string} rawKey - Raw API key to verify
      * @returns {Promise<Object>} API key data if valid
      */
@@ -123,11 +235,12 @@ export class ApiKey {
             const apiKey = await db.get(`
                 SELECT 
                     ak.id, ak.user_id, ak.name, ak.is_active,
-                    ak.scopes, ak.created_at,
+                    ak.scopes, ak.resource_ids, ak.allowed_ips, ak.rate_limit, ak.expires_at, ak.created_at,
                     u.role as user_role
                 FROM api_token ak
                 JOIN user u ON ak.user_id = u.id
                 WHERE ak.token = ? AND ak.is_active = 1
+                AND (ak.expires_at IS NULL OR ak.expires_at > datetime('now'))
             `, [hashedKey]);
 
             return apiKey || null;
@@ -145,7 +258,8 @@ export class ApiKey {
         try {
             return await db.all(`
                 SELECT 
-                    id, name, is_active, scopes,
+                    id, name, is_active, scopes, resource_ids, allowed_ips, rate_limit, expires_at,
+                    last_used_at, last_used_ip, replaced_by,
                     created_at, updated_at
                 FROM api_token
                 WHERE user_id = ?
@@ -156,6 +270,61 @@ export class ApiKey {
         }
     }
 
+    /**
+     * Replace an API key with a new one carrying the same name, scopes and restrictions
+     * The old key keeps working until the grace period ends, so clients can
+     * switch over; with no grace period it is deactivated right away
+     * @param {number} id - API key ID
+     * @param {Object} options - Rotation options
+     * @param {number} options.gracePeriod - How long the old key keeps working (ms)
+     * @param {string|Date|null} [options.expires_at] - Expiry of the new key; by
+     *   default it gets the same lifetime as the old key had
+     * @returns {Promise<Object>} The new key, as returned by create()
+     */
+    static async rotate(id, { gracePeriod, expires_at: expiresAt }) {
+        const oldKey = await this.findById(id);
+
+        if (!oldKey.is_active || oldKey.replaced_by
+            || (oldKey.expires_at && fromSqlDate(oldKey.expires_at) <= new Date())) {
+            throw new APIError('Only active keys that have not been rotated can be rotated', 409, 'API_KEY_NOT_ROTATABLE');
+        }
+
+        if (expiresAt === undefined && oldKey.expires_at) {
+            const lifetime = fromSqlDate(oldKey.expires_at) - fromSqlDate(oldKey.created_at);
+            expiresAt = new Date(Date.now() + lifetime);
+        }
+
+        const newKey = await this.create({
+            user_id: oldKey.user_id,
+            name: oldKey.name,
+            scopes: oldKey.scopes,
+            resources: oldKey.resource_ids ? JSON.parse(oldKey.resource_ids) : null,
+            allowed_ips: oldKey.allowed_ips ? JSON.parse(oldKey.allowed_ips) : null,
+            rate_limit: oldKey.rate_limit,
+            expires_at: expiresAt
+        });
+
+        try {
+            const graceEnd = new Date(Date.now() + gracePeriod);
+            const oldExpiry = oldKey.expires_at ? fromSqlDate(oldKey.expires_at) : null;
+
+            await db.run(`
+                UPDATE api_token
+                SET replaced_by = ?, expires_at = ?, is_active = ?, updated_at = datetime('now')
+                WHERE id = ?
+            `, [
+                newKey.id,
+                toSqlDate(oldExpiry && oldExpiry < graceEnd ? oldExpiry : graceEnd),
+                gracePeriod > 0 ? 1 : 0,
+                id
+            ]);
+        } catch (error) {
+            throw new DatabaseError('Error rotating API key');
+        }
+
+        return { ...newKey, scopes: this.parseScopes(newKey.scopes) };
+    }
+
     /**
      * Deactivate an API key
      * Soft deletion approach for audit purposes
@@ -204,9 +373,34 @@ export class ApiKey {
         }
     }
 
+    /**
+     * Replace the addresses an API key may be used from
+     * @param {number} id - API key ID
+     * @param {Array<string>|null} allowedIps - Addresses and CIDR ranges; null or empty for any
+     * @returns {Promise<void>}
+     */
+    static async updateAllowedIps(id, allowedIps) {
+        try {
+            const result = await db.run(`
+                UPDATE api_token
+                SET allowed_ips = ?, updated_at = datetime('now')
+                WHERE id = ?
+            `, [allowedIps && allowedIps.length > 0 ? JSON.stringify(allowedIps) : null, id]);
+
+            if (result.changes === 0) {
+                throw new NotFoundError('API key');
+            }
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new DatabaseError('Error updating API key allowed IPs');
+        }
+    }
+
     /**
      * Check if an API key has a specific scope
-     * Handles both direct scope matches and wildcard permissions
+     * Handles direct matches, wildcards and implied actions
      * @param {number} id - API key ID
      * @param {string} requiredScope - Scope to check for
      * @returns {Promise<boolean>} Whether the key has the required scope
@@ -219,8 +413,8 @@ export class ApiKey {
                 return false;
             }
 
-            const scopes = apiKey.scopes.split(',');
-            return scopes.includes('*') || scopes.includes(requiredScope);
+            return this.parseScopes(apiKey.scopes)
+                .some(scope => this.scopeGrants(scope, requiredScope));
         } catch (error) {
             return false;
         }
@@ -1,9 +1,13 @@
 // src/routes/v1/backup.js
 import { Router } from 'express';
+import { body, param } from 'express-validator';
 import { backupController } from '../../controllers/backupController.js';
 import { authenticateApiKey, requireRole, requireScope } from '../../middleware/auth.js';
 import { validate } from '../../middleware/validation.js';
-import { backupValidation } from '../../middleware/validation.js';
+import { backupValidation, dryRunValidation } from '../../middleware/validation.js';
+import { rateLimit } from '../../middleware/rateLimit.js';
+import { validateCronExpression } from '../../utils/validation.js';
+import { SYSTEM_BACKUP_COMPONENTS } from '../../services/backupService.js';
 
 const router = Router();
 
@@ -17,7 +21,8 @@ const router = Router();
 router.post('/sites/:site_id',
     authenticateApiKey,
     requireRole('admin'),
-    requireScope('backups:write'),
+    requireScope('backups:write', { site: 'params.site_id' }),
+    rateLimit('backups'),
     validate(backupValidation.create),
     backupController.createSiteBackup
 );
@@ -25,14 +30,15 @@ router.post('/sites/:site_id',
 router.post('/sites/:site_id/restore/:backup_timestamp',
     authenticateApiKey,
     requireRole('admin'),
-    requireScope('backups:write'),
+    requireScope('backups:write', { site: 'params.site_id' }),
+    rateLimit('backups'),
     validate(backupValidation.restore),
     backupController.restoreSiteBackup
 );
 
 router.get('/sites/:site_id',
     authenticateApiKey,
-    requireScope('backups:read'),
+    requireScope('backups:read', { site: 'params.site_id' }),
     validate([
         param('site_id').isInt().withMessage('Invalid site ID')
     ]),
@@ -48,7 +54,8 @@ router.get('/sites/:site_id',
 router.post('/databases/:database_id',
     authenticateApiKey,
     requireRole('admin'),
-    requireScope('backups:write'),
+    requireScope('backups:write', { database: 'params.database_id' }),
+    rateLimit('backups'),
     validate([
         param('database_id').isInt().withMessage('Invalid database ID')
     ]),
@@ -58,7 +65,8 @@ router.post('/databases/:database_id',
 router.post('/databases/:database_id/restore',
     authenticateApiKey,
     requireRole('admin'),
-    requireScope('backups:write'),
+    requireScope('backups:write', { database: 'params.database_id' }),
+    rateLimit('backups'),
     validate([
         param('database_id').isInt().withMessage('Invalid database ID'),
         body('backup_file').notEmpty().withMessage('Backup file required')
@@ -77,6 +85,7 @@ router.post('/system',
     authenticateApiKey,
     requireRole('admin'),
     requireScope('backups:write'),
+    rateLimit('backups'),
     validate([
         body('include_sites').optional().isBoolean(),
         body('include_databases').optional().isBoolean(),
@@ -89,9 +98,12 @@ router.post('/system/restore',
     authenticateApiKey,
     requireRole('admin'),
     requireScope('backups:write'),
+    rateLimit('backups'),
     validate([
         body('backup_file').notEmpty().withMessage('Backup file required'),
-        body('components').isArray().withMessage('Components selection required')
+        body('components').isArray({ min: 1 }).withMessage('Components selection required'),
+        body('components.*').isIn(SYSTEM_BACKUP_COMPONENTS).withMessage('Invalid backup component'),
+        ...dryRunValidation
     ]),
     backupController.restoreSystemBackup
 );
@@ -112,9 +124,11 @@ router.delete('/cleanup',
     authenticateApiKey,
     requireRole('admin'),
     requireScope('backups:write'),
+    rateLimit('backups'),
     validate([
-        body('older_than_days').isInt().withMessage('Days threshold required'),
-        body('backup_type').isIn(['site', 'database', 'system']).withMessage('Invalid backup type')
+        body('older_than_days').isInt({ min: 1 }).withMessage('Days threshold required'),
+        body('backup_type').isIn(['site', 'database', 'system']).withMessage('Invalid backup type'),
+        ...dryRunValidation
     ]),
     backupController.cleanupOldBackups
 );
@@ -123,6 +137,7 @@ router.post('/verify/:backup_id',
     authenticateApiKey,
     requireRole('admin'),
     requireScope('backups:write'),
+    rateLimit('backups'),
     validate([
         param('backup_id').isString().withMessage('Invalid backup ID')
     ]),
@@ -145,9 +160,15 @@ router.post('/schedule',
     authenticateApiKey,
     requireRole('admin'),
     requireScope('backups:write'),
+    rateLimit('backups'),
     validate([
         body('type').isIn(['site', 'database', 'system']).withMessage('Invalid backup type'),
-        body('schedule').matches(/^(\*|([0-9]|1[0-9]|2[0-9]|3[0-9]|4[0-9]|5[0-9])|\*\/([0-9]|1[0-9]|2[0-9]|3[0-9]|4[0-9]|5[0-9])) (\*|([0-9]|1[0-9]|2[0-3])|\*\/([0-9]|1[0-9]|2[0-3])) (\*|([1-9]|1[0-9]|2[0-9]|3[0-1])|\*\/([1-9]|1[0-9]|2[0-9]|3[0-1])) (\*|([1-9]|1[0-2])|\*\/([1-9]|1[0-2])) (\*|([0-6])|\*\/([0-6]))$/).withMessage('Invalid cron schedule format'),
+        body('site_id')
+            .if(body('type').equals('site'))
+            .isInt({ min: 1 })
+            .withMessage('site_id is required for site backups')
+            .toInt(),
+        body('schedule').custom(validateCronExpression).withMessage('Invalid cron schedule format'),
         body('retention_days').isInt({ min: 1 }).withMessage('Invalid retention period')
     ]),
     backupController.scheduleBackup
@@ -164,6 +185,7 @@ router.delete('/schedule/:schedule_id',
     authenticateApiKey,
     requireRole('admin'),
     requireScope('backups:write'),
+    rateLimit('backups'),
     validate([
         param('schedule_id').isInt().withMessage('Invalid schedule ID')
     ]),
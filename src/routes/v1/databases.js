@@ -1,10 +1,11 @@
 // src/routes/v1/databases.js
 import { Router } from 'express';
+import { body, param } from 'express-validator';
 import { databaseController } from '../../controllers/databaseController.js';
 import { authenticateApiKey, requireRole, requireScope } from '../../middleware/auth.js';
 import { validate } from '../../middleware/validation.js';
-import { databaseValidation } from '../../middleware/validation.js';
-import { createResourceLimiter } from '../../middleware/security.js';
+import { databaseValidation, dryRunValidation } from '../../middleware/validation.js';
+import { rateLimit } from '../../middleware/rateLimit.js';
 
 const router = Router();
 
@@ -27,8 +28,8 @@ router.get('/',
 router.post('/',
     authenticateApiKey,
     requireRole('admin'),
-    requireScope('databases:write'),
-    createResourceLimiter,
+    requireScope('databases:write', { site: 'body.site_id' }),
+    rateLimit('resources'),
     validate(databaseValidation.create),
     databaseController.createDatabase
 );
@@ -40,7 +41,7 @@ router.post('/',
  */
 router.get('/:id/users',
     authenticateApiKey,
-    requireScope('databases:read'),
+    requireScope('databases:read', { database: 'params.id' }),
     validate([
         param('id').isInt().withMessage('Invalid database ID')
     ]),
@@ -55,7 +56,7 @@ router.get('/:id/users',
 router.post('/:id/users',
     authenticateApiKey,
     requireRole('admin'),
-    requireScope('databases:write'),
+    requireScope('databases:write', { database: 'params.id' }),
     validate([
         param('id').isInt().withMessage('Invalid database ID'),
         ...databaseValidation.addUser
@@ -81,15 +82,16 @@ router.put('/users/:id/permissions',
 
 /**
  * @route DELETE /api/v1/databases/:id
- * @desc Delete a database
+ * @desc Delete a database, or plan it with ?dry_run=true
  * @access Private - Admin only
  */
 router.delete('/:id',
     authenticateApiKey,
     requireRole('admin'),
-    requireScope('databases:write'),
+    requireScope('databases:write', { database: 'params.id' }),
     validate([
-        param('id').isInt().withMessage('Invalid database ID')
+        param('id').isInt().withMessage('Invalid database ID'),
+        ...dryRunValidation
     ]),
     databaseController.deleteDatabase
 );
@@ -102,7 +104,7 @@ router.delete('/:id',
 router.post('/:id/backup',
     authenticateApiKey,
     requireRole('admin'),
-    requireScope('databases:write'),
+    requireScope('databases:write', { database: 'params.id' }),
     validate([
         param('id').isInt().withMessage('Invalid database ID')
     ]),
@@ -117,7 +119,7 @@ router.post('/:id/backup',
 router.post('/:id/restore',
     authenticateApiKey,
     requireRole('admin'),
-    requireScope('databases:write'),
+    requireScope('databases:write', { database: 'params.id' }),
     validate([
         param('id').isInt().withMessage('Invalid database ID'),
         body('backup_file').notEmpty().withMessage('Backup file required')
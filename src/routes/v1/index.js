@@ -1,5 +1,6 @@
 // src/routes/v1/index.js
 import { Router } from 'express';
+import { idempotency } from '../../middleware/idempotency.js';
 import siteRoutes from './sites.js';
 import databaseRoutes from './databases.js';
 import userRoutes from './users.js';
@@ -7,6 +8,9 @@ import certificateRoutes from './certificates.js';
 import monitoringRoutes from './monitoring.js';
 import backupRoutes from './backup.js';
 import operationsRoutes from './operations.js';
+import workflowRoutes from './workflows.js';
+import scheduleRoutes from './schedules.js';
+import webhookRoutes from './webhooks.js';
 
 const router = Router();
 
@@ -19,6 +23,9 @@ router.get('/', (req, res) => {
     });
 });
 
+// Replay responses of retried POST/PUT/DELETE requests
+router.use(idempotency);
+
 // Mount route modules
 router.use('/sites', siteRoutes);
 router.use('/databases', databaseRoutes);
@@ -27,5 +34,8 @@ router.use('/certificates', certificateRoutes);
 router.use('/monitoring', monitoringRoutes);
 router.use('/backup', backupRoutes);
 router.use('/operations', operationsRoutes);
+router.use('/workflows', workflowRoutes);
+router.use('/schedules', scheduleRoutes);
+router.use('/webhooks', webhookRoutes);
 
 export default router;
\ No newline at end of file
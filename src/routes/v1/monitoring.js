@@ -4,7 +4,7 @@ import { certificateController } from '../../controllers/certificateController.j
 import { authenticateApiKey, requireRole, requireScope } from '../../middleware/auth.js';
 import { validate } from '../../middleware/validation.js';
 import { certificateValidation } from '../../middleware/validation.js';
-import { createResourceLimiter } from '../../middleware/security.js';
+import { rateLimit } from '../../middleware/rateLimit.js';
 
 const router = Router();
 
@@ -15,7 +15,7 @@ const router = Router();
  */
 router.get('/site/:siteId',
     authenticateApiKey,
-    requireScope('certificates:read'),
+    requireScope('certificates:read', { site: 'params.siteId' }),
     validate([
         param('siteId').isInt().withMessage('Invalid site ID')
     ]),
@@ -30,8 +30,8 @@ router.get('/site/:siteId',
 router.post('/custom',
     authenticateApiKey,
     requireRole('admin'),
-    requireScope('certificates:write'),
-    createResourceLimiter,
+    requireScope('certificates:write', { site: 'body.site_id' }),
+    rateLimit('resources'),
     validate(certificateValidation.upload),
     certificateController.uploadCustomCertificate
 );
@@ -44,8 +44,8 @@ router.post('/custom',
 router.post('/letsencrypt',
     authenticateApiKey,
     requireRole('admin'),
-    requireScope('certificates:write'),
-    createResourceLimiter,
+    requireScope('certificates:write', { site: 'body.site_id' }),
+    rateLimit('resources'),
     validate([
         body('site_id').isInt().withMessage('Invalid site ID')
     ]),
@@ -59,7 +59,7 @@ router.post('/letsencrypt',
  */
 router.get('/:id/status',
     authenticateApiKey,
-    requireScope('certificates:read'),
+    requireScope('certificates:read', { certificate: 'params.id' }),
     validate([
         param('id').isInt().withMessage('Invalid certificate ID')
     ]),
@@ -74,7 +74,7 @@ router.get('/:id/status',
 router.delete('/:id',
     authenticateApiKey,
     requireRole('admin'),
-    requireScope('certificates:write'),
+    requireScope('certificates:write', { certificate: 'params.id' }),
     validate([
         param('id').isInt().withMessage('Invalid certificate ID')
     ]),
@@ -89,7 +89,7 @@ router.delete('/:id',
 router.post('/:id/renew',
     authenticateApiKey,
     requireRole('admin'),
-    requireScope('certificates:write'),
+    requireScope('certificates:write', { certificate: 'params.id' }),
     validate([
         param('id').isInt().withMessage('Invalid certificate ID')
     ]),
@@ -104,7 +104,7 @@ router.post('/:id/renew',
 router.put('/:id/make-default',
     authenticateApiKey,
     requireRole('admin'),
-    requireScope('certificates:write'),
+    requireScope('certificates:write', { certificate: 'params.id' }),
     validate([
         param('id').isInt().withMessage('Invalid certificate ID')
     ]),
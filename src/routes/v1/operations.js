@@ -1,12 +1,143 @@
 // src/routes/v1/operations.js
 
 import { Router } from 'express';
-import { authenticateApiKey, requireScope } from '../../middleware/auth.js';
+import { body, param, query } from 'express-validator';
+import { authenticateApiKey, requireRole, requireScope } from '../../middleware/auth.js';
 import { validate } from '../../middleware/validation.js';
-import { getOperationStatus, listOperations } from '../../middleware/ControllerAdapter.js';
+import { getOperationStatus } from '../../middleware/ControllerAdapter.js';
+import { operationController } from '../../controllers/operationController.js';
+import { OPERATION_STATUSES } from '../../services/OrchestratorService.js';
 
 const router = Router();
 
+const OPERATION_STATUS_VALUES = Object.values(OPERATION_STATUSES);
+
+/**
+ * @route GET /api/v1/operations/dead-letter
+ * @desc List operations that ran out of retry attempts
+ * @access Private
+ */
+router.get('/dead-letter',
+    authenticateApiKey,
+    requireScope('operations:read'),
+    validate([
+        query('type').optional().isString().withMessage('Invalid operation type'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100')
+    ]),
+    operationController.listDeadLetters
+);
+
+/**
+ * @route GET /api/v1/operations/dead-letter/:operationId
+ * @desc Inspect a dead-lettered operation and its failed attempts
+ * @access Private
+ */
+router.get('/dead-letter/:operationId',
+    authenticateApiKey,
+    requireScope('operations:read'),
+    validate([
+        param('operationId').isInt().withMessage('Invalid operation ID')
+    ]),
+    operationController.getDeadLetter
+);
+
+/**
+ * @route POST /api/v1/operations/dead-letter/:operationId/requeue
+ * @desc Put a dead-lettered operation back in the queue
+ * @access Private
+ */
+router.post('/dead-letter/:operationId/requeue',
+    authenticateApiKey,
+    requireScope('operations:write'),
+    validate([
+        param('operationId').isInt().withMessage('Invalid operation ID')
+    ]),
+    operationController.requeueDeadLetter
+);
+
+/**
+ * @route GET /api/v1/operations/types
+ * @desc List operation types with their handler and input schema
+ * @access Private
+ */
+router.get('/types',
+    authenticateApiKey,
+    requireScope('operations:read'),
+    operationController.listOperationTypes
+);
+
+/**
+ * @route GET /api/v1/operations/locks
+ * @desc List the locked resources and the operations or requests holding them
+ * @access Private
+ */
+router.get('/locks',
+    authenticateApiKey,
+    requireScope('operations:read'),
+    operationController.listLocks
+);
+
+/**
+ * @route GET /api/v1/operations/archives
+ * @desc List the archive files written by the retention job
+ * @access Admin
+ */
+router.get('/archives',
+    authenticateApiKey,
+    requireRole('admin'),
+    requireScope('operations:read'),
+    operationController.listArchives
+);
+
+/**
+ * @route POST /api/v1/operations/archive
+ * @desc Archive finished operations older than the retention period now
+ * @access Admin
+ */
+router.post('/archive',
+    authenticateApiKey,
+    requireRole('admin'),
+    requireScope('operations:write'),
+    validate([
+        body('older_than_days')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('older_than_days must be a positive integer')
+    ]),
+    operationController.archiveOperations
+);
+
+/**
+ * @route GET /api/v1/operations/:operationId/events
+ * @desc Stream status, progress and handler output (Server-Sent Events)
+ * @access Private
+ */
+router.get('/:operationId/events',
+    authenticateApiKey,
+    requireScope('operations:read', { operation: 'params.operationId' }),
+    validate([
+        param('operationId').isInt().withMessage('Invalid operation ID')
+    ]),
+    operationController.streamOperationEvents
+);
+
+/**
+ * @route POST /api/v1/operations/:operationId/cancel
+ * @desc Cancel a pending or running operation
+ * @access Private
+ */
+router.post('/:operationId/cancel',
+    authenticateApiKey,
+    requireScope('operations:write', { operation: 'params.operationId' }),
+    validate([
+        param('operationId').isInt().withMessage('Invalid operation ID')
+    ]),
+    operationController.cancelOperation
+);
+
 /**
  * @route GET /api/v1/operations/:operationId
  * @desc Get status of a specific operation
@@ -14,7 +145,7 @@ const router = Router();
  */
 router.get('/:operationId',
     authenticateApiKey,
-    requireScope('operations:read'),
+    requireScope('operations:read', { operation: 'params.operationId' }),
     validate([
         param('operationId').isInt().withMessage('Invalid operation ID')
     ]),
@@ -23,23 +154,38 @@ router.get('/:operationId',
 
 /**
  * @route GET /api/v1/operations
- * @desc List operations with optional status filter
+ * @desc Search the operation history with cursor pagination and duration statistics
  * @access Private
  */
 router.get('/',
     authenticateApiKey,
     requireScope('operations:read'),
     validate([
+        query('type')
+            .optional()
+            .matches(/^[a-z_.]+(,[a-z_.]+)*$/)
+            .withMessage('Type must be a comma-separated list of operation types'),
         query('status')
             .optional()
-            .isIn(['pending', 'processing', 'completed', 'failed'])
+            .custom(value => value.split(',').every(status => OPERATION_STATUS_VALUES.includes(status.trim())))
             .withMessage('Invalid status'),
+        query('created_by').optional().isString().withMessage('Invalid requester'),
+        query('user_id').optional().isInt().withMessage('Invalid user ID'),
+        query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+        query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+        query('site_id').optional().isInt().withMessage('Invalid site ID'),
+        query('database_id').optional().isInt().withMessage('Invalid database ID'),
+        query('q')
+            .optional()
+            .isLength({ min: 1, max: 200 })
+            .withMessage('Search text must be 1 to 200 characters'),
+        query('cursor').optional().isBase64({ urlSafe: true }).withMessage('Invalid cursor'),
         query('limit')
             .optional()
             .isInt({ min: 1, max: 100 })
             .withMessage('Limit must be between 1 and 100')
     ]),
-    listOperations
+    operationController.listOperations
 );
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,130 @@
+// src/routes/v1/schedules.js
+
+import { Router } from 'express';
+import { param, query } from 'express-validator';
+import { authenticateApiKey, requireRole, requireScope } from '../../middleware/auth.js';
+import { validate, scheduleValidation } from '../../middleware/validation.js';
+import { scheduleController } from '../../controllers/scheduleController.js';
+import { validateCronExpression } from '../../utils/validation.js';
+
+const router = Router();
+
+/**
+ * @route GET /api/v1/schedules/preview
+ * @desc Preview the next fire times of a cron expression
+ * @access Private
+ */
+router.get('/preview',
+    authenticateApiKey,
+    requireScope('operations:read'),
+    validate([
+        query('cron_expression')
+            .custom(validateCronExpression)
+            .withMessage('Invalid cron expression'),
+        query('count')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Count must be between 1 and 100')
+    ]),
+    scheduleController.previewCron
+);
+
+/**
+ * @route GET /api/v1/schedules
+ * @desc List schedules
+ * @access Private
+ */
+router.get('/',
+    authenticateApiKey,
+    requireScope('operations:read'),
+    validate([
+        query('operation_type')
+            .optional()
+            .isString()
+            .withMessage('Invalid operation type'),
+        query('enabled')
+            .optional()
+            .isBoolean()
+            .withMessage('enabled must be true or false'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100')
+    ]),
+    scheduleController.listSchedules
+);
+
+/**
+ * @route POST /api/v1/schedules
+ * @desc Schedule an operation with a cron expression or a run_at time
+ * @access Admin
+ */
+router.post('/',
+    authenticateApiKey,
+    requireRole('admin'),
+    requireScope('operations:write'),
+    validate(scheduleValidation.create),
+    scheduleController.createSchedule
+);
+
+/**
+ * @route GET /api/v1/schedules/:scheduleId
+ * @desc Get a schedule and its recent runs
+ * @access Private
+ */
+router.get('/:scheduleId',
+    authenticateApiKey,
+    requireScope('operations:read'),
+    validate([
+        param('scheduleId').isInt().withMessage('Invalid schedule ID')
+    ]),
+    scheduleController.getSchedule
+);
+
+/**
+ * @route GET /api/v1/schedules/:scheduleId/preview
+ * @desc Preview the next fire times of a schedule
+ * @access Private
+ */
+router.get('/:scheduleId/preview',
+    authenticateApiKey,
+    requireScope('operations:read'),
+    validate([
+        param('scheduleId').isInt().withMessage('Invalid schedule ID'),
+        query('count')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Count must be between 1 and 100')
+    ]),
+    scheduleController.previewSchedule
+);
+
+/**
+ * @route PUT /api/v1/schedules/:scheduleId
+ * @desc Update a schedule
+ * @access Admin
+ */
+router.put('/:scheduleId',
+    authenticateApiKey,
+    requireRole('admin'),
+    requireScope('operations:write'),
+    validate(scheduleValidation.update),
+    scheduleController.updateSchedule
+);
+
+/**
+ * @route DELETE /api/v1/schedules/:scheduleId
+ * @desc Delete a schedule
+ * @access Admin
+ */
+router.delete('/:scheduleId',
+    authenticateApiKey,
+    requireRole('admin'),
+    requireScope('operations:write'),
+    validate([
+        param('scheduleId').isInt().withMessage('Invalid schedule ID')
+    ]),
+    scheduleController.deleteSchedule
+);
+
+export default router;
@@ -0,0 +1,121 @@
+// src/routes/v1/sites.js
+import { Router } from 'express';
+import { body, param, query } from 'express-validator';
+import { siteController } from '../../controllers/siteController.js';
+import { bulkController } from '../../controllers/bulkController.js';
+import { authenticateApiKey, requireRole, requireScope } from '../../middleware/auth.js';
+import { validate } from '../../middleware/validation.js';
+import { siteValidation, bulkValidation, dryRunValidation } from '../../middleware/validation.js';
+import { rateLimit } from '../../middleware/rateLimit.js';
+import { BULK_ACTIONS, BULK_JOB_STATUSES } from '../../services/bulkService.js';
+
+const router = Router();
+
+/**
+ * @route GET /api/v1/sites
+ * @desc Get all sites with their PHP settings
+ * @access Private
+ */
+router.get('/',
+    authenticateApiKey,
+    requireScope('sites:read'),
+    siteController.getAllSites
+);
+
+/**
+ * @route POST /api/v1/sites
+ * @desc Create a new site
+ * @access Private - Admin only
+ */
+router.post('/',
+    authenticateApiKey,
+    requireRole('admin'),
+    requireScope('sites:write'),
+    rateLimit('resources'),
+    validate(siteValidation.create),
+    siteController.createSite
+);
+
+/**
+ * @route POST /api/v1/sites/bulk
+ * @desc Run one action on every site matched by a selector, or preview it with ?dry_run=true
+ * @access Private - Admin only
+ */
+router.post('/bulk',
+    authenticateApiKey,
+    requireRole('admin'),
+    requireScope('sites:write'),
+    rateLimit('bulk'),
+    validate([
+        body('action').isIn(Object.keys(BULK_ACTIONS)).withMessage('Invalid bulk action'),
+        ...bulkValidation.create,
+        ...dryRunValidation
+    ]),
+    bulkController.createJob
+);
+
+/**
+ * @route GET /api/v1/sites/bulk
+ * @desc List bulk jobs with optional status filter
+ * @access Private
+ */
+router.get('/bulk',
+    authenticateApiKey,
+    requireScope('sites:read'),
+    validate([
+        query('status')
+            .optional()
+            .isIn(Object.values(BULK_JOB_STATUSES))
+            .withMessage('Invalid status'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100')
+    ]),
+    bulkController.listJobs
+);
+
+/**
+ * @route GET /api/v1/sites/bulk/:jobId
+ * @desc Get a bulk job with the outcome of every site
+ * @access Private
+ */
+router.get('/bulk/:jobId',
+    authenticateApiKey,
+    requireScope('sites:read'),
+    validate([
+        param('jobId').isInt().withMessage('Invalid bulk job ID')
+    ]),
+    bulkController.getJob
+);
+
+/**
+ * @route PUT /api/v1/sites/:id
+ * @desc Update site PHP settings and caching
+ * @access Private - Admin only
+ */
+router.put('/:id',
+    authenticateApiKey,
+    requireRole('admin'),
+    requireScope('sites:write', { site: 'params.id' }),
+    validate(siteValidation.update),
+    siteController.updateSite
+);
+
+/**
+ * @route DELETE /api/v1/sites/:id
+ * @desc Delete a site with its databases and certificates, or plan it with ?dry_run=true
+ * @access Private - Admin only
+ */
+router.delete('/:id',
+    authenticateApiKey,
+    requireRole('admin'),
+    requireScope('sites:write', { site: 'params.id' }),
+    validate([
+        param('id').isInt().withMessage('Invalid site ID'),
+        ...dryRunValidation
+    ]),
+    siteController.deleteSite
+);
+
+export default router;
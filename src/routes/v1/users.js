@@ -1,10 +1,21 @@
 // src/routes/v1/users.js
 import { Router } from 'express';
+import { body, param } from 'express-validator';
 import { userController } from '../../controllers/userController.js';
-import { authenticateApiKey, requireRole, requireScope, authRateLimiter } from '../../middleware/auth.js';
+import { sessionController } from '../../controllers/sessionController.js';
+import { mfaController } from '../../controllers/mfaController.js';
+import { lockoutController } from '../../controllers/lockoutController.js';
+import {
+    authenticateApiKey,
+    authenticateWithExpiredPassword,
+    requireRole,
+    requireScope
+} from '../../middleware/auth.js';
 import { validate } from '../../middleware/validation.js';
-import { userValidation } from '../../middleware/validation.js';
+import { userValidation, sessionValidation, mfaValidation } from '../../middleware/validation.js';
 import { sanitizeRequest } from '../../middleware/security.js';
+import { rateLimit } from '../../middleware/rateLimit.js';
+import { validateIPRange } from '../../utils/validation.js';
 
 const router = Router();
 
@@ -14,17 +25,21 @@ const router = Router();
  */
 
 router.post('/login',
-    authRateLimiter,
+    rateLimit('auth'),
     validate([
         body('username').trim().notEmpty().withMessage('Username required'),
         body('password').notEmpty().withMessage('Password required'),
-        body('totp').optional().isString().withMessage('Invalid TOTP code')
+        body('totp').optional().isString().withMessage('Invalid TOTP code'),
+        body('webauthn').optional().isObject().withMessage('Invalid security key response')
     ]),
     userController.login
 );
 
 router.post('/logout',
-    authenticateApiKey,
+    authenticateWithExpiredPassword,
+    validate([
+        body('all').optional().isBoolean().withMessage('all must be a boolean')
+    ]),
     userController.logout
 );
 
@@ -50,7 +65,7 @@ router.put('/profile',
 router.post('/mfa/enable',
     authenticateApiKey,
     requireScope('profile:write'),
-    userController.enableMFA
+    mfaController.enableMFA
 );
 
 router.post('/mfa/verify',
@@ -59,7 +74,7 @@ router.post('/mfa/verify',
     validate([
         body('totp').isString().withMessage('TOTP code required')
     ]),
-    userController.verifyMFA
+    mfaController.verifyMFA
 );
 
 router.post('/mfa/disable',
@@ -68,30 +83,99 @@ router.post('/mfa/disable',
     requireScope('profile:write'),
     validate([
         body('user_id').isInt().withMessage('Invalid user ID'),
-        body('totp').isString().withMessage('TOTP code required')
+        ...mfaValidation.secondFactor
+    ]),
+    mfaController.disableMFA
+);
+
+router.get('/mfa/recovery-codes',
+    authenticateApiKey,
+    requireScope('profile:read'),
+    mfaController.getRecoveryCodes
+);
+
+router.post('/mfa/recovery-codes',
+    authenticateApiKey,
+    requireScope('profile:write'),
+    validate(mfaValidation.secondFactor),
+    mfaController.regenerateRecoveryCodes
+);
+
+router.post('/mfa/webauthn/register/options',
+    authenticateApiKey,
+    requireScope('profile:write'),
+    mfaController.getWebAuthnRegistrationOptions
+);
+
+router.post('/mfa/webauthn/register',
+    authenticateApiKey,
+    requireScope('profile:write'),
+    validate(mfaValidation.registerWebAuthn),
+    mfaController.registerWebAuthnCredential
+);
+
+router.post('/mfa/webauthn/authenticate/options',
+    authenticateApiKey,
+    requireScope('profile:write'),
+    mfaController.getWebAuthnAuthenticationOptions
+);
+
+router.get('/mfa/webauthn/credentials',
+    authenticateApiKey,
+    requireScope('profile:read'),
+    mfaController.listWebAuthnCredentials
+);
+
+router.put('/mfa/webauthn/credentials/:credentialId',
+    authenticateApiKey,
+    requireScope('profile:write'),
+    validate(mfaValidation.renameWebAuthn),
+    mfaController.renameWebAuthnCredential
+);
+
+router.delete('/mfa/webauthn/credentials/:credentialId',
+    authenticateApiKey,
+    requireScope('profile:write'),
+    validate([
+        param('credentialId').isInt().withMessage('Invalid security key ID')
+    ]),
+    mfaController.deleteWebAuthnCredential
+);
+
+router.post('/:id/mfa/reset',
+    authenticateApiKey,
+    requireRole('admin'),
+    requireScope('users:write'),
+    validate([
+        param('id').isInt().withMessage('Invalid user ID'),
+        body('reason').optional().isString().isLength({ max: 500 })
+            .withMessage('reason must be a string of at most 500 characters')
     ]),
-    userController.disableMFA
+    mfaController.resetMFA
 );
 
 /**
  * Password Management Routes
- * Handles password changes and resets with proper security measures
+ * Handles password changes and resets with proper security measures.
+ * New passwords are checked against the password policy by the controllers.
  */
 
+router.get('/password-policy',
+    userController.getPasswordPolicy
+);
+
 router.put('/password',
-    authenticateApiKey,
+    authenticateWithExpiredPassword,
     requireScope('profile:write'),
     validate([
         body('currentPassword').notEmpty().withMessage('Current password required'),
-        body('newPassword').isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
-            .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-            .withMessage('Password must include uppercase, lowercase, number, and special character')
+        body('newPassword').isString().notEmpty().withMessage('New password required')
     ]),
     userController.changePassword
 );
 
 router.post('/password/reset-request',
-    authRateLimiter,
+    rateLimit('auth'),
     validate([
         body('email').isEmail().withMessage('Valid email required')
     ]),
@@ -99,16 +183,185 @@ router.post('/password/reset-request',
 );
 
 router.post('/password/reset',
-    authRateLimiter,
+    rateLimit('auth'),
     validate([
         body('token').notEmpty().withMessage('Reset token required'),
-        body('newPassword').isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
-            .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-            .withMessage('Password must include uppercase, lowercase, number, and special character')
+        body('newPassword').isString().notEmpty().withMessage('New password required')
     ]),
     userController.resetPassword
 );
 
+/**
+ * API Key Management Routes
+ * Allows users to manage their API keys; declared before /:id so they are not shadowed
+ */
+
+router.get('/api-keys',
+    authenticateApiKey,
+    requireScope('profile:read'),
+    userController.getApiKeys
+);
+
+router.get('/api-keys/scopes',
+    authenticateApiKey,
+    requireScope('profile:read'),
+    userController.getApiKeyScopes
+);
+
+router.post('/api-keys',
+    authenticateApiKey,
+    requireScope('profile:write'),
+    validate([
+        body('name').notEmpty().withMessage('API key name required'),
+        body('scopes').isArray({ min: 1 }).withMessage('Scopes must be a non-empty array'),
+        body('scopes.*').isString().withMessage('Scopes must be strings'),
+        body('resources').optional({ values: 'null' }).isObject().withMessage('resources must be an object'),
+        body('allowed_ips').optional({ values: 'null' }).isArray({ max: 100 })
+            .withMessage('allowed_ips must be an array of at most 100 entries'),
+        body('allowed_ips.*').custom(validateIPRange).withMessage('allowed_ips must contain IP addresses or CIDR ranges'),
+        body('rate_limit').optional({ values: 'null' }).isInt({ min: 1 }).toInt()
+            .withMessage('rate_limit must be a positive integer'),
+        body('expires_at').optional().isISO8601().withMessage('expires_at must be an ISO 8601 date')
+    ]),
+    userController.createApiKey
+);
+
+router.post('/api-keys/:keyId/rotate',
+    authenticateApiKey,
+    requireScope('profile:write'),
+    validate([
+        param('keyId').isInt().withMessage('Invalid API key ID'),
+        body('grace_period').optional().isInt({ min: 0, max: 30 * 24 * 60 * 60 })
+            .withMessage('grace_period must be between 0 and 2592000 seconds'),
+        body('expires_at').optional({ values: 'null' }).isISO8601()
+            .withMessage('expires_at must be an ISO 8601 date')
+    ]),
+    userController.rotateApiKey
+);
+
+router.put('/api-keys/:keyId/allowed-ips',
+    authenticateApiKey,
+    requireScope('profile:write'),
+    validate([
+        param('keyId').isInt().withMessage('Invalid API key ID'),
+        body('allowed_ips').custom(value => value === null || (Array.isArray(value) && value.length <= 100))
+            .withMessage('allowed_ips must be null or an array of at most 100 entries'),
+        body('allowed_ips.*').custom(validateIPRange).withMessage('allowed_ips must contain IP addresses or CIDR ranges')
+    ]),
+    userController.updateApiKeyAllowedIps
+);
+
+router.delete('/api-keys/:keyId',
+    authenticateApiKey,
+    requireScope('profile:write'),
+    validate([
+        param('keyId').isInt().withMessage('Invalid API key ID')
+    ]),
+    userController.revokeApiKey
+);
+
+/**
+ * Session Management Routes
+ * Users manage their own sessions; the policy and other users' sessions are admin only
+ */
+
+router.get('/sessions',
+    authenticateApiKey,
+    requireScope('profile:read'),
+    sessionController.listSessions
+);
+
+router.delete('/sessions',
+    authenticateApiKey,
+    requireScope('profile:write'),
+    sessionController.revokeOtherSessions
+);
+
+router.get('/sessions/policy',
+    authenticateApiKey,
+    requireRole('admin'),
+    requireScope('users:read'),
+    sessionController.getPolicy
+);
+
+router.put('/sessions/policy',
+    authenticateApiKey,
+    requireRole('admin'),
+    requireScope('users:write'),
+    validate(sessionValidation.updatePolicy),
+    sessionController.updatePolicy
+);
+
+router.delete('/sessions/:sessionId',
+    authenticateApiKey,
+    requireScope('profile:write'),
+    validate(sessionValidation.revoke),
+    sessionController.revokeSession
+);
+
+router.get('/:id/sessions',
+    authenticateApiKey,
+    requireRole('admin'),
+    requireScope('users:read'),
+    validate([
+        param('id').isInt().withMessage('Invalid user ID')
+    ]),
+    sessionController.listSessions
+);
+
+router.delete('/:id/sessions',
+    authenticateApiKey,
+    requireRole('admin'),
+    requireScope('users:write'),
+    validate([
+        param('id').isInt().withMessage('Invalid user ID')
+    ]),
+    sessionController.revokeOtherSessions
+);
+
+router.delete('/:id/sessions/:sessionId',
+    authenticateApiKey,
+    requireRole('admin'),
+    requireScope('users:write'),
+    validate([
+        param('id').isInt().withMessage('Invalid user ID'),
+        ...sessionValidation.revoke
+    ]),
+    sessionController.revokeSession
+);
+
+/**
+ * Login Lockout Routes (Admin only)
+ * Accounts and addresses locked out after failed logins unlock by themselves; these lift them early
+ */
+
+router.get('/lockouts',
+    authenticateApiKey,
+    requireRole('admin'),
+    requireScope('users:read'),
+    lockoutController.listLockouts
+);
+
+router.delete('/lockouts/ip/:address',
+    authenticateApiKey,
+    requireRole('admin'),
+    requireScope('users:write'),
+    validate([
+        param('address').isIP().withMessage('Invalid IP address')
+    ]),
+    lockoutController.unblockIp
+);
+
+router.post('/:id/unlock',
+    authenticateApiKey,
+    requireRole('admin'),
+    requireScope('users:write'),
+    validate([
+        param('id').isInt().withMessage('Invalid user ID')
+    ]),
+    lockoutController.unlockUser
+);
+
 /**
  * User Management Routes (Admin only)
  * These routes are restricted to administrators for user management
@@ -183,34 +436,4 @@ router.put('/preferences',
     userController.updatePreferences
 );
 
-/**
- * API Key Management Routes
- * Allows users to manage their API keys
- */
-
-router.get('/api-keys',
-    authenticateApiKey,
-    requireScope('profile:read'),
-    userController.getApiKeys
-);
-
-router.post('/api-keys',
-    authenticateApiKey,
-    requireScope('profile:write'),
-    validate([
-        body('name').notEmpty().withMessage('API key name required'),
-        body('scopes').isArray().withMessage('Scopes must be an array')
-    ]),
-    userController.createApiKey
-);
-
-router.delete('/api-keys/:keyId',
-    authenticateApiKey,
-    requireScope('profile:write'),
-    validate([
-        param('keyId').isString().withMessage('Invalid API key ID')
-    ]),
-    userController.revokeApiKey
-);
-
 export default router;
\ No newline at end of file
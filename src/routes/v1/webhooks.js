@@ -0,0 +1,121 @@
+// src/routes/v1/webhooks.js
+import { Router } from 'express';
+import { param, query } from 'express-validator';
+import { authenticateApiKey, requireRole, requireScope } from '../../middleware/auth.js';
+import { validate, webhookValidation } from '../../middleware/validation.js';
+import { webhookController } from '../../controllers/webhookController.js';
+import { DELIVERY_STATUSES } from '../../services/webhookService.js';
+
+const router = Router();
+
+/**
+ * @route GET /api/v1/webhooks
+ * @desc List webhook subscriptions
+ * @access Admin
+ */
+router.get('/',
+    authenticateApiKey,
+    requireRole('admin'),
+    requireScope('webhooks:read'),
+    webhookController.listWebhooks
+);
+
+/**
+ * @route POST /api/v1/webhooks
+ * @desc Subscribe a URL to events; the response includes the signing secret
+ * @access Admin
+ */
+router.post('/',
+    authenticateApiKey,
+    requireRole('admin'),
+    requireScope('webhooks:write'),
+    validate(webhookValidation.create),
+    webhookController.createWebhook
+);
+
+/**
+ * @route GET /api/v1/webhooks/:webhookId
+ * @desc Get a webhook with its delivery counts
+ * @access Admin
+ */
+router.get('/:webhookId',
+    authenticateApiKey,
+    requireRole('admin'),
+    requireScope('webhooks:read'),
+    validate([
+        param('webhookId').isInt().withMessage('Invalid webhook ID')
+    ]),
+    webhookController.getWebhook
+);
+
+/**
+ * @route PUT /api/v1/webhooks/:webhookId
+ * @desc Update a webhook, or rotate its secret with rotate_secret: true
+ * @access Admin
+ */
+router.put('/:webhookId',
+    authenticateApiKey,
+    requireRole('admin'),
+    requireScope('webhooks:write'),
+    validate(webhookValidation.update),
+    webhookController.updateWebhook
+);
+
+/**
+ * @route DELETE /api/v1/webhooks/:webhookId
+ * @desc Delete a webhook and its delivery log
+ * @access Admin
+ */
+router.delete('/:webhookId',
+    authenticateApiKey,
+    requireRole('admin'),
+    requireScope('webhooks:write'),
+    validate([
+        param('webhookId').isInt().withMessage('Invalid webhook ID')
+    ]),
+    webhookController.deleteWebhook
+);
+
+/**
+ * @route GET /api/v1/webhooks/:webhookId/deliveries
+ * @desc List the deliveries of a webhook, most recent first
+ * @access Admin
+ */
+router.get('/:webhookId/deliveries',
+    authenticateApiKey,
+    requireRole('admin'),
+    requireScope('webhooks:read'),
+    validate([
+        param('webhookId').isInt().withMessage('Invalid webhook ID'),
+        query('status')
+            .optional()
+            .isIn(Object.values(DELIVERY_STATUSES))
+            .withMessage('Invalid delivery status'),
+        query('event')
+            .optional()
+            .isString()
+            .withMessage('Invalid event'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100')
+    ]),
+    webhookController.listDeliveries
+);
+
+/**
+ * @route POST /api/v1/webhooks/:webhookId/test
+ * @desc Send a webhook.test event right away and return the delivery
+ * @access Admin
+ */
+router.post('/:webhookId/test',
+    authenticateApiKey,
+    requireRole('admin'),
+    requireScope('webhooks:write'),
+    validate([
+        param('webhookId').isInt().withMessage('Invalid webhook ID')
+    ]),
+    webhookController.testWebhook
+);
+
+export default router;
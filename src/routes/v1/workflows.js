@@ -0,0 +1,59 @@
+// src/routes/v1/workflows.js
+
+import { Router } from 'express';
+import { param, query } from 'express-validator';
+import { authenticateApiKey, requireRole, requireScope } from '../../middleware/auth.js';
+import { validate, workflowValidation } from '../../middleware/validation.js';
+import { workflowController } from '../../controllers/workflowController.js';
+
+const router = Router();
+
+/**
+ * @route POST /api/v1/workflows
+ * @desc Create a multi-step workflow
+ * @access Admin
+ */
+router.post('/',
+    authenticateApiKey,
+    requireRole('admin'),
+    requireScope('operations:write'),
+    validate(workflowValidation.create),
+    workflowController.createWorkflow
+);
+
+/**
+ * @route GET /api/v1/workflows
+ * @desc List workflows with optional status filter
+ * @access Private
+ */
+router.get('/',
+    authenticateApiKey,
+    requireScope('operations:read'),
+    validate([
+        query('status')
+            .optional()
+            .isIn(['running', 'compensating', 'completed', 'failed', 'rolled_back', 'rollback_failed'])
+            .withMessage('Invalid status'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100')
+    ]),
+    workflowController.listWorkflows
+);
+
+/**
+ * @route GET /api/v1/workflows/:workflowId
+ * @desc Get a workflow and the status of all its steps
+ * @access Private
+ */
+router.get('/:workflowId',
+    authenticateApiKey,
+    requireScope('operations:read'),
+    validate([
+        param('workflowId').isInt().withMessage('Invalid workflow ID')
+    ]),
+    workflowController.getWorkflow
+);
+
+export default router;
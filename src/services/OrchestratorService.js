@@ -1,31 +1,753 @@
-// src/routes/v1/index.js
-import { Router } from 'express';
-import siteRoutes from './sites.js';
-import databaseRoutes from './databases.js';
-import userRoutes from './users.js';
-import certificateRoutes from './certificates.js';
-import monitoringRoutes from './monitoring.js';
-import backupRoutes from './backup.js';
-import operationsRoutes from './operations.js';
-
-const router = Router();
-
-// API version and status check
-router.get('/', (req, res) => {
-    res.json({
-        success: true,
-        version: 'v1',
-        status: 'operational'
-    });
+// src/services/OrchestratorService.js
+import { EventEmitter } from 'events';
+import { db } from '../config/database.js';
+import { APIError, handleDatabaseError } from '../middleware/errorHandler.js';
+import { safeJsonParse, toSqlDate } from '../utils/helpers.js';
+import handlerRegistry from './handlerRegistry.js';
+
+export const OPERATION_STATUSES = Object.freeze({
+    PENDING: 'pending',
+    PROCESSING: 'processing',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    DEAD_LETTER: 'dead_letter',
+    CANCELLED: 'cancelled'
 });
 
-// Mount route modules
-router.use('/sites', siteRoutes);
-router.use('/databases', databaseRoutes);
-router.use('/users', userRoutes);
-router.use('/certificates', certificateRoutes);
-router.use('/monitoring', monitoringRoutes);
-router.use('/backup', backupRoutes);
-router.use('/operations', operationsRoutes);
+// Statuses an operation never leaves on its own
+export const TERMINAL_STATUSES = Object.freeze([
+    OPERATION_STATUSES.COMPLETED,
+    OPERATION_STATUSES.FAILED,
+    OPERATION_STATUSES.DEAD_LETTER,
+    OPERATION_STATUSES.CANCELLED
+]);
+
+/**
+ * Error raised when an operation handler does not succeed.
+ * The code is matched against the `retryableErrors` of the retry policy.
+ */
+export class OperationError extends Error {
+    static CODES = {
+        HANDLER_UNAVAILABLE: 'HANDLER_UNAVAILABLE',
+        HANDLER_FAILED: 'HANDLER_FAILED',
+        HANDLER_KILLED: 'HANDLER_KILLED',
+        INVALID_INPUT: 'INVALID_INPUT',
+        CANCELLED: 'CANCELLED'
+    };
+
+    constructor(message, code = OperationError.CODES.HANDLER_FAILED) {
+        super(message);
+        this.name = 'OperationError';
+        this.code = code;
+    }
+}
+
+// Duration of a finished operation in seconds
+const DURATION_SQL = "strftime('%s', completed_at) - strftime('%s', started_at)";
+
+// History cursors are opaque to clients; they encode the last operation ID
+const encodeCursor = id => Buffer.from(String(id)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    const id = Number(Buffer.from(cursor, 'base64url').toString());
+    if (!Number.isInteger(id) || id < 1) {
+        throw new APIError('Invalid cursor', 400, 'INVALID_CURSOR');
+    }
+    return id;
+};
+
+// Escapes LIKE wildcards in user-supplied search text
+const escapeLike = text => text.replace(/[\\%_]/g, match => `\\${match}`);
+
+/**
+ * Service layer for the operations queue shared with cloudpanel-scripts.
+ * Operations are rows in the `operations` table; the in-process job runner
+ * and queue_worker.sh both claim work from it. The service emits `queued`,
+ * `status`, `progress`, `output` and `cancel` events so in-process consumers
+ * can react without polling.
+ */
+class OrchestratorService extends EventEmitter {
+    constructor() {
+        super();
+        this.OPERATION_STATUSES = OPERATION_STATUSES;
+        // Every open event stream adds its own listeners
+        this.setMaxListeners(0);
+    }
+
+    /**
+     * Queues a new operation for asynchronous processing.
+     * @param {string} type - Operation type from operation_types.conf
+     * @param {Object} data - Operation payload passed to the handler
+     * @param {Object} [options] - Queueing options
+     * @param {string} [options.createdBy] - Requester, e.g. `api_key:<id>`
+     * @returns {Promise<number>} ID of the queued operation
+     * @throws {APIError} When a module handler rejects the data
+     */
+    async triggerOperation(type, data = {}, { createdBy = null } = {}) {
+        await handlerRegistry.validateInput(type, data);
+
+        const operationId = await this.createOperation(type, data, { createdBy });
+        this.emit('queued', { id: operationId, type });
+        return operationId;
+    }
+
+    /**
+     * Inserts a pending operation without checking its data or waking the
+     * job runner, so callers can queue it inside their own transaction.
+     * They validate the data with handlerRegistry.validateInput() first and
+     * emit `queued` once the transaction has committed.
+     * @param {string} type - Operation type
+     * @param {Object} data - Operation payload passed to the handler
+     * @param {Object} [options] - Queueing options
+     * @param {string} [options.createdBy] - Requester, e.g. `api_key:<id>`
+     * @param {Object} [options.conn] - Connection to use inside a transaction
+     * @returns {Promise<number>} ID of the operation
+     */
+    async createOperation(type, data = {}, { createdBy = null, conn = db } = {}) {
+        try {
+            const result = await conn.run(`
+                INSERT INTO operations (
+                    type, status, source, data, created_by, created_at
+                ) VALUES (?, ?, 'api', ?, ?, datetime('now'))
+            `, [type, OPERATION_STATUSES.PENDING, JSON.stringify(data), createdBy]);
+
+            return result.lastID;
+        } catch (error) {
+            throw handleDatabaseError(error);
+        }
+    }
+
+    /**
+     * Atomically claims the oldest pending operation of the given types.
+     * The status guard in the UPDATE makes the claim safe against other
+     * runners and the shell worker racing for the same row.
+     * @param {Array<string>} types - Operation types the caller can run
+     * @param {string} workerId - Identifier recorded in `claimed_by`
+     * @param {Array<number>} [excludeIds] - Operations to pass over
+     * @returns {Promise<Object|null>} Claimed operation or null
+     */
+    async claimNextOperation(types, workerId, excludeIds = []) {
+        if (types.length === 0) {
+            return null;
+        }
+
+        const placeholders = types.map(() => '?').join(', ');
+        const exclude = excludeIds.length > 0
+            ? `AND id NOT IN (${excludeIds.map(() => '?').join(', ')})`
+            : '';
+        const operation = await db.get(`
+            UPDATE operations
+            SET status = ?, claimed_by = ?, started_at = datetime('now'), heartbeat_at = datetime('now')
+            WHERE id = (
+                SELECT id FROM operations
+                WHERE status = ? AND type IN (${placeholders}) ${exclude}
+                ORDER BY created_at ASC, id ASC
+                LIMIT 1
+            )
+            AND status = ?
+            RETURNING *
+        `, [
+            OPERATION_STATUSES.PROCESSING,
+            workerId,
+            OPERATION_STATUSES.PENDING,
+            ...types,
+            ...excludeIds,
+            OPERATION_STATUSES.PENDING
+        ]);
+
+        if (!operation) {
+            return null;
+        }
+
+        this.emit('status', { id: operation.id, type: operation.type, status: operation.status });
+        return this.formatOperation(operation);
+    }
+
+    /**
+     * Puts a claimed operation back in the queue without counting an
+     * attempt, e.g. while the resources it locks are held by another.
+     * @param {number} operationId - Operation ID
+     * @param {string} workerId - Worker that claimed the operation
+     * @returns {Promise<void>}
+     */
+    async releaseClaim(operationId, workerId) {
+        const result = await db.run(`
+            UPDATE operations
+            SET status = ?, claimed_by = NULL, started_at = NULL, heartbeat_at = NULL
+            WHERE id = ? AND status = ? AND claimed_by = ?
+        `, [OPERATION_STATUSES.PENDING, operationId, OPERATION_STATUSES.PROCESSING, workerId]);
+
+        if (result.changes > 0) {
+            this.emit('status', { id: Number(operationId), status: OPERATION_STATUSES.PENDING });
+        }
+    }
+
+    /**
+     * Marks the operations a job runner is running as still alive.
+     * @param {Array<number>} operationIds - Running operation IDs
+     * @param {string} workerId - Worker holding the claims
+     * @returns {Promise<void>}
+     */
+    async renewClaims(operationIds, workerId) {
+        if (operationIds.length === 0) {
+            return;
+        }
+
+        const placeholders = operationIds.map(() => '?').join(', ');
+        await db.run(`
+            UPDATE operations
+            SET heartbeat_at = datetime('now')
+            WHERE id IN (${placeholders}) AND status = ? AND claimed_by = ?
+        `, [...operationIds, OPERATION_STATUSES.PROCESSING, workerId]);
+    }
+
+    /**
+     * Puts operations claimed by API job runners that stopped sending
+     * heartbeats back in the queue. Rows claimed by queue_worker.sh have no
+     * heartbeat and are left to status_monitor.sh.
+     * @param {number} leaseTimeout - Milliseconds without a heartbeat after
+     *   which a claim has expired
+     * @returns {Promise<Array<number>>} IDs of the requeued operations
+     */
+    async recoverExpiredClaims(leaseTimeout) {
+        const operations = await db.all(`
+            UPDATE operations
+            SET status = ?, claimed_by = NULL, started_at = NULL, heartbeat_at = NULL,
+                error = 'Requeued after its job runner stopped responding'
+            WHERE status = ? AND claimed_by LIKE 'api:%'
+            AND COALESCE(heartbeat_at, started_at) <= datetime('now', ?)
+            RETURNING id
+        `, [
+            OPERATION_STATUSES.PENDING,
+            OPERATION_STATUSES.PROCESSING,
+            `-${Math.ceil(leaseTimeout / 1000)} seconds`
+        ]);
+
+        for (const { id } of operations) {
+            this.emit('status', { id, status: OPERATION_STATUSES.PENDING });
+        }
+        return operations.map(operation => operation.id);
+    }
+
+    /**
+     * Updates the status of an operation and records timing information.
+     * @param {number} operationId - Operation ID
+     * @param {string} status - New status
+     * @param {string} [error] - Error message for failed operations
+     * @returns {Promise<void>}
+     */
+    async updateOperationStatus(operationId, status, error = null) {
+        const timestampColumn = status === OPERATION_STATUSES.PROCESSING
+            ? 'started_at'
+            : 'completed_at';
+
+        await db.run(`
+            UPDATE operations
+            SET status = ?, error = ?, ${timestampColumn} = datetime('now')
+            WHERE id = ?
+        `, [status, error, operationId]);
+
+        this.emit('status', { id: Number(operationId), status, error });
+    }
+
+    /**
+     * Records a failed attempt in the attempt history and on the operation.
+     * @param {number} operationId - Operation ID
+     * @param {number} attempt - Attempt number (1-based)
+     * @param {Error} error - Error the attempt failed with
+     * @param {string} startedAt - ISO timestamp of the attempt start
+     * @returns {Promise<void>}
+     */
+    async recordFailedAttempt(operationId, attempt, error, startedAt) {
+        await db.run(`
+            INSERT INTO operation_attempts (
+                operation_id, attempt, error_code, error, started_at, finished_at
+            ) VALUES (?, ?, ?, ?, ?, datetime('now'))
+        `, [operationId, attempt, error.code || null, error.message, startedAt]);
+
+        await db.run(
+            'UPDATE operations SET retry_count = ?, error = ? WHERE id = ?',
+            [attempt, error.message, operationId]
+        );
+    }
+
+    /**
+     * Puts an operation back into processing before the job runner retries
+     * it, in case its handler marked the failed attempt as failed.
+     * Operations in any other status, e.g. cancelled ones, are left alone.
+     * @param {number} operationId - Operation ID
+     * @returns {Promise<void>}
+     */
+    async markRetrying(operationId) {
+        const result = await db.run(`
+            UPDATE operations
+            SET status = ?, completed_at = NULL
+            WHERE id = ? AND status = ?
+        `, [OPERATION_STATUSES.PROCESSING, operationId, OPERATION_STATUSES.FAILED]);
+
+        if (result.changes > 0) {
+            this.emit('status', { id: Number(operationId), status: OPERATION_STATUSES.PROCESSING });
+        }
+    }
+
+    /**
+     * Moves an operation that ran out of attempts to the dead-letter state.
+     * @param {number} operationId - Operation ID
+     * @param {string} error - Error of the final attempt
+     * @returns {Promise<void>}
+     */
+    async deadLetterOperation(operationId, error) {
+        await db.run(`
+            UPDATE operations
+            SET status = ?, error = ?,
+                completed_at = datetime('now'),
+                dead_lettered_at = datetime('now')
+            WHERE id = ?
+        `, [OPERATION_STATUSES.DEAD_LETTER, error, operationId]);
+
+        this.emit('status', {
+            id: Number(operationId),
+            status: OPERATION_STATUSES.DEAD_LETTER,
+            error
+        });
+    }
+
+    /**
+     * Lists dead-lettered operations, most recent first.
+     * @param {Object} [options] - Filter options
+     * @param {string} [options.type] - Only return this operation type
+     * @param {number} [options.limit=50] - Maximum number of operations
+     * @returns {Promise<Array>} Dead-lettered operations
+     */
+    async getDeadLetters({ type = null, limit = 50 } = {}) {
+        const conditions = ['status = ?'];
+        const params = [OPERATION_STATUSES.DEAD_LETTER];
+
+        if (type) {
+            conditions.push('type = ?');
+            params.push(type);
+        }
+
+        const operations = await db.all(`
+            SELECT * FROM operations
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY dead_lettered_at DESC
+            LIMIT ?
+        `, [...params, limit]);
+
+        return operations.map(operation => this.formatOperation(operation));
+    }
+
+    /**
+     * Retrieves the attempt history of an operation.
+     * @param {number} operationId - Operation ID
+     * @returns {Promise<Array>} Attempts in order
+     */
+    getOperationAttempts(operationId) {
+        return db.all(`
+            SELECT attempt, error_code, error, started_at, finished_at
+            FROM operation_attempts
+            WHERE operation_id = ?
+            ORDER BY attempt ASC
+        `, [operationId]);
+    }
+
+    /**
+     * Puts a dead-lettered operation back in the queue with a fresh
+     * attempt budget. The attempt history is kept for inspection.
+     * @param {number} operationId - Operation ID
+     * @returns {Promise<boolean>} Whether the operation was requeued
+     */
+    async requeueOperation(operationId) {
+        const result = await db.run(`
+            UPDATE operations
+            SET status = ?, retry_count = 0, error = NULL, claimed_by = NULL, progress = NULL,
+                started_at = NULL, completed_at = NULL, dead_lettered_at = NULL
+            WHERE id = ? AND status = ?
+        `, [OPERATION_STATUSES.PENDING, operationId, OPERATION_STATUSES.DEAD_LETTER]);
+
+        if (result.changes === 0) {
+            return false;
+        }
+
+        const operation = await this.getOperationStatus(operationId);
+        this.emit('queued', { id: operation.id, type: operation.type });
+        return true;
+    }
+
+    /**
+     * Cancels an operation.
+     * Pending operations are cancelled right away. Operations processed by
+     * a job runner are flagged with `cancel_requested_at`; the runner that
+     * owns the operation terminates its handler and records the cancelled
+     * status once the handler has cleaned up.
+     * @param {number} operationId - Operation ID
+     * @param {string} cancelledBy - Identifier of the requester
+     * @returns {Promise<Object|null>} Updated operation or null if not found
+     * @throws {APIError} When the operation can no longer be cancelled
+     */
+    async cancelOperation(operationId, cancelledBy) {
+        const cancelled = await db.get(`
+            UPDATE operations
+            SET status = ?, cancelled_by = ?,
+                cancelled_at = datetime('now'), completed_at = datetime('now')
+            WHERE id = ? AND status = ?
+            RETURNING *
+        `, [OPERATION_STATUSES.CANCELLED, cancelledBy, operationId, OPERATION_STATUSES.PENDING]);
+
+        if (cancelled) {
+            this.emit('status', { id: cancelled.id, type: cancelled.type, status: cancelled.status });
+            return this.formatOperation(cancelled);
+        }
+
+        // Only the in-process runners (`api:` workers) honour cancel requests;
+        // queue_worker.sh runs handlers to completion
+        const requested = await db.get(`
+            UPDATE operations
+            SET cancel_requested_at = COALESCE(cancel_requested_at, datetime('now')),
+                cancelled_by = COALESCE(cancelled_by, ?)
+            WHERE id = ? AND status = ? AND claimed_by LIKE 'api:%'
+            RETURNING *
+        `, [cancelledBy, operationId, OPERATION_STATUSES.PROCESSING]);
+
+        if (requested) {
+            this.emit('cancel', { id: requested.id, type: requested.type });
+            return this.formatOperation(requested);
+        }
+
+        const operation = await this.getOperationStatus(operationId);
+        if (!operation) {
+            return null;
+        }
+
+        const reason = operation.status === OPERATION_STATUSES.PROCESSING
+            ? 'Operation is being processed by the shell worker and cannot be cancelled'
+            : `Operation is already ${operation.status}`;
+        throw new APIError(reason, 409, 'OPERATION_NOT_CANCELLABLE');
+    }
+
+    /**
+     * Lists which of the given operations have a pending cancel request.
+     * Lets runners notice requests made through another API process.
+     * @param {Array<number>} operationIds - Operations to check
+     * @returns {Promise<Array<number>>} IDs with a cancel request
+     */
+    async getCancelRequests(operationIds) {
+        if (operationIds.length === 0) {
+            return [];
+        }
+
+        const placeholders = operationIds.map(() => '?').join(', ');
+        const rows = await db.all(`
+            SELECT id FROM operations
+            WHERE id IN (${placeholders}) AND cancel_requested_at IS NOT NULL
+        `, operationIds);
+
+        return rows.map(row => row.id);
+    }
+
+    /**
+     * Records that a cancel request took effect.
+     * @param {number} operationId - Operation ID
+     * @returns {Promise<void>}
+     */
+    async markCancelled(operationId) {
+        await db.run(`
+            UPDATE operations
+            SET status = ?, error = NULL,
+                cancelled_at = datetime('now'), completed_at = datetime('now')
+            WHERE id = ?
+        `, [OPERATION_STATUSES.CANCELLED, operationId]);
+
+        this.emit('status', { id: Number(operationId), status: OPERATION_STATUSES.CANCELLED });
+    }
+
+    /**
+     * Records the percentage progress reported by a handler.
+     * @param {number} operationId - Operation ID
+     * @param {number} percent - Progress between 0 and 100
+     * @param {string} [message] - Description of the current step
+     * @returns {Promise<void>}
+     */
+    async reportProgress(operationId, percent, message = null) {
+        await db.run(
+            'UPDATE operations SET progress = ? WHERE id = ?',
+            [percent, operationId]
+        );
+
+        this.emit('progress', { id: Number(operationId), percent, message });
+    }
+
+    /**
+     * Publishes a line of handler output to live subscribers.
+     * Output is not stored; failed attempts keep the stderr tail instead.
+     * @param {number} operationId - Operation ID
+     * @param {string} stream - `stdout` or `stderr`
+     * @param {string} line - Output line
+     */
+    reportOutput(operationId, stream, line) {
+        this.emit('output', { id: Number(operationId), stream, line });
+    }
+
+    /**
+     * Follows the status, progress and output of a single operation.
+     * Events from this process are forwarded as they happen; the row is
+     * also polled so changes written by queue_worker.sh or other API
+     * processes are picked up.
+     * @param {Object} operation - Operation as returned by getOperationStatus
+     * @param {Function} listener - Called with (event, data)
+     * @param {number} pollInterval - Polling interval in ms
+     * @returns {Function} Stops watching
+     */
+    watchOperation(operation, listener, pollInterval) {
+        const operationId = Number(operation.id);
+        const last = { status: operation.status, progress: operation.progress };
+
+        const onStatus = event => {
+            if (event.id !== operationId || event.status === last.status) {
+                return;
+            }
+            last.status = event.status;
+            listener('status', { id: operationId, status: event.status, error: event.error || null });
+        };
+        const onProgress = event => {
+            if (event.id !== operationId) {
+                return;
+            }
+            last.progress = event.percent;
+            listener('progress', event);
+        };
+        const onOutput = event => {
+            if (event.id === operationId) {
+                listener('log', event);
+            }
+        };
+
+        const timer = setInterval(async () => {
+            try {
+                const current = await this.getOperationStatus(operationId);
+                if (!current) {
+                    return;
+                }
+                if (current.progress !== null && current.progress !== last.progress) {
+                    onProgress({ id: operationId, percent: current.progress, message: null });
+                }
+                onStatus({ id: operationId, status: current.status, error: current.error });
+            } catch {
+                // A failed poll is retried on the next interval
+            }
+        }, pollInterval);
+
+        this.on('status', onStatus);
+        this.on('progress', onProgress);
+        this.on('output', onOutput);
+
+        return () => {
+            clearInterval(timer);
+            this.off('status', onStatus);
+            this.off('progress', onProgress);
+            this.off('output', onOutput);
+        };
+    }
+
+    /**
+     * Stores the structured result of an operation.
+     * @param {number} operationId - Operation ID
+     * @param {Object} result - Result payload
+     * @returns {Promise<void>}
+     */
+    async storeOperationResult(operationId, result) {
+        await db.run(
+            'UPDATE operations SET result = ? WHERE id = ?',
+            [JSON.stringify(result), operationId]
+        );
+    }
+
+    /**
+     * Retrieves a single operation with its payload and result decoded.
+     * @param {number} operationId - Operation ID
+     * @returns {Promise<Object|null>} Operation or null if not found
+     */
+    async getOperationStatus(operationId) {
+        const operation = await db.get(
+            'SELECT * FROM operations WHERE id = ?',
+            [operationId]
+        );
+
+        return operation ? this.formatOperation(operation) : null;
+    }
+
+    /**
+     * Lists operations in a given status, oldest first.
+     * @param {string} status - Status to filter by
+     * @param {number} [limit=10] - Maximum number of operations
+     * @returns {Promise<Array>} List of operations
+     */
+    async getOperationsByStatus(status, limit = 10) {
+        const operations = await db.all(`
+            SELECT * FROM operations
+            WHERE status = ?
+            ORDER BY created_at ASC
+            LIMIT ?
+        `, [status, limit]);
+
+        return operations.map(operation => this.formatOperation(operation));
+    }
+
+    /**
+     * Searches the operation history, newest first.
+     * Statistics cover every matching operation, not only the returned page.
+     * @param {Object} [filters] - Search filters
+     * @param {Array<string>} [filters.types] - Operation types
+     * @param {Array<string>} [filters.statuses] - Operation statuses
+     * @param {string} [filters.createdBy] - Requester, e.g. `api_key:<id>`
+     * @param {number} [filters.userId] - User owning the requesting API keys
+     * @param {string} [filters.from] - Created at or after this time
+     * @param {string} [filters.to] - Created at or before this time
+     * @param {number} [filters.siteId] - Site in the operation data or result
+     * @param {number} [filters.databaseId] - Database in the operation data or result
+     * @param {string} [filters.errorText] - Text contained in the error message
+     * @param {string} [filters.cursor] - Cursor returned with the previous page
+     * @param {number} [filters.limit=50] - Page size
+     * @returns {Promise<Object>} { operations, next_cursor, stats }
+     * @throws {APIError} When the cursor is invalid
+     */
+    async searchOperations({
+        types = null,
+        statuses = null,
+        createdBy = null,
+        userId = null,
+        from = null,
+        to = null,
+        siteId = null,
+        databaseId = null,
+        errorText = null,
+        cursor = null,
+        limit = 50
+    } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (types?.length) {
+            conditions.push(`type IN (${types.map(() => '?').join(', ')})`);
+            params.push(...types);
+        }
+        if (statuses?.length) {
+            conditions.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+            params.push(...statuses);
+        }
+        if (createdBy) {
+            conditions.push('created_by = ?');
+            params.push(createdBy);
+        }
+        if (userId) {
+            conditions.push("created_by IN (SELECT 'api_key:' || id FROM api_token WHERE user_id = ?)");
+            params.push(userId);
+        }
+        if (from) {
+            conditions.push('created_at >= ?');
+            params.push(toSqlDate(from));
+        }
+        if (to) {
+            conditions.push('created_at <= ?');
+            params.push(toSqlDate(to));
+        }
+        for (const [key, value] of [['site_id', siteId], ['database_id', databaseId]]) {
+            if (value) {
+                conditions.push(`(CAST(json_extract(data, '$.${key}') AS INTEGER) = ?
+                    OR CAST(json_extract(result, '$.${key}') AS INTEGER) = ?)`);
+                params.push(value, value);
+            }
+        }
+        if (errorText) {
+            conditions.push("error LIKE ? ESCAPE '\\'");
+            params.push(`%${escapeLike(errorText)}%`);
+        }
+
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+        const pageWhere = cursor
+            ? `${where ? `${where} AND` : 'WHERE'} id < ?`
+            : where;
+        const pageParams = cursor ? [...params, decodeCursor(cursor)] : params;
+
+        const rows = await db.all(`
+            SELECT * FROM operations
+            ${pageWhere}
+            ORDER BY id DESC
+            LIMIT ?
+        `, [...pageParams, limit + 1]);
+
+        const operations = rows.slice(0, limit).map(operation => this.formatOperation(operation));
+
+        return {
+            operations,
+            next_cursor: rows.length > limit ? encodeCursor(operations[operations.length - 1].id) : null,
+            stats: await this.getOperationStats(where, params)
+        };
+    }
+
+    /**
+     * Computes counts per status and duration statistics for the operations
+     * matching a search.
+     * @param {string} where - WHERE clause of the search
+     * @param {Array} params - Parameters of the WHERE clause
+     * @returns {Promise<Object>} { total, by_status, duration }
+     */
+    async getOperationStats(where, params) {
+        const statusCounts = await db.all(`
+            SELECT status, COUNT(*) AS count
+            FROM operations
+            ${where}
+            GROUP BY status
+        `, params);
+
+        // Only operations that both started and finished have a duration
+        const finished = `${where ? `${where} AND` : 'WHERE'} started_at IS NOT NULL AND completed_at IS NOT NULL`;
+        const durations = await db.get(`
+            SELECT COUNT(*) AS count, AVG(${DURATION_SQL}) AS avg,
+                MIN(${DURATION_SQL}) AS min, MAX(${DURATION_SQL}) AS max
+            FROM operations
+            ${finished}
+        `, params);
+
+        const percentile = async (fraction) => {
+            const row = await db.get(`
+                SELECT ${DURATION_SQL} AS duration
+                FROM operations
+                ${finished}
+                ORDER BY duration ASC
+                LIMIT 1 OFFSET ?
+            `, [...params, Math.floor((durations.count - 1) * fraction)]);
+            return row.duration;
+        };
+
+        return {
+            total: statusCounts.reduce((total, row) => total + row.count, 0),
+            by_status: Object.fromEntries(statusCounts.map(row => [row.status, row.count])),
+            // Durations are in seconds
+            duration: durations.count > 0 ? {
+                count: durations.count,
+                avg: Math.round(durations.avg * 10) / 10,
+                min: durations.min,
+                max: durations.max,
+                p50: await percentile(0.5),
+                p95: await percentile(0.95)
+            } : { count: 0, avg: null, min: null, max: null, p50: null, p95: null }
+        };
+    }
+
+    /**
+     * Decodes the JSON columns of an operation row.
+     * @param {Object} operation - Raw operation row
+     * @returns {Object} Operation with parsed data and result
+     */
+    formatOperation(operation) {
+        return {
+            ...operation,
+            data: safeJsonParse(operation.data, {}),
+            result: safeJsonParse(operation.result, null)
+        };
+    }
+}
 
-export default router;
\ No newline at end of file
+export default new OrchestratorService();
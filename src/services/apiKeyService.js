@@ -0,0 +1,180 @@
+// src/services/apiKeyService.js
+import { db } from '../config/database.js';
+import config from '../config/config.js';
+import { sendApiKeyExpiryNotification } from '../utils/email.js';
+import { toSqlDate } from '../utils/helpers.js';
+import { createChildLogger } from '../utils/logger.js';
+
+const logger = createChildLogger({ component: 'api-keys' });
+
+/**
+ * Background upkeep of API keys.
+ * Key usage is recorded in memory by the authentication middleware and
+ * written in batches, so requests never wait on a write. A periodic sweep
+ * emails owners of keys about to expire and deactivates expired keys.
+ */
+class ApiKeyService {
+    constructor() {
+        this.usage = new Map();
+        this.flushTimer = null;
+        this.sweepTimer = null;
+        this.flushing = null;
+        this.sweeping = false;
+    }
+
+    /**
+     * Starts writing key usage and sweeping expired keys periodically. The
+     * first sweep runs in the background so it does not delay startup.
+     */
+    start() {
+        const { usageFlushInterval, sweepInterval } = config.security.apiKeys;
+        const sweep = () => this.sweep().catch(error => {
+            logger.error('Failed to sweep API keys', { error });
+        });
+
+        this.flushTimer = setInterval(() => this.flushUsage(), usageFlushInterval);
+        this.sweepTimer = setInterval(sweep, sweepInterval);
+        sweep();
+    }
+
+    /**
+     * Stops the timers and writes the usage recorded so far.
+     * @returns {Promise<void>}
+     */
+    stop() {
+        clearInterval(this.flushTimer);
+        clearInterval(this.sweepTimer);
+        this.flushTimer = null;
+        this.sweepTimer = null;
+        return this.flushUsage();
+    }
+
+    /**
+     * Records that a key was used. Only the latest use of each key is kept
+     * until the next flush.
+     * @param {number} keyId - API key ID
+     * @param {string} ipAddress - Client IP address
+     */
+    recordUsage(keyId, ipAddress) {
+        this.usage.set(keyId, { at: new Date(), ip: ipAddress || null });
+    }
+
+    /**
+     * Writes buffered key usage in one transaction. Usage recorded while a
+     * flush is running is kept for the next one.
+     * @returns {Promise<void>}
+     */
+    flushUsage() {
+        if (this.flushing || this.usage.size === 0) {
+            return this.flushing || Promise.resolve();
+        }
+
+        const usage = this.usage;
+        this.usage = new Map();
+
+        this.flushing = db.transaction(async (tx) => {
+            for (const [keyId, { at, ip }] of usage) {
+                await tx.run(`
+                    UPDATE api_token
+                    SET last_used_at = ?, last_used_ip = ?
+                    WHERE id = ?
+                `, [toSqlDate(at), ip, keyId]);
+            }
+        }).catch(error => {
+            logger.error('Failed to record API key usage', { error, keys: usage.size });
+        }).finally(() => {
+            this.flushing = null;
+        });
+
+        return this.flushing;
+    }
+
+    /**
+     * Notifies owners of keys about to expire, then deactivates expired keys.
+     * Overlapping runs are skipped.
+     * @returns {Promise<Object>} { notified, deactivated }
+     */
+    async sweep() {
+        if (this.sweeping) {
+            return { notified: 0, deactivated: 0 };
+        }
+
+        this.sweeping = true;
+        try {
+            const notified = await this.notifyExpiringKeys();
+            const deactivated = await this.deactivateExpiredKeys();
+
+            if (notified || deactivated) {
+                logger.info('API key sweep finished', { notified, deactivated });
+            }
+            return { notified, deactivated };
+        } finally {
+            this.sweeping = false;
+        }
+    }
+
+    /**
+     * Emails the owner of each active key that expires within the notice
+     * period. Each key is announced once; keys replaced by rotation are
+     * skipped since their owner already has the successor. A failed email
+     * is retried on the next sweep.
+     * @returns {Promise<number>} Number of owners notified
+     */
+    async notifyExpiringKeys() {
+        const noticeSeconds = Math.floor(config.security.apiKeys.expiryNotice / 1000);
+        const keys = await db.all(`
+            SELECT ak.id, ak.name, ak.expires_at, u.email, u.user_name
+            FROM api_token ak
+            JOIN user u ON ak.user_id = u.id
+            WHERE ak.is_active = 1
+            AND ak.replaced_by IS NULL
+            AND ak.expiry_notified_at IS NULL
+            AND ak.expires_at > datetime('now')
+            AND ak.expires_at <= datetime('now', ?)
+        `, [`+${noticeSeconds} seconds`]);
+
+        let notified = 0;
+        for (const key of keys) {
+            if (!key.email) {
+                continue;
+            }
+
+            try {
+                await sendApiKeyExpiryNotification({
+                    name: key.name,
+                    username: key.user_name,
+                    expiresAt: `${key.expires_at} UTC`
+                }, key.email);
+
+                await db.run(
+                    "UPDATE api_token SET expiry_notified_at = datetime('now') WHERE id = ?",
+                    [key.id]
+                );
+                notified++;
+            } catch (error) {
+                logger.warn('Failed to send API key expiry notice', {
+                    keyId: key.id,
+                    error: error.message
+                });
+            }
+        }
+
+        return notified;
+    }
+
+    /**
+     * Deactivates keys whose expiry has passed, including rotated keys at
+     * the end of their grace period.
+     * @returns {Promise<number>} Number of keys deactivated
+     */
+    async deactivateExpiredKeys() {
+        const result = await db.run(`
+            UPDATE api_token
+            SET is_active = 0, updated_at = datetime('now')
+            WHERE is_active = 1 AND expires_at <= datetime('now')
+        `);
+        return result.changes;
+    }
+}
+
+export default new ApiKeyService();
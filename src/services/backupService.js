@@ -0,0 +1,369 @@
+// src/services/backupService.js
+import { promisify } from 'util';
+import { exec, execFile } from 'child_process';
+import path from 'path';
+import fs from 'fs/promises';
+import { db } from '../config/database.js';
+import { APIError } from '../middleware/errorHandler.js';
+import { validateDomain } from '../utils/validation.js';
+import { createTempDirectory, removeDirectory, getDirectorySize } from '../utils/filesystem.js';
+import { createPlan } from '../utils/plan.js';
+import { createChildLogger } from '../utils/logger.js';
+
+const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+const logger = createChildLogger({ component: 'backups' });
+
+// CloudPanel's backup locations; site backups live in /home/<user>/backups
+const SYSTEM_BACKUP_DIR = '/home/clp/backups';
+const DATABASE_BACKUP_DIR = path.join(SYSTEM_BACKUP_DIR, 'databases');
+
+// Top-level directory of each component in a system backup archive:
+// sites/<domain>/ holds the site files, databases/<name>.sql.gz the dumps
+// and configs/ the files restored under /etc
+export const SYSTEM_BACKUP_COMPONENTS = Object.freeze(['sites', 'databases', 'configs']);
+
+const CONFIG_RESTORE_DIR = '/etc';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Service for site backups, backup retention and system restores.
+ * Destructive methods are driven by a plan (see utils/plan.js), so a dry
+ * run lists exactly what the real run changes.
+ */
+class BackupService {
+    /**
+     * Creates a full backup of a site in /home/<user>/backups/<timestamp>:
+     * the site files, a dump of its database and its configuration. A
+     * backup that fails halfway is removed.
+     * @param {number} siteId - Site ID
+     * @returns {Promise<Object>} Backup path, timestamp, size and whether it includes a database
+     * @throws {APIError} When the site does not exist
+     */
+    async createSiteBackup(siteId) {
+        const site = await db.get(`
+            SELECT s.*, d.name AS db_name, d.id AS db_id
+            FROM site s
+            LEFT JOIN database d ON d.site_id = s.id
+            WHERE s.id = ?
+        `, [siteId]);
+
+        if (!site) {
+            throw new APIError('Site not found', 404, 'SITE_NOT_FOUND');
+        }
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const backupDir = path.join('/home', site.user, 'backups', timestamp);
+        await fs.mkdir(backupDir, { recursive: true });
+
+        try {
+            await execAsync(`tar -czf "${path.join(backupDir, 'files.tar.gz')}" -C /home/${site.user}/htdocs .`);
+
+            if (site.db_id) {
+                const dbBackupPath = path.join(backupDir, `${site.db_name}.sql`);
+                const dbServer = await db.get(`
+                    SELECT ds.*
+                    FROM database_server ds
+                    JOIN database d ON d.database_server_id = ds.id
+                    WHERE d.id = ?
+                `, [site.db_id]);
+
+                await execAsync(`mysqldump --host=${dbServer.host} \
+                    --user=${dbServer.user_name} \
+                    --password=${dbServer.password} \
+                    ${site.db_name} > "${dbBackupPath}"`);
+                await execAsync(`gzip "${dbBackupPath}"`);
+            }
+
+            const version = await db.get("SELECT value FROM config WHERE key = 'app_version'");
+            await fs.writeFile(path.join(backupDir, 'config.json'), JSON.stringify({
+                site_config: {
+                    domain: site.domain_name,
+                    type: site.type,
+                    php_settings: await db.get('SELECT * FROM php_settings WHERE id = ?', [site.php_settings_id]),
+                    varnish_cache: site.varnish_cache,
+                    page_speed_enabled: site.page_speed_enabled
+                },
+                timestamp: new Date().toISOString(),
+                version: version ? version.value : 'unknown'
+            }, null, 2));
+
+            const size = await getDirectorySize(backupDir);
+            await db.run(`
+                INSERT INTO backup_log (
+                    site_id, path, type, created_at, size
+                ) VALUES (?, ?, ?, datetime('now'), ?)
+            `, [site.id, backupDir, 'full', size]);
+
+            logger.info('Site backup created', { siteId: site.id, path: backupDir });
+            return {
+                site_id: site.id,
+                user: site.user,
+                backup_path: backupDir,
+                timestamp,
+                size,
+                includes_database: !!site.db_id
+            };
+        } catch (error) {
+            await fs.rm(backupDir, { recursive: true, force: true });
+            throw error;
+        }
+    }
+
+    /**
+     * Lists what removing backups older than a number of days would delete.
+     * Site backups are found through `backup_log`, database and system
+     * backups by file age, like the maintenance scripts do.
+     * @param {string} type - `site`, `database` or `system`
+     * @param {number} olderThanDays - Age threshold in days
+     * @returns {Promise<Object>} Plan
+     */
+    async planCleanup(type, olderThanDays) {
+        const plan = createPlan('backup.cleanup', { type: 'backup', backup_type: type, older_than_days: olderThanDays });
+
+        if (type === 'site') {
+            const backups = await db.all(`
+                SELECT id, site_id, path, size, created_at
+                FROM backup_log
+                WHERE site_id IS NOT NULL
+                AND created_at < datetime('now', ?)
+                ORDER BY created_at ASC
+            `, [`-${olderThanDays} days`]);
+
+            for (const backup of backups) {
+                plan.files.push({ path: backup.path, action: 'delete', size: backup.size });
+                plan.database_rows.push({ table: 'backup_log', id: backup.id, description: backup.path });
+            }
+            return plan;
+        }
+
+        const dir = type === 'database' ? DATABASE_BACKUP_DIR : SYSTEM_BACKUP_DIR;
+        const cutoff = Date.now() - (olderThanDays * DAY);
+
+        for (const file of await this.listBackupFiles(dir)) {
+            if (file.mtime < cutoff) {
+                plan.files.push({ path: file.path, action: 'delete', size: file.size });
+            }
+        }
+
+        return plan;
+    }
+
+    /**
+     * Removes backups older than a number of days.
+     * @param {string} type - `site`, `database` or `system`
+     * @param {number} olderThanDays - Age threshold in days
+     * @returns {Promise<Object>} Plan of what was deleted
+     */
+    async cleanupBackups(type, olderThanDays) {
+        const plan = await this.planCleanup(type, olderThanDays);
+
+        for (const file of plan.files) {
+            await fs.rm(file.path, { recursive: true, force: true });
+        }
+
+        const ids = plan.database_rows.map(row => row.id);
+        if (ids.length > 0) {
+            await db.run(
+                `DELETE FROM backup_log WHERE id IN (${ids.map(() => '?').join(', ')})`,
+                ids
+            );
+        }
+
+        logger.info('Old backups removed', { type, olderThanDays, files: plan.files.length });
+        return plan;
+    }
+
+    /**
+     * Lists the backup files directly inside a directory.
+     * @param {string} dir - Backup directory
+     * @returns {Promise<Array>} Files with path, size and mtime (ms)
+     */
+    async listBackupFiles(dir) {
+        let entries;
+        try {
+            entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const files = [];
+        for (const entry of entries.filter(item => item.isFile())) {
+            const filePath = path.join(dir, entry.name);
+            const stats = await fs.stat(filePath);
+            files.push({ path: filePath, size: stats.size, mtime: stats.mtimeMs });
+        }
+        return files;
+    }
+
+    /**
+     * Resolves a system backup file name to its path.
+     * @param {string} backupFile - File name or path inside the backup directory
+     * @returns {Promise<string>} Absolute path
+     * @throws {APIError} When the file is outside the backup directory or missing
+     */
+    async resolveSystemBackup(backupFile) {
+        const filePath = path.resolve(SYSTEM_BACKUP_DIR, backupFile);
+        if (!filePath.startsWith(`${SYSTEM_BACKUP_DIR}${path.sep}`)) {
+            throw new APIError('Backup file must be inside the system backup directory', 400, 'INVALID_BACKUP_FILE');
+        }
+
+        try {
+            await fs.access(filePath);
+        } catch {
+            throw new APIError('Backup not found', 404, 'BACKUP_NOT_FOUND');
+        }
+
+        return filePath;
+    }
+
+    /**
+     * Lists what restoring components of a system backup would overwrite,
+     * without changing anything. Archive members that do not map to a
+     * site, database or config file are ignored, as the restore does.
+     * @param {string} backupFile - System backup file
+     * @param {Array<string>} components - Components to restore
+     * @returns {Promise<Object>} Plan
+     */
+    async planSystemRestore(backupFile, components) {
+        const filePath = await this.resolveSystemBackup(backupFile);
+        const plan = createPlan('backup.system_restore', {
+            type: 'system_backup',
+            backup_file: filePath,
+            components
+        });
+
+        const { stdout } = await execFileAsync('tar', ['-tzf', filePath], { maxBuffer: 64 * 1024 * 1024 });
+        const members = stdout.split('\n')
+            .filter(member => member && !member.endsWith('/'))
+            .map(member => path.posix.normalize(member))
+            .filter(member => !member.startsWith('..'));
+
+        if (components.includes('sites')) {
+            const domains = new Set(members
+                .filter(member => member.startsWith('sites/'))
+                .map(member => member.split('/')[1])
+                .filter(domain => validateDomain(domain)));
+
+            for (const domain of domains) {
+                const site = await db.get('SELECT id, root_directory FROM site WHERE domain_name = ?', [domain]);
+                const target = site?.root_directory || path.join('/home', domain, 'htdocs');
+                plan.files.push({
+                    path: target,
+                    action: await this.exists(target) ? 'overwrite' : 'create',
+                    size: null,
+                    source: `sites/${domain}`
+                });
+            }
+        }
+
+        if (components.includes('databases')) {
+            const server = await this.getDefaultDatabaseServer();
+            const names = members
+                .map(member => member.match(/^databases\/([a-zA-Z0-9_]+)\.sql\.gz$/)?.[1])
+                .filter(Boolean);
+
+            for (const name of names) {
+                const existing = await db.get('SELECT id FROM database WHERE name = ?', [name]);
+                plan.mysql_databases.push({
+                    name,
+                    server: server ? `${server.host}:${server.port}` : null,
+                    action: existing ? 'overwrite' : 'create',
+                    source: `databases/${name}.sql.gz`
+                });
+            }
+        }
+
+        if (components.includes('configs')) {
+            for (const member of members.filter(item => item.startsWith('configs/'))) {
+                const target = path.join(CONFIG_RESTORE_DIR, member.slice('configs/'.length));
+                plan.files.push({
+                    path: target,
+                    action: await this.exists(target) ? 'overwrite' : 'create',
+                    size: null,
+                    source: member
+                });
+            }
+        }
+
+        return plan;
+    }
+
+    /**
+     * Restores components of a system backup.
+     * Site files replace the site directory, database dumps are imported
+     * into the default database server and config files are copied over
+     * the existing ones.
+     * @param {string} backupFile - System backup file
+     * @param {Array<string>} components - Components to restore
+     * @returns {Promise<Object>} Plan of what was restored
+     */
+    async restoreSystemBackup(backupFile, components) {
+        const plan = await this.planSystemRestore(backupFile, components);
+        const items = [...plan.files, ...plan.mysql_databases];
+        const present = SYSTEM_BACKUP_COMPONENTS.filter(component =>
+            items.some(item => item.source.startsWith(`${component}/`)));
+
+        if (present.length === 0) {
+            return plan;
+        }
+
+        const tempDir = await createTempDirectory('system-restore');
+        try {
+            await execFileAsync('tar', ['-xzf', plan.target.backup_file, '-C', tempDir, '--no-same-owner', ...present]);
+
+            for (const site of plan.files.filter(file => file.source.startsWith('sites/'))) {
+                await fs.mkdir(site.path, { recursive: true });
+                await execFileAsync('rsync', ['-a', '--delete', `${path.join(tempDir, site.source)}/`, `${site.path}/`]);
+            }
+
+            if (plan.mysql_databases.length > 0) {
+                const server = await this.getDefaultDatabaseServer();
+                const credentials = `--host=${server.host} --port=${server.port} \
+                    --user=${server.user_name} \
+                    --password=${server.password}`;
+
+                for (const database of plan.mysql_databases) {
+                    await execAsync(`mysql ${credentials} -e "CREATE DATABASE IF NOT EXISTS ${database.name}"`);
+                    await execAsync(`gunzip -c "${path.join(tempDir, database.source)}" | mysql ${credentials} ${database.name}`);
+                }
+            }
+
+            if (present.includes('configs')) {
+                await execFileAsync('rsync', ['-a', `${path.join(tempDir, 'configs')}/`, `${CONFIG_RESTORE_DIR}/`]);
+            }
+        } finally {
+            await removeDirectory(tempDir);
+        }
+
+        logger.info('System backup restored', { backupFile: plan.target.backup_file, components });
+        return plan;
+    }
+
+    /**
+     * Gets the default active database server.
+     * @returns {Promise<Object|null>} Database server
+     */
+    getDefaultDatabaseServer() {
+        return db.get(`
+            SELECT * FROM database_server
+            WHERE is_default = 1 AND is_active = 1
+        `);
+    }
+
+    /**
+     * Whether a path exists.
+     * @param {string} target - Path
+     * @returns {Promise<boolean>}
+     */
+    exists(target) {
+        return fs.access(target).then(() => true).catch(() => false);
+    }
+}
+
+export default new BackupService();
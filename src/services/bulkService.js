@@ -0,0 +1,579 @@
+// src/services/bulkService.js
+import { db } from '../config/database.js';
+import config from '../config/config.js';
+import OrchestratorService, { OPERATION_STATUSES } from './OrchestratorService.js';
+import handlerRegistry from './handlerRegistry.js';
+import { APIError, handleDatabaseError } from '../middleware/errorHandler.js';
+import { safeJsonParse } from '../utils/helpers.js';
+import { validateSchema } from '../utils/schema.js';
+import { createChildLogger } from '../utils/logger.js';
+
+const logger = createChildLogger({ component: 'bulk-jobs' });
+
+export const BULK_JOB_STATUSES = Object.freeze({
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    COMPLETED_WITH_ERRORS: 'completed_with_errors',
+    FAILED: 'failed'
+});
+
+export const BULK_ITEM_STATUSES = Object.freeze({
+    WAITING: 'waiting',
+    QUEUED: 'queued',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+});
+
+// Final item status for each terminal operation status
+const ITEM_STATUS_BY_OPERATION = {
+    [OPERATION_STATUSES.COMPLETED]: BULK_ITEM_STATUSES.COMPLETED,
+    [OPERATION_STATUSES.FAILED]: BULK_ITEM_STATUSES.FAILED,
+    [OPERATION_STATUSES.DEAD_LETTER]: BULK_ITEM_STATUSES.FAILED,
+    [OPERATION_STATUSES.CANCELLED]: BULK_ITEM_STATUSES.CANCELLED
+};
+
+const FINISHED_ITEM_STATUSES = [
+    BULK_ITEM_STATUSES.COMPLETED,
+    BULK_ITEM_STATUSES.FAILED,
+    BULK_ITEM_STATUSES.CANCELLED
+];
+
+/**
+ * Actions a bulk job can run. Each one is an operation type and the data
+ * it gets for a site; `check` rejects sites the action cannot apply to.
+ */
+export const BULK_ACTIONS = Object.freeze({
+    php_settings: {
+        operationType: 'site.php_settings',
+        buildData: (site, params) => ({ ...params, site_id: site.id })
+    },
+    cache_settings: {
+        operationType: 'site.cache_settings',
+        buildData: (site, params) => ({ ...params, site_id: site.id })
+    },
+    renew_certificate: {
+        operationType: 'certificate.renew',
+        buildData: site => ({ site_id: site.id, domain_name: site.domain_name }),
+        check: async (site) => {
+            const certificate = await db.get('SELECT id FROM certificate WHERE site_id = ?', [site.id]);
+            if (!certificate) {
+                throw new Error('Site has no certificate');
+            }
+        }
+    },
+    backup: {
+        operationType: 'site.backup',
+        buildData: site => ({ site_id: site.id })
+    }
+});
+
+/**
+ * Service for bulk jobs that run one action on many sites.
+ * The sites matched by a selector each get an item, which is queued as its
+ * own operation. At most `concurrency` items of a job are queued at a time;
+ * the next ones are queued as earlier operations finish. Items that fail do
+ * not stop the others, and the job reports the outcome of every site.
+ */
+class BulkService {
+    constructor() {
+        this.timer = null;
+        this.advancing = new Set();
+        this.pendingAdvance = new Set();
+        this.onStatus = event => this.handleOperationStatus(event);
+    }
+
+    /**
+     * Starts advancing bulk jobs. Operation status events from this process
+     * advance jobs immediately; polling covers operations finished elsewhere.
+     */
+    start() {
+        OrchestratorService.on('status', this.onStatus);
+        this.timer = setInterval(() => this.advanceRunningJobs(), config.orchestrator.pollInterval);
+        this.advanceRunningJobs();
+    }
+
+    /**
+     * Stops advancing bulk jobs.
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        OrchestratorService.off('status', this.onStatus);
+    }
+
+    /**
+     * Finds the sites matched by a selector. Criteria are combined, so
+     * `{ type: 'php', php_version: '8.1' }` matches PHP 8.1 sites only.
+     * @param {Object} selector - Site selector
+     * @param {Array<number>} [selector.ids] - Site IDs
+     * @param {string} [selector.type] - Site type
+     * @param {string} [selector.php_version] - PHP version
+     * @param {string} [selector.domain] - Domain glob, e.g. `*.example.com`
+     * @returns {Promise<Array>} Matching sites ordered by domain
+     * @throws {APIError} When the selector is empty or matches too many sites
+     */
+    async resolveSites({ ids = null, type = null, php_version = null, domain = null }) {
+        const conditions = [];
+        const params = [];
+
+        if (ids) {
+            conditions.push(`s.id IN (${ids.map(() => '?').join(', ')})`);
+            params.push(...ids);
+        }
+        if (type) {
+            conditions.push('s.type = ?');
+            params.push(type);
+        }
+        if (php_version) {
+            conditions.push('ps.php_version = ?');
+            params.push(php_version);
+        }
+        if (domain) {
+            conditions.push('LOWER(s.domain_name) GLOB ?');
+            params.push(domain.toLowerCase());
+        }
+
+        if (conditions.length === 0) {
+            throw new APIError('Selector must set ids, type, php_version or domain', 400, 'INVALID_SELECTOR');
+        }
+
+        const { maxSites } = config.orchestrator.bulk;
+        const sites = await db.all(`
+            SELECT s.id, s.domain_name, s.type, ps.php_version
+            FROM site s
+            LEFT JOIN php_settings ps ON ps.id = s.php_settings_id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY s.domain_name
+            LIMIT ?
+        `, [...params, maxSites + 1]);
+
+        if (sites.length > maxSites) {
+            throw new APIError(
+                `Selector matches more than ${maxSites} sites`,
+                400,
+                'TOO_MANY_SITES'
+            );
+        }
+
+        return sites;
+    }
+
+    /**
+     * Prepares the items of a job: the operation data of every site, or
+     * why the action cannot run on it.
+     * @param {string} action - Bulk action
+     * @param {Array<Object>} sites - Selected sites
+     * @param {Object} params - Action parameters
+     * @returns {Promise<Array>} Items with site, data and error
+     */
+    async prepareItems(action, sites, params) {
+        const { operationType, buildData, check } = BULK_ACTIONS[action];
+        const items = [];
+
+        for (const site of sites) {
+            const data = buildData(site, params);
+            let error = null;
+
+            try {
+                if (check) {
+                    await check(site);
+                }
+                await handlerRegistry.validateInput(operationType, data);
+            } catch (checkError) {
+                error = checkError.message;
+            }
+
+            items.push({ site, data, error });
+        }
+
+        return items;
+    }
+
+    /**
+     * Resolves the sites of a job and the operation data of each, without
+     * creating anything.
+     * @param {Object} definition - Job definition (see createJob)
+     * @returns {Promise<Array>} Items with site, data and error
+     * @throws {APIError} When the action is unknown or no site matches
+     */
+    async prepareJob({ action, selector, params = {} }) {
+        if (!BULK_ACTIONS[action]) {
+            throw new APIError(`Unknown bulk action "${action}"`, 400, 'INVALID_BULK_ACTION');
+        }
+
+        const sites = await this.resolveSites(selector);
+        if (sites.length === 0) {
+            throw new APIError('Selector matches no sites', 400, 'NO_SITES_SELECTED');
+        }
+
+        // Schema errors are the same for every site, so they reject the job
+        const handler = handlerRegistry.get(BULK_ACTIONS[action].operationType);
+        const errors = handler ? validateSchema(handler.schema, BULK_ACTIONS[action].buildData(sites[0], params)) : [];
+        if (errors.length > 0) {
+            throw new APIError(`Invalid params for ${action}: ${errors.join('; ')}`, 400, 'INVALID_BULK_PARAMS');
+        }
+
+        return this.prepareItems(action, sites, params);
+    }
+
+    /**
+     * Creates a bulk job and queues its first operations. Sites the action
+     * cannot apply to are recorded as failed right away.
+     * @param {Object} definition - Job definition
+     * @param {string} definition.action - One of BULK_ACTIONS
+     * @param {Object} definition.selector - Site selector (see resolveSites)
+     * @param {Object} [definition.params] - Action parameters
+     * @param {number} [definition.concurrency] - Operations queued at a time
+     * @param {string} createdBy - Identifier of the requester
+     * @returns {Promise<number>} ID of the new job
+     * @throws {APIError} When the action is unknown or no site matches
+     */
+    async createJob({ action, selector, params = {}, concurrency = null }, createdBy) {
+        const items = await this.prepareJob({ action, selector, params });
+        const limit = Math.min(concurrency || config.orchestrator.bulk.concurrency, config.orchestrator.bulk.maxConcurrency);
+
+        let jobId;
+        try {
+            jobId = await db.transaction(async (tx) => {
+                const result = await tx.run(`
+                    INSERT INTO bulk_jobs (
+                        action, operation_type, selector, params, concurrency,
+                        status, created_by, created_at
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))
+                `, [
+                    action,
+                    BULK_ACTIONS[action].operationType,
+                    JSON.stringify(selector),
+                    JSON.stringify(params),
+                    limit,
+                    BULK_JOB_STATUSES.RUNNING,
+                    createdBy
+                ]);
+
+                for (const item of items) {
+                    await tx.run(`
+                        INSERT INTO bulk_job_items (
+                            bulk_job_id, site_id, domain_name, data, status, error
+                        ) VALUES (?, ?, ?, ?, ?, ?)
+                    `, [
+                        result.lastID,
+                        item.site.id,
+                        item.site.domain_name,
+                        JSON.stringify(item.data),
+                        item.error ? BULK_ITEM_STATUSES.FAILED : BULK_ITEM_STATUSES.WAITING,
+                        item.error
+                    ]);
+                }
+
+                return result.lastID;
+            });
+        } catch (error) {
+            throw handleDatabaseError(error);
+        }
+
+        logger.info('Bulk job created', { bulk_job_id: jobId, action, sites: items.length });
+        await this.advanceJob(jobId);
+        return jobId;
+    }
+
+    /**
+     * Advances the job an operation belongs to once it has finished.
+     * @param {Object} event - OrchestratorService status event
+     * @returns {Promise<void>}
+     */
+    async handleOperationStatus({ id, status }) {
+        if (!ITEM_STATUS_BY_OPERATION[status]) {
+            return;
+        }
+
+        try {
+            const item = await db.get(
+                'SELECT bulk_job_id FROM bulk_job_items WHERE operation_id = ?',
+                [id]
+            );
+            if (item) {
+                await this.advanceJob(item.bulk_job_id);
+            }
+        } catch (error) {
+            logger.error('Failed to advance bulk job', { operation_id: id, error });
+        }
+    }
+
+    /**
+     * Advances every running job.
+     * @returns {Promise<void>}
+     */
+    async advanceRunningJobs() {
+        try {
+            const jobs = await db.all(
+                'SELECT id FROM bulk_jobs WHERE status = ?',
+                [BULK_JOB_STATUSES.RUNNING]
+            );
+
+            for (const job of jobs) {
+                await this.advanceJob(job.id);
+            }
+        } catch (error) {
+            logger.error('Failed to advance bulk jobs', { error });
+        }
+    }
+
+    /**
+     * Brings a job up to date with its operations. Calls for a job that is
+     * already being advanced are coalesced into one follow-up pass.
+     * @param {number} jobId - Bulk job ID
+     * @returns {Promise<void>}
+     */
+    async advanceJob(jobId) {
+        if (this.advancing.has(jobId)) {
+            this.pendingAdvance.add(jobId);
+            return;
+        }
+
+        this.advancing.add(jobId);
+        try {
+            await this.syncJob(jobId);
+        } finally {
+            this.advancing.delete(jobId);
+        }
+
+        if (this.pendingAdvance.delete(jobId)) {
+            await this.advanceJob(jobId);
+        }
+    }
+
+    /**
+     * Records finished operations on their items, queues waiting items up
+     * to the job's concurrency and closes the job when every item has
+     * finished.
+     * @param {number} jobId - Bulk job ID
+     * @returns {Promise<void>}
+     */
+    async syncJob(jobId) {
+        const job = await db.get('SELECT * FROM bulk_jobs WHERE id = ?', [jobId]);
+        if (!job || job.status !== BULK_JOB_STATUSES.RUNNING) {
+            return;
+        }
+
+        const items = await this.getItems(jobId);
+
+        for (const item of items.filter(other => other.status === BULK_ITEM_STATUSES.QUEUED)) {
+            const finished = ITEM_STATUS_BY_OPERATION[item.operation?.status];
+            if (finished) {
+                await this.updateItem(item, finished, item.operation.error);
+            }
+        }
+
+        const queued = items.filter(item => item.status === BULK_ITEM_STATUSES.QUEUED).length;
+        const waiting = items.filter(item => item.status === BULK_ITEM_STATUSES.WAITING);
+
+        for (const item of waiting.slice(0, Math.max(job.concurrency - queued, 0))) {
+            await this.queueItem(job, item);
+        }
+
+        if (items.every(item => FINISHED_ITEM_STATUSES.includes(item.status))) {
+            await this.closeJob(job, items);
+        }
+    }
+
+    /**
+     * Queues the operation of an item.
+     * @param {Object} job - Job the item belongs to
+     * @param {Object} item - Waiting item
+     * @returns {Promise<void>}
+     */
+    async queueItem(job, item) {
+        let operationId;
+        try {
+            // Handlers may look the site up, which cannot wait inside the
+            // transaction below
+            await handlerRegistry.validateInput(job.operation_type, item.data);
+
+            // The item is marked queued only together with its operation, so
+            // no item is left queued without one. The status guard keeps a
+            // concurrent pass from queueing the item twice.
+            operationId = await db.transaction(async (tx) => {
+                const claimed = await tx.run(
+                    'UPDATE bulk_job_items SET status = ? WHERE id = ? AND status = ?',
+                    [BULK_ITEM_STATUSES.QUEUED, item.id, BULK_ITEM_STATUSES.WAITING]
+                );
+                if (claimed.changes === 0) {
+                    return null;
+                }
+
+                const id = await OrchestratorService.createOperation(job.operation_type, item.data, {
+                    createdBy: job.created_by,
+                    conn: tx
+                });
+                await tx.run(
+                    'UPDATE bulk_job_items SET operation_id = ? WHERE id = ?',
+                    [id, item.id]
+                );
+                return id;
+            });
+        } catch (error) {
+            await this.updateItem(item, BULK_ITEM_STATUSES.FAILED, `Failed to queue operation: ${error.message}`);
+            return;
+        }
+
+        if (!operationId) {
+            return;
+        }
+
+        OrchestratorService.emit('queued', { id: operationId, type: job.operation_type });
+        item.status = BULK_ITEM_STATUSES.QUEUED;
+        item.operation_id = operationId;
+    }
+
+    /**
+     * Stores the status of an item.
+     * @param {Object} item - Item to update (updated in place)
+     * @param {string} status - New status
+     * @param {string} [error] - Reason the item did not complete
+     * @returns {Promise<void>}
+     */
+    async updateItem(item, status, error = null) {
+        const itemError = status === BULK_ITEM_STATUSES.COMPLETED ? null : error;
+
+        await db.run(
+            'UPDATE bulk_job_items SET status = ?, error = ? WHERE id = ?',
+            [status, itemError, item.id]
+        );
+        item.status = status;
+        item.error = itemError;
+    }
+
+    /**
+     * Stores the final status of a job: completed when every site
+     * succeeded, failed when none did.
+     * @param {Object} job - Job row
+     * @param {Array<Object>} items - Finished items
+     * @returns {Promise<void>}
+     */
+    async closeJob(job, items) {
+        const completed = items.filter(item => item.status === BULK_ITEM_STATUSES.COMPLETED).length;
+        let status = BULK_JOB_STATUSES.COMPLETED_WITH_ERRORS;
+        if (completed === items.length) {
+            status = BULK_JOB_STATUSES.COMPLETED;
+        } else if (completed === 0) {
+            status = BULK_JOB_STATUSES.FAILED;
+        }
+
+        await db.run(
+            "UPDATE bulk_jobs SET status = ?, completed_at = datetime('now') WHERE id = ?",
+            [status, job.id]
+        );
+
+        logger.info('Bulk job finished', { bulk_job_id: job.id, status, completed, total: items.length });
+    }
+
+    /**
+     * Retrieves the items of a job with their operations.
+     * @param {number} jobId - Bulk job ID
+     * @returns {Promise<Array>} Items in queueing order
+     */
+    async getItems(jobId) {
+        const rows = await db.all(`
+            SELECT i.*,
+                o.status AS operation_status, o.progress AS operation_progress,
+                o.result AS operation_result, o.error AS operation_error,
+                o.started_at AS operation_started_at, o.completed_at AS operation_completed_at
+            FROM bulk_job_items i
+            LEFT JOIN operations o ON o.id = i.operation_id
+            WHERE i.bulk_job_id = ?
+            ORDER BY i.id ASC
+        `, [jobId]);
+
+        return rows.map(row => ({
+            id: row.id,
+            site_id: row.site_id,
+            domain_name: row.domain_name,
+            data: safeJsonParse(row.data, {}),
+            status: row.status,
+            error: row.error,
+            operation_id: row.operation_id,
+            operation: row.operation_id ? {
+                id: row.operation_id,
+                status: row.operation_status,
+                progress: row.operation_progress,
+                result: safeJsonParse(row.operation_result, null),
+                error: row.operation_error,
+                started_at: row.operation_started_at,
+                completed_at: row.operation_completed_at
+            } : null
+        }));
+    }
+
+    /**
+     * Counts the items of a job by status.
+     * @param {Array<Object>} items - Job items
+     * @returns {Object} Total and count per item status
+     */
+    summarize(items) {
+        const summary = { total: items.length };
+        for (const status of Object.values(BULK_ITEM_STATUSES)) {
+            summary[status] = items.filter(item => item.status === status).length;
+        }
+        return summary;
+    }
+
+    /**
+     * Retrieves a job with the outcome of every site.
+     * @param {number} jobId - Bulk job ID
+     * @returns {Promise<Object|null>} Job or null if not found
+     */
+    async getJob(jobId) {
+        const job = await db.get('SELECT * FROM bulk_jobs WHERE id = ?', [jobId]);
+        if (!job) {
+            return null;
+        }
+
+        const items = await this.getItems(jobId);
+        return {
+            ...job,
+            selector: safeJsonParse(job.selector, {}),
+            params: safeJsonParse(job.params, {}),
+            summary: this.summarize(items),
+            sites: items.map(({ data: _data, ...item }) => item)
+        };
+    }
+
+    /**
+     * Lists bulk jobs, most recent first.
+     * @param {Object} [options] - Filter options
+     * @param {string} [options.status] - Only return this status
+     * @param {number} [options.limit=50] - Maximum number of jobs
+     * @returns {Promise<Array>} Jobs with item counts
+     */
+    async listJobs({ status = null, limit = 50 } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (status) {
+            conditions.push('j.status = ?');
+            params.push(status);
+        }
+
+        const jobs = await db.all(`
+            SELECT j.*,
+                COUNT(i.id) AS total,
+                SUM(i.status = 'completed') AS completed,
+                SUM(i.status IN ('failed', 'cancelled')) AS failed
+            FROM bulk_jobs j
+            LEFT JOIN bulk_job_items i ON i.bulk_job_id = j.id
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+            GROUP BY j.id
+            ORDER BY j.created_at DESC, j.id DESC
+            LIMIT ?
+        `, [...params, limit]);
+
+        return jobs.map(job => ({
+            ...job,
+            selector: safeJsonParse(job.selector, {}),
+            params: safeJsonParse(job.params, {})
+        }));
+    }
+}
+
+export default new BulkService();
@@ -1,6 +1,7 @@
 // src/services/databaseService.js
 import { db } from '../config/database.js';
 import { handleDatabaseError } from '../middleware/errorHandler.js';
+import { createPlan } from '../utils/plan.js';
 import crypto from 'crypto';
 
 /**
@@ -208,6 +209,39 @@ class DatabaseService {
         `, [siteId]);
     }
 
+    /**
+     * Lists what deleting a database would remove, without changing anything.
+     * @param {number} databaseId Database ID to plan the deletion of
+     * Only the records are removed; the MySQL database and users are left
+     * in place, as with deleteDatabase.
+     * @returns {Promise<Object>} Plan with the records removed
+     */
+    async planDeleteDatabase(databaseId) {
+        const database = await this.findById(databaseId);
+        if (!database) {
+            throw new Error('Database not found');
+        }
+
+        const plan = createPlan('database.delete', {
+            type: 'database',
+            id: database.id,
+            name: database.name,
+            site_id: database.site_id
+        });
+
+        plan.database_rows.push({ table: 'database', id: database.id, description: database.name });
+
+        const users = await db.all(
+            'SELECT id, user_name FROM database_user WHERE database_id = ?',
+            [databaseId]
+        );
+        for (const user of users) {
+            plan.database_rows.push({ table: 'database_user', id: user.id, description: user.user_name });
+        }
+
+        return plan;
+    }
+
     /**
      * Deletes a database and all its users.
      * @param {number} databaseId Database ID to delete
@@ -0,0 +1,176 @@
+// src/services/handlerRegistry.js
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import config from '../config/config.js';
+import { APIError } from '../middleware/errorHandler.js';
+import { loadOperationTypes } from '../utils/operationTypes.js';
+import { checkSchema, validateSchema } from '../utils/schema.js';
+import { createChildLogger } from '../utils/logger.js';
+
+const logger = createChildLogger({ component: 'handler-registry' });
+
+const DEFAULT_HANDLERS_DIR = fileURLToPath(new URL('../handlers', import.meta.url));
+
+/**
+ * Registry of operation handlers written in JavaScript.
+ * Every module in the handlers directory exports:
+ * - `type`: operation type it handles
+ * - `schema`: input schema (see utils/schema.js)
+ * - `validate(data)`: optional checks beyond the schema; throws to reject
+ * - `execute(data, context)`: does the work and returns the result stored
+ *   in `operations.result`
+ * - `rollback(data, context, error)`: optional, undoes partial work when
+ *   execute fails or is cancelled
+ * Module handlers take precedence over script handlers of the same type
+ * in operation_types.conf.
+ */
+class HandlerRegistry {
+    constructor() {
+        this.handlers = new Map();
+    }
+
+    /**
+     * Loads every handler module from the handlers directory.
+     * @returns {Promise<void>}
+     * @throws {Error} When a module does not implement the handler contract
+     */
+    async discover() {
+        const dir = config.orchestrator.handlersDir || DEFAULT_HANDLERS_DIR;
+        const files = (await fs.readdir(dir)).filter(file => file.endsWith('.js')).sort();
+        const handlers = new Map();
+
+        for (const file of files) {
+            const handler = await import(pathToFileURL(path.join(dir, file)).href);
+            const problems = this.checkHandler(handler);
+
+            if (handlers.has(handler.type)) {
+                problems.push(`type "${handler.type}" is already handled by ${handlers.get(handler.type).file}`);
+            }
+            if (problems.length > 0) {
+                throw new Error(`Invalid operation handler ${file}: ${problems.join('; ')}`);
+            }
+
+            handlers.set(handler.type, {
+                file,
+                type: handler.type,
+                description: handler.description || null,
+                schema: handler.schema || {},
+                validate: handler.validate || null,
+                execute: handler.execute,
+                rollback: handler.rollback || null
+            });
+        }
+
+        this.handlers = handlers;
+        logger.info('Operation handlers loaded', { types: [...handlers.keys()] });
+    }
+
+    /**
+     * Checks a handler module against the handler contract.
+     * @param {Object} handler - Imported module
+     * @returns {Array<string>} Problems found
+     */
+    checkHandler(handler) {
+        const problems = [];
+
+        if (typeof handler.type !== 'string' || !/^[a-z_]+\.[a-z_]+$/.test(handler.type)) {
+            problems.push('type must be a `category.action` string');
+        }
+        if (typeof handler.execute !== 'function') {
+            problems.push('execute must be a function');
+        }
+        for (const name of ['validate', 'rollback']) {
+            if (handler[name] !== undefined && typeof handler[name] !== 'function') {
+                problems.push(`${name} must be a function`);
+            }
+        }
+        if (handler.schema !== undefined) {
+            problems.push(...checkSchema(handler.schema));
+        }
+
+        return problems;
+    }
+
+    /**
+     * Whether an operation type has a module handler.
+     * @param {string} type - Operation type
+     * @returns {boolean}
+     */
+    has(type) {
+        return this.handlers.has(type);
+    }
+
+    /**
+     * Module handler of an operation type.
+     * @param {string} type - Operation type
+     * @returns {Object|undefined} Handler
+     */
+    get(type) {
+        return this.handlers.get(type);
+    }
+
+    /**
+     * Whether an operation type can be run, by a module or a script.
+     * @param {string} type - Operation type
+     * @returns {Promise<boolean>}
+     */
+    async isKnownType(type) {
+        if (this.handlers.has(type)) {
+            return true;
+        }
+
+        const scripts = await loadOperationTypes(config.orchestrator.operationTypesFile);
+        return scripts.has(type);
+    }
+
+    /**
+     * Validates the data of an operation handled by a module. Types run
+     * by scripts are not checked.
+     * @param {string} type - Operation type
+     * @param {Object} data - Operation payload
+     * @returns {Promise<void>}
+     * @throws {APIError} When the data is invalid
+     */
+    async validateInput(type, data) {
+        const handler = this.handlers.get(type);
+        if (!handler) {
+            return;
+        }
+
+        const errors = validateSchema(handler.schema, data);
+        if (errors.length === 0 && handler.validate) {
+            try {
+                await handler.validate(data);
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+
+        if (errors.length > 0) {
+            throw new APIError(
+                `Invalid data for ${type}: ${errors.join('; ')}`,
+                400,
+                'INVALID_OPERATION_DATA'
+            );
+        }
+    }
+
+    /**
+     * Lists every operation type with how it is handled.
+     * @returns {Promise<Array>} Types with their handler kind and input schema
+     */
+    async listOperationTypes() {
+        const scripts = await loadOperationTypes(config.orchestrator.operationTypesFile);
+        const types = new Set([...scripts.keys(), ...this.handlers.keys()]);
+
+        return [...types].sort().map(type => {
+            const handler = this.handlers.get(type);
+            return handler
+                ? { type, handler: 'module', description: handler.description, schema: handler.schema }
+                : { type, handler: 'script', description: null, schema: null };
+        });
+    }
+}
+
+export default new HandlerRegistry();
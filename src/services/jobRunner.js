@@ -0,0 +1,552 @@
+// src/services/jobRunner.js
+import os from 'os';
+import readline from 'readline';
+import { spawn } from 'child_process';
+import config from '../config/config.js';
+import OrchestratorService, { OPERATION_STATUSES, OperationError } from './OrchestratorService.js';
+import lockService, { LOCK_POLICIES } from './lockService.js';
+import handlerRegistry from './handlerRegistry.js';
+import { loadOperationTypes, resolveTypeSetting } from '../utils/operationTypes.js';
+import { retryWithBackoff } from '../utils/helpers.js';
+import { createChildLogger } from '../utils/logger.js';
+
+const logger = createChildLogger({ component: 'job-runner' });
+
+// Keep only the tail of handler stderr for error reporting
+const MAX_OUTPUT_LENGTH = 4000;
+
+// Handlers report progress with `PROGRESS <percent> [message]` lines on stdout
+// (update_operation_progress in core/database.sh)
+const PROGRESS_LINE = /^PROGRESS (\d{1,3})(?: (.*))?$/;
+
+/**
+ * In-process job runner for the operations queue.
+ * Claims pending operations atomically, runs the handler configured in
+ * operation_types.conf under the type's retry policy and records the
+ * outcome. Concurrency is limited
+ * both globally and per operation type, so long maintenance jobs cannot
+ * starve site or certificate work. Operations run while holding the
+ * resource locks declared for their type. Cancelled operations get their
+ * handler terminated with SIGTERM so the script can run its cleanup.
+ */
+class JobRunner {
+    constructor() {
+        this.workerId = `api:${os.hostname()}:${process.pid}`;
+        this.handlers = new Map();
+        this.running = new Map();
+        this.timer = null;
+        this.heartbeatTimer = null;
+        this.ticking = false;
+        this.pendingTick = false;
+        this.onQueued = () => this.tick();
+        this.onCancel = ({ id }) => this.cancelOperation(id);
+    }
+
+    /**
+     * Loads the handler map and starts polling for pending operations.
+     * New operations queued through OrchestratorService are picked up
+     * immediately; polling only catches rows written by other processes.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        const { operationTypesFile, pollInterval, heartbeatInterval } = config.orchestrator;
+
+        this.handlers = await loadOperationTypes(operationTypesFile);
+        OrchestratorService.on('queued', this.onQueued);
+        OrchestratorService.on('cancel', this.onCancel);
+        this.timer = setInterval(() => this.tick(), pollInterval);
+        this.heartbeatTimer = setInterval(() => this.heartbeat(), heartbeatInterval);
+
+        logger.info('Job runner started', {
+            worker_id: this.workerId,
+            handled_types: this.getHandledTypes()
+        });
+
+        await this.heartbeat();
+        await this.tick();
+    }
+
+    /**
+     * Stops claiming new operations. Running handlers are left to finish.
+     */
+    stop() {
+        clearInterval(this.timer);
+        clearInterval(this.heartbeatTimer);
+        this.timer = null;
+        this.heartbeatTimer = null;
+        OrchestratorService.off('queued', this.onQueued);
+        OrchestratorService.off('cancel', this.onCancel);
+        logger.info('Job runner stopped', { running: this.running.size });
+    }
+
+    /**
+     * Renews the claims of the running operations and requeues operations
+     * whose runner, in this or another API process, stopped renewing them.
+     * @returns {Promise<void>}
+     */
+    async heartbeat() {
+        try {
+            await OrchestratorService.renewClaims([...this.running.keys()], this.workerId);
+
+            const requeued = await OrchestratorService.recoverExpiredClaims(config.orchestrator.leaseTimeout);
+            if (requeued.length > 0) {
+                logger.warn('Requeued operations of an unresponsive job runner', { operation_ids: requeued });
+                this.tick();
+            }
+        } catch (error) {
+            logger.error('Failed to renew operation claims', { error });
+        }
+    }
+
+    /**
+     * Operation types this runner is allowed to process.
+     * @returns {Array<string>} Operation types
+     */
+    getHandledTypes() {
+        const { handledTypes } = config.orchestrator;
+        const types = [...new Set([...this.handlers.keys(), ...handlerRegistry.handlers.keys()])];
+
+        return handledTypes.length > 0
+            ? types.filter(type => handledTypes.includes(type))
+            : types;
+    }
+
+    /**
+     * Operation types that currently have spare concurrency.
+     * @returns {Array<string>} Operation types with free slots
+     */
+    getAvailableTypes() {
+        if (this.running.size >= config.orchestrator.maxConcurrent) {
+            return [];
+        }
+
+        const activeByType = new Map();
+        for (const { type } of this.running.values()) {
+            activeByType.set(type, (activeByType.get(type) || 0) + 1);
+        }
+
+        return this.getHandledTypes().filter(type => {
+            const limit = resolveTypeSetting(config.orchestrator.concurrency, type);
+            return (activeByType.get(type) || 0) < limit;
+        });
+    }
+
+    /**
+     * Claims and starts as many operations as capacity allows.
+     * Calls arriving while a tick is in progress are coalesced into one
+     * follow-up tick.
+     * @returns {Promise<void>}
+     */
+    async tick() {
+        if (!this.timer) {
+            return;
+        }
+
+        if (this.ticking) {
+            this.pendingTick = true;
+            return;
+        }
+
+        this.ticking = true;
+        try {
+            await this.checkCancelRequests();
+
+            // Operations waiting for a lock are passed over until the next tick
+            const waiting = [];
+            let types = this.getAvailableTypes();
+            while (types.length > 0) {
+                // Claims must happen one at a time to respect the limits
+                const operation = await OrchestratorService.claimNextOperation(types, this.workerId, waiting);
+                if (!operation) {
+                    break;
+                }
+
+                if (await this.lockResources(operation)) {
+                    this.runOperation(operation);
+                } else {
+                    waiting.push(operation.id);
+                }
+                types = this.getAvailableTypes();
+            }
+        } catch (error) {
+            logger.error('Failed to claim operations', { error });
+        } finally {
+            this.ticking = false;
+        }
+
+        if (this.pendingTick) {
+            this.pendingTick = false;
+            await this.tick();
+        }
+    }
+
+    /**
+     * Locks the resources of a claimed operation. When another holder has
+     * them, the operation goes back to the queue or fails, depending on
+     * the lock policy of its type.
+     * @param {Object} operation - Claimed operation
+     * @returns {Promise<boolean>} Whether the operation can run
+     */
+    async lockResources(operation) {
+        let lock;
+        try {
+            lock = await lockService.acquireForOperation(operation);
+        } catch (error) {
+            logger.error('Failed to lock resources', { operation_id: operation.id, error });
+            await OrchestratorService.releaseClaim(operation.id, this.workerId);
+            return false;
+        }
+
+        const { acquired, policy, conflicts } = lock;
+        if (acquired) {
+            return true;
+        }
+
+        const message = `Resource is locked: ${lockService.describeConflicts(conflicts)}`;
+        if (policy === LOCK_POLICIES.FAIL) {
+            logger.warn('Operation failed on locked resources', { operation_id: operation.id, error: message });
+            await OrchestratorService.updateOperationStatus(operation.id, OPERATION_STATUSES.FAILED, message);
+        } else {
+            logger.info('Operation waiting for locked resources', { operation_id: operation.id, error: message });
+            await OrchestratorService.releaseClaim(operation.id, this.workerId);
+        }
+        return false;
+    }
+
+    /**
+     * Picks up cancel requests made through other API processes, which
+     * cannot reach this runner's event listener.
+     * @returns {Promise<void>}
+     */
+    async checkCancelRequests() {
+        const cancelled = await OrchestratorService.getCancelRequests([...this.running.keys()]);
+        cancelled.forEach(operationId => this.cancelOperation(operationId));
+    }
+
+    /**
+     * Aborts a running operation.
+     * The handler gets SIGTERM so its cleanup_on_failure hook can undo
+     * partial work, and SIGKILL if it is still running after the grace
+     * period. An operation waiting for its next attempt is stopped at once.
+     * @param {number} operationId - Operation ID
+     * @returns {boolean} Whether this runner owned the operation
+     */
+    cancelOperation(operationId) {
+        const entry = this.running.get(operationId);
+        if (!entry || entry.controller.signal.aborted) {
+            return Boolean(entry);
+        }
+
+        logger.info('Cancelling operation', { operation_id: operationId });
+        entry.controller.abort(new OperationError(
+            'Operation was cancelled',
+            OperationError.CODES.CANCELLED
+        ));
+
+        const { child } = entry;
+        if (child && child.exitCode === null && child.signalCode === null) {
+            child.kill('SIGTERM');
+            setTimeout(() => {
+                if (child.exitCode === null && child.signalCode === null) {
+                    logger.warn('Handler ignored SIGTERM, killing it', { operation_id: operationId });
+                    child.kill('SIGKILL');
+                }
+            }, config.orchestrator.cancelGracePeriod).unref();
+        }
+
+        return true;
+    }
+
+    /**
+     * Runs a claimed operation under its retry policy.
+     * Failed attempts are retried with exponential backoff while the error
+     * is retryable; an operation that fails its last retryable attempt is
+     * dead-lettered, any other failure is final. The operation keeps its
+     * concurrency slot while waiting between attempts. A cancelled
+     * operation is never retried.
+     * @param {Object} operation - Claimed operation
+     * @returns {Promise<void>}
+     */
+    async runOperation(operation) {
+        const policy = resolveTypeSetting(config.orchestrator.retryPolicies, operation.type);
+        const isRetryable = error => policy.retryableErrors.includes(error.code);
+        const controller = new AbortController();
+
+        this.running.set(operation.id, { type: operation.type, child: null, controller });
+
+        try {
+            await retryWithBackoff(attempt => this.executeAttempt(operation, attempt), {
+                maxAttempts: policy.maxAttempts,
+                initialDelay: policy.initialDelay,
+                maxDelay: policy.maxDelay,
+                factor: policy.factor,
+                shouldRetry: error => !controller.signal.aborted && isRetryable(error),
+                signal: controller.signal,
+                onRetry: async (error, attempt, delay) => {
+                    logger.warn('Operation attempt failed, retrying', {
+                        operation_id: operation.id,
+                        attempt,
+                        retry_in_ms: delay,
+                        error: error.message
+                    });
+                    await OrchestratorService.markRetrying(operation.id);
+                }
+            });
+
+            logger.info('Operation completed', { operation_id: operation.id });
+            await OrchestratorService.updateOperationStatus(
+                operation.id,
+                OPERATION_STATUSES.COMPLETED
+            );
+        } catch (error) {
+            // A cancel request arriving while a failed attempt is recorded
+            // stops the retries with that attempt's error
+            if (error.code === OperationError.CODES.CANCELLED || controller.signal.aborted) {
+                await this.recordCancellation(operation);
+            } else {
+                await this.recordFailure(operation, error, isRetryable(error));
+            }
+        } finally {
+            this.running.delete(operation.id);
+            await lockService.releaseForOperation(operation.id).catch(error => {
+                logger.error('Failed to release resource locks', { operation_id: operation.id, error });
+            });
+            this.tick();
+        }
+    }
+
+    /**
+     * Executes one attempt of an operation and records it when it fails.
+     * @param {Object} operation - Operation being processed
+     * @param {number} attempt - Attempt number (1-based)
+     * @returns {Promise<void>}
+     */
+    async executeAttempt(operation, attempt) {
+        const startedAt = new Date().toISOString();
+
+        try {
+            await this.executeHandler(operation);
+        } catch (error) {
+            if (error.code !== OperationError.CODES.CANCELLED) {
+                await OrchestratorService.recordFailedAttempt(operation.id, attempt, error, startedAt);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Runs the handler of an operation: its JavaScript module when one is
+     * registered, otherwise its script.
+     * @param {Object} operation - Operation being processed
+     * @returns {Promise<void>} Resolves when the handler succeeds
+     */
+    executeHandler(operation) {
+        return handlerRegistry.has(operation.type)
+            ? this.executeModule(operation)
+            : this.executeScript(operation);
+    }
+
+    /**
+     * Runs a JavaScript handler module in-process. Its result is stored in
+     * `operations.result`; when it fails, its rollback undoes partial work.
+     * Cancellation is cooperative: the handler gets an AbortSignal.
+     * @param {Object} operation - Operation being processed
+     * @returns {Promise<void>} Resolves when the handler succeeds
+     */
+    async executeModule(operation) {
+        const handler = handlerRegistry.get(operation.type);
+        const { signal } = this.running.get(operation.id).controller;
+        const context = {
+            operationId: operation.id,
+            signal,
+            // Shared between execute and rollback of one attempt
+            state: {},
+            logger: createChildLogger({ component: 'operation-handler', operation_id: operation.id }),
+            reportProgress: (percent, message = null) => {
+                this.handleOutputLine(operation, 'stdout', `PROGRESS ${Math.round(percent)}${message ? ` ${message}` : ''}`);
+            },
+            log: (line, stream = 'stdout') => OrchestratorService.reportOutput(operation.id, stream, line)
+        };
+
+        logger.info('Processing operation', {
+            operation_id: operation.id,
+            type: operation.type,
+            handler: handler.file
+        });
+
+        try {
+            // Data may have changed since the operation was queued
+            await handlerRegistry.validateInput(operation.type, operation.data);
+        } catch (error) {
+            throw new OperationError(error.message, OperationError.CODES.INVALID_INPUT);
+        }
+
+        let result;
+        try {
+            result = await handler.execute(operation.data, context);
+        } catch (error) {
+            if (handler.rollback) {
+                try {
+                    await handler.rollback(operation.data, context, error);
+                } catch (rollbackError) {
+                    logger.error('Handler rollback failed', { operation_id: operation.id, error: rollbackError });
+                }
+            }
+
+            if (signal.aborted) {
+                throw signal.reason;
+            }
+            throw error instanceof OperationError ? error : new OperationError(error.message);
+        }
+
+        if (result !== undefined) {
+            await OrchestratorService.storeOperationResult(operation.id, result);
+        }
+    }
+
+    /**
+     * Runs the handler script for an operation.
+     * Scripts are invoked as `<script> <action> <operation_id>`, the same
+     * way queue_worker.sh calls them. Output lines and progress reports are
+     * published to live subscribers as they are produced.
+     * @param {Object} operation - Operation being processed
+     * @returns {Promise<void>} Resolves when the handler exits successfully
+     */
+    executeScript(operation) {
+        const handler = this.handlers.get(operation.type);
+        const entry = this.running.get(operation.id);
+        let stderr = '';
+
+        logger.info('Processing operation', {
+            operation_id: operation.id,
+            type: operation.type,
+            handler: handler.command
+        });
+
+        return new Promise((resolve, reject) => {
+            // The runner owns the status while it may still retry, so the
+            // handler must not mark the operation failed itself
+            const child = spawn(handler.command, [...handler.args, String(operation.id)], {
+                stdio: ['ignore', 'pipe', 'pipe'],
+                env: { ...process.env, OPERATION_STATUS_MANAGED: '1' }
+            });
+
+            entry.child = child;
+
+            readline.createInterface({ input: child.stdout }).on('line', line => {
+                this.handleOutputLine(operation, 'stdout', line);
+            });
+            readline.createInterface({ input: child.stderr }).on('line', line => {
+                stderr = `${stderr}${line}\n`.slice(-MAX_OUTPUT_LENGTH);
+                this.handleOutputLine(operation, 'stderr', line);
+            });
+
+            // 'error' fires when the script cannot be started at all; 'close'
+            // still follows, so the outcome is settled in one place
+            let spawnError = null;
+            child.on('error', error => {
+                spawnError = error;
+            });
+
+            child.on('close', (code, signal) => {
+                if (code === 0) {
+                    resolve();
+                } else if (entry.controller.signal.aborted) {
+                    reject(entry.controller.signal.reason);
+                } else if (spawnError) {
+                    reject(new OperationError(
+                        `Handler could not be started: ${spawnError.message}`,
+                        OperationError.CODES.HANDLER_UNAVAILABLE
+                    ));
+                } else if (signal) {
+                    reject(new OperationError(
+                        `Handler was terminated by ${signal}`,
+                        OperationError.CODES.HANDLER_KILLED
+                    ));
+                } else {
+                    reject(new OperationError(
+                        stderr.trim() || `Handler exited with code ${code}`
+                    ));
+                }
+            });
+        });
+    }
+
+    /**
+     * Publishes a handler output line, turning progress reports into
+     * progress events.
+     * @param {Object} operation - Operation being processed
+     * @param {string} stream - `stdout` or `stderr`
+     * @param {string} line - Output line
+     */
+    handleOutputLine(operation, stream, line) {
+        const match = stream === 'stdout' && PROGRESS_LINE.exec(line);
+        if (!match) {
+            OrchestratorService.reportOutput(operation.id, stream, line);
+            return;
+        }
+
+        const percent = Math.min(parseInt(match[1]), 100);
+        OrchestratorService.reportProgress(operation.id, percent, match[2] || null)
+            .catch(error => {
+                logger.warn('Failed to record operation progress', {
+                    operation_id: operation.id,
+                    error: error.message
+                });
+            });
+    }
+
+    /**
+     * Records that an operation was cancelled.
+     * @param {Object} operation - Operation that was cancelled
+     * @returns {Promise<void>}
+     */
+    async recordCancellation(operation) {
+        try {
+            logger.info('Operation cancelled', { operation_id: operation.id });
+            await OrchestratorService.markCancelled(operation.id);
+        } catch (recordError) {
+            logger.error('Failed to record operation result', {
+                operation_id: operation.id,
+                error: recordError
+            });
+        }
+    }
+
+    /**
+     * Records the final failure of an operation.
+     * @param {Object} operation - Operation that failed
+     * @param {Error} error - Error of the last attempt
+     * @param {boolean} exhausted - Whether retries were used up
+     * @returns {Promise<void>}
+     */
+    async recordFailure(operation, error, exhausted) {
+        try {
+            if (exhausted) {
+                logger.error('Operation moved to dead letter', {
+                    operation_id: operation.id,
+                    error: error.message
+                });
+                await OrchestratorService.deadLetterOperation(operation.id, error.message);
+            } else {
+                logger.warn('Operation failed', {
+                    operation_id: operation.id,
+                    code: error.code,
+                    error: error.message
+                });
+                await OrchestratorService.updateOperationStatus(
+                    operation.id,
+                    OPERATION_STATUSES.FAILED,
+                    error.message
+                );
+            }
+        } catch (recordError) {
+            logger.error('Failed to record operation result', {
+                operation_id: operation.id,
+                error: recordError
+            });
+        }
+    }
+}
+
+export default new JobRunner();
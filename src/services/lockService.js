@@ -0,0 +1,282 @@
+// src/services/lockService.js
+import { randomUUID } from 'crypto';
+import { db } from '../config/database.js';
+import config from '../config/config.js';
+import { APIError } from '../middleware/errorHandler.js';
+import { OPERATION_STATUSES } from './OrchestratorService.js';
+import { resolveTypeSetting } from '../utils/operationTypes.js';
+import { toSqlDate } from '../utils/helpers.js';
+import { createChildLogger } from '../utils/logger.js';
+
+const logger = createChildLogger({ component: 'resource-locks' });
+
+export const LOCK_POLICIES = Object.freeze({
+    WAIT: 'wait',
+    FAIL: 'fail'
+});
+
+// Lock held by system-wide operations; it conflicts with every other lock
+export const SYSTEM_RESOURCE = 'system';
+
+// Interval at which API requests re-check a lock they are waiting for
+const WAIT_INTERVAL = 500;
+
+/**
+ * Per-resource locks that serialize conflicting work.
+ * Locks are rows in `resource_locks` keyed by resource (`site:<id>`,
+ * `database:<id>` or `system`), so a resource can only be held by one
+ * holder across all API processes. Running operations hold the resources
+ * declared for their type in `orchestrator.locks`; API requests that work
+ * on a resource directly (e.g. a site restore) hold it for their duration.
+ */
+class LockService {
+    constructor() {
+        // Acquisitions within this process run one at a time
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Lock declaration of an operation type.
+     * @param {string} type - Operation type
+     * @returns {Object} { resources, policy }
+     */
+    getLockPolicy(type) {
+        return resolveTypeSetting(config.orchestrator.locks, type);
+    }
+
+    /**
+     * Resolves the resources an operation locks from its type and data.
+     * Sites and databases are identified by ID, or looked up by domain or
+     * database name; one that does not exist yet (e.g. a site being
+     * created) is locked by name.
+     * @param {Object} operation - Operation with type and parsed data
+     * @returns {Promise<Array<string>>} Resources to lock
+     */
+    async resolveResources({ type, data = {} }) {
+        const resources = [];
+
+        for (const kind of this.getLockPolicy(type).resources) {
+            if (kind === SYSTEM_RESOURCE) {
+                resources.push(SYSTEM_RESOURCE);
+            } else if (kind === 'site') {
+                resources.push(await this.resolveResource('site', data.site_id,
+                    'SELECT id FROM site WHERE domain_name = ?', data.domain_name));
+            } else if (kind === 'database') {
+                resources.push(await this.resolveResource('database', data.database_id,
+                    'SELECT id FROM database WHERE name = ?', data.database_name));
+            }
+        }
+
+        return [...new Set(resources.filter(Boolean))];
+    }
+
+    /**
+     * Builds the resource key of a site or database.
+     * @param {string} kind - Resource kind
+     * @param {number|string} id - ID from the operation data
+     * @param {string} lookup - Query finding the ID by name
+     * @param {string} name - Name from the operation data
+     * @returns {Promise<string|null>} Resource key, null without an identifier
+     */
+    async resolveResource(kind, id, lookup, name) {
+        if (id) {
+            return `${kind}:${id}`;
+        }
+        if (!name) {
+            return null;
+        }
+
+        const row = await db.get(lookup, [name]);
+        return row ? `${kind}:${row.id}` : `${kind}:${name}`;
+    }
+
+    /**
+     * Tries to lock resources for a holder, all or nothing. Each resource is
+     * written first and conflicts are checked afterwards, so of two
+     * concurrent holders at most one gets through; on a conflict the rows
+     * written by this attempt are removed again.
+     * @param {Array<string>} resources - Resources to lock
+     * @param {Object} holder - Lock holder
+     * @param {string} holder.holder - Unique holder key
+     * @param {number} [holder.operationId] - Operation holding the lock
+     * @param {string} [holder.description] - What the holder is doing
+     * @param {number} [holder.ttl] - Milliseconds after which the lock expires
+     * @returns {Promise<Object>} { acquired, conflicts }
+     */
+    tryAcquire(resources, { holder, operationId = null, description = null, ttl = null }) {
+        const attempt = this.queue.then(async () => {
+            if (resources.length === 0) {
+                return { acquired: true, conflicts: [] };
+            }
+
+            await this.releaseStaleLocks();
+
+            const expiresAt = ttl ? toSqlDate(Date.now() + ttl) : null;
+            const placeholders = resources.map(() => '?').join(', ');
+
+            const inserted = [];
+            for (const resource of resources) {
+                const result = await db.run(`
+                    INSERT INTO resource_locks (
+                        resource, holder, operation_id, description, acquired_at, expires_at
+                    ) VALUES (?, ?, ?, ?, datetime('now'), ?)
+                    ON CONFLICT (resource) DO NOTHING
+                `, [resource, holder, operationId, description, expiresAt]);
+                if (result.changes > 0) {
+                    inserted.push(resource);
+                }
+            }
+
+            // The system lock conflicts with everything, other locks with
+            // the same resource or the system lock
+            const conflicts = await db.all(`
+                SELECT * FROM resource_locks
+                WHERE holder != ?
+                AND (resource IN (${placeholders}) OR resource = ? OR ? = 1)
+            `, [
+                holder,
+                ...resources,
+                SYSTEM_RESOURCE,
+                resources.includes(SYSTEM_RESOURCE) ? 1 : 0
+            ]);
+
+            if (conflicts.length > 0) {
+                if (inserted.length > 0) {
+                    await db.run(`
+                        DELETE FROM resource_locks
+                        WHERE holder = ? AND resource IN (${inserted.map(() => '?').join(', ')})
+                    `, [holder, ...inserted]);
+                }
+                return { acquired: false, conflicts };
+            }
+
+            return { acquired: true, conflicts: [] };
+        });
+
+        this.queue = attempt.catch(() => {});
+        return attempt;
+    }
+
+    /**
+     * Locks the resources of an operation before it runs.
+     * @param {Object} operation - Claimed operation
+     * @returns {Promise<Object>} { acquired, policy, conflicts }
+     */
+    async acquireForOperation(operation) {
+        const resources = await this.resolveResources(operation);
+        const { acquired, conflicts } = await this.tryAcquire(resources, {
+            holder: `operation:${operation.id}`,
+            operationId: operation.id,
+            description: operation.type
+        });
+
+        return { acquired, policy: this.getLockPolicy(operation.type).policy, conflicts };
+    }
+
+    /**
+     * Locks resources for an API request that works on them directly.
+     * Waits up to `orchestrator.lockWaitTimeout` for the resources unless
+     * the policy is to fail fast. The caller releases the returned holder
+     * with `release()`; locks left behind expire after `orchestrator.lockTtl`.
+     * @param {Array<string>} resources - Resources to lock
+     * @param {string} description - What the request is doing
+     * @param {Object} [options] - Lock options
+     * @param {string} [options.policy='wait'] - `wait` or `fail`
+     * @returns {Promise<string>} Holder key
+     * @throws {APIError} When the resources stay locked
+     */
+    async lockForRequest(resources, description, { policy = LOCK_POLICIES.WAIT } = {}) {
+        const { lockWaitTimeout, lockTtl } = config.orchestrator;
+        const holder = `request:${randomUUID()}`;
+        const deadline = Date.now() + lockWaitTimeout;
+
+        for (;;) {
+            const { acquired, conflicts } = await this.tryAcquire(resources, {
+                holder,
+                description,
+                ttl: lockTtl
+            });
+            if (acquired) {
+                return holder;
+            }
+
+            if (policy === LOCK_POLICIES.FAIL || Date.now() >= deadline) {
+                throw new APIError(
+                    `Resource is locked: ${this.describeConflicts(conflicts)}`,
+                    409,
+                    'RESOURCE_LOCKED'
+                );
+            }
+            await new Promise(resolve => setTimeout(resolve, WAIT_INTERVAL));
+        }
+    }
+
+    /**
+     * Releases every lock of a holder.
+     * @param {string} holder - Holder key
+     * @returns {Promise<void>}
+     */
+    async release(holder) {
+        await db.run('DELETE FROM resource_locks WHERE holder = ?', [holder]);
+    }
+
+    /**
+     * Releases the locks of an operation.
+     * @param {number} operationId - Operation ID
+     * @returns {Promise<void>}
+     */
+    async releaseForOperation(operationId) {
+        await this.release(`operation:${operationId}`);
+    }
+
+    /**
+     * Drops locks whose holder is gone: expired request locks and locks of
+     * operations that are no longer processing (e.g. after a crash).
+     * @returns {Promise<void>}
+     */
+    async releaseStaleLocks() {
+        const result = await db.run(`
+            DELETE FROM resource_locks
+            WHERE expires_at <= datetime('now')
+            OR (operation_id IS NOT NULL AND NOT EXISTS (
+                SELECT 1 FROM operations o
+                WHERE o.id = resource_locks.operation_id AND o.status = ?
+            ))
+        `, [OPERATION_STATUSES.PROCESSING]);
+
+        if (result.changes > 0) {
+            logger.warn('Released stale resource locks', { released: result.changes });
+        }
+    }
+
+    /**
+     * Lists the current locks with the operation holding them.
+     * @returns {Promise<Array>} Locks ordered by acquisition time
+     */
+    async listLocks() {
+        await this.releaseStaleLocks();
+
+        return db.all(`
+            SELECT l.resource, l.holder, l.operation_id, l.description,
+                l.acquired_at, l.expires_at,
+                o.type AS operation_type, o.status AS operation_status,
+                o.created_by AS operation_created_by
+            FROM resource_locks l
+            LEFT JOIN operations o ON o.id = l.operation_id
+            ORDER BY l.acquired_at ASC, l.resource ASC
+        `);
+    }
+
+    /**
+     * Describes conflicting locks for error messages.
+     * @param {Array<Object>} conflicts - Conflicting lock rows
+     * @returns {string} Description
+     */
+    describeConflicts(conflicts) {
+        return conflicts
+            .map(lock => `${lock.resource} held by ${lock.operation_id ? `operation ${lock.operation_id}` : lock.description}`)
+            .join(', ');
+    }
+}
+
+export default new LockService();
@@ -0,0 +1,302 @@
+// src/services/loginProtectionService.js
+import { db } from '../config/database.js';
+import config from '../config/config.js';
+import { APIError } from '../middleware/errorHandler.js';
+import { logToDatabase } from '../middleware/logging.js';
+import { fromSqlDate, toSqlDate } from '../utils/helpers.js';
+import { createChildLogger } from '../utils/logger.js';
+import { loadThresholds } from '../utils/thresholds.js';
+import monitoringService from './monitoringService.js';
+
+const logger = createChildLogger({ component: 'login-protection' });
+
+/**
+ * What failed logins are counted against: the account tried, or the
+ * client IP the attempts come from.
+ */
+export const LOCKOUT_SCOPES = Object.freeze({
+    USER: 'user',
+    IP: 'ip'
+});
+
+// Errors for refused attempts carry the seconds until the next attempt
+const refused = (message, status, code, until) => Object.assign(
+    new APIError(message, status, code),
+    { retryAfter: Math.max(1, Math.ceil((until - Date.now()) / 1000)) }
+);
+
+/**
+ * Brute-force protection for logins.
+ * Failed logins are counted per account and per client IP in fixed
+ * windows. Each failure delays the next attempt for the account, a burst
+ * of failures locks the account, and too many failures from one IP block
+ * it. Locks lift by themselves once their window passes, or earlier when
+ * an admin unlocks them. Lockouts are written to the event table and
+ * raised as security alerts.
+ */
+class LoginProtectionService {
+    constructor() {
+        const { failedLoginsWarning, failedLoginsCritical, failedLoginsWindow,
+            bruteForceAttempts, bruteForceWindow } = config.security.lockout;
+
+        this.thresholds = {
+            failedLoginsWarning,
+            failedLoginsCritical,
+            failedLoginsWindow,
+            bruteForceAttempts,
+            bruteForceWindow
+        };
+    }
+
+    /**
+     * Reads the security.* thresholds from thresholds.conf. The configured
+     * defaults stay in place when the file cannot be read.
+     * @returns {Promise<Object>} Thresholds in use, windows in ms
+     */
+    async loadThresholds() {
+        try {
+            const { security = {} } = await loadThresholds(config.security.lockout.thresholdsFile);
+            const seconds = value => (value > 0 ? value * 1000 : undefined);
+            const loaded = {
+                failedLoginsWarning: security.failed_logins_warning,
+                failedLoginsCritical: security.failed_logins_critical,
+                failedLoginsWindow: seconds(security.failed_logins_window),
+                bruteForceAttempts: security.brute_force_attempts,
+                bruteForceWindow: seconds(security.brute_force_window)
+            };
+
+            for (const [key, value] of Object.entries(loaded)) {
+                if (Number.isInteger(value) && value > 0) {
+                    this.thresholds[key] = value;
+                }
+            }
+        } catch (error) {
+            logger.warn('Using default login thresholds', {
+                file: config.security.lockout.thresholdsFile,
+                error: error.message
+            });
+        }
+
+        return this.thresholds;
+    }
+
+    /**
+     * Refuses a login attempt while the IP is blocked, the account is
+     * locked, or the delay after the account's last failure has not passed.
+     * Accounts are tracked by the username tried, so unknown usernames are
+     * treated exactly like existing ones.
+     * @param {string} username - Username tried
+     * @param {string} [ipAddress] - Client IP address
+     * @returns {Promise<void>}
+     * @throws {APIError} 429 or 423 with `retryAfter` in seconds
+     */
+    async assertAllowed(username, ipAddress) {
+        const now = Date.now();
+
+        const ip = ipAddress && await this.getThrottle(LOCKOUT_SCOPES.IP, ipAddress);
+        const ipLockedUntil = ip?.locked_until && fromSqlDate(ip.locked_until).getTime();
+        if (ipLockedUntil > now) {
+            throw refused('Too many failed logins from this address; try again later', 429, 'IP_BLOCKED', ipLockedUntil);
+        }
+
+        const user = await this.getThrottle(LOCKOUT_SCOPES.USER, username);
+        if (!user) {
+            return;
+        }
+
+        const lockedUntil = user.locked_until && fromSqlDate(user.locked_until).getTime();
+        if (lockedUntil > now) {
+            throw refused('Account is temporarily locked after too many failed logins', 423, 'ACCOUNT_LOCKED', lockedUntil);
+        }
+
+        if (this.isWindowOpen(user, this.thresholds.failedLoginsWindow, now)) {
+            const nextAttempt = fromSqlDate(user.last_failure_at).getTime() + this.getDelay(user.failures);
+            if (nextAttempt > now) {
+                throw refused('Too many failed logins; wait before trying again', 429, 'LOGIN_DELAYED', nextAttempt);
+            }
+        }
+    }
+
+    /**
+     * Counts a failed login against the account and the client IP, and
+     * locks either one when it reaches its threshold.
+     * @param {string} username - Username tried
+     * @param {Object} [client] - { ipAddress, userAgent }
+     * @returns {Promise<void>}
+     */
+    async recordFailure(username, { ipAddress = null, userAgent = null } = {}) {
+        const { failedLoginsWarning, failedLoginsCritical, failedLoginsWindow,
+            bruteForceAttempts, bruteForceWindow } = this.thresholds;
+        const client = { ipAddress, userAgent };
+
+        const user = await this.countFailure(LOCKOUT_SCOPES.USER, username, failedLoginsWindow, failedLoginsCritical);
+        if (user.locked) {
+            await this.reportLockout('ACCOUNT_LOCKED', {
+                username,
+                failures: user.failures,
+                threshold: failedLoginsCritical,
+                locked_until: user.lockedUntil
+            }, client, `Account ${username} locked after ${user.failures} failed logins`);
+        } else if (user.failures === failedLoginsWarning) {
+            await this.reportLockout('LOGIN_FAILURES_WARNING', {
+                username,
+                failures: user.failures,
+                threshold: failedLoginsWarning
+            }, client, `${user.failures} failed logins for account ${username}`, 'warning');
+        }
+
+        if (!ipAddress) {
+            return;
+        }
+
+        const ip = await this.countFailure(LOCKOUT_SCOPES.IP, ipAddress, bruteForceWindow, bruteForceAttempts);
+        if (ip.locked) {
+            await this.reportLockout('IP_BLOCKED', {
+                ip_address: ipAddress,
+                failures: ip.failures,
+                threshold: bruteForceAttempts,
+                locked_until: ip.lockedUntil
+            }, client, `Address ${ipAddress} blocked after ${ip.failures} failed logins`);
+        }
+    }
+
+    /**
+     * Clears the failure count of an account after a successful login.
+     * The IP count is kept, so a valid login cannot reset a brute-force run.
+     * @param {string} username - Username that logged in
+     * @returns {Promise<void>}
+     */
+    async recordSuccess(username) {
+        await db.run(
+            'DELETE FROM login_throttle WHERE scope = ? AND subject = ?',
+            [LOCKOUT_SCOPES.USER, username]
+        );
+    }
+
+    /**
+     * Lists the accounts and IPs that are locked out right now.
+     * @returns {Promise<Array>} Lockouts, latest expiry first
+     */
+    listLockouts() {
+        return db.all(`
+            SELECT scope, subject, failures, last_failure_at, locked_until
+            FROM login_throttle
+            WHERE locked_until > ?
+            ORDER BY locked_until DESC
+        `, [toSqlDate(new Date())]);
+    }
+
+    /**
+     * Lifts the lockout of an account or IP and resets its failure count.
+     * @param {string} scope - LOCKOUT_SCOPES value
+     * @param {string} subject - Username or IP address
+     * @returns {Promise<boolean>} Whether it was locked out
+     */
+    async unlock(scope, subject) {
+        const result = await db.run(
+            'DELETE FROM login_throttle WHERE scope = ? AND subject = ? AND locked_until > ?',
+            [scope, subject, toSqlDate(new Date())]
+        );
+        return result.changes > 0;
+    }
+
+    // Helper methods
+
+    getThrottle(scope, subject) {
+        return db.get(
+            'SELECT * FROM login_throttle WHERE scope = ? AND subject = ?',
+            [scope, subject]
+        );
+    }
+
+    /**
+     * Adds a failure to the count of an account or IP, starting a new
+     * window when the last one has passed. Rows whose window and lock have
+     * both passed are removed on the way.
+     * @param {string} scope - LOCKOUT_SCOPES value
+     * @param {string} subject - Username or IP address
+     * @param {number} window - Window length and lock duration in ms
+     * @param {number} threshold - Failures in a window that lock it out
+     * @returns {Promise<Object>} { failures, locked, lockedUntil } where
+     *   `locked` is true only for the failure that caused the lockout
+     */
+    async countFailure(scope, subject, window, threshold) {
+        const now = Date.now();
+
+        await db.run(`
+            DELETE FROM login_throttle
+            WHERE scope = ? AND window_start <= ? AND (locked_until IS NULL OR locked_until <= ?)
+        `, [scope, toSqlDate(now - window), toSqlDate(now)]);
+
+        const row = await this.getThrottle(scope, subject);
+        const failures = row && this.isWindowOpen(row, window, now) ? row.failures + 1 : 1;
+        const windowStart = failures === 1 ? toSqlDate(now) : row.window_start;
+        const wasLocked = Boolean(row?.locked_until) && fromSqlDate(row.locked_until).getTime() > now;
+        const locked = !wasLocked && failures >= threshold;
+        const lockedUntil = locked ? toSqlDate(now + window) : (wasLocked ? row.locked_until : null);
+
+        await db.run(`
+            INSERT INTO login_throttle (scope, subject, failures, window_start, last_failure_at, locked_until)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT (scope, subject) DO UPDATE SET
+                failures = excluded.failures,
+                window_start = excluded.window_start,
+                last_failure_at = excluded.last_failure_at,
+                locked_until = excluded.locked_until
+        `, [scope, subject, failures, windowStart, toSqlDate(now), lockedUntil]);
+
+        return { failures, locked, lockedUntil };
+    }
+
+    isWindowOpen(row, window, now = Date.now()) {
+        return fromSqlDate(row.window_start).getTime() > now - window;
+    }
+
+    /**
+     * Delay before the next attempt after a number of failures.
+     * @param {number} failures - Failures in the current window
+     * @returns {number} Delay in ms
+     */
+    getDelay(failures) {
+        const { base, max } = config.security.lockout.delay;
+        return Math.min(base * (2 ** Math.max(0, failures - 1)), max);
+    }
+
+    /**
+     * Writes a lockout to the event table and raises a security alert.
+     * Failures here are logged and do not affect the login response.
+     * @param {string} eventName - Event name
+     * @param {Object} details - Event data
+     * @param {Object} client - { ipAddress, userAgent }
+     * @param {string} message - Alert message
+     * @param {string} [level] - Alert level
+     * @returns {Promise<void>}
+     */
+    async reportLockout(eventName, details, client, message, level = 'critical') {
+        logger.warn(message, details);
+
+        await logToDatabase({
+            event_name: eventName,
+            event_data: details,
+            source_ip_address: client.ipAddress,
+            user_agent: client.userAgent
+        });
+
+        const alerts = [{
+            type: 'security',
+            level,
+            message,
+            value: details.failures,
+            threshold: details.threshold
+        }];
+
+        try {
+            await monitoringService.storeAlerts(alerts);
+            await monitoringService.triggerAlertNotifications(alerts);
+        } catch (error) {
+            logger.error('Failed to raise login alert', { error, eventName });
+        }
+    }
+}
+
+export default new LoginProtectionService();
@@ -2,6 +2,7 @@
 import { db } from '../config/database.js';
 import { handleDatabaseError } from '../middleware/errorHandler.js';
 import { roundToDecimal } from '../utils/numbers.js';
+import webhookService from './webhookService.js';
 
 /**
  * Service for handling system monitoring and performance metrics in CloudPanel.
@@ -328,6 +329,10 @@ class MonitoringService {
             await db.run('ROLLBACK');
             throw error;
         }
+
+        for (const alert of alerts) {
+            await webhookService.publish('alert.triggered', { alert });
+        }
     }
 
     async triggerAlertNotifications(alerts) {
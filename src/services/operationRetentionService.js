@@ -0,0 +1,194 @@
+// src/services/operationRetentionService.js
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createGzip } from 'zlib';
+import { db } from '../config/database.js';
+import config from '../config/config.js';
+import { APIError } from '../middleware/errorHandler.js';
+import { safeJsonParse } from '../utils/helpers.js';
+import { createChildLogger } from '../utils/logger.js';
+
+const logger = createChildLogger({ component: 'operation-retention' });
+
+const ARCHIVE_PATTERN = /^operations-.+\.jsonl\.gz$/;
+
+/**
+ * Retention job for the operation history.
+ * Finished operations older than the retention period are written, with
+ * their attempt history, to gzipped JSONL files (one operation per line)
+ * and then deleted from the database. Rows are only deleted once their
+ * archive file has been written completely.
+ */
+class OperationRetentionService {
+    constructor() {
+        this.timer = null;
+        this.archiving = false;
+    }
+
+    /**
+     * Starts archiving old operations periodically. The first pass runs in
+     * the background so it does not delay startup.
+     */
+    start() {
+        const run = () => this.archiveOperations().catch(error => {
+            if (!(error instanceof APIError)) {
+                logger.error('Failed to archive operations', { error });
+            }
+        });
+
+        this.timer = setInterval(run, config.orchestrator.retention.interval);
+        run();
+    }
+
+    /**
+     * Stops archiving old operations.
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Archives finished operations older than the retention period.
+     * @param {Object} [options] - Archive options
+     * @param {number} [options.olderThanDays] - Retention period override
+     * @returns {Promise<Object>} { archived, files }
+     * @throws {APIError} When an archive run is already in progress
+     */
+    async archiveOperations({ olderThanDays = config.orchestrator.retention.days } = {}) {
+        if (this.archiving) {
+            throw new APIError('An archive run is already in progress', 409, 'ARCHIVE_IN_PROGRESS');
+        }
+
+        this.archiving = true;
+        try {
+            const { statuses, archiveDir, batchSize } = config.orchestrator.retention;
+            await fs.promises.mkdir(archiveDir, { recursive: true });
+
+            const files = [];
+            let archived = 0;
+
+            for (;;) {
+                const operations = await db.all(`
+                    SELECT * FROM operations
+                    WHERE status IN (${statuses.map(() => '?').join(', ')})
+                    AND completed_at < datetime('now', ?)
+                    ORDER BY id ASC
+                    LIMIT ?
+                `, [...statuses, `-${olderThanDays} days`, batchSize]);
+
+                if (operations.length === 0) {
+                    break;
+                }
+
+                files.push(await this.writeArchive(archiveDir, operations));
+                await this.deleteOperations(operations.map(operation => operation.id));
+                archived += operations.length;
+            }
+
+            if (archived > 0) {
+                logger.info('Archived old operations', { archived, files });
+            }
+
+            return { archived, files };
+        } finally {
+            this.archiving = false;
+        }
+    }
+
+    /**
+     * Writes a batch of operations and their attempts to a new archive file.
+     * @param {string} archiveDir - Archive directory
+     * @param {Array<Object>} operations - Operation rows, oldest first
+     * @returns {Promise<string>} Name of the archive file
+     */
+    async writeArchive(archiveDir, operations) {
+        const ids = operations.map(operation => operation.id);
+        const attempts = await db.all(`
+            SELECT * FROM operation_attempts
+            WHERE operation_id IN (${ids.map(() => '?').join(', ')})
+            ORDER BY operation_id ASC, attempt ASC
+        `, ids);
+
+        const attemptsById = new Map();
+        for (const attempt of attempts) {
+            if (!attemptsById.has(attempt.operation_id)) {
+                attemptsById.set(attempt.operation_id, []);
+            }
+            attemptsById.get(attempt.operation_id).push(attempt);
+        }
+
+        const lines = operations.map(operation => `${JSON.stringify({
+            ...operation,
+            data: safeJsonParse(operation.data, {}),
+            result: safeJsonParse(operation.result, null),
+            attempts: attemptsById.get(operation.id) || []
+        })}\n`);
+
+        const timestamp = new Date().toISOString().replace(/[-:]/g, '').slice(0, 15);
+        const fileName = `operations-${timestamp}-${ids[0]}-${ids[ids.length - 1]}.jsonl.gz`;
+        const filePath = path.join(archiveDir, fileName);
+
+        try {
+            await pipeline(
+                Readable.from(lines),
+                createGzip(),
+                fs.createWriteStream(filePath, { flags: 'wx' })
+            );
+        } catch (error) {
+            await fs.promises.rm(filePath, { force: true });
+            throw error;
+        }
+
+        return fileName;
+    }
+
+    /**
+     * Deletes archived operations and their attempt history.
+     * @param {Array<number>} ids - Operation IDs
+     * @returns {Promise<void>}
+     */
+    async deleteOperations(ids) {
+        const placeholders = ids.map(() => '?').join(', ');
+
+        await db.transaction(async (tx) => {
+            await tx.run(`DELETE FROM operation_attempts WHERE operation_id IN (${placeholders})`, ids);
+            await tx.run(`DELETE FROM operations WHERE id IN (${placeholders})`, ids);
+        });
+    }
+
+    /**
+     * Lists the archive files, newest first.
+     * @returns {Promise<Array>} Archive files with size and creation time
+     */
+    async listArchives() {
+        const { archiveDir } = config.orchestrator.retention;
+
+        let names;
+        try {
+            names = await fs.promises.readdir(archiveDir);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const archives = await Promise.all(names
+            .filter(name => ARCHIVE_PATTERN.test(name))
+            .map(async (name) => {
+                const stats = await fs.promises.stat(path.join(archiveDir, name));
+                return {
+                    file: name,
+                    size: stats.size,
+                    created_at: stats.mtime.toISOString()
+                };
+            }));
+
+        return archives.sort((a, b) => b.file.localeCompare(a.file));
+    }
+}
+
+export default new OperationRetentionService();
@@ -0,0 +1,200 @@
+// src/services/passwordPolicyService.js
+import bcrypt from 'bcrypt';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { db } from '../config/database.js';
+import config from '../config/config.js';
+import { APIError } from '../middleware/errorHandler.js';
+import { fromSqlDate } from '../utils/helpers.js';
+import { createChildLogger } from '../utils/logger.js';
+import { validatePassword } from '../utils/validation.js';
+
+const logger = createChildLogger({ component: 'password-policy' });
+
+// Length of the SHA-1 prefix that names each file of the breached-password list
+const BREACH_PREFIX_LENGTH = 5;
+
+/**
+ * Rules for new passwords, from config.security.passwords.
+ * On top of the length and character class rules, a new password may not
+ * contain the user's username or email, appear in the local
+ * breached-password list, or repeat one of the user's recent passwords.
+ * Passwords older than the maximum age have to be changed before the
+ * user's sessions can do anything else.
+ */
+class PasswordPolicyService {
+    /**
+     * The active rules, as reported to clients.
+     * @returns {Object} Policy with ages in days
+     */
+    getPolicy() {
+        const { minLength, requireUppercase, requireLowercase, requireNumber,
+            requireSpecial, historyDepth, maxAge, breachedHashesDir } = config.security.passwords;
+
+        return {
+            min_length: minLength,
+            require_uppercase: requireUppercase,
+            require_lowercase: requireLowercase,
+            require_number: requireNumber,
+            require_special: requireSpecial,
+            disallow_user_info: true,
+            history_depth: historyDepth,
+            max_age_days: maxAge > 0 ? Math.round(maxAge / (24 * 60 * 60 * 1000)) : null,
+            breach_check: Boolean(breachedHashesDir)
+        };
+    }
+
+    /**
+     * Checks a password against every rule of the policy.
+     * @param {string} password - New password
+     * @param {Object} [user] - { id, username, email } of the owner; the
+     *   history is checked when the id is given
+     * @returns {Promise<Array<string>>} Rules the password breaks
+     */
+    async validate(password, { id = null, username = null, email = null } = {}) {
+        const { errors } = validatePassword(password, config.security.passwords, { username, email });
+        if (typeof password !== 'string') {
+            return errors;
+        }
+
+        if (await this.isBreached(password)) {
+            errors.push('Must not be a password known from a data breach');
+        }
+
+        if (id && await this.isReused(id, password)) {
+            errors.push(`Must differ from the last ${config.security.passwords.historyDepth} passwords`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Like validate(), but throws when a rule is broken.
+     * @param {string} password - New password
+     * @param {Object} [user] - { id, username, email } of the owner
+     * @returns {Promise<void>}
+     * @throws {APIError} 400 with the broken rules in `violations`
+     */
+    async assertValid(password, user) {
+        const violations = await this.validate(password, user);
+        if (violations.length > 0) {
+            throw Object.assign(
+                new APIError('Password does not meet the password policy', 400, 'PASSWORD_POLICY_VIOLATION'),
+                { violations }
+            );
+        }
+    }
+
+    /**
+     * Looks a password up in the breached-password list. Only the file for
+     * the first characters of its SHA-1 hash is read. Without a list, or
+     * when the file cannot be read, the password counts as not breached.
+     * @param {string} password - Password to look up
+     * @returns {Promise<boolean>} Whether the password is in the list
+     */
+    async isBreached(password) {
+        const dir = config.security.passwords.breachedHashesDir;
+        if (!dir) {
+            return false;
+        }
+
+        const hash = crypto.createHash('sha1').update(password).digest('hex').toUpperCase();
+        const prefix = hash.slice(0, BREACH_PREFIX_LENGTH);
+        const suffix = hash.slice(BREACH_PREFIX_LENGTH);
+
+        let content;
+        try {
+            content = await fs.readFile(path.join(dir, `${prefix}.txt`), 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn('Failed to read breached password list', { dir, prefix, error: error.message });
+            }
+            return false;
+        }
+
+        return content.split('\n').some(line => line.slice(0, line.indexOf(':')).trim().toUpperCase() === suffix);
+    }
+
+    /**
+     * Whether a password matches one of the user's last `historyDepth`
+     * passwords, the current one included.
+     * @param {number} userId - User ID
+     * @param {string} password - New password
+     * @returns {Promise<boolean>} Whether the password was used recently
+     */
+    async isReused(userId, password) {
+        const { historyDepth } = config.security.passwords;
+        if (historyDepth <= 0) {
+            return false;
+        }
+
+        const history = await db.all(`
+            SELECT password_hash
+            FROM password_history
+            WHERE user_id = ?
+            ORDER BY created_at DESC, id DESC
+            LIMIT ?
+        `, [userId, historyDepth]);
+
+        for (const entry of history) {
+            if (await bcrypt.compare(password, entry.password_hash)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Adds the user's current password hash to their history, which also
+     * restarts its age, and drops entries beyond the history depth.
+     * @param {number} userId - User ID
+     * @param {Object} [conn] - Connection to use inside a transaction
+     * @returns {Promise<void>}
+     */
+    async recordPassword(userId, conn = db) {
+        const keep = Math.max(1, config.security.passwords.historyDepth);
+
+        await conn.run(`
+            INSERT INTO password_history (user_id, password_hash, created_at)
+            SELECT id, password, datetime('now') FROM user WHERE id = ?
+        `, [userId]);
+
+        await conn.run(`
+            DELETE FROM password_history
+            WHERE user_id = ? AND id NOT IN (
+                SELECT id FROM password_history
+                WHERE user_id = ?
+                ORDER BY created_at DESC, id DESC
+                LIMIT ?
+            )
+        `, [userId, userId, keep]);
+    }
+
+    /**
+     * Whether a password set at the given time is past the maximum age.
+     * Passwords without a recorded change time never expire.
+     * @param {string|null} changedAt - password_history.created_at of the
+     *   current password
+     * @returns {boolean} Whether the password has to be changed
+     */
+    isExpired(changedAt) {
+        const { maxAge } = config.security.passwords;
+        return maxAge > 0 && Boolean(changedAt) && fromSqlDate(changedAt).getTime() + maxAge <= Date.now();
+    }
+
+    /**
+     * When the user's current password was set.
+     * @param {number} userId - User ID
+     * @returns {Promise<string|null>} SQL datetime, or null without history
+     */
+    async getPasswordChangedAt(userId) {
+        const row = await db.get(
+            'SELECT MAX(created_at) AS changed_at FROM password_history WHERE user_id = ?',
+            [userId]
+        );
+        return row?.changed_at || null;
+    }
+}
+
+export default new PasswordPolicyService();
@@ -0,0 +1,103 @@
+// src/services/rateLimitService.js
+import { db } from '../config/database.js';
+import config from '../config/config.js';
+import { createChildLogger } from '../utils/logger.js';
+
+const logger = createChildLogger({ component: 'rate-limit' });
+
+/**
+ * Sliding window rate limiter backed by sqlite.
+ * Each bucket counts requests in fixed windows; the count of the previous
+ * window is weighted by how much of it still overlaps the sliding window.
+ * Counters live in the database, so every API process sharing it enforces
+ * the same limits and a restart does not reset them.
+ */
+class RateLimitService {
+    constructor() {
+        this.timer = null;
+    }
+
+    /**
+     * Starts pruning expired counters periodically.
+     */
+    start() {
+        const prune = () => this.prune().catch(error => {
+            logger.error('Failed to prune rate limit counters', { error });
+        });
+
+        this.timer = setInterval(prune, config.security.rateLimits.pruneInterval);
+        prune();
+    }
+
+    /**
+     * Stops pruning expired counters.
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Counts a request against a bucket and reports whether it is allowed.
+     * Rejected requests count too, so a client that keeps retrying stays
+     * limited.
+     * @param {string} bucket - Bucket name, e.g. `default:api_key:12`
+     * @param {Object} limit - { max, windowMs }
+     * @returns {Promise<Object>} { allowed, limit, remaining, reset } where
+     *   `reset` is the number of seconds until the current window ends
+     */
+    async hit(bucket, limit) {
+        const windowStart = Math.floor(Date.now() / limit.windowMs) * limit.windowMs;
+
+        await db.run(`
+            INSERT INTO rate_limit_counters (bucket, window_start, count, expires_at)
+            VALUES (?, ?, 1, ?)
+            ON CONFLICT (bucket, window_start) DO UPDATE SET count = count + 1
+        `, [bucket, windowStart, windowStart + (2 * limit.windowMs)]);
+
+        return this.check(bucket, limit);
+    }
+
+    /**
+     * Reports the state of a bucket without counting a request.
+     * @param {string} bucket - Bucket name
+     * @param {Object} limit - { max, windowMs }
+     * @param {number} [cost=0] - Requests to add before comparing with the
+     *   limit; 1 tells whether one more request would be allowed
+     * @returns {Promise<Object>} { allowed, limit, remaining, reset }, as hit()
+     */
+    async check(bucket, { max, windowMs }, cost = 0) {
+        const now = Date.now();
+        const windowStart = Math.floor(now / windowMs) * windowMs;
+        const elapsed = now - windowStart;
+
+        const rows = await db.all(`
+            SELECT window_start, count FROM rate_limit_counters
+            WHERE bucket = ? AND window_start IN (?, ?)
+        `, [bucket, windowStart, windowStart - windowMs]);
+
+        const count = start => rows.find(row => row.window_start === start)?.count || 0;
+        const used = (count(windowStart - windowMs) * ((windowMs - elapsed) / windowMs)) + count(windowStart);
+
+        return {
+            allowed: used + cost <= max,
+            limit: max,
+            remaining: Math.max(0, Math.floor(max - used)),
+            reset: Math.ceil((windowMs - elapsed) / 1000)
+        };
+    }
+
+    /**
+     * Deletes counters whose windows no longer affect any limit.
+     * @returns {Promise<number>} Number of counters deleted
+     */
+    async prune() {
+        const result = await db.run(
+            'DELETE FROM rate_limit_counters WHERE expires_at <= ?',
+            [Date.now()]
+        );
+        return result.changes;
+    }
+}
+
+export default new RateLimitService();
@@ -0,0 +1,408 @@
+// src/services/schedulerService.js
+import { db } from '../config/database.js';
+import config from '../config/config.js';
+import OrchestratorService from './OrchestratorService.js';
+import handlerRegistry from './handlerRegistry.js';
+import { APIError, handleDatabaseError } from '../middleware/errorHandler.js';
+import { getCronFireTimes, parseCronExpression } from '../utils/cron.js';
+import { fromSqlDate, safeJsonParse, toSqlDate } from '../utils/helpers.js';
+import { createChildLogger } from '../utils/logger.js';
+
+const logger = createChildLogger({ component: 'scheduler' });
+
+/**
+ * What to do with fire times that passed while the API was down:
+ * `once` queues a single catch-up run, `all` queues one run per missed
+ * time (up to MAX_CATCH_UP_RUNS) and `none` skips them.
+ */
+export const CATCH_UP_POLICIES = Object.freeze(['once', 'all', 'none']);
+
+const MAX_CATCH_UP_RUNS = 100;
+
+/**
+ * Scheduler for cron and delayed operations.
+ * Schedules queue an operation type through OrchestratorService on a cron
+ * expression or once at a fixed time. Due schedules are claimed by moving
+ * `next_run_at` forward atomically, so a run is queued exactly once even
+ * with several API processes; runs missed while the API was down are
+ * handled according to the schedule's catch-up policy on the next check.
+ */
+class SchedulerService {
+    constructor() {
+        this.timer = null;
+        this.checking = false;
+    }
+
+    /**
+     * Starts checking for due schedules, catching up on missed runs first.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        this.timer = setInterval(() => this.runDueSchedules(), config.orchestrator.schedulerInterval);
+        await this.runDueSchedules();
+    }
+
+    /**
+     * Stops checking for due schedules.
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Queues the runs of every schedule that is due.
+     * @returns {Promise<void>}
+     */
+    async runDueSchedules() {
+        if (this.checking) {
+            return;
+        }
+
+        this.checking = true;
+        try {
+            const now = new Date();
+            const schedules = await db.all(`
+                SELECT * FROM schedules
+                WHERE enabled = 1 AND next_run_at IS NOT NULL AND next_run_at <= ?
+                ORDER BY next_run_at ASC
+            `, [toSqlDate(now)]);
+
+            for (const schedule of schedules) {
+                try {
+                    await this.fireSchedule(schedule, now);
+                } catch (error) {
+                    logger.error('Failed to run schedule', { schedule_id: schedule.id, error });
+                }
+            }
+        } catch (error) {
+            logger.error('Failed to check schedules', { error });
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    /**
+     * Queues the due runs of one schedule and moves it to its next fire time.
+     * @param {Object} schedule - Due schedule row
+     * @param {Date} now - Time of the check
+     * @returns {Promise<void>}
+     */
+    async fireSchedule(schedule, now) {
+        const scheduledFor = fromSqlDate(schedule.next_run_at);
+        const due = [scheduledFor];
+        let nextRun = null;
+
+        if (schedule.cron_expression) {
+            due.push(...getCronFireTimes(schedule.cron_expression, scheduledFor, {
+                until: now,
+                count: MAX_CATCH_UP_RUNS - 1
+            }));
+            [nextRun = null] = getCronFireTimes(schedule.cron_expression, now, { count: 1 });
+        }
+
+        // Moving next_run_at claims the due runs for this process
+        const claimed = await db.run(`
+            UPDATE schedules
+            SET next_run_at = ?, enabled = ?, last_run_at = datetime('now')
+            WHERE id = ? AND next_run_at = ?
+        `, [
+            nextRun ? toSqlDate(nextRun) : null,
+            nextRun ? 1 : 0,
+            schedule.id,
+            schedule.next_run_at
+        ]);
+        if (claimed.changes === 0) {
+            return;
+        }
+
+        // A run is missed when it was due well before this check
+        const latest = due[due.length - 1];
+        const onTime = now - latest <= config.orchestrator.schedulerInterval * 2;
+        let runs;
+        if (schedule.catch_up === 'all') {
+            runs = due;
+        } else if (schedule.catch_up === 'none') {
+            runs = onTime ? [latest] : [];
+        } else {
+            runs = [latest];
+        }
+
+        if (runs.length < due.length) {
+            logger.warn('Skipped missed schedule runs', {
+                schedule_id: schedule.id,
+                skipped: due.length - runs.length
+            });
+        }
+
+        const data = safeJsonParse(schedule.data, {});
+        for (const time of runs) {
+            const operationId = await OrchestratorService.triggerOperation(schedule.operation_type, data, {
+                createdBy: schedule.created_by
+            });
+            const missed = time !== latest || !onTime;
+
+            await db.run(`
+                INSERT INTO schedule_runs (schedule_id, operation_id, scheduled_for, missed)
+                VALUES (?, ?, ?, ?)
+            `, [schedule.id, operationId, toSqlDate(time), missed ? 1 : 0]);
+            await db.run(
+                'UPDATE schedules SET last_operation_id = ? WHERE id = ?',
+                [operationId, schedule.id]
+            );
+
+            logger.info('Scheduled operation queued', {
+                schedule_id: schedule.id,
+                operation_id: operationId,
+                scheduled_for: time.toISOString(),
+                missed
+            });
+        }
+    }
+
+    /**
+     * Validates schedule settings and computes the first fire time.
+     * @param {Object} schedule - Schedule settings
+     * @returns {Promise<Date|null>} First fire time, null when disabled
+     * @throws {APIError} When the settings are invalid
+     */
+    async validateSchedule({ operation_type, data, cron_expression, run_at, catch_up, enabled }) {
+        const invalid = message => new APIError(message, 400, 'INVALID_SCHEDULE');
+
+        if (!await handlerRegistry.isKnownType(operation_type)) {
+            throw invalid(`Unknown operation type "${operation_type}"`);
+        }
+        await handlerRegistry.validateInput(operation_type, data);
+        if (!CATCH_UP_POLICIES.includes(catch_up)) {
+            throw invalid(`catch_up must be one of ${CATCH_UP_POLICIES.join(', ')}`);
+        }
+        if (Boolean(cron_expression) === Boolean(run_at)) {
+            throw invalid('Provide either cron_expression or run_at');
+        }
+
+        if (run_at) {
+            const runAt = new Date(run_at);
+            if (Number.isNaN(runAt.getTime())) {
+                throw invalid('run_at must be an ISO 8601 time');
+            }
+            // One-off schedules that already ran stay disabled
+            if (enabled && runAt <= new Date()) {
+                throw invalid('run_at must be a time in the future');
+            }
+            return enabled ? runAt : null;
+        }
+
+        let nextRun;
+        try {
+            [nextRun = null] = getCronFireTimes(cron_expression, new Date(), { count: 1 });
+        } catch (error) {
+            throw invalid(error.message);
+        }
+        if (!nextRun) {
+            throw invalid('cron_expression never fires');
+        }
+        return enabled ? nextRun : null;
+    }
+
+    /**
+     * Creates a schedule.
+     * @param {Object} schedule - Schedule settings
+     * @param {string} [schedule.name] - Descriptive name
+     * @param {string} schedule.operation_type - Operation type to queue
+     * @param {Object} [schedule.data] - Operation payload
+     * @param {string} [schedule.cron_expression] - Recurring schedule
+     * @param {string} [schedule.run_at] - One-off run time (ISO 8601)
+     * @param {string} [schedule.catch_up='once'] - Catch-up policy
+     * @param {boolean} [schedule.enabled=true] - Whether the schedule fires
+     * @param {string} createdBy - Identifier of the requester
+     * @returns {Promise<Object>} Created schedule
+     */
+    async createSchedule(schedule, createdBy) {
+        const settings = {
+            name: null,
+            data: {},
+            cron_expression: null,
+            run_at: null,
+            catch_up: 'once',
+            enabled: true,
+            ...schedule
+        };
+        const nextRun = await this.validateSchedule(settings);
+
+        try {
+            const result = await db.run(`
+                INSERT INTO schedules (
+                    name, operation_type, data, cron_expression, run_at, catch_up,
+                    enabled, next_run_at, created_by, created_at, updated_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+            `, [
+                settings.name,
+                settings.operation_type,
+                JSON.stringify(settings.data),
+                settings.cron_expression,
+                settings.run_at ? toSqlDate(new Date(settings.run_at)) : null,
+                settings.catch_up,
+                settings.enabled ? 1 : 0,
+                nextRun ? toSqlDate(nextRun) : null,
+                createdBy
+            ]);
+
+            return this.getSchedule(result.lastID);
+        } catch (error) {
+            throw handleDatabaseError(error);
+        }
+    }
+
+    /**
+     * Updates a schedule. Changing the timing or re-enabling a schedule
+     * recomputes its next run from now, without catching up.
+     * @param {number} scheduleId - Schedule ID
+     * @param {Object} changes - Settings to change
+     * @returns {Promise<Object|null>} Updated schedule or null if not found
+     */
+    async updateSchedule(scheduleId, changes) {
+        const current = await db.get('SELECT * FROM schedules WHERE id = ?', [scheduleId]);
+        if (!current) {
+            return null;
+        }
+
+        const settings = {
+            name: current.name,
+            operation_type: current.operation_type,
+            data: safeJsonParse(current.data, {}),
+            cron_expression: current.cron_expression,
+            run_at: current.run_at ? fromSqlDate(current.run_at).toISOString() : null,
+            catch_up: current.catch_up,
+            enabled: Boolean(current.enabled),
+            ...changes
+        };
+        // Switching between cron and one-off replaces the other setting
+        if (changes.cron_expression) {
+            settings.run_at = null;
+        } else if (changes.run_at) {
+            settings.cron_expression = null;
+        }
+
+        const nextRun = await this.validateSchedule(settings);
+
+        await db.run(`
+            UPDATE schedules
+            SET name = ?, operation_type = ?, data = ?, cron_expression = ?, run_at = ?,
+                catch_up = ?, enabled = ?, next_run_at = ?, updated_at = datetime('now')
+            WHERE id = ?
+        `, [
+            settings.name,
+            settings.operation_type,
+            JSON.stringify(settings.data),
+            settings.cron_expression,
+            settings.run_at ? toSqlDate(new Date(settings.run_at)) : null,
+            settings.catch_up,
+            settings.enabled ? 1 : 0,
+            nextRun ? toSqlDate(nextRun) : null,
+            scheduleId
+        ]);
+
+        return this.getSchedule(scheduleId);
+    }
+
+    /**
+     * Deletes a schedule and its run history.
+     * @param {number} scheduleId - Schedule ID
+     * @returns {Promise<boolean>} Whether the schedule existed
+     */
+    async deleteSchedule(scheduleId) {
+        await db.run('DELETE FROM schedule_runs WHERE schedule_id = ?', [scheduleId]);
+        const result = await db.run('DELETE FROM schedules WHERE id = ?', [scheduleId]);
+        return result.changes > 0;
+    }
+
+    /**
+     * Retrieves a schedule with its most recent runs.
+     * @param {number} scheduleId - Schedule ID
+     * @returns {Promise<Object|null>} Schedule or null if not found
+     */
+    async getSchedule(scheduleId) {
+        const schedule = await db.get('SELECT * FROM schedules WHERE id = ?', [scheduleId]);
+        if (!schedule) {
+            return null;
+        }
+
+        const runs = await db.all(`
+            SELECT r.operation_id, r.scheduled_for, r.missed, r.created_at, o.status
+            FROM schedule_runs r
+            LEFT JOIN operations o ON o.id = r.operation_id
+            WHERE r.schedule_id = ?
+            ORDER BY r.scheduled_for DESC, r.id DESC
+            LIMIT 20
+        `, [scheduleId]);
+
+        return {
+            ...this.formatSchedule(schedule),
+            recent_runs: runs.map(run => ({ ...run, missed: Boolean(run.missed) }))
+        };
+    }
+
+    /**
+     * Lists schedules.
+     * @param {Object} [options] - Filter options
+     * @param {Array<string>} [options.operationTypes] - Only these operation types
+     * @param {boolean} [options.enabled] - Only enabled or disabled schedules
+     * @param {number} [options.limit=50] - Maximum number of schedules
+     * @returns {Promise<Array>} Schedules
+     */
+    async listSchedules({ operationTypes = null, enabled = null, limit = 50 } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (operationTypes) {
+            conditions.push(`operation_type IN (${operationTypes.map(() => '?').join(', ')})`);
+            params.push(...operationTypes);
+        }
+        if (enabled !== null) {
+            conditions.push('enabled = ?');
+            params.push(enabled ? 1 : 0);
+        }
+
+        const schedules = await db.all(`
+            SELECT * FROM schedules
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY created_at DESC, id DESC
+            LIMIT ?
+        `, [...params, limit]);
+
+        return schedules.map(schedule => this.formatSchedule(schedule));
+    }
+
+    /**
+     * Previews the next fire times of a cron expression.
+     * @param {string} cronExpression - Cron expression
+     * @param {number} [count=10] - Number of fire times
+     * @returns {Array<string>} ISO 8601 fire times
+     * @throws {APIError} When the expression is invalid
+     */
+    previewCron(cronExpression, count = 10) {
+        try {
+            parseCronExpression(cronExpression);
+        } catch (error) {
+            throw new APIError(error.message, 400, 'INVALID_SCHEDULE');
+        }
+
+        return getCronFireTimes(cronExpression, new Date(), { count })
+            .map(time => time.toISOString());
+    }
+
+    /**
+     * Decodes a schedule row.
+     * @param {Object} schedule - Raw schedule row
+     * @returns {Object} Schedule with parsed data
+     */
+    formatSchedule(schedule) {
+        return {
+            ...schedule,
+            data: safeJsonParse(schedule.data, {}),
+            enabled: Boolean(schedule.enabled)
+        };
+    }
+}
+
+export default new SchedulerService();
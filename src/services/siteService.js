@@ -3,6 +3,7 @@ import { db } from '../config/database.js';
 import { handleDatabaseError } from '../middleware/errorHandler.js';
 import { validateDomain } from '../utils/validation.js';
 import { createDirectory, setPermissions } from '../utils/filesystem.js';
+import { createPlan } from '../utils/plan.js';
 import path from 'path';
 
 /**
@@ -296,6 +297,64 @@ class SiteService {
         };
     }
 
+    /**
+     * Lists what deleting a site would remove, without changing anything.
+     * Mirrors deleteSite: the site, PHP settings, database and certificate
+     * records. The site directory and the MySQL databases and users are
+     * left in place.
+     */
+    async planDeleteSite(siteId) {
+        const site = await this.findById(siteId);
+        if (!site) {
+            throw new Error('Site not found');
+        }
+
+        const plan = createPlan('site.delete', {
+            type: 'site',
+            id: site.id,
+            domain_name: site.domain_name
+        });
+
+        plan.database_rows.push({ table: 'site', id: site.id, description: site.domain_name });
+        if (site.php_settings_id) {
+            plan.database_rows.push({
+                table: 'php_settings',
+                id: site.php_settings_id,
+                description: `PHP ${site.php_version} settings`
+            });
+        }
+
+        const databases = await db.all(
+            'SELECT id, name FROM database WHERE site_id = ?',
+            [siteId]
+        );
+
+        for (const database of databases) {
+            plan.database_rows.push({ table: 'database', id: database.id, description: database.name });
+
+            const users = await db.all(
+                'SELECT id, user_name FROM database_user WHERE database_id = ?',
+                [database.id]
+            );
+            for (const user of users) {
+                plan.database_rows.push({ table: 'database_user', id: user.id, description: user.user_name });
+            }
+        }
+
+        const certificates = await db.all(`
+            SELECT id, uid, expires_at, default_certificate
+            FROM certificate
+            WHERE site_id = ?
+        `, [siteId]);
+
+        for (const certificate of certificates) {
+            plan.database_rows.push({ table: 'certificate', id: certificate.id, description: certificate.uid });
+            plan.certificates.push({ ...certificate, action: 'delete' });
+        }
+
+        return plan;
+    }
+
     /**
      * Deletes a site and all associated resources.
      * This includes database users, PHP settings, and certificates.
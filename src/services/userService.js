@@ -1,10 +1,45 @@
 // src/services/userService.js
 import { db } from '../config/database.js';
-import { handleDatabaseError } from '../middleware/errorHandler.js';
+import config from '../config/config.js';
+import { APIError, NotFoundError, handleDatabaseError } from '../middleware/errorHandler.js';
 import bcrypt from 'bcrypt';
 import crypto from 'crypto';
 import { authenticator } from 'otplib';
-import { sendEmail } from '../utils/email.js';
+import { parseUserAgent } from '../middleware/logging.js';
+import { sendEmail, sendPasswordChangedEmail, sendPasswordResetEmail } from '../utils/email.js';
+import { createChildLogger } from '../utils/logger.js';
+import webauthnService from './webauthnService.js';
+import loginProtectionService from './loginProtectionService.js';
+import passwordPolicyService from './passwordPolicyService.js';
+import { fromSqlDate, toSqlDate } from '../utils/helpers.js';
+
+const logger = createChildLogger({ component: 'users' });
+
+// Session and password reset tokens are stored as SHA-256 hashes, like API keys
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Recovery codes are shown as `xxxxx-xxxxx`; case, spaces and dashes are
+// ignored when one is entered
+const RECOVERY_CODE_FORMAT = /^[0-9a-f]{5}[\s-]?[0-9a-f]{5}$/i;
+const normalizeRecoveryCode = code => String(code).toLowerCase().replace(/[^0-9a-z]/g, '');
+
+/**
+ * Second factors accepted at login.
+ */
+export const MFA_METHODS = Object.freeze({
+    TOTP: 'totp',
+    WEBAUTHN: 'webauthn',
+    RECOVERY_CODE: 'recovery_code'
+});
+
+/**
+ * What a login does when the user already has the maximum number of
+ * sessions: end the least recently used one, or refuse the login.
+ */
+export const SESSION_LIMIT_ACTIONS = Object.freeze({
+    REVOKE_OLDEST: 'revoke_oldest',
+    REJECT: 'reject'
+});
 
 /**
  * Service layer for managing users in CloudPanel.
@@ -17,41 +52,59 @@ class UserService {
      * Authenticates a user with their credentials and optional TOTP code.
      * This method handles both regular authentication and two-factor authentication.
      * It uses time-safe comparisons for password verification and rate limiting
-     * through the auth middleware.
+     * through the auth middleware. The second factor can be a TOTP code, a
+     * security key response or a recovery code, which is spent by the login.
+     * Without one, the response lists the factors the user has and carries
+     * a security key challenge when they registered keys. Failed passwords
+     * and second factors count towards lockout of the account and the
+     * client IP. `passwordExpired` is set when the password is past the
+     * policy's maximum age and has to be changed.
      */
-    async authenticateUser(username, password, totpCode = null) {
+    async authenticateUser(username, password, secondFactor = null, client = {}) {
+        await loginProtectionService.assertAllowed(username, client.ipAddress);
+
         const user = await this.findByUsername(username);
         if (!user) {
             // Use constant time comparison even for non-existent users
             await bcrypt.compare(password, crypto.randomBytes(60).toString('hex'));
-            throw new Error('Invalid credentials');
+            await loginProtectionService.recordFailure(username, client);
+            throw new APIError('Invalid credentials', 401, 'INVALID_CREDENTIALS');
         }
 
         const isValidPassword = await bcrypt.compare(password, user.password);
         if (!isValidPassword) {
-            throw new Error('Invalid credentials');
+            await loginProtectionService.recordFailure(username, client);
+            throw new APIError('Invalid credentials', 401, 'INVALID_CREDENTIALS');
         }
 
         // Check if MFA is required
+        let mfaMethod = null;
         if (user.mfa === 1) {
-            if (!totpCode) {
-                return { requiresMfa: true, userId: user.id };
+            if (!secondFactor) {
+                const webauthn = await webauthnService.getAuthenticationOptions(user.id);
+                const methods = [
+                    user.mfa_secret && MFA_METHODS.TOTP,
+                    webauthn && MFA_METHODS.WEBAUTHN,
+                    MFA_METHODS.RECOVERY_CODE
+                ].filter(Boolean);
+
+                return { requiresMfa: true, userId: user.id, methods, webauthn };
             }
 
-            const isValidTotp = authenticator.verify({
-                token: totpCode,
-                secret: user.mfa_secret
-            });
-
-            if (!isValidTotp) {
-                throw new Error('Invalid MFA code');
+            mfaMethod = await this.verifySecondFactor(user, secondFactor);
+            if (!mfaMethod) {
+                await loginProtectionService.recordFailure(username, client);
+                throw new APIError('Invalid MFA code', 401, 'INVALID_MFA_CODE');
             }
         }
 
+        await loginProtectionService.recordSuccess(username);
+
         // Generate session token
-        const sessionToken = await this.createSession(user.id);
+        const session = await this.createSession(user.id, client);
 
-        return {
+        const result = {
+            mfaMethod,
             user: {
                 id: user.id,
                 username: user.user_name,
@@ -60,14 +113,23 @@ class UserService {
                 first_name: user.first_name,
                 last_name: user.last_name
             },
-            token: sessionToken
+            token: session.token,
+            expires_at: session.expiresAt,
+            passwordExpired: passwordPolicyService.isExpired(await passwordPolicyService.getPasswordChangedAt(user.id))
         };
+
+        // Let the client warn a user who is running out of recovery codes
+        if (mfaMethod === MFA_METHODS.RECOVERY_CODE) {
+            result.recoveryCodesRemaining = (await this.getRecoveryCodeStatus(user.id)).remaining;
+        }
+
+        return result;
     }
 
     /**
      * Creates a new user account with proper password hashing and validation.
-     * This method enforces password complexity requirements and handles
-     * timezone settings for users.
+     * This method enforces the password policy and handles timezone settings
+     * for users.
      */
     async createUser(userData) {
         const {
@@ -92,6 +154,8 @@ class UserService {
             throw new Error('Email already exists');
         }
 
+        await passwordPolicyService.assertValid(password, { username: user_name, email });
+
         try {
             // Hash password with proper salt rounds
             const hashedPassword = await bcrypt.hash(password, 12);
@@ -112,6 +176,8 @@ class UserService {
                 timezone_id || 1  // Default timezone if not specified
             ]);
 
+            await passwordPolicyService.recordPassword(result.lastID);
+
             // Send welcome email
             await sendEmail({
                 to: email,
@@ -142,6 +208,12 @@ class UserService {
             throw new Error('User not found');
         }
 
+        // A new secret would lock out the authenticator already in use.
+        // Users who only have security keys can still add TOTP.
+        if (user.mfa === 1 && user.mfa_secret) {
+            throw new APIError('TOTP is already set up', 409, 'MFA_ALREADY_ENABLED');
+        }
+
         // Generate secure TOTP secret
         const secret = authenticator.generateSecret();
         const otpauthUrl = authenticator.keyuri(
@@ -168,6 +240,211 @@ class UserService {
         }
     }
 
+    /**
+     * Completes TOTP setup once the user proves their authenticator app
+     * produces valid codes for the secret from enableMFA. When TOTP is the
+     * user's first second factor, MFA is switched on and the first set of
+     * recovery codes issued.
+     * @param {number} userId - User ID
+     * @param {string} totpCode - Code from the authenticator app
+     * @returns {Promise<Array<string>|null>} Recovery codes, shown only this
+     *   once, or null when the user already had MFA through security keys
+     * @throws {APIError} When setup was not started or the code is wrong
+     */
+    async verifyMFA(userId, totpCode) {
+        const user = await this.findById(userId);
+        if (!user || !user.mfa_secret) {
+            throw new APIError('MFA setup has not been started', 400, 'MFA_NOT_STARTED');
+        }
+
+        if (!authenticator.verify({ token: totpCode, secret: user.mfa_secret })) {
+            throw new APIError('Invalid MFA code', 401, 'INVALID_MFA_CODE');
+        }
+
+        return user.mfa === 1 ? null : this.activateMFA(userId);
+    }
+
+    /**
+     * Requires a second factor at login from now on, once the user has set
+     * up their first one, and issues the first set of recovery codes.
+     * @param {number} userId - User ID
+     * @returns {Promise<Array<string>>} Recovery codes, shown only this once
+     */
+    async activateMFA(userId) {
+        await db.run(`
+            UPDATE user
+            SET mfa = 1,
+                updated_at = datetime('now')
+            WHERE id = ?
+        `, [userId]);
+
+        return this.generateRecoveryCodes(userId);
+    }
+
+    /**
+     * Turns MFA off for a user after checking a current second factor, and
+     * removes the secret, security keys and recovery codes.
+     * @param {number} userId - User ID
+     * @param {string|Object} code - TOTP or recovery code, or security key response
+     * @returns {Promise<void>}
+     * @throws {APIError} When MFA is not enabled or the code is wrong
+     */
+    async disableMFA(userId, code) {
+        const user = await this.findById(userId);
+        if (!user || user.mfa !== 1) {
+            throw new APIError('MFA is not enabled', 400, 'MFA_NOT_ENABLED');
+        }
+
+        if (!await this.verifySecondFactor(user, code)) {
+            throw new APIError('Invalid MFA code', 401, 'INVALID_MFA_CODE');
+        }
+
+        await this.clearMFA(userId);
+    }
+
+    /**
+     * Turns MFA off for a user without a code, for a user who lost both
+     * their authenticator and recovery codes. Callers must audit this.
+     * @param {number} userId - User ID
+     * @returns {Promise<boolean>} Whether the user had MFA set up
+     * @throws {NotFoundError} When the user does not exist
+     */
+    async resetMFA(userId) {
+        const user = await this.findById(userId);
+        if (!user) {
+            throw new NotFoundError('User');
+        }
+
+        await this.clearMFA(userId);
+        return user.mfa === 1 || Boolean(user.mfa_secret);
+    }
+
+    /**
+     * Removes a user's TOTP secret, security keys and recovery codes.
+     * @param {number} userId - User ID
+     * @returns {Promise<void>}
+     */
+    async clearMFA(userId) {
+        await db.transaction(async (tx) => {
+            await tx.run(`
+                UPDATE user
+                SET mfa = 0,
+                    mfa_secret = NULL,
+                    updated_at = datetime('now')
+                WHERE id = ?
+            `, [userId]);
+            await tx.run('DELETE FROM user_mfa_recovery_code WHERE user_id = ?', [userId]);
+            await tx.run('DELETE FROM user_webauthn_credential WHERE user_id = ?', [userId]);
+            await tx.run('DELETE FROM webauthn_challenge WHERE user_id = ?', [userId]);
+        });
+    }
+
+    /**
+     * Checks a second factor: a security key response, a TOTP code, or else
+     * an unused recovery code, which is spent.
+     * @param {Object} user - User row with mfa_secret
+     * @param {string|Object} code - Code entered by the user, or a
+     *   PublicKeyCredential from navigator.credentials.get()
+     * @returns {Promise<string|null>} The MFA_METHODS value that matched, or null
+     */
+    async verifySecondFactor(user, code) {
+        if (code && typeof code === 'object') {
+            return await webauthnService.verifyAssertion(user.id, code) ? MFA_METHODS.WEBAUTHN : null;
+        }
+
+        if (user.mfa_secret && authenticator.verify({ token: String(code), secret: user.mfa_secret })) {
+            return MFA_METHODS.TOTP;
+        }
+
+        if (await this.useRecoveryCode(user.id, code)) {
+            return MFA_METHODS.RECOVERY_CODE;
+        }
+
+        return null;
+    }
+
+    /**
+     * Replaces a user's recovery codes with a new set.
+     * @param {number} userId - User ID
+     * @returns {Promise<Array<string>>} Recovery codes, shown only this once
+     */
+    async generateRecoveryCodes(userId) {
+        const codes = Array.from({ length: config.security.mfa.recoveryCodes }, () => {
+            const code = crypto.randomBytes(5).toString('hex');
+            return `${code.slice(0, 5)}-${code.slice(5)}`;
+        });
+        const hashes = await Promise.all(
+            codes.map(code => bcrypt.hash(normalizeRecoveryCode(code), 12))
+        );
+
+        await db.transaction(async (tx) => {
+            await tx.run('DELETE FROM user_mfa_recovery_code WHERE user_id = ?', [userId]);
+            for (const hash of hashes) {
+                await tx.run(`
+                    INSERT INTO user_mfa_recovery_code (user_id, code_hash, created_at)
+                    VALUES (?, ?, datetime('now'))
+                `, [userId, hash]);
+            }
+        });
+
+        return codes;
+    }
+
+    /**
+     * Spends a recovery code of a user if it matches an unused one. Input
+     * that is not shaped like a recovery code, such as a wrong TOTP code, is
+     * rejected before any hash is compared.
+     * @param {number} userId - User ID
+     * @param {string} code - Recovery code as entered
+     * @returns {Promise<boolean>} Whether the code was valid and unused
+     */
+    async useRecoveryCode(userId, code) {
+        if (typeof code !== 'string' || !RECOVERY_CODE_FORMAT.test(code.trim())) {
+            return false;
+        }
+        const normalized = normalizeRecoveryCode(code);
+
+        const unused = await db.all(
+            'SELECT id, code_hash FROM user_mfa_recovery_code WHERE user_id = ? AND used_at IS NULL',
+            [userId]
+        );
+
+        for (const recoveryCode of unused) {
+            if (await bcrypt.compare(normalized, recoveryCode.code_hash)) {
+                // A concurrent login may have spent the same code
+                const result = await db.run(`
+                    UPDATE user_mfa_recovery_code
+                    SET used_at = datetime('now')
+                    WHERE id = ? AND used_at IS NULL
+                `, [recoveryCode.id]);
+                return result.changes > 0;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Counts a user's recovery codes.
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} { total, remaining, generated_at }
+     */
+    async getRecoveryCodeStatus(userId) {
+        const status = await db.get(`
+            SELECT COUNT(*) AS total,
+                   COUNT(*) - COUNT(used_at) AS remaining,
+                   MIN(created_at) AS generated_at
+            FROM user_mfa_recovery_code
+            WHERE user_id = ?
+        `, [userId]);
+
+        return {
+            total: status.total,
+            remaining: status.remaining,
+            generated_at: status.generated_at
+        };
+    }
+
     /**
      * Updates user profile information with validation.
      * This method handles both basic profile updates and security-sensitive
@@ -234,12 +511,15 @@ class UserService {
 
     /**
      * Changes a user's password with proper validation and security checks.
-     * This method enforces password history and complexity requirements.
+     * The new password has to meet the password policy, including the
+     * password history. All sessions of the user end.
+     * @throws {APIError} 401 for a wrong current password, 400 with
+     *   `violations` when the new password breaks the policy
      */
     async changePassword(userId, currentPassword, newPassword) {
         const user = await this.findByIdWithPassword(userId);
         if (!user) {
-            throw new Error('User not found');
+            throw new NotFoundError('User');
         }
 
         // Verify current password
@@ -248,53 +528,139 @@ class UserService {
             user.password
         );
         if (!isValidPassword) {
-            throw new Error('Invalid current password');
+            throw new APIError('Current password is incorrect', 401, 'INVALID_PASSWORD');
         }
 
-        // Check password history
-        const passwordHistory = await this.getPasswordHistory(userId);
-        for (const historicPassword of passwordHistory) {
-            const isReused = await bcrypt.compare(
-                newPassword,
-                historicPassword.password_hash
-            );
-            if (isReused) {
-                throw new Error(
-                    'New password must be different from previous passwords'
-                );
-            }
-        }
+        await passwordPolicyService.assertValid(newPassword, {
+            id: user.id,
+            username: user.user_name,
+            email: user.email
+        });
 
         try {
             const hashedPassword = await bcrypt.hash(newPassword, 12);
 
-            await db.run('BEGIN TRANSACTION');
+            await db.transaction(async tx => {
+                await tx.run(`
+                    UPDATE user 
+                    SET password = ?,
+                        updated_at = datetime('now')
+                    WHERE id = ?
+                `, [hashedPassword, userId]);
 
-            // Update password
-            await db.run(`
-                UPDATE user 
+                await passwordPolicyService.recordPassword(userId, tx);
+            });
+        } catch (error) {
+            throw handleDatabaseError(error);
+        }
+
+        // Invalidate existing sessions
+        await this.invalidateAllSessions(userId);
+
+        return true;
+    }
+
+    // Password reset methods
+
+    /**
+     * Emails a password reset link to the active user with this address.
+     * The token replaces any earlier one of the user and only its hash is
+     * stored. Nothing tells the caller whether the address belongs to a
+     * user: the email goes out in the background, so the response time
+     * does not depend on it either.
+     * @param {string} email - Email address the reset was requested for
+     * @param {Object} [client] - Where the request came from ({ ipAddress })
+     * @returns {Promise<number|null>} ID of the user the link was sent to,
+     *   for logging only, or null
+     */
+    async requestPasswordReset(email, { ipAddress = null } = {}) {
+        const user = await db.get(
+            'SELECT * FROM user WHERE email = ? COLLATE NOCASE AND status = 1',
+            [String(email).trim()]
+        );
+        if (!user) {
+            return null;
+        }
+
+        const { tokenTtl } = config.security.passwordReset;
+        const token = crypto.randomBytes(32).toString('base64url');
+
+        await db.transaction(async tx => {
+            await tx.run('DELETE FROM password_reset_token WHERE user_id = ?', [user.id]);
+            await tx.run(`
+                INSERT INTO password_reset_token (user_id, token_hash, ip_address, created_at, expires_at)
+                VALUES (?, ?, ?, datetime('now'), ?)
+            `, [user.id, hashToken(token), ipAddress, toSqlDate(Date.now() + tokenTtl)]);
+        });
+
+        const minutes = Math.round(tokenTtl / 60000);
+        sendPasswordResetEmail(user.email, token, user.user_name, `${minutes} minute${minutes === 1 ? '' : 's'}`)
+            .catch(error => logger.error('Failed to send password reset email', { error, userId: user.id }));
+
+        return user.id;
+    }
+
+    /**
+     * Sets a new password with a token from a reset email. The token is
+     * spent only when the new password is accepted, so a password refused
+     * by the policy can be corrected with the same link. All sessions of
+     * the user end and a confirmation email is sent.
+     * @param {string} token - Token from the reset link
+     * @param {string} newPassword - New password
+     * @returns {Promise<number>} ID of the user whose password was reset
+     * @throws {APIError} 400 when the token is invalid, expired or used, or
+     *   with `violations` when the new password breaks the policy
+     */
+    async resetPassword(token, newPassword) {
+        const invalidToken = () => new APIError('Reset token is invalid or has expired', 400, 'INVALID_RESET_TOKEN');
+        const tokenHash = hashToken(String(token));
+
+        const user = await db.get(`
+            SELECT u.*
+            FROM password_reset_token t
+            JOIN user u ON u.id = t.user_id
+            WHERE t.token_hash = ? AND t.used_at IS NULL AND t.expires_at > ? AND u.status = 1
+        `, [tokenHash, toSqlDate(new Date())]);
+        if (!user) {
+            throw invalidToken();
+        }
+
+        await passwordPolicyService.assertValid(newPassword, {
+            id: user.id,
+            username: user.user_name,
+            email: user.email
+        });
+
+        const hashedPassword = await bcrypt.hash(newPassword, 12);
+
+        await db.transaction(async tx => {
+            // Spending the token first keeps two concurrent resets with the
+            // same token from both succeeding
+            const spent = await tx.run(`
+                UPDATE password_reset_token
+                SET used_at = datetime('now')
+                WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?
+            `, [tokenHash, toSqlDate(new Date())]);
+            if (spent.changes === 0) {
+                throw invalidToken();
+            }
+
+            await tx.run(`
+                UPDATE user
                 SET password = ?,
                     updated_at = datetime('now')
                 WHERE id = ?
-            `, [hashedPassword, userId]);
+            `, [hashedPassword, user.id]);
 
-            // Store in password history
-            await db.run(`
-                INSERT INTO password_history (
-                    user_id, password_hash, created_at
-                ) VALUES (?, ?, datetime('now'))
-            `, [userId, hashedPassword]);
+            await passwordPolicyService.recordPassword(user.id, tx);
+        });
 
-            await db.run('COMMIT');
+        await this.invalidateAllSessions(user.id);
 
-            // Invalidate existing sessions
-            await this.invalidateAllSessions(userId);
+        sendPasswordChangedEmail(user.email, user.user_name)
+            .catch(error => logger.error('Failed to send password reset confirmation', { error, userId: user.id }));
 
-            return true;
-        } catch (error) {
-            await db.run('ROLLBACK');
-            throw handleDatabaseError(error);
-        }
+        return user.id;
     }
 
     // Helper methods for user lookup and verification
@@ -329,25 +695,252 @@ class UserService {
 
     // Session management methods
 
-    async createSession(userId) {
+    /**
+     * Creates a login session. The token is returned once; only its hash is
+     * stored. Expired sessions of all users are removed on the way, and the
+     * concurrent session limit is applied to the user's other sessions.
+     * @param {number} userId - User ID
+     * @param {Object} [client] - Where the login came from
+     * @param {string} [client.ipAddress] - Client IP address
+     * @param {string} [client.userAgent] - User-Agent header
+     * @returns {Promise<Object>} { id, token, expiresAt }
+     * @throws {APIError} When the limit is reached and the policy rejects logins
+     */
+    async createSession(userId, { ipAddress = null, userAgent = null } = {}) {
         const token = crypto.randomBytes(32).toString('hex');
-        const expiresAt = new Date();
-        expiresAt.setHours(expiresAt.getHours() + 24);
+        const expiresAt = new Date(Date.now() + config.security.sessions.idleTimeout);
 
-        await db.run(`
+        await db.run("DELETE FROM user_session WHERE expires_at <= datetime('now')");
+        await this.enforceSessionLimit(userId);
+
+        const result = await db.run(`
             INSERT INTO user_session (
-                user_id, token, expires_at, created_at
-            ) VALUES (?, ?, ?, datetime('now'))
-        `, [userId, token, expiresAt.toISOString()]);
+                user_id, token, created_at, last_seen_at, expires_at, ip_address, user_agent
+            ) VALUES (?, ?, datetime('now'), datetime('now'), ?, ?, ?)
+        `, [userId, hashToken(token), toSqlDate(expiresAt), ipAddress, userAgent]);
 
-        return token;
+        return { id: result.lastID, token, expiresAt: expiresAt.toISOString() };
     }
 
-    async invalidateAllSessions(userId) {
+    /**
+     * Makes room for one more session of a user under the session policy.
+     * @param {number} userId - User ID
+     * @returns {Promise<void>}
+     * @throws {APIError} When the limit is reached and the policy rejects logins
+     */
+    async enforceSessionLimit(userId) {
+        const policy = await this.getSessionPolicy();
+        if (!policy.max_concurrent_sessions) {
+            return;
+        }
+
+        const sessions = await db.all(`
+            SELECT id FROM user_session
+            WHERE user_id = ?
+            ORDER BY last_seen_at DESC, id DESC
+        `, [userId]);
+        const excess = sessions.slice(policy.max_concurrent_sessions - 1);
+        if (excess.length === 0) {
+            return;
+        }
+
+        if (policy.on_limit === SESSION_LIMIT_ACTIONS.REJECT) {
+            throw new APIError(
+                `Maximum of ${policy.max_concurrent_sessions} concurrent sessions reached; log out elsewhere first`,
+                409,
+                'SESSION_LIMIT_REACHED'
+            );
+        }
+
         await db.run(
+            `DELETE FROM user_session WHERE id IN (${excess.map(() => '?').join(', ')})`,
+            excess.map(session => session.id)
+        );
+    }
+
+    /**
+     * Looks up the session of a bearer token and renews it.
+     * Sessions of disabled users are not accepted.
+     * @param {string} token - Session token
+     * @param {Object} [client] - Where the request came from ({ ipAddress, userAgent })
+     * @returns {Promise<Object|null>} Session with the user's name, role and
+     *   password_changed_at, or null when the token is unknown or expired
+     */
+    async validateSession(token, client = {}) {
+        const session = await db.get(`
+            SELECT s.*, u.user_name, u.role,
+                (SELECT MAX(created_at) FROM password_history WHERE user_id = u.id) AS password_changed_at
+            FROM user_session s
+            JOIN user u ON u.id = s.user_id
+            WHERE s.token = ? AND s.expires_at > datetime('now') AND u.status = 1
+        `, [hashToken(token)]);
+
+        if (!session) {
+            return null;
+        }
+
+        await this.renewSession(session, client);
+        return session;
+    }
+
+    /**
+     * Slides the expiry of a session that is in use, capped at the maximum
+     * session lifetime, and records where it was used from. Skipped when the
+     * session was renewed recently.
+     * @param {Object} session - Session row
+     * @param {Object} [client] - Where the request came from ({ ipAddress, userAgent })
+     * @returns {Promise<void>}
+     */
+    async renewSession(session, { ipAddress = null, userAgent = null } = {}) {
+        const { idleTimeout, maxLifetime, renewInterval } = config.security.sessions;
+        const now = Date.now();
+
+        if (session.last_seen_at && now - fromSqlDate(session.last_seen_at) < renewInterval) {
+            return;
+        }
+
+        const expiresAt = Math.min(
+            now + idleTimeout,
+            fromSqlDate(session.created_at).getTime() + maxLifetime
+        );
+        await db.run(`
+            UPDATE user_session
+            SET last_seen_at = datetime('now'), expires_at = ?,
+                ip_address = COALESCE(?, ip_address), user_agent = COALESCE(?, user_agent)
+            WHERE id = ?
+        `, [toSqlDate(expiresAt), ipAddress, userAgent, session.id]);
+    }
+
+    /**
+     * Lists the active sessions of a user, most recently used first.
+     * @param {number} userId - User ID
+     * @param {number} [currentSessionId] - Session of the caller, flagged as `current`
+     * @returns {Promise<Array>} Sessions
+     */
+    async listSessions(userId, currentSessionId = null) {
+        const sessions = await db.all(`
+            SELECT id, user_id, created_at, last_seen_at, expires_at, ip_address, user_agent
+            FROM user_session
+            WHERE user_id = ? AND expires_at > datetime('now')
+            ORDER BY last_seen_at DESC, id DESC
+        `, [userId]);
+
+        return sessions.map(session => ({
+            ...session,
+            client: session.user_agent ? parseUserAgent(session.user_agent) : null,
+            current: session.id === currentSessionId
+        }));
+    }
+
+    /**
+     * Ends one session of a user.
+     * @param {number} userId - User ID
+     * @param {number} sessionId - Session ID
+     * @returns {Promise<boolean>} Whether the user had this session
+     */
+    async revokeSession(userId, sessionId) {
+        const result = await db.run(
+            'DELETE FROM user_session WHERE id = ? AND user_id = ?',
+            [sessionId, userId]
+        );
+        return result.changes > 0;
+    }
+
+    /**
+     * Ends every session of a user except one, e.g. the caller's.
+     * @param {number} userId - User ID
+     * @param {number|null} keepSessionId - Session to keep, null to end all
+     * @returns {Promise<number>} Number of sessions ended
+     */
+    async revokeOtherSessions(userId, keepSessionId) {
+        if (!keepSessionId) {
+            return this.invalidateAllSessions(userId);
+        }
+
+        const result = await db.run(
+            'DELETE FROM user_session WHERE user_id = ? AND id != ?',
+            [userId, keepSessionId]
+        );
+        return result.changes;
+    }
+
+    /**
+     * Retrieves the concurrent session policy: the one set through the API,
+     * or the configured defaults.
+     * @returns {Promise<Object>} { max_concurrent_sessions, on_limit, updated_by, updated_at }
+     */
+    async getSessionPolicy() {
+        const policy = await db.get('SELECT * FROM session_policy WHERE id = 1');
+        if (policy) {
+            return {
+                max_concurrent_sessions: policy.max_concurrent_sessions,
+                on_limit: policy.on_limit,
+                updated_by: policy.updated_by,
+                updated_at: policy.updated_at
+            };
+        }
+
+        const { maxConcurrent, onLimit } = config.security.sessions;
+        return {
+            max_concurrent_sessions: maxConcurrent,
+            on_limit: onLimit,
+            updated_by: null,
+            updated_at: null
+        };
+    }
+
+    /**
+     * Changes the concurrent session policy. The limit applies from the
+     * next login; sessions beyond it are not ended right away.
+     * @param {Object} changes - { max_concurrent_sessions, on_limit }
+     * @param {string} updatedBy - Identifier of the requester
+     * @returns {Promise<Object>} Updated policy
+     */
+    async updateSessionPolicy(changes, updatedBy) {
+        const policy = { ...await this.getSessionPolicy(), ...changes };
+
+        if (!Object.values(SESSION_LIMIT_ACTIONS).includes(policy.on_limit)) {
+            throw new APIError(
+                `on_limit must be one of ${Object.values(SESSION_LIMIT_ACTIONS).join(', ')}`,
+                400,
+                'INVALID_SESSION_POLICY'
+            );
+        }
+
+        await db.run(`
+            INSERT INTO session_policy (id, max_concurrent_sessions, on_limit, updated_by, updated_at)
+            VALUES (1, ?, ?, ?, datetime('now'))
+            ON CONFLICT (id) DO UPDATE SET
+                max_concurrent_sessions = excluded.max_concurrent_sessions,
+                on_limit = excluded.on_limit,
+                updated_by = excluded.updated_by,
+                updated_at = excluded.updated_at
+        `, [policy.max_concurrent_sessions || null, policy.on_limit, updatedBy]);
+
+        return this.getSessionPolicy();
+    }
+
+    /**
+     * Ends one session, e.g. on logout.
+     * @param {number} sessionId - Session ID
+     * @returns {Promise<boolean>} Whether the session existed
+     */
+    async invalidateSession(sessionId) {
+        const result = await db.run('DELETE FROM user_session WHERE id = ?', [sessionId]);
+        return result.changes > 0;
+    }
+
+    /**
+     * Ends every session of a user.
+     * @param {number} userId - User ID
+     * @returns {Promise<number>} Number of sessions ended
+     */
+    async invalidateAllSessions(userId) {
+        const result = await db.run(
             'DELETE FROM user_session WHERE user_id = ?',
             [userId]
         );
+        return result.changes;
     }
 
     // Additional helper methods
@@ -356,16 +949,6 @@ class UserService {
         // Implementation would generate QR code for MFA setup
         return otpauthUrl;
     }
-
-    async getPasswordHistory(userId) {
-        return db.all(`
-            SELECT password_hash
-            FROM password_history
-            WHERE user_id = ?
-            ORDER BY created_at DESC
-            LIMIT 5
-        `, [userId]);
-    }
 }
 
 export default new UserService();
\ No newline at end of file
@@ -0,0 +1,298 @@
+// src/services/webauthnService.js
+import crypto from 'crypto';
+import { db } from '../config/database.js';
+import config from '../config/config.js';
+import { APIError } from '../middleware/errorHandler.js';
+import { toSqlDate } from '../utils/helpers.js';
+import { createChildLogger } from '../utils/logger.js';
+import {
+    COSE_ALGORITHMS,
+    toBase64Url,
+    verifyAuthenticationResponse,
+    verifyRegistrationResponse
+} from '../utils/webauthn.js';
+
+const logger = createChildLogger({ component: 'webauthn' });
+
+/**
+ * What a challenge was issued for; a challenge only completes the ceremony
+ * it was issued for.
+ */
+export const CHALLENGE_PURPOSES = Object.freeze({
+    REGISTRATION: 'registration',
+    AUTHENTICATION: 'authentication'
+});
+
+// Columns of a credential that are shown to its owner
+const CREDENTIAL_FIELDS = 'id, name, credential_id, sign_count, transports, created_at, last_used_at';
+
+const formatCredential = credential => ({
+    ...credential,
+    transports: credential.transports ? JSON.parse(credential.transports) : []
+});
+
+/**
+ * Security keys (WebAuthn / FIDO2) as a second factor.
+ * Each ceremony starts with options holding a one-time challenge, which the
+ * browser passes to the authenticator; the response is accepted once and
+ * only while the challenge is valid.
+ */
+class WebAuthnService {
+    /**
+     * Options for navigator.credentials.create() to register a new key.
+     * @param {Object} user - User row
+     * @returns {Promise<Object>} PublicKeyCredentialCreationOptions as JSON
+     */
+    async getRegistrationOptions(user) {
+        const { rpId, rpName, userVerification, challengeTimeout } = config.security.mfa.webauthn;
+        const existing = await db.all(
+            'SELECT credential_id, transports FROM user_webauthn_credential WHERE user_id = ?',
+            [user.id]
+        );
+
+        return {
+            challenge: await this.issueChallenge(user.id, CHALLENGE_PURPOSES.REGISTRATION),
+            rp: { id: rpId, name: rpName },
+            user: {
+                id: toBase64Url(Buffer.from(String(user.id))),
+                name: user.user_name,
+                displayName: [user.first_name, user.last_name].filter(Boolean).join(' ') || user.user_name
+            },
+            pubKeyCredParams: COSE_ALGORITHMS.map(alg => ({ type: 'public-key', alg })),
+            timeout: challengeTimeout,
+            attestation: 'none',
+            excludeCredentials: existing.map(credential => ({
+                type: 'public-key',
+                id: credential.credential_id,
+                transports: credential.transports ? JSON.parse(credential.transports) : undefined
+            })),
+            authenticatorSelection: { userVerification }
+        };
+    }
+
+    /**
+     * Verifies a registration response and stores the new key.
+     * @param {number} userId - User ID
+     * @param {Object} credential - PublicKeyCredential as JSON
+     * @param {string} name - Friendly name, e.g. "YubiKey 5C"
+     * @returns {Promise<Object>} Stored credential
+     * @throws {APIError} When the response is invalid or the key is already registered
+     */
+    async registerCredential(userId, credential, name) {
+        let result;
+        try {
+            result = verifyRegistrationResponse(credential, this.verificationOptions());
+        } catch (error) {
+            throw new APIError(`Invalid security key response: ${error.message}`, 400, 'INVALID_WEBAUTHN_RESPONSE');
+        }
+
+        if (!await this.consumeChallenge(userId, CHALLENGE_PURPOSES.REGISTRATION, result.challenge)) {
+            throw new APIError('Registration challenge is invalid or has expired', 400, 'INVALID_WEBAUTHN_CHALLENGE');
+        }
+
+        const existing = await db.get(
+            'SELECT id FROM user_webauthn_credential WHERE credential_id = ?',
+            [result.credentialId]
+        );
+        if (existing) {
+            throw new APIError('This security key is already registered', 409, 'WEBAUTHN_CREDENTIAL_EXISTS');
+        }
+
+        const { lastID } = await db.run(`
+            INSERT INTO user_webauthn_credential (
+                user_id, credential_id, public_key, sign_count, name, transports, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
+        `, [
+            userId,
+            result.credentialId,
+            result.publicKey,
+            result.signCount,
+            name,
+            JSON.stringify(result.transports)
+        ]);
+
+        return this.getCredential(userId, lastID);
+    }
+
+    /**
+     * Options for navigator.credentials.get() to sign in with one of the
+     * user's keys.
+     * @param {number} userId - User ID
+     * @returns {Promise<Object|null>} PublicKeyCredentialRequestOptions as
+     *   JSON, or null when the user has no keys
+     */
+    async getAuthenticationOptions(userId) {
+        const { rpId, userVerification, challengeTimeout } = config.security.mfa.webauthn;
+        const credentials = await db.all(
+            'SELECT credential_id, transports FROM user_webauthn_credential WHERE user_id = ?',
+            [userId]
+        );
+        if (credentials.length === 0) {
+            return null;
+        }
+
+        return {
+            challenge: await this.issueChallenge(userId, CHALLENGE_PURPOSES.AUTHENTICATION),
+            rpId,
+            timeout: challengeTimeout,
+            allowCredentials: credentials.map(credential => ({
+                type: 'public-key',
+                id: credential.credential_id,
+                transports: credential.transports ? JSON.parse(credential.transports) : undefined
+            })),
+            userVerification
+        };
+    }
+
+    /**
+     * Checks an authentication response from one of the user's keys. A
+     * signature counter that did not move forward means the key may have
+     * been cloned, and the response is refused.
+     * @param {number} userId - User ID
+     * @param {Object} credential - PublicKeyCredential as JSON
+     * @returns {Promise<boolean>} Whether the key signed a valid challenge
+     */
+    async verifyAssertion(userId, credential) {
+        const stored = await db.get(
+            'SELECT * FROM user_webauthn_credential WHERE user_id = ? AND credential_id = ?',
+            [userId, credential?.id]
+        );
+        if (!stored) {
+            return false;
+        }
+
+        let result;
+        try {
+            result = verifyAuthenticationResponse(credential, stored.public_key, this.verificationOptions());
+        } catch (error) {
+            logger.warn('Security key response rejected', { userId, credentialId: stored.id, reason: error.message });
+            return false;
+        }
+
+        if (!await this.consumeChallenge(userId, CHALLENGE_PURPOSES.AUTHENTICATION, result.challenge)) {
+            return false;
+        }
+
+        // Authenticators without a counter always report 0
+        if ((result.signCount !== 0 || stored.sign_count !== 0) && result.signCount <= stored.sign_count) {
+            logger.warn('Security key signature counter went backwards; the key may be cloned', {
+                userId,
+                credentialId: stored.id,
+                stored: stored.sign_count,
+                received: result.signCount
+            });
+            return false;
+        }
+
+        await db.run(`
+            UPDATE user_webauthn_credential
+            SET sign_count = ?, last_used_at = datetime('now')
+            WHERE id = ?
+        `, [result.signCount, stored.id]);
+
+        return true;
+    }
+
+    /**
+     * Lists the keys of a user.
+     * @param {number} userId - User ID
+     * @returns {Promise<Array>} Credentials, oldest first
+     */
+    async listCredentials(userId) {
+        const credentials = await db.all(
+            `SELECT ${CREDENTIAL_FIELDS} FROM user_webauthn_credential WHERE user_id = ? ORDER BY id`,
+            [userId]
+        );
+        return credentials.map(formatCredential);
+    }
+
+    /**
+     * Retrieves one key of a user.
+     * @param {number} userId - User ID
+     * @param {number} id - Credential ID
+     * @returns {Promise<Object|undefined>} Credential
+     */
+    async getCredential(userId, id) {
+        const credential = await db.get(
+            `SELECT ${CREDENTIAL_FIELDS} FROM user_webauthn_credential WHERE id = ? AND user_id = ?`,
+            [id, userId]
+        );
+        return credential && formatCredential(credential);
+    }
+
+    /**
+     * Renames one key of a user.
+     * @param {number} userId - User ID
+     * @param {number} id - Credential ID
+     * @param {string} name - New friendly name
+     * @returns {Promise<boolean>} Whether the user has this key
+     */
+    async renameCredential(userId, id, name) {
+        const result = await db.run(
+            'UPDATE user_webauthn_credential SET name = ? WHERE id = ? AND user_id = ?',
+            [name, id, userId]
+        );
+        return result.changes > 0;
+    }
+
+    /**
+     * Removes one key of a user.
+     * @param {number} userId - User ID
+     * @param {number} id - Credential ID
+     * @returns {Promise<boolean>} Whether the user had this key
+     */
+    async deleteCredential(userId, id) {
+        const result = await db.run(
+            'DELETE FROM user_webauthn_credential WHERE id = ? AND user_id = ?',
+            [id, userId]
+        );
+        return result.changes > 0;
+    }
+
+    /**
+     * Issues a challenge for one ceremony of a user. Expired challenges of
+     * all users are removed on the way.
+     * @param {number} userId - User ID
+     * @param {string} purpose - CHALLENGE_PURPOSES value
+     * @returns {Promise<string>} base64url challenge
+     */
+    async issueChallenge(userId, purpose) {
+        const challenge = toBase64Url(crypto.randomBytes(32));
+        const expiresAt = new Date(Date.now() + config.security.mfa.webauthn.challengeTimeout);
+
+        await db.run("DELETE FROM webauthn_challenge WHERE expires_at <= datetime('now')");
+        await db.run(`
+            INSERT INTO webauthn_challenge (challenge, user_id, purpose, expires_at)
+            VALUES (?, ?, ?, ?)
+        `, [challenge, userId, purpose, toSqlDate(expiresAt)]);
+
+        return challenge;
+    }
+
+    /**
+     * Uses up a challenge if it was issued to the user for this ceremony
+     * and has not expired.
+     * @param {number} userId - User ID
+     * @param {string} purpose - CHALLENGE_PURPOSES value
+     * @param {string} challenge - Challenge from the client data
+     * @returns {Promise<boolean>} Whether the challenge was valid
+     */
+    async consumeChallenge(userId, purpose, challenge) {
+        const result = await db.run(`
+            DELETE FROM webauthn_challenge
+            WHERE challenge = ? AND user_id = ? AND purpose = ? AND expires_at > datetime('now')
+        `, [String(challenge), userId, purpose]);
+        return result.changes > 0;
+    }
+
+    /**
+     * Checks applied to every response, from config.security.mfa.webauthn.
+     * @returns {Object} { rpId, origins, requireUserVerification }
+     */
+    verificationOptions() {
+        const { rpId, origins, userVerification } = config.security.mfa.webauthn;
+        return { rpId, origins, requireUserVerification: userVerification === 'required' };
+    }
+}
+
+export default new WebAuthnService();
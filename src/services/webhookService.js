@@ -0,0 +1,670 @@
+// src/services/webhookService.js
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import { db } from '../config/database.js';
+import config from '../config/config.js';
+import OrchestratorService, { OPERATION_STATUSES } from './OrchestratorService.js';
+import { APIError, handleDatabaseError } from '../middleware/errorHandler.js';
+import { safeJsonParse, toSqlDate } from '../utils/helpers.js';
+import { isPublicIPAddress } from '../utils/validation.js';
+import { createChildLogger } from '../utils/logger.js';
+
+const logger = createChildLogger({ component: 'webhooks' });
+
+export const WEBHOOK_EVENTS = Object.freeze([
+    'operation.completed',
+    'operation.failed',
+    'site.created',
+    'site.deleted',
+    'certificate.expiring',
+    'backup.completed',
+    'alert.triggered'
+]);
+
+// Sent by the test endpoint only; webhooks cannot subscribe to it
+const TEST_EVENT = 'webhook.test';
+
+export const DELIVERY_STATUSES = Object.freeze({
+    PENDING: 'pending',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed'
+});
+
+// Webhook event for each operation status that is announced
+const OPERATION_EVENTS = {
+    [OPERATION_STATUSES.COMPLETED]: 'operation.completed',
+    [OPERATION_STATUSES.FAILED]: 'operation.failed',
+    [OPERATION_STATUSES.DEAD_LETTER]: 'operation.failed'
+};
+
+// Deliveries attempted per pass, and the part of a response body logged
+const DELIVERY_BATCH_SIZE = 50;
+const MAX_RESPONSE_BODY = 2048;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+/**
+ * Signs a payload for the `X-CloudPanel-Signature` header. The timestamp is
+ * part of the signed text so receivers can reject replayed requests.
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Request body
+ * @returns {string} `sha256=<hex digest>`
+ */
+export function signPayload(secret, timestamp, body) {
+    const digest = crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+    return `sha256=${digest}`;
+}
+
+/**
+ * Outbound webhooks.
+ * Publishing an event writes one delivery per subscribed webhook to the
+ * database; deliveries are then POSTed with an HMAC signature and retried
+ * with exponential backoff. A delivery is claimed by scheduling its next
+ * attempt before it is sent, so an attempt cut short by a restart is simply
+ * retried later. Publishing never throws: a webhook problem must not fail
+ * the request or operation that raised the event.
+ */
+class WebhookService {
+    constructor() {
+        this.timer = null;
+        this.maintenanceTimer = null;
+        this.delivering = false;
+        this.pendingDelivery = false;
+        this.onOperationStatus = event => this.handleOperationStatus(event);
+    }
+
+    /**
+     * Starts announcing operation results and sending due deliveries.
+     */
+    start() {
+        OrchestratorService.on('status', this.onOperationStatus);
+
+        this.timer = setInterval(() => this.deliverDue(), config.webhooks.pollInterval);
+        this.maintenanceTimer = setInterval(() => this.runMaintenance(), config.webhooks.certificateCheckInterval);
+        this.deliverDue();
+        this.runMaintenance();
+    }
+
+    /**
+     * Stops sending deliveries. Pending deliveries are sent after the next start.
+     */
+    stop() {
+        OrchestratorService.off('status', this.onOperationStatus);
+        clearInterval(this.timer);
+        clearInterval(this.maintenanceTimer);
+        this.timer = null;
+        this.maintenanceTimer = null;
+    }
+
+    /**
+     * Queues an event for every active webhook subscribed to it.
+     * @param {string} event - Event name from WEBHOOK_EVENTS
+     * @param {Object} data - Event data
+     * @returns {Promise<number>} Number of deliveries queued
+     */
+    async publish(event, data) {
+        try {
+            const webhooks = (await db.all('SELECT id, events FROM webhooks WHERE is_active = 1'))
+                .filter(webhook => safeJsonParse(webhook.events, []).includes(event));
+            if (webhooks.length === 0) {
+                return 0;
+            }
+
+            const { eventId, payload } = this.buildPayload(event, data);
+            await db.transaction(async (tx) => {
+                for (const webhook of webhooks) {
+                    await tx.run(`
+                        INSERT INTO webhook_deliveries (
+                            webhook_id, event, event_id, payload, status, next_attempt_at, created_at
+                        ) VALUES (?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+                    `, [webhook.id, event, eventId, payload, DELIVERY_STATUSES.PENDING]);
+                }
+            });
+
+            this.deliverDue();
+            return webhooks.length;
+        } catch (error) {
+            logger.error('Failed to publish webhook event', { event, error });
+            return 0;
+        }
+    }
+
+    /**
+     * Builds the request body of an event.
+     * @param {string} event - Event name
+     * @param {Object} data - Event data
+     * @returns {Object} { eventId, payload }
+     */
+    buildPayload(event, data) {
+        const eventId = crypto.randomUUID();
+        const payload = JSON.stringify({
+            id: eventId,
+            event,
+            created_at: new Date().toISOString(),
+            data
+        });
+        return { eventId, payload };
+    }
+
+    /**
+     * Announces finished operations as operation.completed or operation.failed.
+     * @param {Object} event - OrchestratorService status event
+     * @returns {Promise<void>}
+     */
+    async handleOperationStatus({ id, status }) {
+        const event = OPERATION_EVENTS[status];
+        if (!event) {
+            return;
+        }
+
+        try {
+            const operation = await db.get(`
+                SELECT id, type, status, error, retry_count, created_by,
+                    created_at, started_at, completed_at
+                FROM operations WHERE id = ?
+            `, [id]);
+            if (operation) {
+                await this.publish(event, { operation });
+            }
+        } catch (error) {
+            logger.error('Failed to announce operation result', { operation_id: id, error });
+        }
+    }
+
+    /**
+     * Sends every delivery whose next attempt is due. Calls made while a pass
+     * is running schedule one more pass instead of running concurrently.
+     * @returns {Promise<void>}
+     */
+    async deliverDue() {
+        if (this.delivering) {
+            this.pendingDelivery = true;
+            return;
+        }
+
+        this.delivering = true;
+        try {
+            let deliveries;
+            do {
+                this.pendingDelivery = false;
+                deliveries = await db.all(`
+                    SELECT d.*, w.url, w.secret
+                    FROM webhook_deliveries d
+                    JOIN webhooks w ON w.id = d.webhook_id
+                    WHERE d.status = ? AND d.next_attempt_at <= ? AND w.is_active = 1
+                    ORDER BY d.next_attempt_at ASC, d.id ASC
+                    LIMIT ?
+                `, [DELIVERY_STATUSES.PENDING, toSqlDate(new Date()), DELIVERY_BATCH_SIZE]);
+
+                await Promise.all(deliveries.map(delivery => this.attemptDelivery(delivery)));
+            } while (this.pendingDelivery || deliveries.length === DELIVERY_BATCH_SIZE);
+        } catch (error) {
+            logger.error('Failed to send webhook deliveries', { error });
+        } finally {
+            this.delivering = false;
+        }
+    }
+
+    /**
+     * Claims a delivery by scheduling its retry, then sends it.
+     * @param {Object} delivery - Delivery row joined with its webhook
+     * @returns {Promise<void>}
+     */
+    async attemptDelivery(delivery) {
+        const attempt = delivery.attempts + 1;
+        const claimed = await db.run(`
+            UPDATE webhook_deliveries
+            SET attempts = ?, next_attempt_at = ?
+            WHERE id = ? AND status = ? AND attempts = ?
+        `, [
+            attempt,
+            toSqlDate(Date.now() + this.getRetryDelay(attempt)),
+            delivery.id,
+            DELIVERY_STATUSES.PENDING,
+            delivery.attempts
+        ]);
+        if (claimed.changes === 0) {
+            return;
+        }
+
+        const result = await this.send(delivery);
+        const retry = attempt < config.webhooks.retry.maxAttempts;
+        await this.recordAttempt(delivery.id, result, retry);
+
+        if (!result.ok) {
+            logger.warn(retry ? 'Webhook delivery failed, retrying' : 'Webhook delivery failed', {
+                webhook_id: delivery.webhook_id,
+                delivery_id: delivery.id,
+                attempt,
+                error: result.error
+            });
+        }
+    }
+
+    /**
+     * Delay before the attempt after `attempt`, growing exponentially.
+     * @param {number} attempt - Attempt number (1-based)
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelay(attempt) {
+        const { initialDelay, maxDelay, factor } = config.webhooks.retry;
+        return Math.min(initialDelay * Math.pow(factor, attempt - 1), maxDelay);
+    }
+
+    /**
+     * POSTs a delivery to its webhook URL.
+     * @param {Object} delivery - Delivery row joined with its webhook
+     * @returns {Promise<Object>} { ok, status, body, error, duration }
+     */
+    async send({ url, secret, event, event_id, payload }) {
+        const timestamp = Math.floor(Date.now() / 1000);
+        const started = Date.now();
+
+        try {
+            // The host may resolve elsewhere than when the webhook was saved
+            await this.assertPublicHost(url);
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'CloudPanel-API-Webhooks/1.0',
+                    'X-CloudPanel-Event': event,
+                    'X-CloudPanel-Delivery': event_id,
+                    'X-CloudPanel-Timestamp': String(timestamp),
+                    'X-CloudPanel-Signature': signPayload(secret, timestamp, payload)
+                },
+                body: payload,
+                // A redirect would resend the signed payload to another URL
+                redirect: 'manual',
+                signal: AbortSignal.timeout(config.webhooks.timeout)
+            });
+            const body = (await response.text()).slice(0, MAX_RESPONSE_BODY);
+
+            return {
+                ok: response.ok,
+                status: response.status,
+                body,
+                error: response.ok ? null : `Webhook responded with HTTP ${response.status}`,
+                duration: Date.now() - started
+            };
+        } catch (error) {
+            return {
+                ok: false,
+                status: null,
+                body: null,
+                error: error.name === 'TimeoutError'
+                    ? `No response within ${config.webhooks.timeout} ms`
+                    : error.cause?.message || error.message,
+                duration: Date.now() - started
+            };
+        }
+    }
+
+    /**
+     * Records the outcome of a delivery attempt.
+     * @param {number} deliveryId - Delivery ID
+     * @param {Object} result - Result of send()
+     * @param {boolean} retry - Whether a failed delivery is attempted again
+     * @returns {Promise<void>}
+     */
+    async recordAttempt(deliveryId, result, retry) {
+        let status = DELIVERY_STATUSES.FAILED;
+        if (result.ok) {
+            status = DELIVERY_STATUSES.SUCCEEDED;
+        } else if (retry) {
+            status = DELIVERY_STATUSES.PENDING;
+        }
+
+        await db.run(`
+            UPDATE webhook_deliveries
+            SET status = ?, response_status = ?, response_body = ?, error = ?, duration_ms = ?,
+                delivered_at = ?, next_attempt_at = ${status === DELIVERY_STATUSES.PENDING ? 'next_attempt_at' : 'NULL'}
+            WHERE id = ?
+        `, [
+            status,
+            result.status,
+            result.body,
+            result.error,
+            result.duration,
+            result.ok ? toSqlDate(new Date()) : null,
+            deliveryId
+        ]);
+    }
+
+    /**
+     * Runs the hourly jobs: expiring certificates and delivery log cleanup.
+     * @returns {Promise<void>}
+     */
+    async runMaintenance() {
+        try {
+            await this.checkExpiringCertificates();
+            await this.pruneDeliveries();
+        } catch (error) {
+            logger.error('Webhook maintenance failed', { error });
+        }
+    }
+
+    /**
+     * Publishes certificate.expiring for certificates that reached a warning
+     * threshold. Each expiry date is announced once per threshold, and only
+     * for the nearest threshold, so a late check does not send several.
+     * @returns {Promise<number>} Number of certificates announced
+     */
+    async checkExpiringCertificates() {
+        const thresholds = [...config.webhooks.certificateExpiryDays].sort((a, b) => a - b);
+        if (thresholds.length === 0) {
+            return 0;
+        }
+
+        const certificates = await db.all(`
+            SELECT c.id, c.site_id, c.expires_at, s.domain_name,
+                strftime('%Y-%m-%dT%H:%M:%SZ', c.expires_at) AS expires_at_utc,
+                julianday(c.expires_at) - julianday('now') AS days_left
+            FROM certificate c
+            LEFT JOIN site s ON s.id = c.site_id
+            WHERE datetime(c.expires_at) > datetime('now')
+            AND datetime(c.expires_at) <= datetime('now', ?)
+        `, [`+${thresholds[thresholds.length - 1]} days`]);
+
+        let announced = 0;
+        for (const certificate of certificates) {
+            const daysRemaining = Math.ceil(certificate.days_left);
+            const threshold = thresholds.find(days => daysRemaining <= days);
+
+            const notice = await db.run(`
+                INSERT OR IGNORE INTO certificate_expiry_notices (certificate_id, expires_at, days)
+                VALUES (?, ?, ?)
+            `, [certificate.id, certificate.expires_at, threshold]);
+            if (notice.changes === 0) {
+                continue;
+            }
+
+            await this.publish('certificate.expiring', {
+                certificate: {
+                    id: certificate.id,
+                    site_id: certificate.site_id,
+                    domain_name: certificate.domain_name,
+                    expires_at: certificate.expires_at_utc,
+                    days_remaining: daysRemaining
+                }
+            });
+            announced++;
+        }
+
+        return announced;
+    }
+
+    /**
+     * Deletes finished deliveries older than the retention period.
+     * @returns {Promise<number>} Number of deliveries deleted
+     */
+    async pruneDeliveries() {
+        const result = await db.run(`
+            DELETE FROM webhook_deliveries
+            WHERE status != ? AND created_at < datetime('now', ?)
+        `, [DELIVERY_STATUSES.PENDING, `-${config.webhooks.deliveryRetentionDays} days`]);
+        return result.changes;
+    }
+
+    /**
+     * Resolves the host of a webhook URL and refuses it unless all its
+     * addresses are public, so webhooks cannot reach this server, its
+     * network or a cloud metadata endpoint.
+     * @param {string} url - Webhook URL
+     * @returns {Promise<void>}
+     * @throws {APIError} When the host does not resolve or is not public
+     */
+    async assertPublicHost(url) {
+        // IPv6 hosts are bracketed in URLs
+        const host = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+
+        let addresses;
+        try {
+            addresses = await dns.lookup(host, { all: true, verbatim: true });
+        } catch {
+            throw new APIError(`Cannot resolve webhook host ${host}`, 400, 'INVALID_WEBHOOK');
+        }
+
+        if (addresses.some(({ address }) => !isPublicIPAddress(address))) {
+            throw new APIError(`Webhook host ${host} is not a public address`, 400, 'INVALID_WEBHOOK');
+        }
+    }
+
+    /**
+     * Validates webhook settings.
+     * @param {Object} settings - Webhook settings
+     * @returns {Promise<void>}
+     * @throws {APIError} When the URL or an event is invalid
+     */
+    async validateWebhook({ url, events }) {
+        const invalid = message => new APIError(message, 400, 'INVALID_WEBHOOK');
+
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            throw invalid('url must be an absolute URL');
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw invalid('url must use http or https');
+        }
+
+        if (!Array.isArray(events) || events.length === 0) {
+            throw invalid('events must list at least one event');
+        }
+        const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+        if (unknown.length > 0) {
+            throw invalid(`Unknown events: ${unknown.join(', ')}. Valid events are ${WEBHOOK_EVENTS.join(', ')}`);
+        }
+
+        await this.assertPublicHost(url);
+    }
+
+    /**
+     * Creates a webhook with a new signing secret.
+     * @param {Object} webhook - Webhook settings
+     * @param {string} webhook.url - URL the events are POSTed to
+     * @param {Array<string>} webhook.events - Subscribed events
+     * @param {string} [webhook.description] - Descriptive text
+     * @param {boolean} [webhook.is_active=true] - Whether events are sent
+     * @param {string} createdBy - Identifier of the requester
+     * @returns {Promise<Object>} Created webhook, including its secret
+     */
+    async createWebhook({ url, events, description = null, is_active = true }, createdBy) {
+        await this.validateWebhook({ url, events });
+
+        try {
+            const secret = generateSecret();
+            const result = await db.run(`
+                INSERT INTO webhooks (
+                    url, description, events, secret, is_active, created_by, created_at, updated_at
+                ) VALUES (?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+            `, [url, description, JSON.stringify([...new Set(events)]), secret, is_active ? 1 : 0, createdBy]);
+
+            return { ...await this.getWebhook(result.lastID), secret };
+        } catch (error) {
+            throw handleDatabaseError(error);
+        }
+    }
+
+    /**
+     * Updates a webhook. `rotate_secret: true` replaces its signing secret.
+     * @param {number} webhookId - Webhook ID
+     * @param {Object} changes - Settings to change
+     * @returns {Promise<Object|null>} Updated webhook (with the secret when
+     *   rotated) or null if not found
+     */
+    async updateWebhook(webhookId, { rotate_secret = false, ...changes }) {
+        const current = await db.get('SELECT * FROM webhooks WHERE id = ?', [webhookId]);
+        if (!current) {
+            return null;
+        }
+
+        const settings = {
+            url: current.url,
+            events: safeJsonParse(current.events, []),
+            description: current.description,
+            is_active: Boolean(current.is_active),
+            ...changes
+        };
+        await this.validateWebhook(settings);
+        const secret = rotate_secret ? generateSecret() : current.secret;
+
+        await db.run(`
+            UPDATE webhooks
+            SET url = ?, events = ?, description = ?, is_active = ?, secret = ?, updated_at = datetime('now')
+            WHERE id = ?
+        `, [
+            settings.url,
+            JSON.stringify([...new Set(settings.events)]),
+            settings.description,
+            settings.is_active ? 1 : 0,
+            secret,
+            webhookId
+        ]);
+
+        const webhook = await this.getWebhook(webhookId);
+        return rotate_secret ? { ...webhook, secret } : webhook;
+    }
+
+    /**
+     * Deletes a webhook and its delivery log.
+     * @param {number} webhookId - Webhook ID
+     * @returns {Promise<boolean>} Whether the webhook existed
+     */
+    async deleteWebhook(webhookId) {
+        await db.run('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [webhookId]);
+        const result = await db.run('DELETE FROM webhooks WHERE id = ?', [webhookId]);
+        return result.changes > 0;
+    }
+
+    /**
+     * Retrieves a webhook with delivery counts. The secret is not included.
+     * @param {number} webhookId - Webhook ID
+     * @returns {Promise<Object|null>} Webhook or null if not found
+     */
+    async getWebhook(webhookId) {
+        const webhook = await db.get('SELECT * FROM webhooks WHERE id = ?', [webhookId]);
+        if (!webhook) {
+            return null;
+        }
+
+        const counts = await db.all(`
+            SELECT status, COUNT(*) AS count
+            FROM webhook_deliveries
+            WHERE webhook_id = ?
+            GROUP BY status
+        `, [webhookId]);
+
+        return {
+            ...this.formatWebhook(webhook),
+            deliveries: Object.fromEntries(Object.values(DELIVERY_STATUSES).map(status => [
+                status,
+                counts.find(count => count.status === status)?.count || 0
+            ]))
+        };
+    }
+
+    /**
+     * Lists webhooks, without their secrets.
+     * @returns {Promise<Array>} Webhooks
+     */
+    async listWebhooks() {
+        const webhooks = await db.all('SELECT * FROM webhooks ORDER BY id ASC');
+        return webhooks.map(webhook => this.formatWebhook(webhook));
+    }
+
+    /**
+     * Lists the delivery log of a webhook, most recent first.
+     * @param {number} webhookId - Webhook ID
+     * @param {Object} [options] - Filter options
+     * @param {string} [options.status] - Only return this delivery status
+     * @param {string} [options.event] - Only return this event
+     * @param {number} [options.limit=50] - Maximum number of deliveries
+     * @returns {Promise<Array>} Deliveries
+     */
+    async listDeliveries(webhookId, { status = null, event = null, limit = 50 } = {}) {
+        const conditions = ['webhook_id = ?'];
+        const params = [webhookId];
+
+        if (status) {
+            conditions.push('status = ?');
+            params.push(status);
+        }
+        if (event) {
+            conditions.push('event = ?');
+            params.push(event);
+        }
+
+        const deliveries = await db.all(`
+            SELECT * FROM webhook_deliveries
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY id DESC
+            LIMIT ?
+        `, [...params, limit]);
+
+        return deliveries.map(delivery => ({
+            ...delivery,
+            payload: safeJsonParse(delivery.payload)
+        }));
+    }
+
+    /**
+     * Sends a webhook.test event right away, once, whether or not the
+     * webhook is active. The attempt is recorded in the delivery log.
+     * @param {number} webhookId - Webhook ID
+     * @returns {Promise<Object|null>} Delivery or null if the webhook does not exist
+     */
+    async testWebhook(webhookId) {
+        const webhook = await db.get('SELECT * FROM webhooks WHERE id = ?', [webhookId]);
+        if (!webhook) {
+            return null;
+        }
+
+        const { eventId, payload } = this.buildPayload(TEST_EVENT, {
+            webhook_id: webhook.id,
+            message: 'Test event from the CloudPanel API'
+        });
+        const result = await db.run(`
+            INSERT INTO webhook_deliveries (
+                webhook_id, event, event_id, payload, status, attempts, created_at
+            ) VALUES (?, ?, ?, ?, ?, 1, datetime('now'))
+        `, [webhook.id, TEST_EVENT, eventId, payload, DELIVERY_STATUSES.PENDING]);
+
+        const outcome = await this.send({
+            url: webhook.url,
+            secret: webhook.secret,
+            event: TEST_EVENT,
+            event_id: eventId,
+            payload
+        });
+        await this.recordAttempt(result.lastID, outcome, false);
+
+        const delivery = await db.get('SELECT * FROM webhook_deliveries WHERE id = ?', [result.lastID]);
+        return { ...delivery, payload: safeJsonParse(delivery.payload) };
+    }
+
+    /**
+     * Formats a webhook row for API responses, leaving out the secret.
+     * @param {Object} webhook - Webhook row
+     * @returns {Object} Webhook
+     */
+    formatWebhook(webhook) {
+        return {
+            id: webhook.id,
+            url: webhook.url,
+            description: webhook.description,
+            events: safeJsonParse(webhook.events, []),
+            is_active: Boolean(webhook.is_active),
+            created_by: webhook.created_by,
+            created_at: webhook.created_at,
+            updated_at: webhook.updated_at
+        };
+    }
+}
+
+export default new WebhookService();
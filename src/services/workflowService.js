@@ -0,0 +1,723 @@
+// src/services/workflowService.js
+import { db } from '../config/database.js';
+import config from '../config/config.js';
+import OrchestratorService, { OPERATION_STATUSES } from './OrchestratorService.js';
+import handlerRegistry from './handlerRegistry.js';
+import { APIError, handleDatabaseError } from '../middleware/errorHandler.js';
+import { safeJsonParse } from '../utils/helpers.js';
+import { createChildLogger } from '../utils/logger.js';
+
+const logger = createChildLogger({ component: 'workflows' });
+
+export const WORKFLOW_STATUSES = Object.freeze({
+    RUNNING: 'running',
+    COMPENSATING: 'compensating',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    ROLLED_BACK: 'rolled_back',
+    ROLLBACK_FAILED: 'rollback_failed'
+});
+
+// Workflows that still have operations to wait for
+const ACTIVE_WORKFLOW_STATUSES = [WORKFLOW_STATUSES.RUNNING, WORKFLOW_STATUSES.COMPENSATING];
+
+export const STEP_STATUSES = Object.freeze({
+    WAITING: 'waiting',
+    QUEUED: 'queued',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    SKIPPED: 'skipped',
+    CANCELLED: 'cancelled'
+});
+
+// Final step status for each terminal operation status
+const STEP_STATUS_BY_OPERATION = {
+    [OPERATION_STATUSES.COMPLETED]: STEP_STATUSES.COMPLETED,
+    [OPERATION_STATUSES.FAILED]: STEP_STATUSES.FAILED,
+    [OPERATION_STATUSES.DEAD_LETTER]: STEP_STATUSES.FAILED,
+    [OPERATION_STATUSES.CANCELLED]: STEP_STATUSES.CANCELLED
+};
+
+const FINISHED_STEP_STATUSES = [
+    STEP_STATUSES.COMPLETED,
+    STEP_STATUSES.FAILED,
+    STEP_STATUSES.SKIPPED,
+    STEP_STATUSES.CANCELLED
+];
+
+// `{{steps.<key>.<path>}}`, e.g. `{{steps.site.result.site_id}}`
+const REFERENCE_PATTERN = /\{\{\s*steps\.([A-Za-z0-9_-]+)((?:\.[A-Za-z0-9_-]+)*)\s*\}\}/g;
+
+/**
+ * Collects the step keys referenced anywhere in a step payload.
+ * @param {*} value - Step data
+ * @param {Set<string>} [keys] - Accumulator
+ * @returns {Set<string>} Referenced step keys
+ */
+function findReferences(value, keys = new Set()) {
+    if (typeof value === 'string') {
+        for (const match of value.matchAll(REFERENCE_PATTERN)) {
+            keys.add(match[1]);
+        }
+    } else if (value && typeof value === 'object') {
+        Object.values(value).forEach(item => findReferences(item, keys));
+    }
+    return keys;
+}
+
+/**
+ * Replaces step references with the outputs of earlier steps.
+ * A string that is exactly one reference takes the referenced value as is,
+ * so ids stay numbers; references inside longer strings are interpolated.
+ * @param {*} value - Step data
+ * @param {Object} outputs - Outputs keyed by step key
+ * @returns {*} Resolved data
+ * @throws {Error} When a referenced value does not exist
+ */
+function resolveReferences(value, outputs) {
+    if (Array.isArray(value)) {
+        return value.map(item => resolveReferences(item, outputs));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(
+            Object.entries(value).map(([key, item]) => [key, resolveReferences(item, outputs)])
+        );
+    }
+    if (typeof value !== 'string') {
+        return value;
+    }
+
+    const lookup = (reference, stepKey, path) => {
+        const resolved = path.split('.').filter(Boolean)
+            .reduce((current, segment) => current?.[segment], outputs[stepKey]);
+        if (resolved === undefined || resolved === null) {
+            throw new Error(`Unresolved reference ${reference}`);
+        }
+        return resolved;
+    };
+
+    const [whole] = [...value.matchAll(REFERENCE_PATTERN)];
+    if (whole && whole[0] === value) {
+        return lookup(whole[0], whole[1], whole[2]);
+    }
+
+    return value.replace(REFERENCE_PATTERN, (reference, stepKey, path) => {
+        const resolved = lookup(reference, stepKey, path);
+        return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+    });
+}
+
+/**
+ * Service for multi-step workflows.
+ * A workflow is a set of operations connected by `depends_on` edges. Steps
+ * are queued through OrchestratorService once all their dependencies have
+ * completed, with `{{steps.<key>.result.<field>}}` references in their data
+ * filled in from earlier steps. A step that fails, is cancelled or cannot be
+ * resolved skips everything that depends on it.
+ *
+ * When a workflow fails, its completed steps are undone by the compensating
+ * operation types in `orchestrator.compensations`, one at a time in reverse
+ * order. Each compensation is queued as its own operation.
+ */
+class WorkflowService {
+    constructor() {
+        this.timer = null;
+        this.advancing = new Set();
+        this.pendingAdvance = new Set();
+        this.onStatus = event => this.handleOperationStatus(event);
+    }
+
+    /**
+     * Starts advancing workflows. Operation status events from this process
+     * advance workflows immediately; polling covers operations finished by
+     * queue_worker.sh or other API processes.
+     */
+    start() {
+        OrchestratorService.on('status', this.onStatus);
+        this.timer = setInterval(() => this.advanceRunningWorkflows(), config.orchestrator.pollInterval);
+        this.advanceRunningWorkflows();
+    }
+
+    /**
+     * Stops advancing workflows.
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        OrchestratorService.off('status', this.onStatus);
+    }
+
+    /**
+     * Validates a workflow definition and orders its steps so that every
+     * step comes after its dependencies.
+     * @param {Array<Object>} steps - Step definitions ({ key, type, data, depends_on })
+     * @returns {Promise<Array<Object>>} Steps in dependency order
+     * @throws {APIError} When the definition is invalid
+     */
+    async validateWorkflow(steps) {
+        const invalid = message => new APIError(message, 400, 'INVALID_WORKFLOW');
+        const byKey = new Map();
+
+        for (const step of steps) {
+            if (byKey.has(step.key)) {
+                throw invalid(`Duplicate step key "${step.key}"`);
+            }
+            if (!await handlerRegistry.isKnownType(step.type)) {
+                throw invalid(`Step "${step.key}" has unknown operation type "${step.type}"`);
+            }
+            byKey.set(step.key, { ...step, depends_on: [...new Set(step.depends_on || [])], data: step.data || {} });
+        }
+
+        for (const step of byKey.values()) {
+            for (const dependency of step.depends_on) {
+                if (!byKey.has(dependency) || dependency === step.key) {
+                    throw invalid(`Step "${step.key}" depends on unknown step "${dependency}"`);
+                }
+            }
+        }
+
+        // Kahn's algorithm; anything left over is part of a cycle
+        const ordered = [];
+        const remaining = new Map([...byKey.values()].map(step => [step.key, step.depends_on.length]));
+        const ready = [...remaining].filter(([, count]) => count === 0).map(([key]) => key);
+
+        while (ready.length > 0) {
+            const key = ready.shift();
+            ordered.push(byKey.get(key));
+            remaining.delete(key);
+
+            for (const step of byKey.values()) {
+                if (step.depends_on.includes(key) && remaining.has(step.key)) {
+                    remaining.set(step.key, remaining.get(step.key) - 1);
+                    if (remaining.get(step.key) === 0) {
+                        ready.push(step.key);
+                    }
+                }
+            }
+        }
+
+        if (remaining.size > 0) {
+            throw invalid(`Steps ${[...remaining.keys()].join(', ')} form a dependency cycle`);
+        }
+
+        // References must point at steps that are guaranteed to run first
+        const ancestors = new Map();
+        for (const step of ordered) {
+            const stepAncestors = new Set(step.depends_on);
+            step.depends_on.forEach(dependency => {
+                ancestors.get(dependency).forEach(key => stepAncestors.add(key));
+            });
+            ancestors.set(step.key, stepAncestors);
+
+            for (const reference of findReferences(step.data)) {
+                if (!stepAncestors.has(reference)) {
+                    throw invalid(`Step "${step.key}" references "${reference}", which it does not depend on`);
+                }
+            }
+        }
+
+        return ordered;
+    }
+
+    /**
+     * Creates a workflow and queues the steps without dependencies.
+     * @param {Object} definition - Workflow definition
+     * @param {string} [definition.name] - Descriptive name
+     * @param {Array<Object>} definition.steps - Step definitions
+     * @param {boolean} [definition.compensate=true] - Undo completed steps on failure
+     * @param {string} createdBy - Identifier of the requester
+     * @returns {Promise<number>} ID of the new workflow
+     */
+    async createWorkflow({ name = null, steps, compensate = true }, createdBy) {
+        const ordered = await this.validateWorkflow(steps);
+
+        let workflowId;
+        try {
+            workflowId = await db.transaction(async (tx) => {
+                const result = await tx.run(`
+                    INSERT INTO workflows (name, status, compensate, created_by, created_at)
+                    VALUES (?, ?, ?, ?, datetime('now'))
+                `, [name, WORKFLOW_STATUSES.RUNNING, compensate ? 1 : 0, createdBy]);
+
+                for (const [position, step] of ordered.entries()) {
+                    await tx.run(`
+                        INSERT INTO workflow_steps (
+                            workflow_id, step_key, position, type, data, depends_on, status
+                        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+                    `, [
+                        result.lastID,
+                        step.key,
+                        position,
+                        step.type,
+                        JSON.stringify(step.data),
+                        JSON.stringify(step.depends_on),
+                        STEP_STATUSES.WAITING
+                    ]);
+                }
+
+                return result.lastID;
+            });
+        } catch (error) {
+            throw handleDatabaseError(error);
+        }
+
+        logger.info('Workflow created', { workflow_id: workflowId, steps: ordered.length });
+        await this.advanceWorkflow(workflowId);
+        return workflowId;
+    }
+
+    /**
+     * Advances the workflow an operation belongs to once it has finished.
+     * @param {Object} event - OrchestratorService status event
+     * @returns {Promise<void>}
+     */
+    async handleOperationStatus({ id, status }) {
+        if (!STEP_STATUS_BY_OPERATION[status]) {
+            return;
+        }
+
+        try {
+            const step = await db.get(`
+                SELECT workflow_id FROM workflow_steps
+                WHERE operation_id = ? OR compensation_operation_id = ?
+            `, [id, id]);
+            if (step) {
+                await this.advanceWorkflow(step.workflow_id);
+            }
+        } catch (error) {
+            logger.error('Failed to advance workflow', { operation_id: id, error });
+        }
+    }
+
+    /**
+     * Advances every running or compensating workflow.
+     * @returns {Promise<void>}
+     */
+    async advanceRunningWorkflows() {
+        try {
+            const workflows = await db.all(
+                'SELECT id FROM workflows WHERE status IN (?, ?)',
+                ACTIVE_WORKFLOW_STATUSES
+            );
+
+            for (const workflow of workflows) {
+                await this.advanceWorkflow(workflow.id);
+            }
+        } catch (error) {
+            logger.error('Failed to advance workflows', { error });
+        }
+    }
+
+    /**
+     * Brings a workflow up to date with its operations. Calls for a
+     * workflow that is already being advanced are coalesced into one
+     * follow-up pass.
+     * @param {number} workflowId - Workflow ID
+     * @returns {Promise<void>}
+     */
+    async advanceWorkflow(workflowId) {
+        if (this.advancing.has(workflowId)) {
+            this.pendingAdvance.add(workflowId);
+            return;
+        }
+
+        this.advancing.add(workflowId);
+        try {
+            await this.syncWorkflow(workflowId);
+        } finally {
+            this.advancing.delete(workflowId);
+        }
+
+        if (this.pendingAdvance.delete(workflowId)) {
+            await this.advanceWorkflow(workflowId);
+        }
+    }
+
+    /**
+     * Records finished operations on their steps, queues steps whose
+     * dependencies completed, skips steps whose dependencies did not and
+     * closes the workflow when every step has finished.
+     * @param {number} workflowId - Workflow ID
+     * @returns {Promise<void>}
+     */
+    async syncWorkflow(workflowId) {
+        const workflow = await db.get('SELECT * FROM workflows WHERE id = ?', [workflowId]);
+        if (!workflow || !ACTIVE_WORKFLOW_STATUSES.includes(workflow.status)) {
+            return;
+        }
+
+        const steps = await this.getSteps(workflowId);
+        if (workflow.status === WORKFLOW_STATUSES.COMPENSATING) {
+            await this.syncCompensation(workflow, steps);
+            return;
+        }
+
+        const byKey = new Map(steps.map(step => [step.step_key, step]));
+
+        // Steps are stored in dependency order, so one pass settles them all
+        for (const step of steps) {
+            if (step.status === STEP_STATUSES.QUEUED) {
+                const finished = STEP_STATUS_BY_OPERATION[step.operation?.status];
+                if (finished) {
+                    await this.updateStep(step, finished, step.operation.error);
+                }
+                continue;
+            }
+
+            if (step.status !== STEP_STATUSES.WAITING) {
+                continue;
+            }
+
+            const dependencies = step.depends_on.map(key => byKey.get(key));
+            const blocked = dependencies.find(dependency =>
+                FINISHED_STEP_STATUSES.includes(dependency.status)
+                && dependency.status !== STEP_STATUSES.COMPLETED
+            );
+
+            if (blocked) {
+                await this.updateStep(
+                    step,
+                    STEP_STATUSES.SKIPPED,
+                    `Dependency "${blocked.step_key}" ${blocked.status}`
+                );
+            } else if (dependencies.every(dependency => dependency.status === STEP_STATUSES.COMPLETED)) {
+                await this.queueStep(workflow, step, byKey);
+            }
+        }
+
+        if (steps.every(step => FINISHED_STEP_STATUSES.includes(step.status))) {
+            await this.finishWorkflow(workflow, steps);
+        }
+    }
+
+    /**
+     * Resolves the data of a step and queues its operation.
+     * @param {Object} workflow - Workflow the step belongs to
+     * @param {Object} step - Step whose dependencies completed
+     * @param {Map<string, Object>} byKey - All steps of the workflow by key
+     * @returns {Promise<void>}
+     */
+    async queueStep(workflow, step, byKey) {
+        let data;
+        try {
+            const outputs = Object.fromEntries([...byKey.values()]
+                .filter(other => other.status === STEP_STATUSES.COMPLETED)
+                .map(other => [other.step_key, {
+                    operation_id: other.operation_id,
+                    data: other.operation.data,
+                    result: other.operation.result
+                }]));
+            data = resolveReferences(step.data, outputs);
+        } catch (error) {
+            await this.updateStep(step, STEP_STATUSES.FAILED, error.message);
+            return;
+        }
+
+        // The status guard keeps a concurrent pass from queueing the step twice
+        const claimed = await db.run(
+            'UPDATE workflow_steps SET status = ? WHERE id = ? AND status = ?',
+            [STEP_STATUSES.QUEUED, step.id, STEP_STATUSES.WAITING]
+        );
+        if (claimed.changes === 0) {
+            return;
+        }
+
+        let operationId;
+        try {
+            operationId = await OrchestratorService.triggerOperation(step.type, data, {
+                createdBy: workflow.created_by
+            });
+        } catch (error) {
+            await this.updateStep(step, STEP_STATUSES.FAILED, `Failed to queue operation: ${error.message}`);
+            return;
+        }
+
+        await db.run(
+            'UPDATE workflow_steps SET operation_id = ? WHERE id = ?',
+            [operationId, step.id]
+        );
+
+        step.status = STEP_STATUSES.QUEUED;
+        step.operation_id = operationId;
+        logger.info('Workflow step queued', {
+            workflow_id: step.workflow_id,
+            step: step.step_key,
+            operation_id: operationId
+        });
+    }
+
+    /**
+     * Stores the status of a step.
+     * @param {Object} step - Step to update (updated in place)
+     * @param {string} status - New status
+     * @param {string} [error] - Reason for failed or skipped steps
+     * @returns {Promise<void>}
+     */
+    async updateStep(step, status, error = null) {
+        const stepError = status === STEP_STATUSES.COMPLETED ? null : error;
+
+        await db.run(
+            'UPDATE workflow_steps SET status = ?, error = ? WHERE id = ?',
+            [status, stepError, step.id]
+        );
+        step.status = status;
+        step.error = stepError;
+    }
+
+    /**
+     * Closes a workflow whose steps have all finished, or starts undoing
+     * the completed steps of a failed workflow.
+     * @param {Object} workflow - Workflow row
+     * @param {Array<Object>} steps - Finished steps
+     * @returns {Promise<void>}
+     */
+    async finishWorkflow(workflow, steps) {
+        const failed = steps.find(step => step.status !== STEP_STATUSES.COMPLETED);
+        if (!failed) {
+            await this.closeWorkflow(workflow, WORKFLOW_STATUSES.COMPLETED);
+            return;
+        }
+
+        const error = `Step "${failed.step_key}" ${failed.status}: ${failed.error || 'no details'}`;
+        if (!workflow.compensate || this.getCompensableSteps(steps).length === 0) {
+            await this.closeWorkflow(workflow, WORKFLOW_STATUSES.FAILED, error);
+            return;
+        }
+
+        await db.run(
+            'UPDATE workflows SET status = ?, error = ? WHERE id = ?',
+            [WORKFLOW_STATUSES.COMPENSATING, error, workflow.id]
+        );
+        workflow.status = WORKFLOW_STATUSES.COMPENSATING;
+        workflow.error = error;
+
+        logger.warn('Workflow failed, compensating completed steps', {
+            workflow_id: workflow.id,
+            error
+        });
+        await this.syncCompensation(workflow, steps);
+    }
+
+    /**
+     * Completed steps that have a compensating operation type, in the order
+     * they have to be undone.
+     * @param {Array<Object>} steps - Steps in dependency order
+     * @returns {Array<Object>} Steps to compensate, last step first
+     */
+    getCompensableSteps(steps) {
+        const { compensations } = config.orchestrator;
+
+        return steps
+            .filter(step => step.status === STEP_STATUSES.COMPLETED && compensations[step.type])
+            .reverse();
+    }
+
+    /**
+     * Moves a compensating workflow forward. Compensations run one at a
+     * time; the first one that does not complete stops the rollback, since
+     * undoing earlier steps could depend on it.
+     * @param {Object} workflow - Compensating workflow
+     * @param {Array<Object>} steps - Steps in dependency order
+     * @returns {Promise<void>}
+     */
+    async syncCompensation(workflow, steps) {
+        for (const step of this.getCompensableSteps(steps)) {
+            if (step.compensation_status === null) {
+                await this.queueCompensation(workflow, step);
+                return;
+            }
+
+            if (step.compensation_status === STEP_STATUSES.QUEUED) {
+                const finished = STEP_STATUS_BY_OPERATION[step.compensation?.status];
+                if (!finished) {
+                    return;
+                }
+
+                await db.run(
+                    'UPDATE workflow_steps SET compensation_status = ? WHERE id = ?',
+                    [finished, step.id]
+                );
+                step.compensation_status = finished;
+            }
+
+            if (step.compensation_status !== STEP_STATUSES.COMPLETED) {
+                await this.closeWorkflow(
+                    workflow,
+                    WORKFLOW_STATUSES.ROLLBACK_FAILED,
+                    `${workflow.error}; compensation of step "${step.step_key}" ${step.compensation_status}: `
+                        + (step.compensation?.error || 'no details')
+                );
+                return;
+            }
+        }
+
+        await this.closeWorkflow(workflow, WORKFLOW_STATUSES.ROLLED_BACK, workflow.error);
+    }
+
+    /**
+     * Queues the compensating operation of a completed step. It receives
+     * the data and result of the original operation.
+     * @param {Object} workflow - Workflow being rolled back
+     * @param {Object} step - Completed step to undo
+     * @returns {Promise<void>}
+     */
+    async queueCompensation(workflow, step) {
+        const claimed = await db.run(`
+            UPDATE workflow_steps SET compensation_status = ?
+            WHERE id = ? AND compensation_status IS NULL
+        `, [STEP_STATUSES.QUEUED, step.id]);
+        if (claimed.changes === 0) {
+            return;
+        }
+
+        const type = config.orchestrator.compensations[step.type];
+        const data = {
+            ...step.operation.data,
+            ...(step.operation.result || {}),
+            compensates_operation_id: step.operation_id
+        };
+
+        let operationId;
+        try {
+            operationId = await OrchestratorService.triggerOperation(type, data, {
+                createdBy: workflow.created_by
+            });
+        } catch (error) {
+            logger.error('Failed to queue compensation', {
+                workflow_id: step.workflow_id,
+                step: step.step_key,
+                error
+            });
+            await db.run(
+                'UPDATE workflow_steps SET compensation_status = ? WHERE id = ?',
+                [STEP_STATUSES.FAILED, step.id]
+            );
+            await this.advanceWorkflow(step.workflow_id);
+            return;
+        }
+
+        await db.run(
+            'UPDATE workflow_steps SET compensation_operation_id = ? WHERE id = ?',
+            [operationId, step.id]
+        );
+
+        logger.info('Workflow step compensation queued', {
+            workflow_id: step.workflow_id,
+            step: step.step_key,
+            type,
+            operation_id: operationId
+        });
+    }
+
+    /**
+     * Stores the final status of a workflow.
+     * @param {Object} workflow - Workflow row
+     * @param {string} status - Final status
+     * @param {string} [error] - Reason the workflow did not complete
+     * @returns {Promise<void>}
+     */
+    async closeWorkflow(workflow, status, error = null) {
+        await db.run(`
+            UPDATE workflows
+            SET status = ?, error = ?, completed_at = datetime('now')
+            WHERE id = ?
+        `, [status, error, workflow.id]);
+
+        logger.info('Workflow finished', { workflow_id: workflow.id, status });
+    }
+
+    /**
+     * Retrieves the steps of a workflow with their operations.
+     * @param {number} workflowId - Workflow ID
+     * @returns {Promise<Array>} Steps in dependency order
+     */
+    async getSteps(workflowId) {
+        const rows = await db.all(`
+            SELECT s.*,
+                o.status AS operation_status, o.progress AS operation_progress,
+                o.data AS operation_data, o.result AS operation_result,
+                o.error AS operation_error, o.started_at AS operation_started_at,
+                o.completed_at AS operation_completed_at,
+                c.type AS compensation_type, c.status AS compensation_operation_status,
+                c.error AS compensation_error
+            FROM workflow_steps s
+            LEFT JOIN operations o ON o.id = s.operation_id
+            LEFT JOIN operations c ON c.id = s.compensation_operation_id
+            WHERE s.workflow_id = ?
+            ORDER BY s.position ASC
+        `, [workflowId]);
+
+        return rows.map(row => ({
+            id: row.id,
+            workflow_id: row.workflow_id,
+            step_key: row.step_key,
+            type: row.type,
+            data: safeJsonParse(row.data, {}),
+            depends_on: safeJsonParse(row.depends_on, []),
+            status: row.status,
+            error: row.error,
+            operation_id: row.operation_id,
+            operation: row.operation_id ? {
+                id: row.operation_id,
+                status: row.operation_status,
+                progress: row.operation_progress,
+                data: safeJsonParse(row.operation_data, {}),
+                result: safeJsonParse(row.operation_result, null),
+                error: row.operation_error,
+                started_at: row.operation_started_at,
+                completed_at: row.operation_completed_at
+            } : null,
+            compensation_status: row.compensation_status,
+            compensation: row.compensation_operation_id ? {
+                operation_id: row.compensation_operation_id,
+                type: row.compensation_type,
+                status: row.compensation_operation_status,
+                error: row.compensation_error
+            } : null
+        }));
+    }
+
+    /**
+     * Retrieves a workflow with all of its steps.
+     * @param {number} workflowId - Workflow ID
+     * @returns {Promise<Object|null>} Workflow or null if not found
+     */
+    async getWorkflow(workflowId) {
+        const workflow = await db.get('SELECT * FROM workflows WHERE id = ?', [workflowId]);
+        if (!workflow) {
+            return null;
+        }
+
+        const steps = await this.getSteps(workflowId);
+        return {
+            ...workflow,
+            steps: steps.map(({ workflow_id: _workflowId, ...step }) => step)
+        };
+    }
+
+    /**
+     * Lists workflows, most recent first.
+     * @param {Object} [options] - Filter options
+     * @param {string} [options.status] - Only return this status
+     * @param {number} [options.limit=50] - Maximum number of workflows
+     * @returns {Promise<Array>} Workflows without their steps
+     */
+    listWorkflows({ status = null, limit = 50 } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (status) {
+            conditions.push('status = ?');
+            params.push(status);
+        }
+
+        return db.all(`
+            SELECT * FROM workflows
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY created_at DESC, id DESC
+            LIMIT ?
+        `, [...params, limit]);
+    }
+}
+
+export default new WorkflowService();
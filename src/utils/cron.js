@@ -0,0 +1,118 @@
+// src/utils/cron.js
+import { validateCronExpression } from './validation.js';
+
+// Field order of a five-field cron expression
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 6 }
+];
+
+// Expressions that never match (e.g. February 30th) stop searching here
+const SEARCH_HORIZON_YEARS = 5;
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Parses one field of a cron expression into the values it matches.
+ * Supports the syntax accepted by validateCronExpression: `*`, a single
+ * value and `*\/step`.
+ * @param {string} token - Field as written in the expression
+ * @param {Object} field - Field definition with min and max
+ * @returns {Object} { any, values }
+ */
+function parseField(token, { name, min, max }) {
+    if (token === '*') {
+        return { any: true, values: null };
+    }
+
+    if (token.startsWith('*/')) {
+        const step = parseInt(token.slice(2));
+        if (!(step > 0)) {
+            throw new Error(`Invalid step in cron ${name} field: ${token}`);
+        }
+
+        const values = new Set();
+        for (let value = min; value <= max; value += step) {
+            values.add(value);
+        }
+        return { any: false, values };
+    }
+
+    return { any: false, values: new Set([parseInt(token)]) };
+}
+
+/**
+ * Parses a cron expression (minute hour day-of-month month day-of-week).
+ * @param {string} expression - Cron expression
+ * @returns {Object} Parsed fields keyed by field name
+ * @throws {Error} When the expression is invalid
+ */
+export function parseCronExpression(expression) {
+    if (!validateCronExpression(expression)) {
+        throw new Error(`Invalid cron expression: ${expression}`);
+    }
+
+    const tokens = expression.split(' ');
+    return Object.fromEntries(
+        FIELDS.map((field, index) => [field.name, parseField(tokens[index], field)])
+    );
+}
+
+const matches = (field, value) => field.any || field.values.has(value);
+
+// Like cron, a restricted day-of-month and day-of-week match if either does
+function matchesDay(fields, date) {
+    const { dayOfMonth, dayOfWeek } = fields;
+    const monthDayMatches = matches(dayOfMonth, date.getUTCDate());
+    const weekDayMatches = matches(dayOfWeek, date.getUTCDay());
+
+    if (!dayOfMonth.any && !dayOfWeek.any) {
+        return monthDayMatches || weekDayMatches;
+    }
+    return monthDayMatches && weekDayMatches;
+}
+
+/**
+ * Computes the times a cron expression fires after a given time.
+ * Times are evaluated in UTC, the server timezone.
+ * @param {string} expression - Cron expression
+ * @param {Date} after - Only return times strictly after this
+ * @param {Object} [options] - Search options
+ * @param {number} [options.count=10] - Maximum number of times
+ * @param {Date} [options.until] - Only return times up to and including this
+ * @returns {Array<Date>} Fire times in order
+ */
+export function getCronFireTimes(expression, after, { count = 10, until = null } = {}) {
+    const fields = parseCronExpression(expression);
+    const times = [];
+
+    const time = new Date(after.getTime());
+    time.setUTCSeconds(0, 0);
+    time.setTime(time.getTime() + MINUTE);
+
+    const horizon = new Date(after.getTime());
+    horizon.setUTCFullYear(horizon.getUTCFullYear() + SEARCH_HORIZON_YEARS);
+    const end = until && until < horizon ? until : horizon;
+
+    while (times.length < count && time <= end) {
+        if (!matches(fields.month, time.getUTCMonth() + 1)) {
+            time.setUTCMonth(time.getUTCMonth() + 1, 1);
+            time.setUTCHours(0, 0);
+        } else if (!matchesDay(fields, time)) {
+            time.setUTCDate(time.getUTCDate() + 1);
+            time.setUTCHours(0, 0);
+        } else if (!matches(fields.hour, time.getUTCHours())) {
+            time.setUTCHours(time.getUTCHours() + 1, 0);
+        } else if (!matches(fields.minute, time.getUTCMinutes())) {
+            time.setTime(time.getTime() + MINUTE);
+        } else {
+            times.push(new Date(time.getTime()));
+            time.setTime(time.getTime() + MINUTE);
+        }
+    }
+
+    return times;
+}
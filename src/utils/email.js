@@ -222,17 +222,37 @@ export async function sendEmail(options) {
  * @param {string} to - Recipient email
  * @param {string} token - Reset token
  * @param {string} username - User's name
+ * @param {string} [expiresIn] - How long the link is valid, e.g. '1 hour'
  * @returns {Promise<Object>} Send result
  */
-export async function sendPasswordResetEmail(to, token, username) {
+export async function sendPasswordResetEmail(to, token, username, expiresIn = '1 hour') {
     return emailService.sendEmail({
         to,
         subject: 'Password Reset Request',
         template: 'password-reset',
         data: {
             username,
-            resetLink: `${process.env.APP_URL}/reset-password?token=${token}`,
-            expiresIn: '1 hour'
+            resetLink: `${process.env.APP_URL}/reset-password?token=${encodeURIComponent(token)}`,
+            expiresIn
+        },
+        priority: 'high'
+    });
+}
+
+/**
+ * Send a confirmation that a password was reset.
+ * @param {string} to - Recipient email
+ * @param {string} username - User's name
+ * @returns {Promise<Object>} Send result
+ */
+export function sendPasswordChangedEmail(to, username) {
+    return emailService.sendEmail({
+        to,
+        subject: 'Your CloudPanel password was reset',
+        template: 'password-changed',
+        data: {
+            username,
+            changedAt: new Date().toUTCString()
         },
         priority: 'high'
     });
@@ -277,5 +297,25 @@ export async function sendCertificateExpiryNotification(certInfo, to) {
     });
 }
 
+/**
+ * Send a notice that an API key is about to expire.
+ * @param {Object} keyInfo - API key information ({ name, username, expiresAt })
+ * @param {string} to - Recipient email
+ * @returns {Promise<Object>} Send result
+ */
+export function sendApiKeyExpiryNotification(keyInfo, to) {
+    return emailService.sendEmail({
+        to,
+        subject: `API Key Expiring Soon - ${keyInfo.name}`,
+        template: 'api-key-expiry',
+        data: {
+            username: keyInfo.username,
+            keyName: keyInfo.name,
+            expiresAt: keyInfo.expiresAt
+        },
+        priority: 'high'
+    });
+}
+
 // Export the service instance for direct access if needed
 export default emailService;
\ No newline at end of file
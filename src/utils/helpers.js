@@ -219,7 +219,9 @@ export function isDeepEqual(value1, value2) {
 /**
  * Retries an async function with exponential backoff.
  * Useful for handling transient failures in network requests.
- * @param {Function} func - Async function to retry
+ * Errors rejected by `shouldRetry` are rethrown immediately. Aborting
+ * `signal` stops further attempts and interrupts the backoff wait.
+ * @param {Function} func - Async function to retry, receives the attempt number
  * @param {Object} [options] - Retry options
  * @returns {Promise} Function result
  */
@@ -230,25 +232,36 @@ export async function retryWithBackoff(
         initialDelay = 1000,
         maxDelay = 10000,
         factor = 2,
-        onRetry = null
+        shouldRetry = null,
+        onRetry = null,
+        signal = null
     } = {}
 ) {
     let attempt = 1;
     let delay = initialDelay;
 
     while (attempt <= maxAttempts) {
+        signal?.throwIfAborted();
+
         try {
-            return await func();
+            return await func(attempt);
         } catch (error) {
-            if (attempt === maxAttempts) {
+            if (attempt === maxAttempts || (shouldRetry && !shouldRetry(error))) {
                 throw error;
             }
 
             if (onRetry) {
-                onRetry(error, attempt);
+                await onRetry(error, attempt, delay);
             }
 
-            await new Promise(resolve => setTimeout(resolve, delay));
+            signal?.throwIfAborted();
+            await new Promise((resolve, reject) => {
+                const timer = setTimeout(resolve, delay);
+                signal?.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(signal.reason);
+                }, { once: true });
+            });
             delay = Math.min(delay * factor, maxDelay);
             attempt++;
         }
@@ -320,4 +333,23 @@ export function formatDate(date, timezone = 'UTC') {
         minute: '2-digit',
         second: '2-digit'
     });
+}
+
+/**
+ * Formats a date as a sqlite UTC timestamp (`YYYY-MM-DD HH:MM:SS`),
+ * the format written by `datetime('now')`.
+ * @param {Date|string|number} date - Date to format
+ * @returns {string} sqlite timestamp
+ */
+export function toSqlDate(date) {
+    return new Date(date).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Parses a sqlite UTC timestamp (`YYYY-MM-DD HH:MM:SS`).
+ * @param {string} value - sqlite timestamp
+ * @returns {Date} Parsed date
+ */
+export function fromSqlDate(value) {
+    return new Date(`${value.replace(' ', 'T')}Z`);
 }
\ No newline at end of file
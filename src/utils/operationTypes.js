@@ -0,0 +1,62 @@
+// src/utils/operationTypes.js
+import fs from 'fs/promises';
+
+/**
+ * Parses the contents of operation_types.conf into a handler map.
+ * Each non-comment line has the form `type=/path/to/script.sh action`.
+ * @param {string} content - Raw file contents
+ * @returns {Map<string, Object>} Map of operation type to { command, args }
+ */
+export function parseOperationTypes(content) {
+    const handlers = new Map();
+
+    for (const rawLine of content.split('\n')) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) {
+            continue;
+        }
+
+        const separator = line.indexOf('=');
+        if (separator === -1) {
+            continue;
+        }
+
+        const type = line.slice(0, separator).trim();
+        const [command, ...args] = line.slice(separator + 1).trim().split(/\s+/);
+        if (type && command) {
+            handlers.set(type, { command, args });
+        }
+    }
+
+    return handlers;
+}
+
+/**
+ * Loads the operation handler map from disk.
+ * @param {string} filePath - Path to operation_types.conf
+ * @returns {Promise<Map<string, Object>>} Map of operation type to handler
+ */
+export async function loadOperationTypes(filePath) {
+    const content = await fs.readFile(filePath, 'utf8');
+    return parseOperationTypes(content);
+}
+
+/**
+ * Resolves a per-type setting from a map keyed by exact type, category
+ * prefix (e.g. `site` for `site.create`) or `default`.
+ * @param {Object} settings - Settings keyed by type, category or default
+ * @param {string} type - Operation type
+ * @returns {*} Most specific matching setting
+ */
+export function resolveTypeSetting(settings, type) {
+    if (type in settings) {
+        return settings[type];
+    }
+
+    const category = type.split('.')[0];
+    if (category in settings) {
+        return settings[category];
+    }
+
+    return settings.default;
+}
@@ -0,0 +1,47 @@
+// src/utils/plan.js
+
+/**
+ * Plans of destructive requests, returned instead of running them when
+ * `?dry_run=true` is passed. A plan lists what the request would change:
+ * - files: { path, action, size }
+ * - database_rows: { table, id, description }
+ * - mysql_databases: { name, server, action }
+ * - mysql_users: { user_name, database, action }
+ * - certificates: { id, uid, expires_at, action }
+ * where action is what would happen to the item (delete, drop, overwrite
+ * or create). Restores also give the `source` of each item in the backup.
+ */
+
+/**
+ * Creates an empty plan.
+ * @param {string} action - Request being planned, e.g. `site.delete`
+ * @param {Object} target - What the request acts on
+ * @returns {Object} Plan
+ */
+export function createPlan(action, target) {
+    return {
+        action,
+        target,
+        files: [],
+        database_rows: [],
+        mysql_databases: [],
+        mysql_users: [],
+        certificates: []
+    };
+}
+
+/**
+ * Counts the items of a plan by kind.
+ * @param {Object} plan - Plan
+ * @returns {Object} Item counts and the total size of the files
+ */
+export function summarizePlan(plan) {
+    return {
+        files: plan.files.length,
+        bytes: plan.files.reduce((total, file) => total + (file.size || 0), 0),
+        database_rows: plan.database_rows.length,
+        mysql_databases: plan.mysql_databases.length,
+        mysql_users: plan.mysql_users.length,
+        certificates: plan.certificates.length
+    };
+}
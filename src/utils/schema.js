@@ -0,0 +1,84 @@
+// src/utils/schema.js
+
+/**
+ * Minimal input schemas for operation handlers.
+ * A schema maps field names to rules:
+ *   { type, required, enum, min, max, minLength, maxLength, pattern }
+ * where type is one of string, integer, number, boolean, object or array.
+ * Fields not in the schema are allowed, so payloads can carry extra context.
+ */
+
+export const SCHEMA_TYPES = Object.freeze(['string', 'integer', 'number', 'boolean', 'object', 'array']);
+
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string',
+    integer: value => Number.isInteger(value),
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    boolean: value => typeof value === 'boolean',
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+    array: value => Array.isArray(value)
+};
+
+/**
+ * Checks that a schema definition is well formed.
+ * @param {Object} schema - Schema to check
+ * @returns {Array<string>} Problems found, empty when valid
+ */
+export function checkSchema(schema) {
+    if (!TYPE_CHECKS.object(schema)) {
+        return ['schema must be an object'];
+    }
+
+    return Object.entries(schema)
+        .filter(([, rules]) => !SCHEMA_TYPES.includes(rules?.type))
+        .map(([field]) => `${field}: type must be one of ${SCHEMA_TYPES.join(', ')}`);
+}
+
+/**
+ * Validates data against a schema.
+ * @param {Object} schema - Field rules keyed by field name
+ * @param {Object} data - Data to validate
+ * @returns {Array<string>} Validation errors, empty when valid
+ */
+export function validateSchema(schema, data) {
+    if (!TYPE_CHECKS.object(data)) {
+        return ['data must be an object'];
+    }
+
+    const errors = [];
+    for (const [field, rules] of Object.entries(schema)) {
+        const value = data[field];
+
+        if (value === undefined || value === null) {
+            if (rules.required) {
+                errors.push(`${field} is required`);
+            }
+            continue;
+        }
+
+        if (!TYPE_CHECKS[rules.type](value)) {
+            errors.push(`${field} must be of type ${rules.type}`);
+            continue;
+        }
+        if (rules.enum && !rules.enum.includes(value)) {
+            errors.push(`${field} must be one of ${rules.enum.join(', ')}`);
+        }
+        if (rules.min !== undefined && value < rules.min) {
+            errors.push(`${field} must be at least ${rules.min}`);
+        }
+        if (rules.max !== undefined && value > rules.max) {
+            errors.push(`${field} must be at most ${rules.max}`);
+        }
+        if (rules.minLength !== undefined && value.length < rules.minLength) {
+            errors.push(`${field} must have at least ${rules.minLength} items or characters`);
+        }
+        if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+            errors.push(`${field} must have at most ${rules.maxLength} items or characters`);
+        }
+        if (rules.pattern && !new RegExp(rules.pattern).test(value)) {
+            errors.push(`${field} has an invalid format`);
+        }
+    }
+
+    return errors;
+}
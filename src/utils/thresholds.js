@@ -0,0 +1,45 @@
+// src/utils/thresholds.js
+import fs from 'fs/promises';
+
+/**
+ * Parses the contents of thresholds.conf into nested settings.
+ * Each non-comment line has the form `group.name=value`; numeric values
+ * are converted to numbers.
+ * @param {string} content - Raw file contents
+ * @returns {Object} Settings keyed by group, e.g. { security: { brute_force_attempts: 10 } }
+ */
+export function parseThresholds(content) {
+    const thresholds = {};
+
+    for (const rawLine of content.split('\n')) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) {
+            continue;
+        }
+
+        const separator = line.indexOf('=');
+        const dot = line.indexOf('.');
+        if (separator === -1 || dot === -1 || dot > separator) {
+            continue;
+        }
+
+        const group = line.slice(0, dot).trim();
+        const name = line.slice(dot + 1, separator).trim();
+        const value = line.slice(separator + 1).trim();
+
+        thresholds[group] ??= {};
+        thresholds[group][name] = value !== '' && !isNaN(Number(value)) ? Number(value) : value;
+    }
+
+    return thresholds;
+}
+
+/**
+ * Loads thresholds.conf from disk.
+ * @param {string} filePath - Path to thresholds.conf
+ * @returns {Promise<Object>} Settings keyed by group
+ */
+export async function loadThresholds(filePath) {
+    const content = await fs.readFile(filePath, 'utf8');
+    return parseThresholds(content);
+}
@@ -1,4 +1,5 @@
 // src/utils/validation.js
+import net from 'net';
 
 /**
  * Validates domain name format according to RFC standards.
@@ -65,6 +66,86 @@ export function validateIPAddress(ip) {
     return ipv4Regex.test(ip) || ipv6Regex.test(ip);
 }
 
+/**
+ * Validates an IP address or CIDR range such as 10.0.0.0/8 or 2001:db8::/32.
+ * A plain address stands for that single host.
+ * @param {string} range - Address or CIDR range to validate
+ * @returns {boolean} Whether the range is valid
+ */
+export function validateIPRange(range) {
+    if (typeof range !== 'string') {
+        return false;
+    }
+
+    const [address, prefix, ...rest] = range.split('/');
+    if (rest.length > 0 || !validateIPAddress(address) || address.includes('%')) {
+        return false;
+    }
+    if (prefix === undefined) {
+        return true;
+    }
+
+    const maxPrefix = net.isIPv4(address) ? 32 : 128;
+    return /^\d{1,3}$/.test(prefix) && Number(prefix) <= maxPrefix;
+}
+
+/**
+ * Checks whether an IP address falls within any of the given ranges.
+ * IPv4-mapped IPv6 addresses (::ffff:10.0.0.1), as reported for IPv4
+ * clients on dual-stack sockets, are matched as IPv4.
+ * @param {string} ip - Client IP address
+ * @param {Array<string>} ranges - Addresses or CIDR ranges, see validateIPRange
+ * @returns {boolean} Whether the address is in one of the ranges
+ */
+export function isIPInRanges(ip, ranges) {
+    if (typeof ip !== 'string') {
+        return false;
+    }
+
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+    const address = mapped ? mapped[1] : ip;
+    const family = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+    if (!family) {
+        return false;
+    }
+
+    const blockList = new net.BlockList();
+    for (const range of ranges) {
+        const [rangeAddress, prefix] = range.split('/');
+        const rangeFamily = net.isIPv4(rangeAddress) ? 'ipv4' : 'ipv6';
+        if (prefix === undefined) {
+            blockList.addAddress(rangeAddress, rangeFamily);
+        } else {
+            blockList.addSubnet(rangeAddress, Number(prefix), rangeFamily);
+        }
+    }
+
+    return blockList.check(address, family);
+}
+
+// Ranges that do not reach the public internet: "this" network, private,
+// carrier-grade NAT, loopback, link-local (including cloud metadata at
+// 169.254.169.254), IETF protocol, documentation, benchmarking, multicast
+// and reserved. IPv4-mapped IPv6 addresses are matched against the IPv4
+// ranges; NAT64 ones could reach any IPv4 host, so they are refused.
+const NON_PUBLIC_RANGES = [
+    '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16',
+    '172.16.0.0/12', '192.0.0.0/24', '192.0.2.0/24', '192.168.0.0/16', '198.18.0.0/15',
+    '198.51.100.0/24', '203.0.113.0/24', '224.0.0.0/4', '240.0.0.0/4',
+    '::/128', '::1/128', '64:ff9b::/96', '100::/64', '2001:db8::/32',
+    'fc00::/7', 'fe80::/10', 'ff00::/8'
+];
+
+/**
+ * Checks whether an IP address is on the public internet, i.e. not a
+ * private, loopback, link-local or otherwise reserved address.
+ * @param {string} ip - IP address
+ * @returns {boolean} Whether the address is public
+ */
+export function isPublicIPAddress(ip) {
+    return net.isIP(ip) !== 0 && !isIPInRanges(ip, NON_PUBLIC_RANGES);
+}
+
 /**
  * Validates a username format.
  * Enforces secure username policy for CloudPanel.
@@ -86,47 +167,76 @@ export function validateUsername(username) {
 }
 
 /**
- * Validates password strength according to security requirements.
- * Enforces minimum complexity rules for secure passwords.
+ * Validates a password against the rules of a password policy: length,
+ * required character classes, and not containing the user's username or
+ * email address (case-insensitive; values shorter than 3 characters are
+ * not checked).
  * @param {string} password - Password to validate
- * @returns {Object} Validation result with details
+ * @param {Object} [policy] - { minLength, requireUppercase, requireLowercase,
+ *   requireNumber, requireSpecial }; defaults to 8 characters and all classes
+ * @param {Object} [user] - { username, email } of the password's owner
+ * @returns {Object} Validation result: { isValid, message, errors }
  */
-export function validatePassword(password) {
+export function validatePassword(password, policy = {}, user = {}) {
     if (typeof password !== 'string') {
         return {
             isValid: false,
-            message: 'Password must be a string'
+            message: 'Password must be a string',
+            errors: ['Password must be a string']
         };
     }
 
+    const {
+        minLength = 8,
+        requireUppercase = true,
+        requireLowercase = true,
+        requireNumber = true,
+        requireSpecial = true
+    } = policy;
+
     const requirements = [
         {
-            test: /.{8,}/,
-            message: 'At least 8 characters long'
+            test: value => value.length >= minLength,
+            message: `At least ${minLength} characters long`
         },
-        {
-            test: /[A-Z]/,
+        requireUppercase && {
+            test: value => /[A-Z]/.test(value),
             message: 'At least one uppercase letter'
         },
-        {
-            test: /[a-z]/,
+        requireLowercase && {
+            test: value => /[a-z]/.test(value),
             message: 'At least one lowercase letter'
         },
-        {
-            test: /[0-9]/,
+        requireNumber && {
+            test: value => /[0-9]/.test(value),
             message: 'At least one number'
         },
-        {
-            test: /[!@#$%^&*(),.?":{}|<>]/,
+        requireSpecial && {
+            test: value => /[^A-Za-z0-9]/.test(value),
             message: 'At least one special character'
         }
-    ];
+    ].filter(Boolean);
+
+    const lowered = password.toLowerCase();
+    const { username, email } = user;
+    const personal = [username, email, email && email.split('@')[0]]
+        .filter(value => typeof value === 'string' && value.length >= 3);
+
+    if (personal.length > 0) {
+        requirements.push({
+            test: () => !personal.some(value => lowered.includes(value.toLowerCase())),
+            message: 'Must not contain the username or email address'
+        });
+    }
 
-    const failedRequirements = requirements.filter(req => !req.test.test(password));
+    const errors = requirements
+        .filter(req => !req.test(password))
+        .map(req => req.message);
 
     return {
-        isValid: failedRequirements.length === 0,
-        message: failedRequirements.map(req => req.message).join(', ')
+        isValid: errors.length === 0,
+        message: errors.join(', '),
+        errors
     };
 }
 
@@ -229,8 +339,8 @@ export function validateCronExpression(cronExp) {
         return false;
     }
 
-    // Standard cron format validation
-    const cronRegex = /^(\*|([0-9]|1[0-9]|2[0-9]|3[0-9]|4[0-9]|5[0-9])|\*\/([0-9]|1[0-9]|2[0-9]|3[0-9]|4[0-9]|5[0-9])) (\*|([0-9]|1[0-9]|2[0-3])|\*\/([0-9]|1[0-9]|2[0-3])) (\*|([1-9]|1[0-9]|2[0-9]|3[0-1])|\*\/([1-9]|1[0-9]|2[0-9]|3[0-1])) (\*|([1-9]|1[0-2])|\*\/([1-9]|1[0-2])) (\*|([0-6])|\*\/([0-6]))$/;
+    // Standard cron format validation; steps start at 1
+    const cronRegex = /^(\*|([0-9]|1[0-9]|2[0-9]|3[0-9]|4[0-9]|5[0-9])|\*\/([1-9]|1[0-9]|2[0-9]|3[0-9]|4[0-9]|5[0-9])) (\*|([0-9]|1[0-9]|2[0-3])|\*\/([1-9]|1[0-9]|2[0-3])) (\*|([1-9]|1[0-9]|2[0-9]|3[0-1])|\*\/([1-9]|1[0-9]|2[0-9]|3[0-1])) (\*|([1-9]|1[0-2])|\*\/([1-9]|1[0-2])) (\*|([0-6])|\*\/([0-6]))$/;
 
     return cronRegex.test(cronExp);
 }
\ No newline at end of file
@@ -0,0 +1,257 @@
+// src/utils/webauthn.js
+import crypto from 'crypto';
+
+/**
+ * Verification of WebAuthn (FIDO2) registration and assertion responses.
+ * Attestation statements are not checked: keys are registered with
+ * `attestation: 'none'`, so any authenticator the user holds is accepted,
+ * and what is verified is that the key signs the server's challenge.
+ */
+
+// COSE algorithms offered to authenticators: ES256, EdDSA, RS256
+export const COSE_ALGORITHMS = Object.freeze([-7, -8, -257]);
+
+// Flags in the authenticator data
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_CREDENTIAL = 0x40;
+
+// COSE key types, and the curves of the offered algorithms with their JWK names
+const COSE_KTY = { OKP: 1, EC2: 2, RSA: 3 };
+const COSE_CURVES = { 1: 'P-256', 6: 'Ed25519' };
+
+export const toBase64Url = buffer => Buffer.from(buffer).toString('base64url');
+export const fromBase64Url = value => Buffer.from(String(value), 'base64url');
+
+/**
+ * Decodes one CBOR item. Covers what authenticators produce: integers,
+ * byte and text strings, arrays, maps and simple values.
+ * @param {Buffer} buffer - CBOR data
+ * @param {number} [offset] - Where the item starts
+ * @returns {Object} { value, offset } with the offset after the item
+ * @throws {Error} On unsupported or truncated data
+ */
+export function decodeCbor(buffer, offset = 0) {
+    if (offset >= buffer.length) {
+        throw new Error('Truncated CBOR data');
+    }
+
+    const initial = buffer[offset++];
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    let length = info;
+    if (info === 24) {
+        length = buffer.readUInt8(offset);
+        offset += 1;
+    } else if (info === 25) {
+        length = buffer.readUInt16BE(offset);
+        offset += 2;
+    } else if (info === 26) {
+        length = buffer.readUInt32BE(offset);
+        offset += 4;
+    } else if (info === 27) {
+        length = Number(buffer.readBigUInt64BE(offset));
+        offset += 8;
+    } else if (info > 27) {
+        throw new Error('Indefinite-length CBOR items are not supported');
+    }
+
+    switch (major) {
+        case 0:
+            return { value: length, offset };
+        case 1:
+            return { value: -1 - length, offset };
+        case 2:
+        case 3: {
+            if (offset + length > buffer.length) {
+                throw new Error('Truncated CBOR data');
+            }
+            const bytes = buffer.subarray(offset, offset + length);
+            return { value: major === 2 ? Buffer.from(bytes) : bytes.toString('utf8'), offset: offset + length };
+        }
+        case 4: {
+            const items = [];
+            for (let i = 0; i < length; i++) {
+                const item = decodeCbor(buffer, offset);
+                items.push(item.value);
+                offset = item.offset;
+            }
+            return { value: items, offset };
+        }
+        case 5: {
+            const map = new Map();
+            for (let i = 0; i < length; i++) {
+                const key = decodeCbor(buffer, offset);
+                const item = decodeCbor(buffer, key.offset);
+                map.set(key.value, item.value);
+                offset = item.offset;
+            }
+            return { value: map, offset };
+        }
+        case 7:
+            if (info === 20 || info === 21) {
+                return { value: info === 21, offset };
+            }
+            if (info === 22 || info === 23) {
+                return { value: null, offset };
+            }
+            throw new Error('Unsupported CBOR simple value');
+        default:
+            throw new Error(`Unsupported CBOR major type ${major}`);
+    }
+}
+
+/**
+ * Converts a COSE public key to a Node.js key object.
+ * @param {Map} coseKey - Decoded COSE_Key
+ * @returns {crypto.KeyObject} Public key
+ * @throws {Error} For keys other than P-256, Ed25519 and RSA
+ */
+function coseToPublicKey(coseKey) {
+    const kty = coseKey.get(1);
+    let jwk;
+
+    if (kty === COSE_KTY.EC2 && COSE_CURVES[coseKey.get(-1)] === 'P-256') {
+        jwk = {
+            kty: 'EC',
+            crv: COSE_CURVES[coseKey.get(-1)],
+            x: toBase64Url(coseKey.get(-2)),
+            y: toBase64Url(coseKey.get(-3))
+        };
+    } else if (kty === COSE_KTY.OKP && COSE_CURVES[coseKey.get(-1)] === 'Ed25519') {
+        jwk = { kty: 'OKP', crv: 'Ed25519', x: toBase64Url(coseKey.get(-2)) };
+    } else if (kty === COSE_KTY.RSA) {
+        jwk = { kty: 'RSA', n: toBase64Url(coseKey.get(-1)), e: toBase64Url(coseKey.get(-2)) };
+    } else {
+        throw new Error(`Unsupported credential key type ${kty}`);
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/**
+ * Parses authenticator data and checks it belongs to the relying party
+ * and that the user was present (and verified, when required).
+ * @param {Buffer} authData - Authenticator data
+ * @param {Object} options - { rpId, requireUserVerification }
+ * @returns {Object} { flags, signCount, credentialId, publicKey } where the
+ *   last two are only set when the data carries a new credential
+ * @throws {Error} When the data is malformed or the checks fail
+ */
+function parseAuthenticatorData(authData, { rpId, requireUserVerification }) {
+    if (authData.length < 37) {
+        throw new Error('Authenticator data is too short');
+    }
+
+    const rpIdHash = crypto.createHash('sha256').update(rpId).digest();
+    if (!crypto.timingSafeEqual(authData.subarray(0, 32), rpIdHash)) {
+        throw new Error('Credential was created for another site');
+    }
+
+    const flags = authData[32];
+    if (!(flags & FLAG_USER_PRESENT)) {
+        throw new Error('User presence was not confirmed');
+    }
+    if (requireUserVerification && !(flags & FLAG_USER_VERIFIED)) {
+        throw new Error('User verification is required');
+    }
+
+    const result = { flags, signCount: authData.readUInt32BE(33) };
+
+    if (flags & FLAG_ATTESTED_CREDENTIAL) {
+        const idLength = authData.readUInt16BE(53);
+        const credentialId = authData.subarray(55, 55 + idLength);
+        const { value: coseKey } = decodeCbor(authData, 55 + idLength);
+
+        result.credentialId = toBase64Url(credentialId);
+        result.publicKey = coseToPublicKey(coseKey);
+    }
+
+    return result;
+}
+
+/**
+ * Parses clientDataJSON and checks the ceremony type and origin.
+ * @param {string} clientDataJSON - base64url clientDataJSON
+ * @param {string} type - `webauthn.create` or `webauthn.get`
+ * @param {Array<string>} origins - Origins the API is used from
+ * @returns {Object} { clientData, hash } with the SHA-256 of the raw JSON
+ * @throws {Error} When the type or origin do not match
+ */
+function parseClientData(clientDataJSON, type, origins) {
+    const raw = fromBase64Url(clientDataJSON);
+    const clientData = JSON.parse(raw.toString('utf8'));
+
+    if (clientData.type !== type) {
+        throw new Error(`Expected a ${type} response`);
+    }
+    if (!origins.includes(clientData.origin)) {
+        throw new Error(`Origin ${clientData.origin} is not allowed`);
+    }
+
+    return { clientData, hash: crypto.createHash('sha256').update(raw).digest() };
+}
+
+/**
+ * Verifies the response of navigator.credentials.create(). The caller
+ * must check that the returned challenge is one it issued.
+ * @param {Object} credential - PublicKeyCredential as JSON, with base64url
+ *   response.clientDataJSON and response.attestationObject
+ * @param {Object} options - { rpId, origins, requireUserVerification }
+ * @returns {Object} { challenge, credentialId, publicKey, signCount, transports }
+ *   where publicKey is base64url SPKI DER
+ * @throws {Error} When the response is invalid
+ */
+export function verifyRegistrationResponse(credential, options) {
+    const { clientData } = parseClientData(credential.response.clientDataJSON, 'webauthn.create', options.origins);
+
+    const { value: attestation } = decodeCbor(fromBase64Url(credential.response.attestationObject));
+    const authData = attestation instanceof Map ? attestation.get('authData') : null;
+    if (!Buffer.isBuffer(authData)) {
+        throw new Error('Attestation object has no authenticator data');
+    }
+
+    const parsed = parseAuthenticatorData(authData, options);
+    if (!parsed.credentialId) {
+        throw new Error('Attestation object has no credential');
+    }
+
+    return {
+        challenge: clientData.challenge,
+        credentialId: parsed.credentialId,
+        publicKey: toBase64Url(parsed.publicKey.export({ type: 'spki', format: 'der' })),
+        signCount: parsed.signCount,
+        transports: Array.isArray(credential.response.transports) ? credential.response.transports : []
+    };
+}
+
+/**
+ * Verifies the response of navigator.credentials.get() against a stored
+ * credential. The caller must check that the returned challenge is one it
+ * issued and that the sign counter moved forward.
+ * @param {Object} credential - PublicKeyCredential as JSON, with base64url
+ *   response.clientDataJSON, response.authenticatorData and response.signature
+ * @param {string} publicKey - Stored base64url SPKI DER public key
+ * @param {Object} options - { rpId, origins, requireUserVerification }
+ * @returns {Object} { challenge, signCount }
+ * @throws {Error} When the response or its signature is invalid
+ */
+export function verifyAuthenticationResponse(credential, publicKey, options) {
+    const { clientData, hash } = parseClientData(credential.response.clientDataJSON, 'webauthn.get', options.origins);
+    const authData = fromBase64Url(credential.response.authenticatorData);
+    const parsed = parseAuthenticatorData(authData, options);
+
+    const key = crypto.createPublicKey({ key: fromBase64Url(publicKey), format: 'der', type: 'spki' });
+    const valid = crypto.verify(
+        key.asymmetricKeyType === 'ed25519' ? null : 'sha256',
+        Buffer.concat([authData, hash]),
+        key.asymmetricKeyType === 'ec' ? { key, dsaEncoding: 'der' } : key,
+        fromBase64Url(credential.response.signature)
+    );
+    if (!valid) {
+        throw new Error('Signature is invalid');
+    }
+
+    return { challenge: clientData.challenge, signCount: parsed.signCount };
+}
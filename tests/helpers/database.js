@@ -0,0 +1,122 @@
+// tests/helpers/database.js
+import databaseManager, { db } from '../../src/config/database.js';
+
+// The CloudPanel tables the API reads and extends. CloudPanel creates them
+// itself; the migrations only add to them.
+const CLOUDPANEL_SCHEMA = `
+    CREATE TABLE user (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_name VARCHAR(255) NOT NULL UNIQUE,
+        email VARCHAR(255) NOT NULL UNIQUE,
+        password VARCHAR(255),
+        role VARCHAR(32) NOT NULL DEFAULT 'user',
+        first_name VARCHAR(255),
+        last_name VARCHAR(255),
+        timezone_id INTEGER,
+        status INTEGER NOT NULL DEFAULT 1,
+        mfa INTEGER NOT NULL DEFAULT 0,
+        mfa_secret VARCHAR(255),
+        created_at DATETIME,
+        updated_at DATETIME
+    );
+
+    CREATE TABLE api_token (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        token VARCHAR(255) NOT NULL,
+        is_active INTEGER NOT NULL DEFAULT 1,
+        scopes TEXT,
+        created_at DATETIME,
+        updated_at DATETIME
+    );
+
+    CREATE TABLE user_session (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        token VARCHAR(64) NOT NULL,
+        created_at DATETIME NOT NULL,
+        expires_at DATETIME NOT NULL
+    );
+
+    CREATE TABLE site (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        domain_name VARCHAR(255) NOT NULL UNIQUE,
+        type VARCHAR(32),
+        root_directory VARCHAR(255),
+        php_settings_id INTEGER,
+        created_at DATETIME,
+        updated_at DATETIME
+    );
+
+    CREATE TABLE database_server (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        engine VARCHAR(32),
+        version VARCHAR(32),
+        host VARCHAR(255),
+        port INTEGER
+    );
+
+    CREATE TABLE database (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        site_id INTEGER,
+        database_server_id INTEGER,
+        name VARCHAR(255) NOT NULL,
+        created_at DATETIME
+    );
+
+    CREATE TABLE event (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        created_at DATETIME,
+        user_name VARCHAR(255),
+        user_role VARCHAR(32),
+        event_name VARCHAR(255),
+        event_data TEXT,
+        source_ip_address VARCHAR(45),
+        user_agent TEXT
+    );
+`;
+
+/**
+ * Opens a fresh in-memory database with the CloudPanel tables and runs
+ * every migration on it.
+ * @returns {Promise<Object>} The `db` helper of src/config/database.js
+ */
+export async function setupDatabase() {
+    databaseManager.dbPath = ':memory:';
+    await databaseManager.initialize();
+    await databaseManager.db.exec(CLOUDPANEL_SCHEMA);
+    await databaseManager.runMigrations();
+    return db;
+}
+
+/**
+ * Closes the database opened by setupDatabase().
+ * @returns {Promise<void>}
+ */
+export async function closeDatabase() {
+    await databaseManager.close();
+}
+
+/**
+ * Adds a user.
+ * @param {Object} [fields] - Columns to set
+ * @returns {Promise<number>} User ID
+ */
+export async function createUser(fields = {}) {
+    const user = {
+        user_name: `user${Date.now()}${Math.floor(Math.random() * 1000)}`,
+        role: 'admin',
+        password: null,
+        ...fields
+    };
+    user.email ??= `${user.user_name}@example.com`;
+
+    const columns = Object.keys(user);
+    const result = await db.run(
+        `INSERT INTO user (${columns.join(', ')}, created_at, updated_at)
+         VALUES (${columns.map(() => '?').join(', ')}, datetime('now'), datetime('now'))`,
+        Object.values(user)
+    );
+    return result.lastID;
+}
@@ -0,0 +1,170 @@
+// tests/helpers/webauthn.js
+import crypto from 'crypto';
+
+const toBase64Url = buffer => Buffer.from(buffer).toString('base64url');
+const sha256 = data => crypto.createHash('sha256').update(data).digest();
+
+/**
+ * Encodes the CBOR an authenticator produces: integers, byte and text
+ * strings and maps.
+ * @param {*} value - Number, Buffer, string, Map or plain object
+ * @returns {Buffer} CBOR
+ */
+export function encodeCbor(value) {
+    const head = (major, length) => {
+        if (length < 24) {
+            return Buffer.from([(major << 5) | length]);
+        }
+        if (length < 0x100) {
+            return Buffer.from([(major << 5) | 24, length]);
+        }
+        const buffer = Buffer.alloc(3);
+        buffer[0] = (major << 5) | 25;
+        buffer.writeUInt16BE(length, 1);
+        return buffer;
+    };
+
+    if (typeof value === 'number') {
+        return value >= 0 ? head(0, value) : head(1, -1 - value);
+    }
+    if (Buffer.isBuffer(value)) {
+        return Buffer.concat([head(2, value.length), value]);
+    }
+    if (typeof value === 'string') {
+        const bytes = Buffer.from(value, 'utf8');
+        return Buffer.concat([head(3, bytes.length), bytes]);
+    }
+
+    const entries = value instanceof Map ? [...value] : Object.entries(value);
+    return Buffer.concat([
+        head(5, entries.length),
+        ...entries.flatMap(([key, entry]) => [encodeCbor(key), encodeCbor(entry)])
+    ]);
+}
+
+/**
+ * A software security key holding one ES256 or Ed25519 credential. It
+ * answers registration and authentication challenges the way a browser
+ * hands them to the API.
+ */
+export class SoftwareAuthenticator {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.algorithm] - `ES256` or `Ed25519`
+     * @param {string} [options.rpId] - Relying party the key signs for
+     * @param {string} [options.origin] - Origin the browser reports
+     */
+    constructor({ algorithm = 'ES256', rpId = 'localhost', origin = 'http://localhost:3000' } = {}) {
+        this.algorithm = algorithm;
+        this.rpId = rpId;
+        this.origin = origin;
+        this.signCount = 0;
+        this.credentialId = crypto.randomBytes(32);
+
+        const { publicKey, privateKey } = algorithm === 'Ed25519'
+            ? crypto.generateKeyPairSync('ed25519')
+            : crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+        this.publicKey = publicKey;
+        this.privateKey = privateKey;
+    }
+
+    get id() {
+        return toBase64Url(this.credentialId);
+    }
+
+    /**
+     * The public key as a COSE_Key.
+     * @returns {Map} COSE_Key
+     */
+    coseKey() {
+        const jwk = this.publicKey.export({ format: 'jwk' });
+        if (this.algorithm === 'Ed25519') {
+            return new Map([[1, 1], [3, -8], [-1, 6], [-2, Buffer.from(jwk.x, 'base64url')]]);
+        }
+        return new Map([
+            [1, 2],
+            [3, -7],
+            [-1, 1],
+            [-2, Buffer.from(jwk.x, 'base64url')],
+            [-3, Buffer.from(jwk.y, 'base64url')]
+        ]);
+    }
+
+    /**
+     * Authenticator data for the given flags.
+     * @param {number} flags - Flag byte
+     * @param {Buffer} [attestedCredential] - Attested credential data
+     * @returns {Buffer} Authenticator data
+     */
+    authenticatorData(flags, attestedCredential = Buffer.alloc(0)) {
+        const counter = Buffer.alloc(4);
+        counter.writeUInt32BE(this.signCount);
+        return Buffer.concat([sha256(this.rpId), Buffer.from([flags]), counter, attestedCredential]);
+    }
+
+    /**
+     * Answers navigator.credentials.create().
+     * @param {string} challenge - base64url challenge from the API
+     * @param {Object} [overrides] - { type, origin, flags } to send instead
+     * @returns {Object} PublicKeyCredential as JSON
+     */
+    register(challenge, { type = 'webauthn.create', origin = this.origin, flags = 0x45 } = {}) {
+        const clientDataJSON = Buffer.from(JSON.stringify({ type, challenge, origin }));
+
+        const idLength = Buffer.alloc(2);
+        idLength.writeUInt16BE(this.credentialId.length);
+        const attestedCredential = Buffer.concat([
+            Buffer.alloc(16),
+            idLength,
+            this.credentialId,
+            encodeCbor(this.coseKey())
+        ]);
+
+        const attestationObject = encodeCbor({
+            fmt: 'none',
+            attStmt: {},
+            authData: this.authenticatorData(flags, attestedCredential)
+        });
+
+        return {
+            id: this.id,
+            rawId: this.id,
+            type: 'public-key',
+            response: {
+                clientDataJSON: toBase64Url(clientDataJSON),
+                attestationObject: toBase64Url(attestationObject),
+                transports: ['usb']
+            }
+        };
+    }
+
+    /**
+     * Answers navigator.credentials.get(). The signature counter is
+     * increased first unless `signCount` is given.
+     * @param {string} challenge - base64url challenge from the API
+     * @param {Object} [overrides] - { type, origin, flags, signCount } to send instead
+     * @returns {Object} PublicKeyCredential as JSON
+     */
+    assert(challenge, { type = 'webauthn.get', origin = this.origin, flags = 0x05, signCount } = {}) {
+        this.signCount = signCount ?? this.signCount + 1;
+
+        const clientDataJSON = Buffer.from(JSON.stringify({ type, challenge, origin }));
+        const authenticatorData = this.authenticatorData(flags);
+        const signature = crypto.sign(
+            this.algorithm === 'Ed25519' ? null : 'sha256',
+            Buffer.concat([authenticatorData, sha256(clientDataJSON)]),
+            this.privateKey
+        );
+
+        return {
+            id: this.id,
+            rawId: this.id,
+            type: 'public-key',
+            response: {
+                clientDataJSON: toBase64Url(clientDataJSON),
+                authenticatorData: toBase64Url(authenticatorData),
+                signature: toBase64Url(signature)
+            }
+        };
+    }
+}
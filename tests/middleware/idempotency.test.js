@@ -0,0 +1,102 @@
+// tests/middleware/idempotency.test.js
+import express, { Router } from 'express';
+import request from 'supertest';
+import { idempotency } from '../../src/middleware/idempotency.js';
+import { closeDatabase, setupDatabase } from '../helpers/database.js';
+
+let db;
+let calls;
+
+beforeAll(async () => {
+    db = await setupDatabase();
+});
+
+afterAll(async () => {
+    await closeDatabase();
+});
+
+beforeEach(() => {
+    calls = 0;
+});
+
+afterEach(async () => {
+    await db.run('DELETE FROM idempotency_keys');
+});
+
+/**
+ * App mounted like the v1 routes, whose handlers count their calls.
+ * @returns {express.Application} App
+ */
+function createApp() {
+    const router = Router();
+    router.use(idempotency);
+    router.post('/sites', (req, res) => res.status(201).json({ success: true, call: ++calls }));
+    router.post('/users/login', (req, res) => res.json({ success: true, data: { token: `token-${++calls}` } }));
+    router.put('/users/password', (req, res) => res.json({ success: true, call: ++calls }));
+    router.delete('/sites/:id', (req, res) => res.json({ success: true, dry_run: req.query.dry_run === 'true', call: ++calls }));
+    router.put('/webhooks/:id', (req, res) => res.json({ success: true, call: ++calls }));
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/v1', router);
+    return app;
+}
+
+const app = createApp();
+
+const send = (method, path, body, key = 'key-1') =>
+    request(app)[method](`/api/v1${path}`).set('X-API-Key', 'test-key').set('Idempotency-Key', key).send(body);
+
+describe('idempotency', () => {
+    test('replays the stored response of a repeated request', async () => {
+        await send('post', '/sites', { domain_name: 'a.example' }).expect(201);
+        const replay = await send('post', '/sites', { domain_name: 'a.example' }).expect(201);
+
+        expect(replay.body.call).toBe(1);
+        expect(replay.headers['idempotent-replayed']).toBe('true');
+    });
+
+    test('rejects a repeated key with a different body', async () => {
+        await send('post', '/sites', { domain_name: 'a.example' }).expect(201);
+
+        const response = await send('post', '/sites', { domain_name: 'b.example' });
+
+        expect(response.status).toBe(422);
+    });
+
+    test('tells requests apart by their query', async () => {
+        await send('delete', '/sites/5?dry_run=true').expect(200);
+        const response = await send('delete', '/sites/5');
+
+        expect(response.status).toBe(422);
+        expect(calls).toBe(1);
+    });
+
+    test.each([
+        ['post', '/users/login', { username: 'admin', password: 'Secret-1' }],
+        ['put', '/webhooks/1', { rotate_secret: true }]
+    ])('ignores the key of %s %s, which returns a credential', async (method, path, body) => {
+        await send(method, path, body).expect(200);
+        const repeat = await send(method, path, body).expect(200);
+
+        expect(repeat.body).not.toHaveProperty('call', 1);
+        expect(calls).toBe(2);
+        expect(await db.get('SELECT * FROM idempotency_keys')).toBeUndefined();
+    });
+
+    test('keeps handling keys of updates that return no credential', async () => {
+        await send('put', '/webhooks/1', { active: false }).expect(200);
+        const replay = await send('put', '/webhooks/1', { active: false }).expect(200);
+
+        expect(replay.body.call).toBe(1);
+    });
+
+    test('leaves secret values out of the fingerprint', async () => {
+        await send('put', '/users/password', { currentPassword: 'Old-Secret-1', newPassword: 'New-Secret-2' }, 'key-1');
+        await send('put', '/users/password', { currentPassword: 'Guess-1', newPassword: 'Guess-2' }, 'key-2');
+
+        const stored = await db.all('SELECT fingerprint FROM idempotency_keys');
+        expect(stored).toHaveLength(2);
+        expect(stored[0].fingerprint).toBe(stored[1].fingerprint);
+    });
+});
@@ -0,0 +1,105 @@
+// tests/middleware/rateLimit.test.js
+import express from 'express';
+import request from 'supertest';
+import config from '../../src/config/config.js';
+import { limitFailedAuthentication, rateLimit } from '../../src/middleware/rateLimit.js';
+import { closeDatabase, setupDatabase } from '../helpers/database.js';
+
+const { groups, max } = config.security.rateLimits;
+
+let db;
+
+beforeAll(async () => {
+    db = await setupDatabase();
+});
+
+afterAll(async () => {
+    await closeDatabase();
+});
+
+afterEach(async () => {
+    await db.run('DELETE FROM rate_limit_counters');
+});
+
+/**
+ * App whose requests authenticate when they send `X-API-Key: valid`.
+ * @param {...Function} middleware - Middleware run after authentication
+ * @returns {express.Application} App
+ */
+function createApp(...middleware) {
+    const app = express();
+    app.get('/', limitFailedAuthentication, (req, res, next) => {
+        if (req.get('X-API-Key') !== 'valid') {
+            return res.status(401).json({ success: false });
+        }
+        req.principal = { actor: `api_key:${req.get('X-Key-Id') || 1}`, role: 'user' };
+        return next();
+    }, ...middleware, (req, res) => res.json({ success: true }));
+    return app;
+}
+
+// Failed requests are counted once their response has finished
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('limitFailedAuthentication', () => {
+    const app = createApp();
+
+    test('refuses an IP after too many failed authentications, even with valid credentials', async () => {
+        for (let i = 0; i < groups.credentials.max; i++) {
+            await request(app).get('/').expect(401);
+            await settle();
+        }
+
+        const response = await request(app).get('/').set('X-API-Key', 'valid').expect(429);
+        expect(response.body.retry_after).toBeGreaterThan(0);
+        expect(response.headers['retry-after']).toBe(String(response.body.retry_after));
+    });
+
+    test('does not count successful authentications', async () => {
+        for (let i = 0; i < groups.credentials.max + 5; i++) {
+            await request(app).get('/').set('X-API-Key', 'valid').expect(200);
+        }
+        await settle();
+
+        expect(await db.get('SELECT * FROM rate_limit_counters')).toBeUndefined();
+        await request(app).get('/').expect(401);
+    });
+});
+
+describe('rateLimit', () => {
+    test('limits each caller with its own bucket', async () => {
+        const app = createApp(rateLimit());
+
+        for (let i = 0; i < max; i++) {
+            await request(app).get('/').set('X-API-Key', 'valid').expect(200);
+        }
+
+        const response = await request(app).get('/').set('X-API-Key', 'valid').expect(429);
+        expect(response.headers['ratelimit-remaining']).toBe('0');
+        await request(app).get('/').set('X-API-Key', 'valid').set('X-Key-Id', '2').expect(200);
+    });
+
+    test('reports the limit closest to running out', async () => {
+        const app = createApp(rateLimit(), rateLimit('bulk'));
+
+        const response = await request(app).get('/').set('X-API-Key', 'valid').expect(200);
+
+        expect(response.headers['ratelimit-limit']).toBe(String(groups.bulk.max));
+        expect(response.headers['ratelimit-remaining']).toBe(String(groups.bulk.max - 1));
+    });
+
+    test('limits groups keyed by IP per client IP', async () => {
+        const app = createApp(rateLimit('auth'));
+
+        for (let i = 0; i < groups.auth.max; i++) {
+            await request(app).get('/').set('X-API-Key', 'valid').set('X-Key-Id', String(i)).expect(200);
+        }
+
+        const response = await request(app).get('/').set('X-API-Key', 'valid').set('X-Key-Id', 'other');
+        expect(response.status).toBe(429);
+    });
+
+    test('rejects unknown groups', () => {
+        expect(() => rateLimit('unknown')).toThrow('Unknown rate limit group: unknown');
+    });
+});
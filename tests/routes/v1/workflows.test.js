@@ -0,0 +1,59 @@
+// tests/routes/v1/workflows.test.js
+import express from 'express';
+import request from 'supertest';
+import workflowRoutes from '../../../src/routes/v1/workflows.js';
+import userService from '../../../src/services/userService.js';
+import { closeDatabase, createUser, setupDatabase } from '../../helpers/database.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/workflows', workflowRoutes);
+
+let db;
+
+beforeAll(async () => {
+    db = await setupDatabase();
+});
+
+afterAll(async () => {
+    await closeDatabase();
+});
+
+afterEach(async () => {
+    await db.run('DELETE FROM rate_limit_counters');
+});
+
+/**
+ * Logs in a new user with the given role.
+ * @param {string} role - User role
+ * @returns {Promise<string>} Session token
+ */
+async function sessionFor(role) {
+    const userId = await createUser({ role });
+    return (await userService.createSession(userId)).token;
+}
+
+describe('POST /api/v1/workflows', () => {
+    test('refuses sessions of users without the admin role', async () => {
+        const token = await sessionFor('user');
+
+        const response = await request(app)
+            .post('/api/v1/workflows')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ name: 'deploy', steps: [{ key: 'site', type: 'site.create', params: {} }] });
+
+        expect(response.status).toBe(403);
+        expect(await db.get('SELECT * FROM workflows')).toBeUndefined();
+    });
+
+    test('lets admins through to validation', async () => {
+        const token = await sessionFor('admin');
+
+        const response = await request(app)
+            .post('/api/v1/workflows')
+            .set('Authorization', `Bearer ${token}`)
+            .send({});
+
+        expect(response.status).toBe(400);
+    });
+});
@@ -0,0 +1,162 @@
+// tests/services/jobRunner.test.js
+import { jest } from '@jest/globals';
+import config from '../../src/config/config.js';
+import jobRunner from '../../src/services/jobRunner.js';
+import handlerRegistry from '../../src/services/handlerRegistry.js';
+import OrchestratorService, { OPERATION_STATUSES, OperationError } from '../../src/services/OrchestratorService.js';
+import { closeDatabase, setupDatabase } from '../helpers/database.js';
+
+const TYPE = 'test.retry';
+
+let db;
+
+beforeAll(async () => {
+    db = await setupDatabase();
+    config.orchestrator.retryPolicies[TYPE] = {
+        maxAttempts: 3,
+        initialDelay: 1,
+        maxDelay: 5,
+        factor: 2,
+        retryableErrors: ['HANDLER_FAILED', 'HANDLER_KILLED']
+    };
+});
+
+afterAll(async () => {
+    delete config.orchestrator.retryPolicies[TYPE];
+    await closeDatabase();
+});
+
+afterEach(() => {
+    handlerRegistry.handlers.delete(TYPE);
+});
+
+/**
+ * Registers a module handler for the test type, queues an operation and
+ * claims it the way a tick would.
+ * @param {Function} execute - Handler execute function
+ * @returns {Promise<Object>} Claimed operation
+ */
+async function claimOperation(execute) {
+    handlerRegistry.handlers.set(TYPE, { file: 'test.js', type: TYPE, schema: {}, execute, rollback: null });
+    await OrchestratorService.createOperation(TYPE, {});
+    return OrchestratorService.claimNextOperation([TYPE], jobRunner.workerId);
+}
+
+describe('JobRunner.runOperation', () => {
+    test('completes an operation that succeeds after a retryable failure', async () => {
+        const execute = jest.fn()
+            .mockRejectedValueOnce(new Error('Temporary failure'))
+            .mockResolvedValueOnce({ ok: true });
+        const operation = await claimOperation(execute);
+
+        await jobRunner.runOperation(operation);
+
+        const stored = await OrchestratorService.getOperationStatus(operation.id);
+        expect(stored).toMatchObject({ status: OPERATION_STATUSES.COMPLETED, retry_count: 1, result: { ok: true } });
+        expect(await OrchestratorService.getOperationAttempts(operation.id)).toEqual([
+            expect.objectContaining({ attempt: 1, error_code: 'HANDLER_FAILED', error: 'Temporary failure' })
+        ]);
+        expect(jobRunner.running.has(operation.id)).toBe(false);
+    });
+
+    test('dead-letters an operation that fails every attempt', async () => {
+        const execute = jest.fn().mockRejectedValue(new Error('Still failing'));
+        const operation = await claimOperation(execute);
+
+        await jobRunner.runOperation(operation);
+
+        expect(execute).toHaveBeenCalledTimes(3);
+        const stored = await OrchestratorService.getOperationStatus(operation.id);
+        expect(stored).toMatchObject({ status: OPERATION_STATUSES.DEAD_LETTER, retry_count: 3, error: 'Still failing' });
+        expect(stored.dead_lettered_at).not.toBeNull();
+        expect(await OrchestratorService.getOperationAttempts(operation.id)).toHaveLength(3);
+    });
+
+    test('fails an operation at once on an error that is not retryable', async () => {
+        const execute = jest.fn().mockRejectedValue(
+            new OperationError('Bad data', OperationError.CODES.INVALID_INPUT)
+        );
+        const operation = await claimOperation(execute);
+
+        await jobRunner.runOperation(operation);
+
+        expect(execute).toHaveBeenCalledTimes(1);
+        const stored = await OrchestratorService.getOperationStatus(operation.id);
+        expect(stored).toMatchObject({ status: OPERATION_STATUSES.FAILED, retry_count: 1, error: 'Bad data' });
+        expect(stored.dead_lettered_at).toBeNull();
+    });
+
+    test('puts an operation its handler marked failed back into processing before retrying', async () => {
+        const statuses = [];
+        const execute = jest.fn(async (data, { operationId }) => {
+            statuses.push((await OrchestratorService.getOperationStatus(operationId)).status);
+            if (statuses.length === 1) {
+                await OrchestratorService.updateOperationStatus(operationId, OPERATION_STATUSES.FAILED, 'Handler gave up');
+                throw new Error('Handler gave up');
+            }
+        });
+        const operation = await claimOperation(execute);
+
+        await jobRunner.runOperation(operation);
+
+        expect(statuses).toEqual([OPERATION_STATUSES.PROCESSING, OPERATION_STATUSES.PROCESSING]);
+        const stored = await OrchestratorService.getOperationStatus(operation.id);
+        expect(stored.status).toBe(OPERATION_STATUSES.COMPLETED);
+    });
+
+    test('cancels an operation whose cancel request arrives as an attempt fails', async () => {
+        const execute = jest.fn((data, { operationId }) => {
+            setImmediate(() => jobRunner.cancelOperation(operationId));
+            return Promise.reject(new Error('Temporary failure'));
+        });
+        const operation = await claimOperation(execute);
+
+        await jobRunner.runOperation(operation);
+
+        expect(execute).toHaveBeenCalledTimes(1);
+        const stored = await OrchestratorService.getOperationStatus(operation.id);
+        expect(stored).toMatchObject({ status: OPERATION_STATUSES.CANCELLED, dead_lettered_at: null });
+    });
+
+    test('does not retry an operation cancelled while waiting for its next attempt', async () => {
+        const policy = config.orchestrator.retryPolicies[TYPE];
+        const execute = jest.fn().mockRejectedValue(new Error('Temporary failure'));
+        const markRetrying = jest.spyOn(OrchestratorService, 'markRetrying')
+            .mockImplementation(operationId => {
+                setTimeout(() => jobRunner.cancelOperation(operationId), 10);
+                return Promise.resolve();
+            });
+        const operation = await claimOperation(execute);
+
+        policy.initialDelay = 60 * 1000;
+        try {
+            await jobRunner.runOperation(operation);
+        } finally {
+            policy.initialDelay = 1;
+            markRetrying.mockRestore();
+        }
+
+        expect(execute).toHaveBeenCalledTimes(1);
+        const stored = await OrchestratorService.getOperationStatus(operation.id);
+        expect(stored.status).toBe(OPERATION_STATUSES.CANCELLED);
+    });
+});
+
+describe('OrchestratorService.markRetrying', () => {
+    test('only moves failed operations back to processing', async () => {
+        const failed = await OrchestratorService.createOperation(TYPE, {});
+        const cancelled = await OrchestratorService.createOperation(TYPE, {});
+        await OrchestratorService.updateOperationStatus(failed, OPERATION_STATUSES.FAILED, 'Failed');
+        await OrchestratorService.markCancelled(cancelled);
+
+        await OrchestratorService.markRetrying(failed);
+        await OrchestratorService.markRetrying(cancelled);
+
+        const rows = await db.all('SELECT id, status, completed_at FROM operations WHERE id IN (?, ?) ORDER BY id', [
+            failed,
+            cancelled
+        ]);
+        expect(rows[0]).toMatchObject({ status: OPERATION_STATUSES.PROCESSING, completed_at: null });
+        expect(rows[1].status).toBe(OPERATION_STATUSES.CANCELLED);
+    });
+});
@@ -0,0 +1,162 @@
+// tests/services/lockService.test.js
+import config from '../../src/config/config.js';
+import lockService, { LOCK_POLICIES, SYSTEM_RESOURCE } from '../../src/services/lockService.js';
+import OrchestratorService, { OPERATION_STATUSES } from '../../src/services/OrchestratorService.js';
+import { closeDatabase, setupDatabase } from '../helpers/database.js';
+
+let db;
+
+beforeAll(async () => {
+    db = await setupDatabase();
+});
+
+afterAll(async () => {
+    await closeDatabase();
+});
+
+afterEach(async () => {
+    await db.run('DELETE FROM resource_locks');
+});
+
+const lockedResources = () => db.all('SELECT resource, holder FROM resource_locks ORDER BY resource');
+
+/**
+ * Queues an operation and claims it, so its locks are not stale.
+ * @param {string} type - Operation type
+ * @param {Object} data - Operation data
+ * @returns {Promise<Object>} Claimed operation
+ */
+async function processingOperation(type, data) {
+    await OrchestratorService.createOperation(type, data);
+    return OrchestratorService.claimNextOperation([type], 'test');
+}
+
+describe('LockService.tryAcquire', () => {
+    test('locks free resources', async () => {
+        const result = await lockService.tryAcquire(['site:1', 'database:1'], { holder: 'a', ttl: 60000 });
+
+        expect(result).toEqual({ acquired: true, conflicts: [] });
+        expect(await lockedResources()).toEqual([
+            { resource: 'database:1', holder: 'a' },
+            { resource: 'site:1', holder: 'a' }
+        ]);
+    });
+
+    test('reports the holder of a locked resource', async () => {
+        await lockService.tryAcquire(['site:1'], { holder: 'a', description: 'Restore', ttl: 60000 });
+
+        const result = await lockService.tryAcquire(['site:1'], { holder: 'b', ttl: 60000 });
+
+        expect(result.acquired).toBe(false);
+        expect(result.conflicts).toEqual([expect.objectContaining({ resource: 'site:1', holder: 'a' })]);
+        expect(lockService.describeConflicts(result.conflicts)).toBe('site:1 held by Restore');
+    });
+
+    test('locks all resources or none', async () => {
+        await lockService.tryAcquire(['site:2'], { holder: 'a', ttl: 60000 });
+
+        const result = await lockService.tryAcquire(['site:1', 'site:2'], { holder: 'b', ttl: 60000 });
+
+        expect(result.acquired).toBe(false);
+        expect(await lockedResources()).toEqual([{ resource: 'site:2', holder: 'a' }]);
+    });
+
+    test('lets a holder lock a resource it already holds', async () => {
+        await lockService.tryAcquire(['site:1'], { holder: 'a', ttl: 60000 });
+
+        expect((await lockService.tryAcquire(['site:1', 'site:2'], { holder: 'a', ttl: 60000 })).acquired).toBe(true);
+    });
+
+    test('makes the system lock conflict with every other lock', async () => {
+        await lockService.tryAcquire(['site:1'], { holder: 'a', ttl: 60000 });
+        expect((await lockService.tryAcquire([SYSTEM_RESOURCE], { holder: 'b', ttl: 60000 })).acquired).toBe(false);
+
+        await lockService.release('a');
+        await lockService.tryAcquire([SYSTEM_RESOURCE], { holder: 'b', ttl: 60000 });
+        expect((await lockService.tryAcquire(['database:1'], { holder: 'c', ttl: 60000 })).acquired).toBe(false);
+    });
+
+    test('grants a resource to one of several concurrent holders', async () => {
+        const results = await Promise.all(['a', 'b', 'c'].map(holder =>
+            lockService.tryAcquire(['site:1'], { holder, ttl: 60000 })
+        ));
+
+        expect(results.filter(result => result.acquired)).toHaveLength(1);
+        expect(await lockedResources()).toHaveLength(1);
+    });
+
+    test('takes over expired locks', async () => {
+        await db.run(`
+            INSERT INTO resource_locks (resource, holder, acquired_at, expires_at)
+            VALUES ('site:1', 'a', datetime('now', '-2 hours'), datetime('now', '-1 hour'))
+        `);
+
+        expect((await lockService.tryAcquire(['site:1'], { holder: 'b', ttl: 60000 })).acquired).toBe(true);
+    });
+
+    test('takes over locks of operations that are no longer processing', async () => {
+        const operation = await processingOperation('site.update', { site_id: 1 });
+        await lockService.acquireForOperation(operation);
+        await OrchestratorService.updateOperationStatus(operation.id, OPERATION_STATUSES.COMPLETED);
+
+        expect((await lockService.tryAcquire(['site:1'], { holder: 'b', ttl: 60000 })).acquired).toBe(true);
+    });
+});
+
+describe('LockService.acquireForOperation', () => {
+    test('locks the site of the operation, looked up by domain', async () => {
+        const { lastID: siteId } = await db.run("INSERT INTO site (domain_name) VALUES ('locked.example')");
+        const operation = await processingOperation('site.update', { domain_name: 'locked.example' });
+
+        const result = await lockService.acquireForOperation(operation);
+
+        expect(result).toEqual({ acquired: true, policy: LOCK_POLICIES.WAIT, conflicts: [] });
+        expect(await lockedResources()).toEqual([{ resource: `site:${siteId}`, holder: `operation:${operation.id}` }]);
+
+        await lockService.releaseForOperation(operation.id);
+        expect(await lockedResources()).toEqual([]);
+    });
+
+    test('returns the policy of the type on a conflict', async () => {
+        const first = await processingOperation('site.update', { site_id: 5 });
+        const second = await processingOperation('site.delete', { site_id: 5 });
+        await lockService.acquireForOperation(first);
+
+        const result = await lockService.acquireForOperation(second);
+
+        expect(result).toMatchObject({ acquired: false, policy: LOCK_POLICIES.FAIL });
+        expect(lockService.describeConflicts(result.conflicts)).toBe(`site:5 held by operation ${first.id}`);
+    });
+});
+
+describe('LockService.lockForRequest', () => {
+    const { lockWaitTimeout } = config.orchestrator;
+
+    afterEach(() => {
+        config.orchestrator.lockWaitTimeout = lockWaitTimeout;
+    });
+
+    test('fails at once with the fail policy', async () => {
+        await lockService.tryAcquire(['site:1'], { holder: 'a', description: 'Restore', ttl: 60000 });
+
+        await expect(lockService.lockForRequest(['site:1'], 'Backup', { policy: LOCK_POLICIES.FAIL }))
+            .rejects.toMatchObject({ status: 409, code: 'RESOURCE_LOCKED' });
+    });
+
+    test('waits for the resource to be released', async () => {
+        await lockService.tryAcquire(['site:1'], { holder: 'a', ttl: 60000 });
+        setTimeout(() => lockService.release('a'), 100);
+
+        const holder = await lockService.lockForRequest(['site:1'], 'Backup');
+
+        expect(await lockedResources()).toEqual([{ resource: 'site:1', holder }]);
+    });
+
+    test('gives up after the wait timeout', async () => {
+        config.orchestrator.lockWaitTimeout = 0;
+        await lockService.tryAcquire(['site:1'], { holder: 'a', ttl: 60000 });
+
+        await expect(lockService.lockForRequest(['site:1'], 'Backup'))
+            .rejects.toMatchObject({ code: 'RESOURCE_LOCKED' });
+    });
+});
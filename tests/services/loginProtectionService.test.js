@@ -0,0 +1,201 @@
+// tests/services/loginProtectionService.test.js
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import config from '../../src/config/config.js';
+import loginProtectionService, { LOCKOUT_SCOPES } from '../../src/services/loginProtectionService.js';
+import monitoringService from '../../src/services/monitoringService.js';
+import { closeDatabase, setupDatabase } from '../helpers/database.js';
+
+const MINUTE = 60 * 1000;
+const START = Date.UTC(2026, 0, 1, 12);
+const IP = '203.0.113.7';
+
+const THRESHOLDS = {
+    failedLoginsWarning: 2,
+    failedLoginsCritical: 3,
+    failedLoginsWindow: 5 * MINUTE,
+    bruteForceAttempts: 5,
+    bruteForceWindow: 60 * MINUTE
+};
+
+let db;
+let now;
+
+beforeAll(async () => {
+    db = await setupDatabase();
+});
+
+afterAll(async () => {
+    await closeDatabase();
+});
+
+beforeEach(() => {
+    now = START;
+    // Only the clock is faked; the database driver needs real timers
+    jest.useFakeTimers({
+        doNotFake: [
+            'nextTick', 'queueMicrotask',
+            'setImmediate', 'clearImmediate',
+            'setTimeout', 'clearTimeout',
+            'setInterval', 'clearInterval'
+        ]
+    });
+    jest.setSystemTime(now);
+    jest.spyOn(monitoringService, 'storeAlerts').mockResolvedValue();
+    jest.spyOn(monitoringService, 'triggerAlertNotifications').mockResolvedValue();
+    loginProtectionService.thresholds = { ...THRESHOLDS };
+});
+
+afterEach(async () => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    await db.run('DELETE FROM login_throttle');
+    await db.run('DELETE FROM event');
+});
+
+const advance = (ms) => {
+    now += ms;
+    jest.setSystemTime(now);
+};
+
+// Fails a login for a user, waiting out the delay of the previous failure
+const fail = async (username, ipAddress = IP) => {
+    await loginProtectionService.assertAllowed(username, ipAddress);
+    await loginProtectionService.recordFailure(username, { ipAddress, userAgent: 'jest' });
+    advance(config.security.lockout.delay.max);
+};
+
+describe('LoginProtectionService', () => {
+    test('delays the next attempt after a failure, doubling with each one', async () => {
+        await loginProtectionService.recordFailure('alice', { ipAddress: IP });
+        await expect(loginProtectionService.assertAllowed('alice', IP))
+            .rejects.toMatchObject({ status: 429, code: 'LOGIN_DELAYED', retryAfter: 1 });
+
+        advance(1000);
+        await loginProtectionService.assertAllowed('alice', IP);
+        await loginProtectionService.recordFailure('alice', { ipAddress: IP });
+        await expect(loginProtectionService.assertAllowed('alice', IP))
+            .rejects.toMatchObject({ code: 'LOGIN_DELAYED', retryAfter: 2 });
+
+        advance(2000);
+        await expect(loginProtectionService.assertAllowed('alice', IP)).resolves.toBeUndefined();
+    });
+
+    test('locks an account at the critical threshold until the window passes', async () => {
+        await fail('alice');
+        await fail('alice');
+        await fail('alice');
+
+        await expect(loginProtectionService.assertAllowed('alice', '198.51.100.1'))
+            .rejects.toMatchObject({ status: 423, code: 'ACCOUNT_LOCKED' });
+        await expect(loginProtectionService.assertAllowed('bob', IP)).resolves.toBeUndefined();
+
+        advance(THRESHOLDS.failedLoginsWindow);
+        await expect(loginProtectionService.assertAllowed('alice', IP)).resolves.toBeUndefined();
+    });
+
+    test('records the warning and the lockout as events and alerts', async () => {
+        await fail('alice');
+        await fail('alice');
+        await fail('alice');
+
+        const events = await db.all('SELECT event_name, source_ip_address, user_agent FROM event ORDER BY id');
+        expect(events).toEqual([
+            { event_name: 'LOGIN_FAILURES_WARNING', source_ip_address: IP, user_agent: 'jest' },
+            { event_name: 'ACCOUNT_LOCKED', source_ip_address: IP, user_agent: 'jest' }
+        ]);
+        expect(monitoringService.storeAlerts).toHaveBeenLastCalledWith([
+            expect.objectContaining({ type: 'security', level: 'critical', value: 3, threshold: 3 })
+        ]);
+    });
+
+    test('treats unknown usernames like existing accounts', async () => {
+        await fail('no-such-user');
+        await fail('no-such-user');
+        await fail('no-such-user');
+
+        await expect(loginProtectionService.assertAllowed('no-such-user', IP))
+            .rejects.toMatchObject({ code: 'ACCOUNT_LOCKED' });
+    });
+
+    test('starts a new count once the window has passed', async () => {
+        await fail('alice');
+        await fail('alice');
+        advance(THRESHOLDS.failedLoginsWindow);
+        await fail('alice');
+
+        const throttle = await loginProtectionService.getThrottle(LOCKOUT_SCOPES.USER, 'alice');
+        expect(throttle).toMatchObject({ failures: 1, locked_until: null });
+    });
+
+    test('blocks an IP after too many failures across accounts', async () => {
+        for (let i = 0; i < THRESHOLDS.bruteForceAttempts; i++) {
+            await fail(`user${i}`);
+        }
+
+        await expect(loginProtectionService.assertAllowed('someone', IP))
+            .rejects.toMatchObject({ status: 429, code: 'IP_BLOCKED' });
+        await expect(loginProtectionService.assertAllowed('someone', '198.51.100.1')).resolves.toBeUndefined();
+    });
+
+    test('clears the account count on success but keeps the IP count', async () => {
+        await fail('alice');
+        await fail('alice');
+        await loginProtectionService.recordSuccess('alice');
+
+        expect(await loginProtectionService.getThrottle(LOCKOUT_SCOPES.USER, 'alice')).toBeUndefined();
+        expect(await loginProtectionService.getThrottle(LOCKOUT_SCOPES.IP, IP)).toMatchObject({ failures: 2 });
+    });
+
+    test('lists and lifts lockouts', async () => {
+        await fail('alice');
+        await fail('alice');
+        await fail('alice');
+
+        expect(await loginProtectionService.listLockouts()).toEqual([
+            expect.objectContaining({ scope: LOCKOUT_SCOPES.USER, subject: 'alice', failures: 3 })
+        ]);
+
+        expect(await loginProtectionService.unlock(LOCKOUT_SCOPES.USER, 'alice')).toBe(true);
+        expect(await loginProtectionService.unlock(LOCKOUT_SCOPES.USER, 'alice')).toBe(false);
+        await expect(loginProtectionService.assertAllowed('alice', IP)).resolves.toBeUndefined();
+    });
+
+    describe('loadThresholds', () => {
+        const { thresholdsFile } = config.security.lockout;
+        let dir;
+
+        beforeEach(async () => {
+            dir = await fs.mkdtemp(path.join(os.tmpdir(), 'thresholds-'));
+            config.security.lockout.thresholdsFile = path.join(dir, 'thresholds.conf');
+        });
+
+        afterEach(async () => {
+            config.security.lockout.thresholdsFile = thresholdsFile;
+            await fs.rm(dir, { recursive: true, force: true });
+        });
+
+        test('reads the security thresholds, windows in seconds', async () => {
+            await fs.writeFile(config.security.lockout.thresholdsFile, [
+                '# Security',
+                'security.failed_logins_critical=7',
+                'security.failed_logins_window=120',
+                'security.brute_force_attempts=0',
+                'security.brute_force_window=abc',
+                'cpu.warning=80'
+            ].join('\n'));
+
+            expect(await loginProtectionService.loadThresholds()).toEqual({
+                ...THRESHOLDS,
+                failedLoginsCritical: 7,
+                failedLoginsWindow: 2 * MINUTE
+            });
+        });
+
+        test('keeps the current thresholds without the file', async () => {
+            expect(await loginProtectionService.loadThresholds()).toEqual(THRESHOLDS);
+        });
+    });
+});
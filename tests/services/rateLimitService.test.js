@@ -0,0 +1,93 @@
+// tests/services/rateLimitService.test.js
+import { jest } from '@jest/globals';
+import rateLimitService from '../../src/services/rateLimitService.js';
+import { closeDatabase, setupDatabase } from '../helpers/database.js';
+
+const WINDOW = 60 * 1000;
+// Start of a window, so tests can move through it
+const WINDOW_START = Math.floor(Date.UTC(2026, 0, 1) / WINDOW) * WINDOW;
+
+let db;
+let now;
+
+beforeAll(async () => {
+    db = await setupDatabase();
+});
+
+afterAll(async () => {
+    await closeDatabase();
+});
+
+beforeEach(() => {
+    now = WINDOW_START;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+});
+
+afterEach(async () => {
+    jest.restoreAllMocks();
+    await db.run('DELETE FROM rate_limit_counters');
+});
+
+const hitTimes = async (bucket, limit, times) => {
+    let result;
+    for (let i = 0; i < times; i++) {
+        result = await rateLimitService.hit(bucket, limit);
+    }
+    return result;
+};
+
+describe('RateLimitService', () => {
+    const limit = { max: 3, windowMs: WINDOW };
+
+    test('allows requests up to the limit', async () => {
+        expect(await rateLimitService.hit('test', limit)).toEqual({ allowed: true, limit: 3, remaining: 2, reset: 60 });
+        expect(await hitTimes('test', limit, 2)).toMatchObject({ allowed: true, remaining: 0 });
+        expect(await rateLimitService.hit('test', limit)).toMatchObject({ allowed: false, remaining: 0 });
+    });
+
+    test('counts rejected requests', async () => {
+        await hitTimes('test', limit, 5);
+
+        const { count } = await db.get('SELECT count FROM rate_limit_counters WHERE bucket = ?', ['test']);
+        expect(count).toBe(5);
+    });
+
+    test('keeps buckets apart', async () => {
+        await hitTimes('a', limit, 3);
+
+        expect(await rateLimitService.hit('b', limit)).toMatchObject({ allowed: true, remaining: 2 });
+    });
+
+    test('weighs the previous window by its overlap with the sliding window', async () => {
+        const wide = { max: 10, windowMs: WINDOW };
+        await hitTimes('test', wide, 10);
+
+        now = WINDOW_START + WINDOW + (WINDOW / 4);
+        expect(await rateLimitService.check('test', wide)).toMatchObject({ allowed: true, remaining: 2, reset: 45 });
+
+        now = WINDOW_START + WINDOW + (WINDOW / 2);
+        expect(await rateLimitService.check('test', wide)).toMatchObject({ remaining: 5, reset: 30 });
+
+        now = WINDOW_START + (2 * WINDOW);
+        expect(await rateLimitService.check('test', wide)).toMatchObject({ remaining: 10 });
+    });
+
+    test('checks a bucket without counting a request', async () => {
+        await hitTimes('test', limit, 2);
+
+        expect(await rateLimitService.check('test', limit)).toMatchObject({ allowed: true, remaining: 1 });
+        expect(await rateLimitService.check('test', limit, 1)).toMatchObject({ allowed: true, remaining: 1 });
+        expect(await rateLimitService.check('test', limit, 2)).toMatchObject({ allowed: false });
+        expect(await rateLimitService.check('test', limit)).toMatchObject({ remaining: 1 });
+    });
+
+    test('prunes counters of windows that no longer count', async () => {
+        await hitTimes('test', limit, 1);
+
+        now = WINDOW_START + (2 * WINDOW) - 1;
+        expect(await rateLimitService.prune()).toBe(0);
+
+        now = WINDOW_START + (2 * WINDOW);
+        expect(await rateLimitService.prune()).toBe(1);
+    });
+});
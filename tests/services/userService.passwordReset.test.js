@@ -0,0 +1,123 @@
+// tests/services/userService.passwordReset.test.js
+import bcrypt from 'bcrypt';
+import { jest } from '@jest/globals';
+import { closeDatabase, createUser, setupDatabase } from '../helpers/database.js';
+
+const sendPasswordResetEmail = jest.fn().mockResolvedValue();
+const sendPasswordChangedEmail = jest.fn().mockResolvedValue();
+
+jest.unstable_mockModule('../../src/utils/email.js', () => ({
+    default: {},
+    sendEmail: jest.fn().mockResolvedValue(),
+    sendPasswordResetEmail,
+    sendPasswordChangedEmail,
+    sendWelcomeEmail: jest.fn().mockResolvedValue(),
+    sendCertificateExpiryNotification: jest.fn().mockResolvedValue(),
+    sendApiKeyExpiryNotification: jest.fn().mockResolvedValue()
+}));
+
+const { default: userService } = await import('../../src/services/userService.js');
+
+const NEW_PASSWORD = 'Sturdy-Lantern-42';
+
+let db;
+let userId;
+
+beforeAll(async () => {
+    db = await setupDatabase();
+});
+
+afterAll(async () => {
+    await closeDatabase();
+});
+
+beforeEach(async () => {
+    jest.clearAllMocks();
+    userId = await createUser({ password: await bcrypt.hash('Old-Password-1', 4) });
+});
+
+/**
+ * Requests a reset for the test user and returns the emailed token.
+ * @returns {Promise<string>} Reset token
+ */
+async function requestToken() {
+    const { email } = await db.get('SELECT email FROM user WHERE id = ?', [userId]);
+    await userService.requestPasswordReset(email.toUpperCase(), { ipAddress: '203.0.113.7' });
+    return sendPasswordResetEmail.mock.calls.at(-1)[1];
+}
+
+describe('UserService password reset', () => {
+    test('emails a token and stores only its hash', async () => {
+        const token = await requestToken();
+
+        expect(sendPasswordResetEmail).toHaveBeenCalledWith(expect.any(String), token, expect.any(String), '60 minutes');
+        const stored = await db.get('SELECT * FROM password_reset_token WHERE user_id = ?', [userId]);
+        expect(stored).toMatchObject({ ip_address: '203.0.113.7', used_at: null });
+        expect(stored.token_hash).not.toBe(token);
+    });
+
+    test('sends nothing for an unknown or inactive address', async () => {
+        await db.run('UPDATE user SET status = 0 WHERE id = ?', [userId]);
+        const { email } = await db.get('SELECT email FROM user WHERE id = ?', [userId]);
+
+        expect(await userService.requestPasswordReset(email)).toBeNull();
+        expect(await userService.requestPasswordReset('nobody@example.com')).toBeNull();
+        expect(sendPasswordResetEmail).not.toHaveBeenCalled();
+    });
+
+    test('sets the new password, ends all sessions and confirms by email', async () => {
+        await userService.createSession(userId);
+        expect(await db.get('SELECT * FROM user_session WHERE user_id = ?', [userId])).toBeDefined();
+        const token = await requestToken();
+
+        expect(await userService.resetPassword(token, NEW_PASSWORD)).toBe(userId);
+
+        const user = await db.get('SELECT password FROM user WHERE id = ?', [userId]);
+        expect(await bcrypt.compare(NEW_PASSWORD, user.password)).toBe(true);
+        expect(await db.get('SELECT * FROM user_session WHERE user_id = ?', [userId])).toBeUndefined();
+        expect(sendPasswordChangedEmail).toHaveBeenCalledTimes(1);
+    });
+
+    test('accepts each token only once', async () => {
+        const token = await requestToken();
+        await userService.resetPassword(token, NEW_PASSWORD);
+
+        await expect(userService.resetPassword(token, 'Another-Lantern-43'))
+            .rejects.toMatchObject({ status: 400, code: 'INVALID_RESET_TOKEN' });
+    });
+
+    test('lets only one of two concurrent resets with the same token through', async () => {
+        const token = await requestToken();
+
+        const results = await Promise.allSettled([
+            userService.resetPassword(token, NEW_PASSWORD),
+            userService.resetPassword(token, 'Another-Lantern-43')
+        ]);
+
+        expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+        expect(results.find(result => result.status === 'rejected').reason.code).toBe('INVALID_RESET_TOKEN');
+    });
+
+    test('replaces the earlier token of the user', async () => {
+        const first = await requestToken();
+        const second = await requestToken();
+
+        await expect(userService.resetPassword(first, NEW_PASSWORD)).rejects.toMatchObject({ code: 'INVALID_RESET_TOKEN' });
+        await expect(userService.resetPassword(second, NEW_PASSWORD)).resolves.toBe(userId);
+    });
+
+    test('rejects an expired token', async () => {
+        const token = await requestToken();
+        await db.run("UPDATE password_reset_token SET expires_at = datetime('now', '-1 second') WHERE user_id = ?", [userId]);
+
+        await expect(userService.resetPassword(token, NEW_PASSWORD)).rejects.toMatchObject({ code: 'INVALID_RESET_TOKEN' });
+    });
+
+    test('keeps the token when the new password breaks the policy', async () => {
+        const token = await requestToken();
+
+        await expect(userService.resetPassword(token, 'short'))
+            .rejects.toMatchObject({ code: 'PASSWORD_POLICY_VIOLATION' });
+        await expect(userService.resetPassword(token, NEW_PASSWORD)).resolves.toBe(userId);
+    });
+});
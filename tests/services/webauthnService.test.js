@@ -0,0 +1,180 @@
+// tests/services/webauthnService.test.js
+import webauthnService from '../../src/services/webauthnService.js';
+import { closeDatabase, createUser, setupDatabase } from '../helpers/database.js';
+import { SoftwareAuthenticator } from '../helpers/webauthn.js';
+
+let db;
+
+beforeAll(async () => {
+    db = await setupDatabase();
+});
+
+afterAll(async () => {
+    await closeDatabase();
+});
+
+describe.each(['ES256', 'Ed25519'])('WebAuthnService with %s keys', algorithm => {
+    let user;
+    let authenticator;
+
+    const register = async () => {
+        const { challenge } = await webauthnService.getRegistrationOptions(user);
+        return webauthnService.registerCredential(user.id, authenticator.register(challenge), 'Test key');
+    };
+
+    beforeEach(async () => {
+        const id = await createUser();
+        user = await db.get('SELECT * FROM user WHERE id = ?', [id]);
+        authenticator = new SoftwareAuthenticator({ algorithm });
+    });
+
+    describe('registerCredential', () => {
+        test('stores a key registered with an issued challenge', async () => {
+            const stored = await register();
+
+            expect(stored).toMatchObject({ name: 'Test key', credential_id: authenticator.id, sign_count: 0 });
+            expect(await webauthnService.listCredentials(user.id)).toHaveLength(1);
+        });
+
+        test('rejects a challenge that was not issued', async () => {
+            await expect(webauthnService.registerCredential(user.id, authenticator.register('made-up'), 'Test key'))
+                .rejects.toMatchObject({ status: 400, code: 'INVALID_WEBAUTHN_CHALLENGE' });
+        });
+
+        test('rejects a challenge issued to another user', async () => {
+            const otherId = await createUser();
+            const { challenge } = await webauthnService.getRegistrationOptions({ ...user, id: otherId });
+
+            await expect(webauthnService.registerCredential(user.id, authenticator.register(challenge), 'Test key'))
+                .rejects.toMatchObject({ code: 'INVALID_WEBAUTHN_CHALLENGE' });
+        });
+
+        test('accepts each challenge only once', async () => {
+            const { challenge } = await webauthnService.getRegistrationOptions(user);
+            await webauthnService.registerCredential(user.id, authenticator.register(challenge), 'Test key');
+
+            const other = new SoftwareAuthenticator({ algorithm });
+            await expect(webauthnService.registerCredential(user.id, other.register(challenge), 'Other key'))
+                .rejects.toMatchObject({ code: 'INVALID_WEBAUTHN_CHALLENGE' });
+        });
+
+        test('rejects an expired challenge', async () => {
+            const { challenge } = await webauthnService.getRegistrationOptions(user);
+            await db.run(
+                "UPDATE webauthn_challenge SET expires_at = datetime('now', '-1 second') WHERE challenge = ?",
+                [challenge]
+            );
+
+            await expect(webauthnService.registerCredential(user.id, authenticator.register(challenge), 'Test key'))
+                .rejects.toMatchObject({ code: 'INVALID_WEBAUTHN_CHALLENGE' });
+        });
+
+        test('rejects an authentication challenge', async () => {
+            await register();
+            const { challenge } = await webauthnService.getAuthenticationOptions(user.id);
+
+            const other = new SoftwareAuthenticator({ algorithm });
+            await expect(webauthnService.registerCredential(user.id, other.register(challenge), 'Other key'))
+                .rejects.toMatchObject({ code: 'INVALID_WEBAUTHN_CHALLENGE' });
+        });
+
+        test('rejects a response from another origin', async () => {
+            const { challenge } = await webauthnService.getRegistrationOptions(user);
+            const credential = authenticator.register(challenge, { origin: 'https://evil.example' });
+
+            await expect(webauthnService.registerCredential(user.id, credential, 'Test key'))
+                .rejects.toMatchObject({ status: 400, code: 'INVALID_WEBAUTHN_RESPONSE' });
+        });
+
+        test('rejects a key created for another relying party', async () => {
+            const { challenge } = await webauthnService.getRegistrationOptions(user);
+            const credential = new SoftwareAuthenticator({ algorithm, rpId: 'evil.example' }).register(challenge);
+
+            await expect(webauthnService.registerCredential(user.id, credential, 'Test key'))
+                .rejects.toMatchObject({ code: 'INVALID_WEBAUTHN_RESPONSE' });
+        });
+
+        test('rejects a key that is already registered', async () => {
+            await register();
+
+            await expect(register()).rejects.toMatchObject({ status: 409, code: 'WEBAUTHN_CREDENTIAL_EXISTS' });
+        });
+    });
+
+    describe('verifyAssertion', () => {
+        beforeEach(async () => {
+            await register();
+        });
+
+        const challenge = async () => (await webauthnService.getAuthenticationOptions(user.id)).challenge;
+
+        test('accepts a signed challenge and stores the new counter', async () => {
+            const credential = authenticator.assert(await challenge(), { signCount: 5 });
+
+            expect(await webauthnService.verifyAssertion(user.id, credential)).toBe(true);
+            const [stored] = await webauthnService.listCredentials(user.id);
+            expect(stored.sign_count).toBe(5);
+            expect(stored.last_used_at).not.toBeNull();
+        });
+
+        test('accepts each challenge only once', async () => {
+            const credential = authenticator.assert(await challenge());
+
+            expect(await webauthnService.verifyAssertion(user.id, credential)).toBe(true);
+            expect(await webauthnService.verifyAssertion(user.id, credential)).toBe(false);
+        });
+
+        test('rejects a challenge that was not issued', async () => {
+            expect(await webauthnService.verifyAssertion(user.id, authenticator.assert('made-up'))).toBe(false);
+        });
+
+        test('rejects a registration challenge', async () => {
+            const { challenge: registration } = await webauthnService.getRegistrationOptions(user);
+
+            expect(await webauthnService.verifyAssertion(user.id, authenticator.assert(registration))).toBe(false);
+        });
+
+        test('rejects a counter that did not move forward', async () => {
+            expect(await webauthnService.verifyAssertion(
+                user.id, authenticator.assert(await challenge(), { signCount: 5 })
+            )).toBe(true);
+
+            expect(await webauthnService.verifyAssertion(
+                user.id, authenticator.assert(await challenge(), { signCount: 5 })
+            )).toBe(false);
+            expect(await webauthnService.verifyAssertion(
+                user.id, authenticator.assert(await challenge(), { signCount: 3 })
+            )).toBe(false);
+
+            const [stored] = await webauthnService.listCredentials(user.id);
+            expect(stored.sign_count).toBe(5);
+        });
+
+        test('accepts keys without a counter', async () => {
+            expect(await webauthnService.verifyAssertion(
+                user.id, authenticator.assert(await challenge(), { signCount: 0 })
+            )).toBe(true);
+            expect(await webauthnService.verifyAssertion(
+                user.id, authenticator.assert(await challenge(), { signCount: 0 })
+            )).toBe(true);
+        });
+
+        test('rejects a response from another origin', async () => {
+            const credential = authenticator.assert(await challenge(), { origin: 'https://evil.example' });
+
+            expect(await webauthnService.verifyAssertion(user.id, credential)).toBe(false);
+        });
+
+        test('rejects a response for another relying party', async () => {
+            authenticator.rpId = 'evil.example';
+
+            expect(await webauthnService.verifyAssertion(user.id, authenticator.assert(await challenge()))).toBe(false);
+        });
+
+        test("rejects another user's key", async () => {
+            const otherId = await createUser();
+
+            expect(await webauthnService.verifyAssertion(otherId, authenticator.assert('made-up'))).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,57 @@
+// tests/services/webhookService.test.js
+import { jest } from '@jest/globals';
+import webhookService from '../../src/services/webhookService.js';
+import { closeDatabase, setupDatabase } from '../helpers/database.js';
+
+// Public address literals, so the tests need no DNS
+const PUBLIC_URL = 'https://93.184.216.34/hook';
+const EVENTS = ['operation.failed'];
+
+let db;
+
+beforeAll(async () => {
+    db = await setupDatabase();
+});
+
+afterAll(async () => {
+    await closeDatabase();
+});
+
+afterEach(async () => {
+    jest.restoreAllMocks();
+    await db.run('DELETE FROM webhook_deliveries');
+    await db.run('DELETE FROM webhooks');
+});
+
+describe('WebhookService', () => {
+    test.each([
+        'http://127.0.0.1:8080/hook',
+        'http://localhost/hook',
+        'http://169.254.169.254/latest/meta-data/',
+        'http://10.0.0.5/hook',
+        'http://[::1]/hook',
+        'http://[::ffff:192.168.1.1]/hook'
+    ])('refuses to save a webhook for %s', async (url) => {
+        await expect(webhookService.createWebhook({ url, events: EVENTS }, 'user:1'))
+            .rejects.toMatchObject({ status: 400, code: 'INVALID_WEBHOOK' });
+    });
+
+    test('refuses to move a webhook to a private address', async () => {
+        const { id } = await webhookService.createWebhook({ url: PUBLIC_URL, events: EVENTS }, 'user:1');
+
+        await expect(webhookService.updateWebhook(id, { url: 'http://192.168.1.10/hook' }))
+            .rejects.toMatchObject({ code: 'INVALID_WEBHOOK' });
+    });
+
+    test('checks the address again before sending', async () => {
+        const { id } = await webhookService.createWebhook({ url: PUBLIC_URL, events: EVENTS }, 'user:1');
+        await db.run('UPDATE webhooks SET url = ? WHERE id = ?', ['http://127.0.0.1:8080/hook', id]);
+        const fetch = jest.spyOn(global, 'fetch');
+
+        const delivery = await webhookService.testWebhook(id);
+
+        expect(fetch).not.toHaveBeenCalled();
+        expect(delivery).toMatchObject({ status: 'failed', response_body: null });
+        expect(delivery.error).toMatch(/not a public address/);
+    });
+});
@@ -0,0 +1,112 @@
+// tests/utils/helpers.test.js
+import { jest } from '@jest/globals';
+import { retryWithBackoff } from '../../src/utils/helpers.js';
+
+describe('retryWithBackoff', () => {
+    const failing = (failures, error = new Error('transient')) => jest.fn(attempt => {
+        if (attempt <= failures) {
+            return Promise.reject(error);
+        }
+        return Promise.resolve(`attempt ${attempt}`);
+    });
+
+    test('returns the result of the first successful attempt', async () => {
+        const func = failing(2);
+
+        await expect(retryWithBackoff(func, { initialDelay: 1 })).resolves.toBe('attempt 3');
+        expect(func).toHaveBeenCalledTimes(3);
+    });
+
+    test('rethrows the error of the last attempt', async () => {
+        const func = failing(5);
+
+        await expect(retryWithBackoff(func, { maxAttempts: 3, initialDelay: 1 })).rejects.toThrow('transient');
+        expect(func).toHaveBeenCalledTimes(3);
+    });
+
+    test('grows the delay by the factor up to the maximum', async () => {
+        const onRetry = jest.fn();
+
+        await expect(retryWithBackoff(failing(5), {
+            maxAttempts: 5,
+            initialDelay: 1,
+            maxDelay: 5,
+            factor: 3,
+            onRetry
+        })).rejects.toThrow();
+
+        expect(onRetry.mock.calls.map(([, attempt, delay]) => [attempt, delay]))
+            .toEqual([[1, 1], [2, 3], [3, 5], [4, 5]]);
+    });
+
+    test('stops at an error rejected by shouldRetry', async () => {
+        const error = Object.assign(new Error('invalid'), { code: 'INVALID_INPUT' });
+        const func = failing(5, error);
+        const onRetry = jest.fn();
+
+        await expect(retryWithBackoff(func, {
+            initialDelay: 1,
+            shouldRetry: e => e.code !== 'INVALID_INPUT',
+            onRetry
+        })).rejects.toBe(error);
+        expect(func).toHaveBeenCalledTimes(1);
+        expect(onRetry).not.toHaveBeenCalled();
+    });
+
+    test('waits for onRetry before the next attempt', async () => {
+        const events = [];
+        const func = jest.fn(attempt => {
+            events.push(`attempt ${attempt}`);
+            return attempt === 1 ? Promise.reject(new Error('transient')) : Promise.resolve();
+        });
+
+        await retryWithBackoff(func, {
+            initialDelay: 1,
+            onRetry: async () => {
+                await new Promise(resolve => setTimeout(resolve, 5));
+                events.push('retrying');
+            }
+        });
+
+        expect(events).toEqual(['attempt 1', 'retrying', 'attempt 2']);
+    });
+
+    test('stops waiting when aborted', async () => {
+        const controller = new AbortController();
+        const reason = new Error('cancelled');
+        const func = failing(5);
+
+        const result = retryWithBackoff(func, {
+            initialDelay: 60 * 1000,
+            signal: controller.signal,
+            onRetry: () => setImmediate(() => controller.abort(reason))
+        });
+
+        await expect(result).rejects.toBe(reason);
+        expect(func).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not wait when aborted during onRetry', async () => {
+        const controller = new AbortController();
+        const reason = new Error('cancelled');
+        const func = failing(5);
+
+        const result = retryWithBackoff(func, {
+            initialDelay: 60 * 1000,
+            signal: controller.signal,
+            onRetry: () => controller.abort(reason)
+        });
+
+        await expect(result).rejects.toBe(reason);
+        expect(func).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not start when already aborted', async () => {
+        const controller = new AbortController();
+        controller.abort(new Error('cancelled'));
+        const func = failing(0);
+
+        await expect(retryWithBackoff(func, { signal: controller.signal })).rejects.toThrow('cancelled');
+        expect(func).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,136 @@
+// tests/utils/webauthn.test.js
+import {
+    decodeCbor,
+    fromBase64Url,
+    verifyAuthenticationResponse,
+    verifyRegistrationResponse
+} from '../../src/utils/webauthn.js';
+import { SoftwareAuthenticator, encodeCbor } from '../helpers/webauthn.js';
+
+const options = { rpId: 'localhost', origins: ['http://localhost:3000'], requireUserVerification: false };
+
+describe('decodeCbor', () => {
+    test('decodes maps with integer and text keys', () => {
+        const encoded = encodeCbor(new Map([[1, 2], [-1, 'P-256'], ['key', Buffer.from([1, 2, 3])]]));
+        const { value, offset } = decodeCbor(encoded);
+
+        expect(offset).toBe(encoded.length);
+        expect(value.get(1)).toBe(2);
+        expect(value.get(-1)).toBe('P-256');
+        expect(value.get('key')).toEqual(Buffer.from([1, 2, 3]));
+    });
+});
+
+describe.each(['ES256', 'Ed25519'])('%s credentials', algorithm => {
+    let authenticator;
+
+    beforeEach(() => {
+        authenticator = new SoftwareAuthenticator({ algorithm });
+    });
+
+    describe('verifyRegistrationResponse', () => {
+        test('returns the challenge, credential and public key', () => {
+            const result = verifyRegistrationResponse(authenticator.register('challenge-1'), options);
+
+            expect(result).toEqual({
+                challenge: 'challenge-1',
+                credentialId: authenticator.id,
+                publicKey: authenticator.publicKey.export({ type: 'spki', format: 'der' }).toString('base64url'),
+                signCount: 0,
+                transports: ['usb']
+            });
+        });
+
+        test('rejects an origin that is not configured', () => {
+            const credential = authenticator.register('challenge-1', { origin: 'https://evil.example' });
+
+            expect(() => verifyRegistrationResponse(credential, options))
+                .toThrow('Origin https://evil.example is not allowed');
+        });
+
+        test('rejects a credential created for another relying party', () => {
+            const credential = new SoftwareAuthenticator({ algorithm, rpId: 'evil.example' }).register('challenge-1');
+
+            expect(() => verifyRegistrationResponse(credential, options))
+                .toThrow('Credential was created for another site');
+        });
+
+        test('rejects an authentication response', () => {
+            const credential = authenticator.register('challenge-1', { type: 'webauthn.get' });
+
+            expect(() => verifyRegistrationResponse(credential, options))
+                .toThrow('Expected a webauthn.create response');
+        });
+
+        test('requires user presence', () => {
+            const credential = authenticator.register('challenge-1', { flags: 0x44 });
+
+            expect(() => verifyRegistrationResponse(credential, options))
+                .toThrow('User presence was not confirmed');
+        });
+
+        test('requires user verification when configured', () => {
+            const credential = authenticator.register('challenge-1', { flags: 0x41 });
+
+            expect(() => verifyRegistrationResponse(credential, options)).not.toThrow();
+            expect(() => verifyRegistrationResponse(credential, { ...options, requireUserVerification: true }))
+                .toThrow('User verification is required');
+        });
+    });
+
+    describe('verifyAuthenticationResponse', () => {
+        let publicKey;
+
+        beforeEach(() => {
+            ({ publicKey } = verifyRegistrationResponse(authenticator.register('challenge-1'), options));
+        });
+
+        test('returns the challenge and signature counter', () => {
+            const credential = authenticator.assert('challenge-2', { signCount: 7 });
+
+            expect(verifyAuthenticationResponse(credential, publicKey, options))
+                .toEqual({ challenge: 'challenge-2', signCount: 7 });
+        });
+
+        test('rejects a signature from another key', () => {
+            const other = new SoftwareAuthenticator({ algorithm });
+            const credential = other.assert('challenge-2');
+
+            expect(() => verifyAuthenticationResponse(credential, publicKey, options))
+                .toThrow('Signature is invalid');
+        });
+
+        test('rejects tampered client data', () => {
+            const credential = authenticator.assert('challenge-2');
+            const clientData = JSON.parse(fromBase64Url(credential.response.clientDataJSON));
+            credential.response.clientDataJSON = Buffer.from(
+                JSON.stringify({ ...clientData, challenge: 'challenge-3' })
+            ).toString('base64url');
+
+            expect(() => verifyAuthenticationResponse(credential, publicKey, options))
+                .toThrow('Signature is invalid');
+        });
+
+        test('rejects an origin that is not configured', () => {
+            const credential = authenticator.assert('challenge-2', { origin: 'https://evil.example' });
+
+            expect(() => verifyAuthenticationResponse(credential, publicKey, options))
+                .toThrow('Origin https://evil.example is not allowed');
+        });
+
+        test('rejects a response for another relying party', () => {
+            authenticator.rpId = 'evil.example';
+            const credential = authenticator.assert('challenge-2');
+
+            expect(() => verifyAuthenticationResponse(credential, publicKey, options))
+                .toThrow('Credential was created for another site');
+        });
+
+        test('rejects a registration response', () => {
+            const credential = authenticator.assert('challenge-2', { type: 'webauthn.create' });
+
+            expect(() => verifyAuthenticationResponse(credential, publicKey, options))
+                .toThrow('Expected a webauthn.get response');
+        });
+    });
+});